@@ -0,0 +1,202 @@
+// Productivity Analytics
+//
+// Summarizes a board's tasks for the analytics view: tasks completed per day or
+// week, average lead time (created → done) and cycle time (started → done),
+// tracked time by priority, on-time vs. late completions against the due date,
+// a weekday × hour heatmap of when tracked work happened, and a cumulative flow
+// diagram and burndown replayed from each task's column history. Completions
+// count when they fall in the selected date range; tracked time comes from the
+// time log, clipped to the range, so a long session only counts the part inside it.
+
+import { getColumns, isDoneColumn } from './columns.js';
+import { WEEKDAY_NAMES } from './recurrence.js';
+import { getColumnAt } from './columnHistory.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+
+// Weekdays in heatmap order, Monday first
+export const HEATMAP_WEEKDAYS = [1, 2, 3, 4, 5, 6, 0];
+
+// Get midnight at the start of a timestamp's day
+function startOfDay(timestamp) {
+  const date = new Date(timestamp);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+}
+
+// Get midnight at the start of a timestamp's week (Monday)
+function startOfWeek(timestamp) {
+  const date = new Date(startOfDay(timestamp));
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return date.getTime();
+}
+
+// Move a day or week start to the next one (calendar based, so DST changes are fine)
+function nextBucket(start, groupBy) {
+  const date = new Date(start);
+  date.setDate(date.getDate() + (groupBy === 'week' ? 7 : 1));
+  return date.getTime();
+}
+
+// Get the default range: the last 30 days including today
+export function getDefaultAnalyticsRange(now = Date.now()) {
+  const to = startOfDay(now);
+  const from = new Date(to);
+  from.setDate(from.getDate() - (DEFAULT_RANGE_DAYS - 1));
+  return { from: from.getTime(), to: to + DAY - 1 };
+}
+
+// Format a duration compactly (e.g. "2d 4h", "3h 20m", "45m")
+export function formatDuration(milliseconds) {
+  if (milliseconds === null || milliseconds === undefined) {
+    return '—';
+  }
+  const totalMinutes = Math.round(milliseconds / 60000);
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+  
+  if (days > 0) {
+    return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+  }
+  if (hours > 0) {
+    return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+  }
+  return `${minutes}m`;
+}
+
+// Get a task's time log plus the session that is still running
+function getSessions(note, now) {
+  const sessions = [...(note.timeLog || [])];
+  if (note.inProgressSince) {
+    sessions.push({ start: note.inProgressSince, end: now });
+  }
+  return sessions;
+}
+
+// Average of a list of durations, null when empty
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+// Spread a session over the heatmap cells (weekday × hour) it covers
+function addToHeatmap(heatmap, start, end) {
+  let cursor = start;
+  while (cursor < end) {
+    const date = new Date(cursor);
+    const hourEnd = new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours() + 1).getTime();
+    const sliceEnd = Math.min(hourEnd, end);
+    heatmap[date.getDay()][date.getHours()] += sliceEnd - cursor;
+    cursor = sliceEnd;
+  }
+}
+
+// Count the tasks in each column at the end of every day or week bucket
+// Trashed tasks count until they were deleted; buckets after now are left out
+function buildCumulativeFlow(notes, buckets, groupBy, now) {
+  const columns = getColumns();
+  const points = buckets.filter(bucket => bucket.start <= now).map(bucket => {
+    const sampleAt = Math.min(nextBucket(bucket.start, groupBy) - 1, now);
+    const counts = {};
+    columns.forEach(column => {
+      counts[column.id] = 0;
+    });
+    notes.forEach(note => {
+      if (note.deletedAt && note.deletedAt <= sampleAt) return;
+      const column = getColumnAt(note, sampleAt);
+      if (column !== null && counts[column] !== undefined) {
+        counts[column]++;
+      }
+    });
+    return { start: bucket.start, counts };
+  });
+  
+  return {
+    columns: columns.map(column => ({ id: column.id, name: column.name, isDone: column.isDone })),
+    points
+  };
+}
+
+// Open (not done) tasks at each bucket end, with the ideal line running from the
+// first bucket that has open tasks down to zero at the end of the range
+function buildBurndown(cumulativeFlow, bucketCount) {
+  const openColumns = cumulativeFlow.columns.filter(column => !column.isDone);
+  const remaining = cumulativeFlow.points.map(point =>
+    openColumns.reduce((sum, column) => sum + point.counts[column.id], 0)
+  );
+  const startIndex = remaining.findIndex(count => count > 0);
+  const ideal = Array.from({ length: bucketCount }, (_, index) => {
+    if (startIndex === -1 || index < startIndex) return null;
+    const steps = bucketCount - 1 - startIndex;
+    return steps > 0 ? remaining[startIndex] * (1 - (index - startIndex) / steps) : 0;
+  });
+  return { remaining, ideal };
+}
+
+// Build all analytics for the tasks of a board within a date range (inclusive timestamps)
+export function buildAnalytics(notes, { from, to, groupBy = 'day' }, now = Date.now()) {
+  const activeNotes = notes.filter(note => !note.deletedAt);
+  const completed = activeNotes.filter(note =>
+    note.completedAt && isDoneColumn(note.column) && note.completedAt >= from && note.completedAt <= to
+  );
+  
+  // Completions per day or week
+  const completedSeries = [];
+  const bucketStart = groupBy === 'week' ? startOfWeek : startOfDay;
+  for (let start = bucketStart(from); start <= to; start = nextBucket(start, groupBy)) {
+    const end = nextBucket(start, groupBy);
+    completedSeries.push({
+      start,
+      count: completed.filter(note => note.completedAt >= start && note.completedAt < end).length
+    });
+  }
+  
+  // Lead time (created → done) and cycle time (started → done)
+  const leadTimes = completed.map(note => note.completedAt - note.createdAt).filter(value => value >= 0);
+  const cycleTimes = completed
+    .filter(note => note.startedAt)
+    .map(note => note.completedAt - note.startedAt)
+    .filter(value => value >= 0);
+  
+  // Due-date performance of the completed tasks
+  const dueDates = { onTime: 0, late: 0, noDueDate: 0 };
+  completed.forEach(note => {
+    if (!note.dueDate) {
+      dueDates.noDueDate++;
+    } else if (note.completedAt <= note.dueDate) {
+      dueDates.onTime++;
+    } else {
+      dueDates.late++;
+    }
+  });
+  
+  // Tracked time by priority and by weekday/hour, only the part inside the range
+  const timeByPriority = { high: 0, medium: 0, low: 0 };
+  const heatmap = WEEKDAY_NAMES.map(() => new Array(24).fill(0));
+  activeNotes.forEach(note => {
+    getSessions(note, now).forEach(session => {
+      const start = Math.max(session.start, from);
+      const end = Math.min(session.end, to + 1);
+      if (end <= start) return;
+      const priority = timeByPriority[note.priority] !== undefined ? note.priority : 'medium';
+      timeByPriority[priority] += end - start;
+      addToHeatmap(heatmap, start, end);
+    });
+  });
+  
+  // Board state over time from the column histories
+  const cumulativeFlow = buildCumulativeFlow(notes, completedSeries, groupBy, now);
+  
+  return {
+    completedCount: completed.length,
+    completedSeries,
+    averageLeadTime: average(leadTimes),
+    averageCycleTime: average(cycleTimes),
+    dueDates,
+    timeByPriority,
+    trackedTime: timeByPriority.high + timeByPriority.medium + timeByPriority.low,
+    heatmap,
+    cumulativeFlow,
+    burndown: buildBurndown(cumulativeFlow, completedSeries.length)
+  };
+}
@@ -0,0 +1,289 @@
+// Backup Export and Import
+//
+// Exports the whole dataset (every board with its columns, labels and notes, the selected
+// board, the theme preference and app settings) to a versioned JSON file and imports it back.
+// Notes from files of an older schema version are upgraded with the same steps as stored
+// data (see migrations.js), then each one is checked with validateNote; invalid records
+// are skipped and listed in a per-record report. Imports can replace everything, merge notes by ID,
+// or add the notes as new copies next to the existing ones.
+
+import { getBoards, getActiveBoardId, createBoard, replaceBoards, DEFAULT_BOARD_ID } from './boards.js';
+import { getColumns, saveColumns, isActiveColumn, DEFAULT_COLUMNS } from './columns.js';
+import { loadNotes, readNotes, saveNotes, migrateNote, validateNote } from './storage.js';
+import { getStoredTheme, setTheme } from './theme.js';
+import { getSettings, updateSettings, DEFAULT_SETTINGS } from './settings.js';
+import { getLabels, saveLabels } from './labels.js';
+import { isPomodoroBreak } from './pomodoro.js';
+import { addTimeEntry } from './timeLog.js';
+import { SCHEMA_VERSION, parseSchemaVersion, migrateRecords } from './migrations.js';
+import { createNoteId, repairDuplicateIds } from './ids.js';
+
+export const BACKUP_FORMAT_VERSION = 1;
+
+// Build the export object for the whole dataset
+// Tasks are read without side effects: exporting never writes to storage
+export function buildBackup() {
+  return {
+    app: 'kanby',
+    formatVersion: BACKUP_FORMAT_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: Date.now(),
+    theme: getStoredTheme(),
+    settings: getSettings(),
+    activeBoardId: getActiveBoardId(),
+    boards: getBoards().map(board => ({
+      id: board.id,
+      name: board.name,
+      createdAt: board.createdAt,
+      columns: getColumns(board.id),
+      labels: getLabels(board.id),
+      notes: readNotes(board.id)
+    }))
+  };
+}
+
+// Check a raw column record
+function validateColumn(column) {
+  if (!column || typeof column !== 'object') {
+    return ['record is not an object'];
+  }
+  const errors = [];
+  if (typeof column.id !== 'string' || column.id.length === 0) {
+    errors.push('id must be a non-empty string');
+  }
+  if (typeof column.name !== 'string' || column.name.trim().length === 0) {
+    errors.push('name must be a non-empty string');
+  }
+  if (column.wipLimit !== undefined && column.wipLimit !== null && !(Number.isInteger(column.wipLimit) && column.wipLimit > 0)) {
+    errors.push('wipLimit must be a positive whole number or null');
+  }
+  return errors;
+}
+
+// Check a raw label record
+function validateLabel(label) {
+  if (!label || typeof label !== 'object') {
+    return ['record is not an object'];
+  }
+  const errors = [];
+  if (typeof label.id !== 'string' || label.id.length === 0) {
+    errors.push('id must be a non-empty string');
+  }
+  if (typeof label.name !== 'string' || label.name.trim().length === 0) {
+    errors.push('name must be a non-empty string');
+  }
+  return errors;
+}
+
+// Keep only known settings with the same type as their default
+function parseSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return null;
+  }
+  const parsed = {};
+  Object.keys(DEFAULT_SETTINGS).forEach(key => {
+    if (typeof settings[key] === typeof DEFAULT_SETTINGS[key]) {
+      parsed[key] = settings[key];
+    }
+  });
+  return parsed;
+}
+
+// Describe a note record for the error report
+function describeRecord(record, index) {
+  const id = record && (typeof record.id === 'number' || typeof record.id === 'string') ? ` (id ${record.id})` : '';
+  return `record #${index + 1}${id}`;
+}
+
+// Parse and validate a backup file
+// Throws for unreadable files; returns valid data plus a per-record error report
+export function parseBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('The file is not valid JSON.');
+  }
+  
+  // A bare note array (raw localStorage content) is treated as a single board
+  if (Array.isArray(data)) {
+    data = { app: 'kanby', formatVersion: 1, boards: [{ id: DEFAULT_BOARD_ID, name: 'Default', notes: data }] };
+  }
+  
+  if (!data || data.app !== 'kanby' || !Array.isArray(data.boards)) {
+    throw new Error('The file is not a Kanby backup.');
+  }
+  const schemaVersion = parseSchemaVersion(data.schemaVersion);
+  if (typeof data.formatVersion !== 'number' || data.formatVersion > BACKUP_FORMAT_VERSION || schemaVersion > SCHEMA_VERSION) {
+    throw new Error('The backup was created by a newer version of Kanby and cannot be imported.');
+  }
+  
+  const errors = [];
+  const boards = [];
+  let totalRecords = 0;
+  let validRecords = 0;
+  
+  data.boards.forEach((board, boardIndex) => {
+    if (!board || typeof board.id !== 'string' || board.id.length === 0 || typeof board.name !== 'string' || !Array.isArray(board.notes)) {
+      errors.push(`Board #${boardIndex + 1}: needs an id, a name and a notes array - skipped`);
+      return;
+    }
+    if (boards.some(b => b.id === board.id)) {
+      errors.push(`Board "${board.name}": duplicate board id ${board.id} - skipped`);
+      return;
+    }
+    
+    const columns = [];
+    (Array.isArray(board.columns) ? board.columns : []).forEach((column, index) => {
+      const problems = validateColumn(column);
+      if (problems.length > 0) {
+        errors.push(`Board "${board.name}", column #${index + 1}: ${problems.join(', ')}`);
+      } else {
+        columns.push(column);
+      }
+    });
+    
+    const labels = [];
+    (Array.isArray(board.labels) ? board.labels : []).forEach((label, index) => {
+      const problems = validateLabel(label);
+      if (problems.length > 0) {
+        errors.push(`Board "${board.name}", label #${index + 1}: ${problems.join(', ')}`);
+      } else {
+        labels.push(label);
+      }
+    });
+    
+    const notes = [];
+    // A task ID used twice in the file would make one task overwrite the other
+    repairDuplicateIds(migrateRecords(board.notes, schemaVersion)).notes.forEach((record, index) => {
+      totalRecords++;
+      const problems = validateNote(record);
+      if (problems.length > 0) {
+        errors.push(`Board "${board.name}", ${describeRecord(record, index)}: ${problems.join(', ')}`);
+      } else {
+        notes.push(record);
+        validRecords++;
+      }
+    });
+    
+    boards.push({ id: board.id, name: board.name, createdAt: board.createdAt, columns, labels, notes });
+  });
+  
+  return {
+    backup: {
+      exportedAt: typeof data.exportedAt === 'number' ? data.exportedAt : null,
+      theme: data.theme === 'light' || data.theme === 'dark' ? data.theme : null,
+      settings: parseSettings(data.settings),
+      activeBoardId: data.activeBoardId,
+      boards
+    },
+    errors,
+    totalRecords,
+    validRecords
+  };
+}
+
+// Migrate an imported note and restart its timer at import time
+// exportedAt is when the file was written (null when unknown): a session still running then
+// is logged up to that moment, so the time between export and import is not counted
+function prepareImportedNote(record, boardId, exportedAt) {
+  const note = migrateNote(record, boardId);
+  const now = Date.now();
+  
+  if (isActiveColumn(note.column, boardId) && !note.deletedAt && isPomodoroBreak(note)) {
+    // The work timer is paused during a Pomodoro break
+    note.inProgressSince = null;
+    note.timerStartTime = null;
+  } else if (isActiveColumn(note.column, boardId) && !note.deletedAt) {
+    // Close the session that was running at export and start a new one now
+    if (note.inProgressSince && exportedAt) {
+      addTimeEntry(note, note.inProgressSince, Math.min(exportedAt, now));
+    }
+    note.startedAt = note.startedAt || Math.min(note.inProgressSince || now, now);
+    note.inProgressSince = now;
+    note.timerStartTime = now - note.timeSpent;
+    if (note.pomodoro && note.pomodoro.phaseStartedAt) {
+      note.pomodoro = { phase: 'work', phaseStartedAt: now };
+    }
+  } else {
+    // No session can be running outside an active column or in the trash
+    note.inProgressSince = null;
+    note.timerStartTime = null;
+    if (note.pomodoro) {
+      note.pomodoro = { phase: 'work', phaseStartedAt: null };
+    }
+  }
+  
+  return note;
+}
+
+// Write parsed backup data to storage using the given mode: 'replace', 'merge' or 'copy'
+export function applyBackup(backup, mode) {
+  if (mode === 'replace') {
+    if (backup.boards.length === 0) return;
+    
+    replaceBoards(backup.boards, backup.activeBoardId);
+    backup.boards.forEach(board => {
+      saveColumns(board.columns.length > 0 ? board.columns : DEFAULT_COLUMNS, board.id);
+      saveLabels(board.labels, board.id);
+      saveNotes(board.notes.map(record => prepareImportedNote(record, board.id, backup.exportedAt)), board.id);
+    });
+    
+    if (backup.theme) {
+      setTheme(backup.theme);
+    }
+    if (backup.settings) {
+      updateSettings(backup.settings);
+    }
+    return;
+  }
+  
+  backup.boards.forEach(board => {
+    const exists = getBoards().some(b => b.id === board.id);
+    if (!exists) {
+      createBoard(board.name, board.id);
+    }
+    
+    // Add imported columns the board does not have yet
+    const columns = exists ? [...getColumns(board.id)] : [];
+    board.columns.forEach(column => {
+      if (!columns.some(c => c.id === column.id)) {
+        columns.push(column);
+      }
+    });
+    saveColumns(columns.length > 0 ? columns : DEFAULT_COLUMNS, board.id);
+    
+    // Same for labels
+    const labels = exists ? [...getLabels(board.id)] : [];
+    board.labels.forEach(label => {
+      if (!labels.some(l => l.id === label.id)) {
+        labels.push(label);
+      }
+    });
+    saveLabels(labels, board.id);
+    
+    const notes = exists ? loadNotes(board.id) : [];
+    
+    // Copies get new IDs; links to the next occurrence follow them, or are dropped when it was not in the file
+    const copyIds = mode === 'copy' ? new Map(board.notes.map(record => [record.id, createNoteId()])) : null;
+    
+    board.notes.forEach(record => {
+      if (mode === 'copy') {
+        const nextOccurrenceId = copyIds.get(record.nextOccurrenceId) || null;
+        notes.push(prepareImportedNote({ ...record, id: copyIds.get(record.id), nextOccurrenceId }, board.id, backup.exportedAt));
+        return;
+      }
+      
+      // Merge by ID - imported records overwrite existing notes
+      const note = prepareImportedNote(record, board.id, backup.exportedAt);
+      const index = notes.findIndex(n => n.id === note.id);
+      if (index !== -1) {
+        notes[index] = note;
+      } else {
+        notes.push(note);
+      }
+    });
+    
+    saveNotes(notes, board.id);
+  });
+}
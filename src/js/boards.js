@@ -0,0 +1,195 @@
+// Board Management
+//
+// Keeps the list of named boards and the currently selected board in localStorage.
+// Every board has its own note set (kept by storage.js), column config, labels and filters,
+// stored under per-board keys (e.g. "kanbyColumns:default"). Handles creating, renaming, duplicating and deleting
+// boards, and migrates data saved before boards existed into a "Default" board.
+
+import { copyBoardNotes, deleteBoardNotes } from './storage.js';
+
+export const BOARDS_STORAGE_KEY = 'kanbyBoards';
+export const DEFAULT_BOARD_ID = 'default';
+
+// Storage key prefixes holding per-board data (tasks are kept by storage.js)
+const BOARD_DATA_PREFIXES = ['kanbyColumns', 'kanbyLabels', 'kanbyFilters'];
+
+// Keys saved before boards existed, moved into the Default board
+const LEGACY_PREFIXES = ['kanbyNotes', ...BOARD_DATA_PREFIXES];
+
+let boardState = null; // Cached { activeBoardId, boards }
+
+// Build the storage key for a board's data
+export function getBoardStorageKey(prefix, boardId = getActiveBoardId()) {
+  return `${prefix}:${boardId}`;
+}
+
+// Move single-board data into the Default board on first run
+function createInitialState() {
+  const state = {
+    activeBoardId: DEFAULT_BOARD_ID,
+    boards: [{ id: DEFAULT_BOARD_ID, name: 'Default', createdAt: Date.now() }]
+  };
+  
+  LEGACY_PREFIXES.forEach(prefix => {
+    const legacyData = localStorage.getItem(prefix);
+    if (legacyData !== null) {
+      localStorage.setItem(getBoardStorageKey(prefix, DEFAULT_BOARD_ID), legacyData);
+      localStorage.removeItem(prefix);
+    }
+  });
+  
+  return state;
+}
+
+// Load board list from localStorage
+function loadBoardState() {
+  try {
+    const data = localStorage.getItem(BOARDS_STORAGE_KEY);
+    const stored = data ? JSON.parse(data) : null;
+    if (stored && Array.isArray(stored.boards) && stored.boards.length > 0) {
+      const activeExists = stored.boards.some(board => board.id === stored.activeBoardId);
+      return {
+        activeBoardId: activeExists ? stored.activeBoardId : stored.boards[0].id,
+        boards: stored.boards
+      };
+    }
+    
+    const state = createInitialState();
+    localStorage.setItem(BOARDS_STORAGE_KEY, JSON.stringify(state));
+    return state;
+  } catch (e) {
+    // localStorage unavailable - keep an in-memory Default board
+    return {
+      activeBoardId: DEFAULT_BOARD_ID,
+      boards: [{ id: DEFAULT_BOARD_ID, name: 'Default', createdAt: Date.now() }]
+    };
+  }
+}
+
+// Get cached board state, loading it on first use
+function getBoardState() {
+  if (!boardState) {
+    boardState = loadBoardState();
+  }
+  return boardState;
+}
+
+// Persist board list and selection
+function saveBoardState() {
+  try {
+    localStorage.setItem(BOARDS_STORAGE_KEY, JSON.stringify(getBoardState()));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Get all boards
+export function getBoards() {
+  return getBoardState().boards;
+}
+
+// Get the ID of the selected board
+export function getActiveBoardId() {
+  return getBoardState().activeBoardId;
+}
+
+// Get the selected board
+export function getActiveBoard() {
+  return getBoards().find(board => board.id === getActiveBoardId());
+}
+
+// Read the board list again after another tab changed it
+// This tab keeps its own selection while that board still exists
+export function reloadBoards() {
+  const activeBoardId = getActiveBoardId();
+  boardState = loadBoardState();
+  if (boardState.boards.some(board => board.id === activeBoardId)) {
+    boardState.activeBoardId = activeBoardId;
+  }
+}
+
+// Select a board and remember the choice
+export function setActiveBoard(boardId) {
+  if (!getBoards().some(board => board.id === boardId)) {
+    return false;
+  }
+  getBoardState().activeBoardId = boardId;
+  return saveBoardState();
+}
+
+// Generate a unique board ID
+function createBoardId() {
+  let id = `board${Date.now().toString(36)}`;
+  while (getBoards().some(board => board.id === id)) {
+    id = `board${Date.now().toString(36)}${Math.floor(Math.random() * 1000)}`;
+  }
+  return id;
+}
+
+// Create a new empty board
+export function createBoard(name, boardId = createBoardId()) {
+  const board = { id: boardId, name: name, createdAt: Date.now() };
+  getBoards().push(board);
+  saveBoardState();
+  return board;
+}
+
+// Rename a board
+export function renameBoard(boardId, name) {
+  const board = getBoards().find(b => b.id === boardId);
+  if (!board) return null;
+  board.name = name;
+  saveBoardState();
+  return board;
+}
+
+// Copy a board with all its notes and columns
+export function duplicateBoard(boardId, name) {
+  const source = getBoards().find(b => b.id === boardId);
+  if (!source) return null;
+  
+  const board = createBoard(name || `${source.name} (copy)`);
+  BOARD_DATA_PREFIXES.forEach(prefix => {
+    const data = localStorage.getItem(getBoardStorageKey(prefix, source.id));
+    if (data !== null) {
+      localStorage.setItem(getBoardStorageKey(prefix, board.id), data);
+    }
+  });
+  copyBoardNotes(source.id, board.id);
+  return board;
+}
+
+// Replace all boards and their data (used when restoring a backup)
+export function replaceBoards(boards, activeBoardId) {
+  const state = getBoardState();
+  state.boards.forEach(board => {
+    BOARD_DATA_PREFIXES.forEach(prefix => {
+      localStorage.removeItem(getBoardStorageKey(prefix, board.id));
+    });
+    deleteBoardNotes(board.id);
+  });
+  
+  state.boards = boards.map(board => ({ id: board.id, name: board.name, createdAt: board.createdAt || Date.now() }));
+  state.activeBoardId = boards.some(board => board.id === activeBoardId) ? activeBoardId : boards[0].id;
+  saveBoardState();
+}
+
+// Delete a board and its data (the last board cannot be deleted)
+export function deleteBoard(boardId) {
+  const state = getBoardState();
+  if (state.boards.length <= 1) return false;
+  
+  state.boards = state.boards.filter(board => board.id !== boardId);
+  BOARD_DATA_PREFIXES.forEach(prefix => {
+    localStorage.removeItem(getBoardStorageKey(prefix, boardId));
+  });
+  deleteBoardNotes(boardId);
+  
+  // Fall back to the first board if the selected one was deleted
+  if (state.activeBoardId === boardId) {
+    state.activeBoardId = state.boards[0].id;
+  }
+  saveBoardState();
+  return true;
+}
@@ -0,0 +1,216 @@
+// Charts
+//
+// Small chart builders for the analytics view, drawn with inline SVG and plain
+// elements so they work offline and follow the theme through CSS classes.
+// Each builder takes plain data and returns an element ready to insert.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Create an SVG element with attributes
+function createSvgElement(tag, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.keys(attributes).forEach(name => element.setAttribute(name, String(attributes[name])));
+  return element;
+}
+
+// Add a native tooltip to an SVG element
+function addSvgTitle(element, text) {
+  const title = createSvgElement('title');
+  title.textContent = text;
+  element.appendChild(title);
+}
+
+// Create the SVG frame shared by the bar, area and line charts: gridlines for zero
+// and the top value, and x labels thinned out so they never overlap
+// Returns the svg with helpers that map a slot index and a value to coordinates
+function createPlot(labels, maxValue, formatValue, className) {
+  const width = 600;
+  const height = 180;
+  const padding = { top: 12, right: 8, bottom: 24, left: 36 };
+  const plotHeight = height - padding.top - padding.bottom;
+  const slot = (width - padding.left - padding.right) / Math.max(1, labels.length);
+  const labelEvery = Math.ceil(labels.length / 10);
+  const xAt = (index) => padding.left + index * slot + slot / 2;
+  const yAt = (value) => padding.top + plotHeight - (value / maxValue) * plotHeight;
+  
+  const svg = createSvgElement('svg', { viewBox: `0 0 ${width} ${height}`, class: `chart ${className}`, role: 'img' });
+  
+  [0, maxValue].forEach(value => {
+    svg.appendChild(createSvgElement('line', { x1: padding.left, x2: width - padding.right, y1: yAt(value), y2: yAt(value), class: 'chartGridLine' }));
+    const label = createSvgElement('text', { x: padding.left - 6, y: yAt(value) + 4, 'text-anchor': 'end', class: 'chartAxisLabel' });
+    label.textContent = formatValue(value);
+    svg.appendChild(label);
+  });
+  
+  labels.forEach((text, index) => {
+    if (index % labelEvery !== 0) return;
+    const label = createSvgElement('text', { x: xAt(index), y: height - 6, 'text-anchor': 'middle', class: 'chartAxisLabel' });
+    label.textContent = text;
+    svg.appendChild(label);
+  });
+  
+  return { svg, slot, xAt, yAt };
+}
+
+// Wrap a chart with a legend; series are { label, className }
+function withLegend(chart, series) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'chartWithLegend';
+  const legend = document.createElement('div');
+  legend.className = 'chartLegend';
+  series.forEach(item => {
+    const entry = document.createElement('span');
+    entry.className = 'chartLegendItem';
+    const swatch = document.createElement('span');
+    swatch.className = `chartLegendSwatch ${item.className}`;
+    entry.append(swatch, document.createTextNode(item.label));
+    legend.appendChild(entry);
+  });
+  wrapper.append(chart, legend);
+  return wrapper;
+}
+
+// Vertical bar chart; items are { label, value, title }
+export function createColumnChart(items, { formatValue = String } = {}) {
+  const maxValue = Math.max(1, ...items.map(item => item.value));
+  const { svg, slot, xAt, yAt } = createPlot(items.map(item => item.label), maxValue, formatValue, 'columnChart');
+  const barWidth = Math.max(2, slot * 0.7);
+  
+  items.forEach((item, index) => {
+    const bar = createSvgElement('rect', {
+      x: xAt(index) - barWidth / 2,
+      y: yAt(item.value),
+      width: barWidth,
+      height: Math.max(0, yAt(0) - yAt(item.value)),
+      rx: Math.min(3, barWidth / 2),
+      class: 'chartBar'
+    });
+    addSvgTitle(bar, item.title || `${item.label}: ${formatValue(item.value)}`);
+    svg.appendChild(bar);
+  });
+  
+  return svg;
+}
+
+// Stacked area chart; series are { label, values, className } drawn bottom to top
+// with one value per label
+export function createStackedAreaChart(labels, series, { formatValue = String } = {}) {
+  const totals = labels.map((_, index) => series.reduce((sum, item) => sum + item.values[index], 0));
+  const { svg, xAt, yAt } = createPlot(labels, Math.max(1, ...totals), formatValue, 'areaChart');
+  
+  const baseline = labels.map(() => 0);
+  series.forEach(item => {
+    const top = baseline.map((base, index) => base + item.values[index]);
+    // A single sample is drawn as a flat band across its slot
+    const xs = labels.length === 1 ? [xAt(0) - 20, xAt(0) + 20] : labels.map((_, index) => xAt(index));
+    const topValues = labels.length === 1 ? [top[0], top[0]] : top;
+    const baseValues = labels.length === 1 ? [baseline[0], baseline[0]] : baseline;
+    const upper = xs.map((x, index) => `${x},${yAt(topValues[index])}`);
+    const lower = xs.map((x, index) => `${x},${yAt(baseValues[index])}`).reverse();
+    const area = createSvgElement('polygon', { points: [...upper, ...lower].join(' '), class: `chartArea ${item.className}` });
+    addSvgTitle(area, item.label);
+    svg.appendChild(area);
+    top.forEach((value, index) => {
+      baseline[index] = value;
+    });
+  });
+  
+  return withLegend(svg, series);
+}
+
+// Line chart; series are { label, values, className, dots } where a null value leaves a gap
+// Dots with a tooltip mark each value unless dots is false
+export function createLineChart(labels, series, { formatValue = String } = {}) {
+  const maxValue = Math.max(1, ...series.flatMap(item => item.values.filter(value => value !== null)));
+  const { svg, xAt, yAt } = createPlot(labels, maxValue, formatValue, 'lineChart');
+  
+  series.forEach(item => {
+    const points = item.values
+      .map((value, index) => (value === null ? null : `${xAt(index)},${yAt(value)}`))
+      .filter(point => point !== null);
+    const line = createSvgElement('polyline', { points: points.join(' '), class: `chartLine ${item.className}` });
+    svg.appendChild(line);
+    
+    if (item.dots === false) return;
+    item.values.forEach((value, index) => {
+      if (value === null) return;
+      const dot = createSvgElement('circle', { cx: xAt(index), cy: yAt(value), r: 3, class: `chartDot ${item.className}` });
+      addSvgTitle(dot, `${item.label} ${labels[index]}: ${formatValue(value)}`);
+      svg.appendChild(dot);
+    });
+  });
+  
+  return withLegend(svg, series);
+}
+
+// Horizontal bars with a label and value per row; items are { label, value, className }
+export function createBarList(items, { formatValue = String } = {}) {
+  const total = items.reduce((sum, item) => sum + item.value, 0);
+  const maxValue = Math.max(1, ...items.map(item => item.value));
+  const list = document.createElement('div');
+  list.className = 'chartBarList';
+  
+  items.forEach(item => {
+    const row = document.createElement('div');
+    row.className = 'chartBarRow';
+    const percent = total > 0 ? Math.round((item.value / total) * 100) : 0;
+    
+    const label = document.createElement('span');
+    label.className = 'chartBarLabel';
+    label.textContent = item.label;
+    
+    const track = document.createElement('div');
+    track.className = 'chartBarTrack';
+    const fill = document.createElement('div');
+    fill.className = `chartBarFill ${item.className || ''}`.trim();
+    fill.style.width = `${(item.value / maxValue) * 100}%`;
+    track.appendChild(fill);
+    
+    const value = document.createElement('span');
+    value.className = 'chartBarValue';
+    value.textContent = `${formatValue(item.value)} (${percent}%)`;
+    
+    row.append(label, track, value);
+    list.appendChild(row);
+  });
+  
+  return list;
+}
+
+// Grid heatmap; rows are { label, values } with one value per column
+// Cell strength is relative to the largest value
+export function createHeatmap(rows, columnLabels, { formatValue = String, describeCell = null } = {}) {
+  const maxValue = Math.max(0, ...rows.flatMap(row => row.values));
+  const grid = document.createElement('div');
+  grid.className = 'chartHeatmap';
+  grid.style.gridTemplateColumns = `auto repeat(${columnLabels.length}, 1fr)`;
+  
+  grid.appendChild(document.createElement('span'));
+  columnLabels.forEach(text => {
+    const label = document.createElement('span');
+    label.className = 'chartHeatmapLabel';
+    label.textContent = text;
+    grid.appendChild(label);
+  });
+  
+  rows.forEach(row => {
+    const rowLabel = document.createElement('span');
+    rowLabel.className = 'chartHeatmapLabel chartHeatmapRowLabel';
+    rowLabel.textContent = row.label;
+    grid.appendChild(rowLabel);
+    
+    row.values.forEach((value, index) => {
+      const cell = document.createElement('span');
+      cell.className = 'chartHeatmapCell';
+      if (value > 0) {
+        // Keep weak cells visible
+        cell.style.setProperty('--heat', (0.15 + 0.85 * (value / maxValue)).toFixed(2));
+        cell.classList.add('active');
+      }
+      cell.title = describeCell ? describeCell(row, index, value) : formatValue(value);
+      grid.appendChild(cell);
+    });
+  });
+  
+  return grid;
+}
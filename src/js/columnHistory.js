@@ -0,0 +1,83 @@
+// Column History
+//
+// Every task keeps the columns it has been in as { column, at } entries, oldest
+// first: the column it was created in and one entry per move after that. The
+// analytics view replays them to count how many cards sat in each column on a
+// given day. Tasks saved before the history existed get one rebuilt from
+// createdAt, startedAt and completedAt using the board's column roles, so their
+// creation, start and completion still show up in the charts.
+
+import { getColumns } from './columns.js';
+
+// Check that an entry names a column and a time
+function isValidTransition(entry) {
+  return Boolean(entry) && typeof entry.column === 'string' && entry.column.length > 0 && Number.isFinite(entry.at);
+}
+
+// Record that a task entered a column
+export function recordColumnTransition(note, column, at = Date.now()) {
+  note.columnHistory = [...(note.columnHistory || []), { column: column, at: at }];
+}
+
+// Rebuild a history from the task's timestamps: created in the first column,
+// moved to the first active column when started and to the first done column when completed
+function reconstructColumnHistory(note, column, boardId) {
+  const columns = getColumns(boardId);
+  const activeColumn = columns.find(c => c.isActive);
+  const doneColumn = columns.find(c => c.isDone);
+  const roleOf = (columnId) => {
+    const config = columns.find(c => c.id === columnId);
+    return config ? (config.isActive ? 'active' : config.isDone ? 'done' : 'open') : null;
+  };
+  
+  const steps = [{ column: columns[0].id, at: note.createdAt }];
+  if (note.startedAt && activeColumn) {
+    steps.push({ column: activeColumn.id, at: Math.max(note.startedAt, note.createdAt) });
+  }
+  if (note.completedAt && doneColumn) {
+    steps.push({ column: doneColumn.id, at: Math.max(note.completedAt, steps[steps.length - 1].at) });
+  }
+  
+  // The last step must be the task's current column: swap it in when the roles
+  // match (e.g. a second done column), otherwise the task was moved there later
+  const last = steps[steps.length - 1];
+  if (last.column !== column) {
+    if (roleOf(last.column) === roleOf(column)) {
+      last.column = column;
+    } else {
+      steps.push({ column: column, at: Math.max(last.at, note.lastEditedAt || 0) });
+    }
+  }
+  
+  // Steps at the same moment collapse into the later one (e.g. created straight into In Progress)
+  return steps.filter((step, index) => index === steps.length - 1 || step.at < steps[index + 1].at);
+}
+
+// Build a task's history from stored data; column is its (already migrated) current column
+export function migrateColumnHistory(note, column, boardId) {
+  const history = Array.isArray(note.columnHistory)
+    ? note.columnHistory.filter(isValidTransition).map(entry => ({ column: entry.column, at: entry.at })).sort((a, b) => a.at - b.at)
+    : [];
+  if (history.length === 0) {
+    return reconstructColumnHistory(note, column, boardId);
+  }
+  
+  // Tasks whose column was deleted land in another one; the move is dated from the
+  // record's own timestamps so every read of the same data gives the same history
+  const last = history[history.length - 1];
+  if (last.column !== column) {
+    const at = Math.max(last.at, note.lastEditedAt || 0, note.inProgressSince || 0, note.completedAt || 0);
+    history.push({ column: column, at: at });
+  }
+  return history;
+}
+
+// Get the column a task was in at a moment, or null before it was created
+export function getColumnAt(note, timestamp) {
+  let column = null;
+  for (const entry of note.columnHistory || []) {
+    if (entry.at > timestamp) break;
+    column = entry.column;
+  }
+  return column;
+}
@@ -0,0 +1,139 @@
+// Column Configuration
+//
+// Manages the user-defined board columns (name, order and workflow role) and
+// persists them to localStorage, one config per board. Each column can be marked as "active" (the
+// timer runs while a task sits in it) or "done" (entering it sets completedAt), and either keeps
+// the manual card order or sorts its cards by priority. Columns that are not done columns can
+// have a work-in-progress limit on the number of tasks they hold.
+// Other modules ask this module about column roles instead of hardcoding ids.
+
+import { getActiveBoardId, getBoardStorageKey } from './boards.js';
+
+export const COLUMNS_STORAGE_KEY = 'kanbyColumns';
+
+// Default workflow used on first run and for data saved before columns were configurable
+export const DEFAULT_COLUMNS = [
+  { id: 'todo', name: 'To Do', isActive: false, isDone: false, sortMode: 'manual', wipLimit: null },
+  { id: 'inprogress', name: 'In Progress', isActive: true, isDone: false, sortMode: 'manual', wipLimit: null },
+  { id: 'done', name: 'Done', isActive: false, isDone: true, sortMode: 'manual', wipLimit: null }
+];
+
+const columnsByBoard = {}; // Cached column configs by board ID, loaded lazily
+
+// Normalize a stored column entry
+function migrateColumn(column) {
+  const isDone = Boolean(column.isDone) && !column.isActive;
+  const wipLimit = Number(column.wipLimit);
+  return {
+    id: String(column.id),
+    name: column.name || String(column.id),
+    isActive: Boolean(column.isActive),
+    isDone: isDone,
+    sortMode: column.sortMode === 'priority' ? 'priority' : 'manual',
+    wipLimit: !isDone && Number.isInteger(wipLimit) && wipLimit > 0 ? wipLimit : null // Max tasks, null for no limit
+  };
+}
+
+// Load a board's column config from localStorage, falling back to the defaults
+function loadColumns(boardId) {
+  try {
+    const data = localStorage.getItem(getBoardStorageKey(COLUMNS_STORAGE_KEY, boardId));
+    const stored = data ? JSON.parse(data) : null;
+    if (Array.isArray(stored) && stored.length > 0) {
+      return stored.map(migrateColumn);
+    }
+  } catch (e) {
+    // Fall through to defaults
+  }
+  return DEFAULT_COLUMNS.map(column => ({ ...column }));
+}
+
+// Get all columns of a board in board order
+export function getColumns(boardId = getActiveBoardId()) {
+  if (!columnsByBoard[boardId]) {
+    columnsByBoard[boardId] = loadColumns(boardId);
+  }
+  return columnsByBoard[boardId];
+}
+
+// Read a board's column config again (after another tab changed it)
+export function reloadColumns(boardId = getActiveBoardId()) {
+  delete columnsByBoard[boardId];
+}
+
+// Replace and persist a board's column config
+export function saveColumns(newColumns, boardId = getActiveBoardId()) {
+  const columns = newColumns.map(migrateColumn);
+  columnsByBoard[boardId] = columns;
+  try {
+    localStorage.setItem(getBoardStorageKey(COLUMNS_STORAGE_KEY, boardId), JSON.stringify(columns));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Find a column by ID
+export function getColumn(columnId, boardId = getActiveBoardId()) {
+  return getColumns(boardId).find(column => column.id === columnId) || null;
+}
+
+// Get display name for a column
+export function getColumnName(columnId) {
+  const column = getColumn(columnId);
+  return column ? column.name : columnId;
+}
+
+// Check if a column sorts its cards by priority instead of manual order
+export function isPrioritySorted(columnId, boardId = getActiveBoardId()) {
+  const column = getColumn(columnId, boardId);
+  return Boolean(column && column.sortMode === 'priority');
+}
+
+// Check if the timer should run for tasks in this column
+export function isActiveColumn(columnId, boardId = getActiveBoardId()) {
+  const column = getColumn(columnId, boardId);
+  return Boolean(column && column.isActive);
+}
+
+// Check if tasks in this column count as completed
+export function isDoneColumn(columnId, boardId = getActiveBoardId()) {
+  const column = getColumn(columnId, boardId);
+  return Boolean(column && column.isDone);
+}
+
+// Get a column's WIP limit, or null when it has none
+export function getWipLimit(columnId, boardId = getActiveBoardId()) {
+  const column = getColumn(columnId, boardId);
+  return column ? column.wipLimit : null;
+}
+
+// Get the first column (where new and orphaned tasks land)
+export function getFirstColumnId(boardId = getActiveBoardId()) {
+  return getColumns(boardId)[0].id;
+}
+
+// Get the ID of the first done column, or null if the board has none
+export function getFirstDoneColumnId(boardId = getActiveBoardId()) {
+  const column = getColumns(boardId).find(c => c.isDone);
+  return column ? column.id : null;
+}
+
+// Get the role used for styling: 'inprogress', 'done' or 'todo'
+export function getColumnRole(columnId) {
+  if (isActiveColumn(columnId)) return 'inprogress';
+  if (isDoneColumn(columnId)) return 'done';
+  return 'todo';
+}
+
+// Generate a unique ID for a new column
+// The time suffix keeps a deleted column's ID from being reused by a new column of the
+// same name, which would inherit the old column's history entries on tasks
+export function createColumnId(name, existingColumns = getColumns()) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '').slice(0, 20) || 'column';
+  let id = `${slug}${Date.now().toString(36)}`;
+  while (existingColumns.some(column => column.id === id)) {
+    id = `${slug}${Date.now().toString(36)}${Math.floor(Math.random() * 1000)}`;
+  }
+  return id;
+}
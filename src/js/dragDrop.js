@@ -1,19 +1,36 @@
 // Drag and Drop Functionality
 // 
-// Implements HTML5 drag and drop API for moving task cards between columns.
-// Handles drag start, drag over, drop, and drag end events. Automatically manages
-// timer state when tasks move to/from "In Progress" column. Provides visual feedback
-// during dragging with highlight effects on drop targets. Auto-scrolls viewport when
+// Implements HTML5 drag and drop API for moving task cards between columns and
+// to an exact position within a column. Handles drag start, drag over, drop, and
+// drag end events. Automatically manages timer state when tasks move to/from active
+// columns. Provides visual feedback during dragging with highlight effects on drop
+// targets and a drop-position indicator in manually ordered columns. Auto-scrolls viewport when
 // dragging near edges on devices ≤1280px.
+// 
+// Mobile browsers don't fire HTML5 drag events, so touch and pen use Pointer Events
+// instead: a long press picks the card up, a ghost copy follows the finger, the
+// column under it is found by hit-testing and the page, board and column scroll
+// when the finger nears an edge. Both paths end in moveNote(), so the same timer,
+// completion, WIP limit and undo rules apply.
 
 import { getNotes, setNotes, getTimerManager } from './main.js';
+import { moveNoteToColumn, setNoteOrder, createNextOccurrence, confirmWipLimit } from './notes.js';
 import { saveNotes } from './storage.js';
+import { isPrioritySorted, isDoneColumn } from './columns.js';
+import { recordChange, captureNotes, collectChanges, snapshotNote } from './history.js';
 
 // Auto-scroll configuration
 let autoScrollInterval = null;
+let autoScrollPoint = null; // Last pointer position { x, y } during a drag
 const SCROLL_ZONE = 80; // Pixels from edge to trigger scroll
 const SCROLL_SPEED = 34; // Pixels per frame
 
+// Touch drag configuration
+const LONG_PRESS_DELAY = 400; // Milliseconds to hold before a card is picked up
+const MOVE_TOLERANCE = 10; // Pixels the finger may move while holding (more means scrolling)
+let pointerDrag = null; // { pointerId, card, noteId, startX, startY, timer, ghost, offsetX, offsetY, column }
+let suppressClickUntil = 0; // Don't open the card that was just dropped
+
 // Initialize drag and drop for all notes and columns
 export function initDragAndDrop() {
   const allNotes = document.querySelectorAll('.stickyNote');
@@ -23,6 +40,8 @@ export function initDragAndDrop() {
     note.setAttribute('draggable', 'true');
     note.addEventListener('dragstart', handleDragStart);
     note.addEventListener('dragend', handleDragEnd);
+    note.addEventListener('pointerdown', handlePointerDown);
+    note.addEventListener('contextmenu', handleContextMenu);
   });
   
   // Set up drop zones on columns
@@ -35,8 +54,15 @@ export function initDragAndDrop() {
   
   // Add document-level drag listener for auto-scroll on devices ≤1280px
   if (window.innerWidth <= 1280) {
-    document.addEventListener('drag', handleAutoScroll);
+    document.addEventListener('dragover', handleAutoScroll);
   }
+  
+  // Document-level listeners follow a touch drag outside the card (added once, same function references)
+  document.addEventListener('pointermove', handlePointerMove);
+  document.addEventListener('pointerup', handlePointerUp);
+  document.addEventListener('pointercancel', handlePointerCancel);
+  document.addEventListener('touchmove', preventScrollWhileDragging, { passive: false });
+  document.addEventListener('click', handleClickAfterDrop, true);
 }
 
 // Store note ID when drag starts
@@ -51,21 +77,66 @@ function handleDragStart(event) {
   }
 }
 
-// Auto-scroll when dragging near viewport edges
+// Remember the pointer position during an HTML5 drag; the scrolling happens in the interval
 function handleAutoScroll(event) {
   // Only on devices ≤1280px
   if (window.innerWidth > 1280) return;
   
-  const mouseY = event.clientY;
-  const viewportHeight = window.innerHeight;
+  autoScrollPoint = { x: event.clientX, y: event.clientY };
+}
+
+// Scroll speed for a position near the start or end of a range: negative near the
+// start, positive near the end, faster closer to the edge and 0 outside the zones
+function getScrollStep(position, start, end) {
+  const zone = Math.min(SCROLL_ZONE, (end - start) / 3);
+  if (position < start + zone) {
+    return -Math.ceil(SCROLL_SPEED * (1 - Math.max(0, position - start) / zone));
+  }
+  if (position > end - zone) {
+    return Math.ceil(SCROLL_SPEED * (1 - Math.max(0, end - position) / zone));
+  }
+  return 0;
+}
+
+// Scroll the page, the board (sideways) and the column under the pointer when it is near their edges
+function autoScrollStep() {
+  if (!autoScrollPoint) return;
+  const { x, y } = autoScrollPoint;
+  let scrolled = false;
+  
+  const pageStep = getScrollStep(y, 0, window.innerHeight);
+  if (pageStep !== 0) {
+    const before = window.scrollY;
+    window.scrollBy(0, pageStep);
+    scrolled = scrolled || window.scrollY !== before;
+  }
+  
+  const board = document.querySelector('.board');
+  if (board && board.scrollWidth > board.clientWidth) {
+    const rect = board.getBoundingClientRect();
+    const boardStep = getScrollStep(x, Math.max(rect.left, 0), Math.min(rect.right, window.innerWidth));
+    if (boardStep !== 0) {
+      const before = board.scrollLeft;
+      board.scrollLeft += boardStep;
+      scrolled = scrolled || board.scrollLeft !== before;
+    }
+  }
   
-  // Check if near top edge
-  if (mouseY < SCROLL_ZONE && mouseY > 0) {
-    window.scrollBy(0, -SCROLL_SPEED);
+  const column = getColumnAtPoint(x, y);
+  const container = column ? column.querySelector('.notesContainer') : null;
+  if (container && container.scrollHeight > container.clientHeight) {
+    const rect = container.getBoundingClientRect();
+    const containerStep = getScrollStep(y, rect.top, rect.bottom);
+    if (containerStep !== 0) {
+      const before = container.scrollTop;
+      container.scrollTop += containerStep;
+      scrolled = scrolled || container.scrollTop !== before;
+    }
   }
-  // Check if near bottom edge
-  else if (mouseY > viewportHeight - SCROLL_ZONE && mouseY < viewportHeight) {
-    window.scrollBy(0, SCROLL_SPEED);
+  
+  // The cards moved under a finger that stood still
+  if (scrolled && pointerDrag && pointerDrag.ghost) {
+    updatePointerDropTarget(x, y);
   }
 }
 
@@ -73,9 +144,7 @@ function handleAutoScroll(event) {
 function startAutoScrollMonitoring() {
   if (autoScrollInterval) return;
   
-  autoScrollInterval = setInterval(() => {
-    // Interval runs but actual scrolling happens in handleAutoScroll
-  }, 16); // ~60fps
+  autoScrollInterval = setInterval(autoScrollStep, 16); // ~60fps
 }
 
 // Stop auto-scroll monitoring
@@ -84,85 +153,127 @@ function stopAutoScrollMonitoring() {
     clearInterval(autoScrollInterval);
     autoScrollInterval = null;
   }
+  autoScrollPoint = null;
 }
 
 // Allow drop by preventing default behavior
 function handleDragOver(event) {
   event.preventDefault();
   event.currentTarget.classList.add('dropTarget');
+  updateDropIndicator(event.currentTarget, event.clientY);
 }
 
 // Remove drop target styling when leaving column
 function handleDragLeave(event) {
   if (event.currentTarget === event.target || !event.currentTarget.contains(event.relatedTarget)) {
     event.currentTarget.classList.remove('dropTarget');
+    removeDropIndicator();
+  }
+}
+
+// Show a line where the dragged card will land (manually ordered columns only)
+function updateDropIndicator(column, clientY) {
+  const container = column.querySelector('.notesContainer');
+  if (!container || isPrioritySorted(column.getAttribute('data-column-id'))) {
+    removeDropIndicator();
+    return;
+  }
+  
+  let indicator = document.querySelector('.dropIndicator');
+  if (!indicator) {
+    indicator = document.createElement('div');
+    indicator.className = 'dropIndicator';
+  }
+  
+  // Insert before the first card whose middle is below the pointer
+  const cards = Array.from(container.querySelectorAll('.stickyNote:not(.dragging)'));
+  const nextCard = cards.find(card => {
+    const rect = card.getBoundingClientRect();
+    return clientY < rect.top + rect.height / 2;
+  });
+  
+  // Only touch the DOM when the position changes
+  if (nextCard) {
+    if (indicator.nextElementSibling !== nextCard || indicator.parentElement !== container) {
+      container.insertBefore(indicator, nextCard);
+    }
+  } else if (container.lastElementChild !== indicator) {
+    container.appendChild(indicator);
+  }
+}
+
+// Get the ID of the card right after the drop indicator, or null for the end of the column
+function getDropBeforeNoteId(column) {
+  const indicator = column.querySelector('.dropIndicator');
+  let nextElement = indicator ? indicator.nextElementSibling : null;
+  while (nextElement && nextElement.classList.contains('dragging')) {
+    nextElement = nextElement.nextElementSibling;
   }
+  return nextElement ? nextElement.getAttribute('data-note-id') : null;
+}
+
+// Remove the drop indicator line
+function removeDropIndicator() {
+  document.querySelectorAll('.dropIndicator').forEach(indicator => indicator.remove());
 }
 
-// Handle note drop - update column and manage timers
+// Handle note drop - update column and position, manage timers
 function handleDrop(event) {
   event.preventDefault();
   
   const column = event.currentTarget;
-  const newColumn = column.id;
-  const noteId = parseInt(event.dataTransfer.getData('text/plain'));
+  const newColumn = column.getAttribute('data-column-id');
+  const noteId = event.dataTransfer.getData('text/plain');
+  const beforeNoteId = getDropBeforeNoteId(column);
+  removeDropIndicator();
+  
+  moveNote(noteId, newColumn, beforeNoteId);
   
+  column.classList.remove('dropTarget');
+}
+
+// Move a task to a column, before another card or at the end when beforeNoteId is null
+// Applies the WIP limit, timer, completion and recurrence rules and records the move for undo.
+// Shared by drag and drop and keyboard moves; returns true when something changed
+export function moveNote(noteId, newColumn, beforeNoteId = null) {
   const notes = getNotes();
-  const noteIndex = notes.findIndex(note => note.id === noteId);
-  
-  if (noteIndex !== -1) {
-    const note = notes[noteIndex];
-    const oldColumn = note.column;
-    note.column = newColumn;
-    
-    const timerManager = getTimerManager();
-    
-    // Start timer when moving to In Progress
-    if (newColumn === 'inprogress' && oldColumn !== 'inprogress') {
-      // Record the actual timestamp when task enters In Progress
-      if (!note.startedAt) {
-        note.startedAt = Date.now();
-      }
-      
-      // Store when this In Progress session started
-      note.inProgressSince = Date.now();
-      
-      // Calculate adjusted start time for timer display (accounts for previous time)
-      const previousTimeSpent = note.timeSpent || 0;
-      const adjustedStartTime = Date.now() - previousTimeSpent;
-      note.timerStartTime = adjustedStartTime;
-      
-      timerManager.startTimer(noteId, adjustedStartTime);
-    }
-    
-    // Stop timer and save elapsed time when leaving In Progress
-    if (oldColumn === 'inprogress' && newColumn !== 'inprogress') {
-      // Calculate actual elapsed time since task entered In Progress
-      if (note.inProgressSince) {
-        const sessionTime = Date.now() - note.inProgressSince;
-        note.timeSpent = (note.timeSpent || 0) + sessionTime;
-      } else {
-        // Fallback to timer manager if inProgressSince not set
-        const elapsedTime = timerManager.stopTimer(noteId);
-        note.timeSpent = elapsedTime;
-      }
-      
-      note.timerStartTime = null;
-      note.inProgressSince = null;
-      timerManager.stopTimer(noteId);
-      
-      // Mark as completed if moving to Done
-      if (newColumn === 'done') {
-        note.completedAt = Date.now();
-      }
-    }
-    
+  const note = notes.find(n => n.id === noteId);
+  if (!note) return false;
+  
+  // A full column refuses the card or asks first (reordering within it is always fine)
+  if (note.column !== newColumn && !confirmWipLimit(newColumn, note.id)) {
+    return false;
+  }
+  
+  const oldColumn = note.column;
+  // Renumbering may touch other cards in either column
+  const captured = captureNotes(notes.filter(n => n.column === oldColumn || n.column === newColumn));
+  
+  // Start/stop timer and set completedAt based on column roles
+  moveNoteToColumn(note, newColumn, getTimerManager());
+  
+  // Priority-sorted columns ignore the drop position
+  if (!isPrioritySorted(newColumn)) {
+    setNoteOrder(note, beforeNoteId);
+  }
+  
+  // Completing a recurring task creates its next occurrence
+  const nextNote = createNextOccurrence(note, isDoneColumn(oldColumn), getTimerManager());
+  
+  let label = oldColumn === newColumn ? 'Reorder task' : 'Move task';
+  const changes = collectChanges(captured, notes);
+  if (nextNote) {
+    label = 'Complete recurring task';
+    changes.push({ before: null, after: snapshotNote(nextNote), index: -1 });
+  }
+  if (changes.length > 0) {
+    recordChange(label, changes);
     setNotes(notes);
     saveNotes(notes);
     window.dispatchEvent(new CustomEvent('notesUpdated'));
+    return true;
   }
-  
-  column.classList.remove('dropTarget');
+  return false;
 }
 
 // Clean up styling when drag ends
@@ -171,7 +282,163 @@ function handleDragEnd(event) {
   
   const columns = document.querySelectorAll('.boardColumn');
   columns.forEach(column => column.classList.remove('dropTarget'));
+  removeDropIndicator();
   
   // Stop auto-scroll monitoring
   stopAutoScrollMonitoring();
 }
+
+// Get the board column under a screen position, or null
+function getColumnAtPoint(x, y) {
+  const element = document.elementFromPoint(x, y);
+  return element ? element.closest('.boardColumn') : null;
+}
+
+// Wait for a long press on a card (touch and pen; the mouse uses HTML5 drag)
+function handlePointerDown(event) {
+  if (event.pointerType === 'mouse' || !event.isPrimary || pointerDrag) return;
+  // Buttons and controls on the card keep working normally
+  if (event.target.closest('button, a, input, select, textarea')) return;
+  
+  const card = event.currentTarget;
+  pointerDrag = {
+    pointerId: event.pointerId,
+    card: card,
+    noteId: card.getAttribute('data-note-id'),
+    startX: event.clientX,
+    startY: event.clientY,
+    timer: setTimeout(() => startPointerDrag(), LONG_PRESS_DELAY),
+    ghost: null,
+    column: null
+  };
+}
+
+// Pick the card up: dim it and put a ghost copy under the finger
+function startPointerDrag() {
+  const card = pointerDrag.card;
+  const rect = card.getBoundingClientRect();
+  
+  const ghost = card.cloneNode(true);
+  ghost.classList.add('dragGhost');
+  ghost.removeAttribute('tabindex');
+  ghost.setAttribute('aria-hidden', 'true');
+  ghost.style.width = `${rect.width}px`;
+  document.body.appendChild(ghost);
+  
+  pointerDrag.ghost = ghost;
+  pointerDrag.offsetX = pointerDrag.startX - rect.left;
+  pointerDrag.offsetY = pointerDrag.startY - rect.top;
+  card.classList.add('dragging');
+  document.body.classList.add('pointerDragging');
+  
+  if (navigator.vibrate) {
+    navigator.vibrate(20);
+  }
+  
+  positionGhost(pointerDrag.startX, pointerDrag.startY);
+  updatePointerDropTarget(pointerDrag.startX, pointerDrag.startY);
+  autoScrollPoint = { x: pointerDrag.startX, y: pointerDrag.startY };
+  startAutoScrollMonitoring();
+}
+
+// Keep the ghost where the card was grabbed
+function positionGhost(x, y) {
+  const ghost = pointerDrag.ghost;
+  ghost.style.transform = `translate(${x - pointerDrag.offsetX}px, ${y - pointerDrag.offsetY}px) rotate(2deg) scale(1.03)`;
+}
+
+// Highlight the column under the finger and show where the card will land
+function updatePointerDropTarget(x, y) {
+  const column = getColumnAtPoint(x, y);
+  if (pointerDrag.column && pointerDrag.column !== column) {
+    pointerDrag.column.classList.remove('dropTarget');
+  }
+  pointerDrag.column = column;
+  
+  if (column) {
+    column.classList.add('dropTarget');
+    updateDropIndicator(column, y);
+  } else {
+    removeDropIndicator();
+  }
+}
+
+// Follow the finger, or give up on the long press when the finger moves first (it is scrolling)
+function handlePointerMove(event) {
+  if (!pointerDrag || event.pointerId !== pointerDrag.pointerId) return;
+  
+  if (!pointerDrag.ghost) {
+    const distance = Math.hypot(event.clientX - pointerDrag.startX, event.clientY - pointerDrag.startY);
+    if (distance > MOVE_TOLERANCE) {
+      endPointerDrag();
+    }
+    return;
+  }
+  
+  event.preventDefault();
+  positionGhost(event.clientX, event.clientY);
+  updatePointerDropTarget(event.clientX, event.clientY);
+  autoScrollPoint = { x: event.clientX, y: event.clientY };
+}
+
+// Drop the card on the column under the finger
+function handlePointerUp(event) {
+  if (!pointerDrag || event.pointerId !== pointerDrag.pointerId) return;
+  if (!pointerDrag.ghost) {
+    endPointerDrag();
+    return;
+  }
+  
+  const { noteId, column } = pointerDrag;
+  const beforeNoteId = column ? getDropBeforeNoteId(column) : null;
+  suppressClickUntil = Date.now() + 500;
+  endPointerDrag();
+  
+  if (column) {
+    moveNote(noteId, column.getAttribute('data-column-id'), beforeNoteId);
+  }
+}
+
+// The browser took over the gesture (e.g. started scrolling before the long press ended)
+function handlePointerCancel(event) {
+  if (pointerDrag && event.pointerId === pointerDrag.pointerId) {
+    endPointerDrag();
+  }
+}
+
+// Remove the ghost, highlights and indicator and forget the drag
+function endPointerDrag() {
+  clearTimeout(pointerDrag.timer);
+  if (pointerDrag.ghost) {
+    pointerDrag.ghost.remove();
+    pointerDrag.card.classList.remove('dragging');
+    document.body.classList.remove('pointerDragging');
+    document.querySelectorAll('.boardColumn.dropTarget').forEach(column => column.classList.remove('dropTarget'));
+    removeDropIndicator();
+    stopAutoScrollMonitoring();
+  }
+  pointerDrag = null;
+}
+
+// Stop the page from scrolling under a card that has been picked up
+function preventScrollWhileDragging(event) {
+  if (pointerDrag && pointerDrag.ghost) {
+    event.preventDefault();
+  }
+}
+
+// Long presses on a card pick it up instead of opening the context menu
+function handleContextMenu(event) {
+  if (pointerDrag) {
+    event.preventDefault();
+  }
+}
+
+// Swallow the click that some browsers fire on the card after a touch drop
+function handleClickAfterDrop(event) {
+  if (Date.now() < suppressClickUntil && event.target.closest && event.target.closest('.stickyNote')) {
+    suppressClickUntil = 0;
+    event.preventDefault();
+    event.stopPropagation();
+  }
+}
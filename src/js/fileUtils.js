@@ -0,0 +1,38 @@
+// File Download and Upload Helpers
+//
+// Small browser helpers shared by the export features: trigger a download of
+// generated text content and read a user-selected file as text.
+
+// Download text content as a file
+export function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  
+  // Revoke after the click has been handled
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Read a File object as text
+export function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+// Build a filename-safe date stamp (YYYY-MM-DD)
+export function getFileDateStamp(date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
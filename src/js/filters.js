@@ -0,0 +1,186 @@
+// Board Filters
+//
+// Holds the filters applied to the board and decides which tasks renderNotes
+// draws: a text search over title and description, priority, due status (using
+// the same urgency rules as formatDueDate, plus every task due on today's calendar
+// day for "due today or soon"), a created/completed date range and
+// the label filter set by clicking a label chip on a card. Filters only hide
+// cards; they never change the stored notes. The filter state is saved per board
+// so it survives a reload.
+
+import { getActiveBoardId, getBoardStorageKey } from './boards.js';
+import { formatDueDate } from './formatters.js';
+import { getLabel } from './labels.js';
+
+export const FILTERS_STORAGE_KEY = 'kanbyFilters';
+
+const DEFAULT_FILTERS = {
+  query: '',          // Text searched in title and description
+  priority: '',       // 'high', 'medium', 'low' or '' for any
+  dueStatus: '',      // 'overdue', 'urgent', 'none' or '' for any
+  dateField: 'createdAt', // Timestamp the date range applies to: 'createdAt' or 'completedAt'
+  dateFrom: '',       // First day of the range (YYYY-MM-DD) or ''
+  dateTo: '',         // Last day of the range (YYYY-MM-DD) or ''
+  labelId: null       // Show only tasks carrying this label
+};
+
+let filterState = { ...DEFAULT_FILTERS };
+
+// Keep only known filter values with the expected type
+function migrateFilters(stored, boardId) {
+  const filters = { ...DEFAULT_FILTERS };
+  if (!stored || typeof stored !== 'object') {
+    return filters;
+  }
+  Object.keys(DEFAULT_FILTERS).forEach(key => {
+    if (key !== 'labelId' && typeof stored[key] === 'string') {
+      filters[key] = stored[key];
+    }
+  });
+  // The label may have been deleted since the filter was saved
+  if (typeof stored.labelId === 'string' && getLabel(stored.labelId, boardId)) {
+    filters.labelId = stored.labelId;
+  }
+  if (filters.dateField !== 'completedAt') {
+    filters.dateField = 'createdAt';
+  }
+  return filters;
+}
+
+// Load a board's saved filters and make them current
+export function loadFilters(boardId = getActiveBoardId()) {
+  try {
+    const data = localStorage.getItem(getBoardStorageKey(FILTERS_STORAGE_KEY, boardId));
+    filterState = migrateFilters(data ? JSON.parse(data) : null, boardId);
+  } catch (e) {
+    filterState = { ...DEFAULT_FILTERS };
+  }
+  return filterState;
+}
+
+// Persist the current filters for the active board
+function saveFilters() {
+  try {
+    localStorage.setItem(getBoardStorageKey(FILTERS_STORAGE_KEY), JSON.stringify(filterState));
+  } catch (e) {
+    // Filters still apply for this session
+  }
+}
+
+// Get the current filter state
+export function getFilters() {
+  return filterState;
+}
+
+// Change one or more filters
+export function updateFilters(updates) {
+  filterState = { ...filterState, ...updates };
+  saveFilters();
+}
+
+// Filter the board to one label (null shows all labels)
+export function setLabelFilter(labelId) {
+  updateFilters({ labelId: labelId });
+}
+
+// Remove all filters
+export function clearFilters() {
+  filterState = { ...DEFAULT_FILTERS };
+  saveFilters();
+}
+
+// Check if any filter is set
+export function hasActiveFilters() {
+  return getSearchTerms().length > 0 ||
+    filterState.priority !== '' ||
+    filterState.dueStatus !== '' ||
+    filterState.dateFrom !== '' ||
+    filterState.dateTo !== '' ||
+    filterState.labelId !== null;
+}
+
+// Split the search query into lowercase terms (every term has to match)
+export function getSearchTerms() {
+  return filterState.query.toLowerCase().split(/\s+/).filter(term => term.length > 0);
+}
+
+// Check if a task's title or description contains every search term
+function matchesSearch(note, terms) {
+  const text = `${note.text}\n${note.description || ''}`.toLowerCase();
+  return terms.every(term => text.includes(term));
+}
+
+// Classify a due date the way formatDueDate does: 'overdue', 'urgent', 'later' or 'none'
+export function getDueStatus(note) {
+  if (!note.dueDate) {
+    return 'none';
+  }
+  const dueDateInfo = formatDueDate(note.dueDate);
+  if (dueDateInfo.isOverdue) return 'overdue';
+  if (dueDateInfo.isUrgent) return 'urgent';
+  return 'later';
+}
+
+// Check if a due date falls on today's calendar day (local time)
+function isDueToday(dueDate) {
+  const due = new Date(dueDate);
+  const today = new Date();
+  return due.getFullYear() === today.getFullYear() && due.getMonth() === today.getMonth() && due.getDate() === today.getDate();
+}
+
+// Check a task against the due status filter
+// "Due today or soon" also shows tasks due earlier today, which the cards mark as overdue
+function matchesDueStatus(note, dueStatus) {
+  if (dueStatus === 'urgent' && note.dueDate && isDueToday(note.dueDate)) {
+    return true;
+  }
+  return getDueStatus(note) === dueStatus;
+}
+
+// Parse a YYYY-MM-DD value as local midnight
+function parseDay(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+}
+
+// Check the created/completed timestamp against the date range (whole days, inclusive)
+function matchesDateRange(note) {
+  const from = parseDay(filterState.dateFrom);
+  const to = parseDay(filterState.dateTo);
+  if (!from && !to) {
+    return true;
+  }
+  
+  const timestamp = note[filterState.dateField];
+  if (!timestamp) {
+    return false;
+  }
+  if (from && timestamp < from.getTime()) {
+    return false;
+  }
+  if (to) {
+    to.setDate(to.getDate() + 1);
+    if (timestamp >= to.getTime()) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Check if a task passes the current filters
+export function matchesFilters(note) {
+  const terms = getSearchTerms();
+  if (terms.length > 0 && !matchesSearch(note, terms)) {
+    return false;
+  }
+  if (filterState.priority !== '' && note.priority !== filterState.priority) {
+    return false;
+  }
+  if (filterState.dueStatus !== '' && !matchesDueStatus(note, filterState.dueStatus)) {
+    return false;
+  }
+  if (filterState.labelId !== null && !(note.labels || []).includes(filterState.labelId)) {
+    return false;
+  }
+  return matchesDateRange(note);
+}
@@ -37,6 +37,18 @@ export function formatDateTimeLocal(timestamp) {
   return `${year}-${month}-${day}T${hours}:${minutes}`;
 }
 
+// Format a start-end range compactly (the end date is left out when it is the same day)
+export function formatTimeRange(start, end) {
+  const startDate = new Date(start);
+  const endDate = new Date(end);
+  const timeOptions = { hour: 'numeric', minute: '2-digit', hour12: true };
+  const startStr = startDate.toLocaleString('en-US', { weekday: 'short', month: 'short', day: 'numeric', ...timeOptions });
+  const endStr = startDate.toDateString() === endDate.toDateString()
+    ? endDate.toLocaleTimeString('en-US', timeOptions)
+    : endDate.toLocaleString('en-US', { weekday: 'short', month: 'short', day: 'numeric', ...timeOptions });
+  return `${startStr} – ${endStr}`;
+}
+
 // Format due date with urgency indicators
 export function formatDueDate(timestamp) {
   const dueDate = new Date(timestamp);
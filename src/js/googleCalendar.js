@@ -4,6 +4,8 @@
 // Uses Google Identity Services (GIS) for client-side OAuth and Google Calendar API
 // for fetching events. Provides read-only access to user's primary calendar.
 
+import { escapeHtml } from './markdown.js';
+
 const CLIENT_ID = '1081706752334-20bvivbj9ldmdhf8kot0ma7k585atajo.apps.googleusercontent.com';
 const SCOPES = 'https://www.googleapis.com/auth/calendar.events.readonly';
 
@@ -155,11 +157,6 @@ function renderGoogleEvents(events) {
   }).join('');
 }
 
-function escapeHtml(text) {
-  const map = { '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#039;' };
-  return String(text || '').replace(/[&<>"']/g, m => map[m]);
-}
-
 // Expose load callbacks for the script tags (needed for inline script in HTML)
 window.gapiLoaded = gapiLoaded;
 window.gisLoaded = gisLoaded;
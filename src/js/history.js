@@ -0,0 +1,123 @@
+// Undo/Redo History
+//
+// Records every board mutation (add, edit, delete, column move) as a list of
+// per-note changes holding a copy of the note before and after the change.
+// Undo puts the "before" copies back, redo the "after" copies, so timer fields
+// (timeSpent, inProgressSince, timerStartTime) come back exactly as they were.
+// History belongs to the active board and is cleared when the board changes.
+
+const MAX_HISTORY = 100; // Oldest entries are dropped beyond this
+
+let undoStack = [];
+let redoStack = [];
+
+// Copy a note so later mutations don't leak into history
+export function snapshotNote(note) {
+  return note ? JSON.parse(JSON.stringify(note)) : null;
+}
+
+// Copy several notes before a change that may touch more than one of them
+export function captureNotes(notes) {
+  return notes.map(note => snapshotNote(note));
+}
+
+// Build the change list for captured notes that differ from their current state
+export function collectChanges(capturedNotes, notes) {
+  const changes = [];
+  capturedNotes.forEach(before => {
+    const current = notes.find(note => note.id === before.id);
+    const after = current ? snapshotNote(current) : null;
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ before, after, index: -1 });
+    }
+  });
+  return changes;
+}
+
+// Record a change - each change is { before, after, index } with note snapshots
+// (before is null for added notes, after is null for deleted notes)
+export function recordChange(label, changes) {
+  const entry = { label, changes };
+  undoStack.push(entry);
+  if (undoStack.length > MAX_HISTORY) {
+    undoStack.shift();
+  }
+  redoStack = [];
+  return entry;
+}
+
+// Check if an entry is the next one undo would revert
+export function isLatestChange(entry) {
+  return undoStack[undoStack.length - 1] === entry;
+}
+
+// Put a note state back into the notes array
+function applyNoteState(notes, noteId, state, index) {
+  const currentIndex = notes.findIndex(note => note.id === noteId);
+  
+  if (state === null) {
+    if (currentIndex !== -1) {
+      notes.splice(currentIndex, 1);
+    }
+  } else if (currentIndex !== -1) {
+    notes[currentIndex] = snapshotNote(state);
+  } else {
+    // Re-insert deleted notes at their old position
+    const insertAt = index >= 0 ? Math.min(index, notes.length) : notes.length;
+    notes.splice(insertAt, 0, snapshotNote(state));
+  }
+}
+
+// Undo the last change in place, returns the entry or null
+export function undo(notes) {
+  const entry = undoStack.pop();
+  if (!entry) return null;
+  
+  // Reverse order so dependent changes unwind correctly
+  [...entry.changes].reverse().forEach(change => {
+    const noteId = (change.after || change.before).id;
+    applyNoteState(notes, noteId, change.before, change.index);
+  });
+  
+  redoStack.push(entry);
+  return entry;
+}
+
+// Redo the last undone change in place, returns the entry or null
+export function redo(notes) {
+  const entry = redoStack.pop();
+  if (!entry) return null;
+  
+  entry.changes.forEach(change => {
+    const noteId = (change.after || change.before).id;
+    applyNoteState(notes, noteId, change.after, change.index);
+  });
+  
+  undoStack.push(entry);
+  return entry;
+}
+
+// Check if there is anything to undo
+export function canUndo() {
+  return undoStack.length > 0;
+}
+
+// Check if there is anything to redo
+export function canRedo() {
+  return redoStack.length > 0;
+}
+
+// Drop entries that touch any of these tasks (changed in another tab, so
+// undoing or redoing them would overwrite that change)
+export function forgetNoteHistory(noteIds) {
+  const ids = new Set(noteIds);
+  const touches = (entry) => entry.changes.some(change => ids.has((change.after || change.before).id));
+  undoStack = undoStack.filter(entry => !touches(entry));
+  redoStack = redoStack.filter(entry => !touches(entry));
+}
+
+// Forget all history (board switch, import, column changes)
+export function clearHistory() {
+  undoStack = [];
+  redoStack = [];
+}
@@ -0,0 +1,106 @@
+// iCalendar (.ics) Export
+//
+// Turns every open task with a due date into an RFC 5545 VEVENT so due dates show
+// up in calendar apps. UIDs are derived from the board and task IDs, and SEQUENCE
+// grows with each edit, so re-importing the file updates events instead of
+// duplicating them. Tasks in done columns or the trash are left out of the feed.
+
+import { getColumnName, isDoneColumn } from './columns.js';
+
+const EVENT_DURATION_MS = 30 * 60 * 1000; // Due date shown as a 30 minute event
+const PRIORITY_MAP = { high: 1, medium: 5, low: 9 }; // RFC 5545: 1 highest, 9 lowest
+
+// Escape text values (backslash, semicolon, comma, newline)
+export function escapeICalText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Format a timestamp as UTC date-time (YYYYMMDDTHHMMSSZ)
+export function formatICalDate(timestamp) {
+  return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Fold content lines longer than 75 octets (continuation lines start with a space)
+export function foldICalLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = encoder.encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74; // Leading space counts on continuation lines
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+// Stable event UID for a task
+export function getEventUid(note, boardId) {
+  return `kanby-${boardId}-${note.id}@kanby`;
+}
+
+// Build the VEVENT lines for a task
+function buildEvent(note, boardId, now) {
+  const lastModified = note.lastEditedAt || note.createdAt;
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getEventUid(note, boardId)}`,
+    `DTSTAMP:${formatICalDate(now)}`,
+    `DTSTART:${formatICalDate(note.dueDate)}`,
+    `DTEND:${formatICalDate(note.dueDate + EVENT_DURATION_MS)}`,
+    `SUMMARY:${escapeICalText(note.text)}`,
+    `PRIORITY:${PRIORITY_MAP[note.priority] || PRIORITY_MAP.medium}`,
+    `CATEGORIES:${escapeICalText(getColumnName(note.column))}`,
+    `CREATED:${formatICalDate(note.createdAt)}`,
+    `LAST-MODIFIED:${formatICalDate(lastModified)}`,
+    // Seconds since creation of the last edit - increases with every change
+    `SEQUENCE:${Math.max(0, Math.floor((lastModified - note.createdAt) / 1000))}`,
+    'STATUS:CONFIRMED',
+    'TRANSP:TRANSPARENT'
+  ];
+
+  if (note.description) {
+    lines.push(`DESCRIPTION:${escapeICalText(note.description)}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// Select the tasks that belong in the calendar feed
+export function getCalendarNotes(notes) {
+  return notes.filter(note => note.dueDate && !note.deletedAt && !isDoneColumn(note.column));
+}
+
+// Build the .ics document for a board
+export function buildICalendar(notes, board) {
+  const now = Date.now();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Kanby//Kanby Task Board//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeICalText(`Kanby - ${board.name}`)}`
+  ];
+
+  getCalendarNotes(notes).forEach(note => {
+    lines.push(...buildEvent(note, board.id, now));
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldICalLine).join('\r\n') + '\r\n';
+}
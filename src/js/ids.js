@@ -0,0 +1,50 @@
+// Task IDs
+//
+// Tasks get random UUID strings, so tasks created in the same millisecond, in another
+// tab or from an import never collide. Tasks saved before that have numeric IDs (their
+// creation timestamps); schema step 2 (migrations.js) turns them into strings of the
+// same digits, so references to them (nextOccurrenceId, reminder state, the task IDs
+// in old backup files) keep matching.
+
+// Create a new, globally unique task ID
+export function createNoteId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  
+  // randomUUID is missing outside secure contexts (e.g. plain http): build a version 4 UUID by hand
+  const bytes = new Uint8Array(16);
+  if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+    crypto.getRandomValues(bytes);
+  } else {
+    bytes.forEach((_, index) => {
+      bytes[index] = Math.floor(Math.random() * 256);
+    });
+  }
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// Give tasks whose ID an earlier task in the list already uses a new ID
+// Returns the list (with new objects for the changed tasks) and how many were changed
+export function repairDuplicateIds(notes) {
+  const seen = new Set();
+  let repaired = 0;
+  
+  const result = notes.map(note => {
+    if (!note || typeof note !== 'object' || note.id === undefined || note.id === null) return note;
+    if (!seen.has(note.id)) {
+      seen.add(note.id);
+      return note;
+    }
+    repaired++;
+    const id = createNoteId();
+    seen.add(id);
+    return { ...note, id };
+  });
+  
+  return { notes: result, repaired };
+}
@@ -0,0 +1,173 @@
+// IndexedDB Storage Adapter
+//
+// Keeps every task as its own record in the "notes" object store of the "kanby"
+// database, keyed by [boardId, id], so saving a change writes only the tasks that
+// changed instead of the whole board, and the quota is far larger than
+// localStorage's. Indexes on the board, on [boardId, column] and on dueDate let
+// queries read one column or the tasks due in a period without loading everything
+// (tasks without a due date are simply not in that index). The board ID is added
+// to each record on the way in and removed on the way out. The "meta" store keeps the
+// schema version and the backup taken before the last migration.
+// An open connection closes itself when another tab asks for a newer database
+// version, and opening gives up (instead of waiting forever) while another tab
+// still keeps an older version open.
+
+const DB_NAME = 'kanby';
+const DB_VERSION = 1;
+const NOTES_STORE = 'notes';
+const META_STORE = 'meta';
+
+// Wrap an IndexedDB request in a promise
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Resolve when a transaction has committed, reject when it failed or was aborted
+function transactionToPromise(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+// Strip the board ID from a stored record
+function toNote(record) {
+  const { boardId, ...note } = record;
+  return note;
+}
+
+// Key range of all records of a board: [boardId] sorts before every [boardId, id] and [boardId, []] after them
+function boardRange(boardId) {
+  return IDBKeyRange.bound([boardId], [boardId, []]);
+}
+
+// Check if the browser offers IndexedDB (some privacy modes remove or block it)
+export function isIndexedDbAvailable() {
+  try {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Storage adapter backed by IndexedDB (see storageAdapters.js for the interface)
+export class IndexedDbAdapter {
+  constructor(db) {
+    this.db = db;
+    this.name = 'indexedDB';
+  }
+  
+  // Open the database, creating missing stores and indexes
+  static async open() {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(NOTES_STORE)) {
+        const store = db.createObjectStore(NOTES_STORE, { keyPath: ['boardId', 'id'] });
+        store.createIndex('boardId', 'boardId');
+        store.createIndex('column', ['boardId', 'column']);
+        store.createIndex('dueDate', 'dueDate');
+      }
+      if (!db.objectStoreNames.contains(META_STORE)) {
+        db.createObjectStore(META_STORE);
+      }
+    };
+    const db = await new Promise((resolve, reject) => {
+      let blocked = false;
+      request.onsuccess = () => {
+        // The other tab closed after all, but this start already went on without the database
+        if (blocked) {
+          request.result.close();
+          return;
+        }
+        resolve(request.result);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => {
+        blocked = true;
+        const error = new Error('Kanby is open in another tab with an older version. Close the other Kanby tabs and reload this page to see your tasks.');
+        error.name = 'BlockedError';
+        reject(error);
+      };
+    });
+    // Let another tab upgrade the database instead of blocking it
+    db.onversionchange = () => db.close();
+    return new IndexedDbAdapter(db);
+  }
+  
+  // Run work(transaction) in one read-write transaction on some stores; nothing is written if it throws
+  async runTransaction(storeNames, work) {
+    const transaction = this.db.transaction(storeNames, 'readwrite');
+    const done = transactionToPromise(transaction);
+    try {
+      work(transaction);
+    } catch (e) {
+      transaction.abort();
+      done.catch(() => {});
+      throw e;
+    }
+    return done;
+  }
+  
+  // Get all tasks of a board
+  async load(boardId) {
+    const store = this.db.transaction(NOTES_STORE, 'readonly').objectStore(NOTES_STORE);
+    const records = await requestToPromise(store.index('boardId').getAll(boardId));
+    return records.map(toNote);
+  }
+  
+  // Replace all tasks of a board
+  async save(boardId, notes) {
+    return this.writeAll([{ id: boardId, notes }]);
+  }
+  
+  // Add or replace one task
+  async putNote(boardId, note) {
+    return this.transaction(boardId, tx => tx.put(note));
+  }
+  
+  // Remove one task
+  async deleteNote(boardId, noteId) {
+    return this.transaction(boardId, tx => tx.delete(noteId));
+  }
+  
+  // Apply several puts and deletes to a board together
+  async transaction(boardId, work) {
+    return this.runTransaction(NOTES_STORE, (transaction) => {
+      const store = transaction.objectStore(NOTES_STORE);
+      work({
+        put: (note) => store.put({ ...note, boardId }),
+        delete: (noteId) => store.delete([boardId, noteId])
+      });
+    });
+  }
+  
+  // Get the stored schema version, 0 when none was stored yet
+  async getSchemaVersion() {
+    const store = this.db.transaction(META_STORE, 'readonly').objectStore(META_STORE);
+    return (await requestToPromise(store.get('schemaVersion'))) || 0;
+  }
+  
+  // Replace the tasks of several boards [{ id, notes }] in one transaction, optionally
+  // setting the schema version and keeping a backup of the data before a migration
+  async writeAll(boards, schemaVersion = null, backup = null) {
+    return this.runTransaction([NOTES_STORE, META_STORE], (transaction) => {
+      const store = transaction.objectStore(NOTES_STORE);
+      const meta = transaction.objectStore(META_STORE);
+      if (backup) {
+        meta.put(backup, 'migrationBackup');
+      }
+      boards.forEach(board => {
+        store.delete(boardRange(board.id));
+        board.notes.forEach(note => store.put({ ...note, boardId: board.id }));
+      });
+      if (schemaVersion !== null) {
+        meta.put(schemaVersion, 'schemaVersion');
+      }
+    });
+  }
+}
@@ -0,0 +1,200 @@
+// Keyboard Navigation and Shortcuts
+//
+// Lets the board be used without a mouse. Cards are focusable; the arrow keys move
+// the focus between cards (up/down within a column, left/right to the nearest
+// card in the neighbouring column) and Shift+Left/Right moves the focused card to
+// the neighbouring column with the same rules as a drop. Single keys edit, open
+// and delete the focused card, jump to the add form or the search, toggle the
+// theme and open the cheat sheet. Shortcuts are ignored while typing in a field
+// and while a modal is open; Ctrl+Z/Ctrl+Y undo and redo are handled in main.js.
+
+import { moveNote } from './dragDrop.js';
+import { toggleTheme } from './theme.js';
+import { openShortcutsModal } from './modals.js';
+
+// Shortcuts listed in the cheat sheet
+export const KEYBOARD_SHORTCUTS = [
+  { keys: ['↑', '↓'], description: 'Focus the previous / next card in the column' },
+  { keys: ['←', '→'], description: 'Focus a card in the previous / next column' },
+  { keys: ['Shift + ←', 'Shift + →'], description: 'Move the focused card to the previous / next column' },
+  { keys: ['Enter'], description: 'View details of the focused card' },
+  { keys: ['E'], description: 'Edit the focused card' },
+  { keys: ['Del'], description: 'Delete the focused card' },
+  { keys: ['N'], description: 'Add a new task' },
+  { keys: ['/'], description: 'Search tasks' },
+  { keys: ['T'], description: 'Toggle dark / light theme' },
+  { keys: ['Ctrl + Z', 'Ctrl + Shift + Z'], description: 'Undo / redo' },
+  { keys: ['Esc'], description: 'Close a dialog or leave a text field' },
+  { keys: ['?'], description: 'Show this list' }
+];
+
+let lastFocusedNoteId = null; // Card to return to after a dialog or re-render took the focus
+
+// Get the board columns with their visible cards, in board order
+function getColumnCards() {
+  return Array.from(document.querySelectorAll('.boardColumn')).map(column => ({
+    columnId: column.getAttribute('data-column-id'),
+    cards: Array.from(column.querySelectorAll('.notesContainer .stickyNote'))
+  }));
+}
+
+// Get the card that has the keyboard focus, or null
+function getFocusedCard() {
+  const active = document.activeElement;
+  return active && active.classList && active.classList.contains('stickyNote') ? active : null;
+}
+
+// Focus a card by task ID (after a re-render the element is new)
+function focusCard(noteId) {
+  const card = document.querySelector(`.stickyNote[data-note-id="${noteId}"]`);
+  if (card) {
+    card.focus();
+    card.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+  }
+  return Boolean(card);
+}
+
+// Move the focus with an arrow key
+function moveFocus(key) {
+  const columns = getColumnCards();
+  const card = getFocusedCard();
+  
+  // Nothing focused: go back to the last focused card, or start at the first card on the board
+  if (!card) {
+    if (lastFocusedNoteId !== null && focusCard(lastFocusedNoteId)) return;
+    const first = columns.find(column => column.cards.length > 0);
+    if (first) first.cards[0].focus();
+    return;
+  }
+  
+  const columnIndex = columns.findIndex(column => column.cards.includes(card));
+  const cardIndex = columns[columnIndex].cards.indexOf(card);
+  
+  if (key === 'ArrowUp' || key === 'ArrowDown') {
+    const cards = columns[columnIndex].cards;
+    const target = cards[cardIndex + (key === 'ArrowUp' ? -1 : 1)];
+    if (target) target.focus();
+    return;
+  }
+  
+  // Left/right skip empty columns and keep roughly the same row
+  const step = key === 'ArrowLeft' ? -1 : 1;
+  for (let index = columnIndex + step; index >= 0 && index < columns.length; index += step) {
+    const cards = columns[index].cards;
+    if (cards.length > 0) {
+      cards[Math.min(cardIndex, cards.length - 1)].focus();
+      return;
+    }
+  }
+}
+
+// Move the focused card to the neighbouring column and keep it focused
+function moveFocusedCard(direction) {
+  const card = getFocusedCard();
+  if (!card) return;
+  
+  const columns = getColumnCards();
+  const columnIndex = columns.findIndex(column => column.cards.includes(card));
+  const target = columns[columnIndex + direction];
+  if (!target) return;
+  
+  const noteId = card.getAttribute('data-note-id');
+  moveNote(noteId, target.columnId);
+  focusCard(noteId);
+}
+
+// Focus a text field, selecting its content
+function focusField(id) {
+  const field = document.getElementById(id);
+  if (field) {
+    field.focus();
+    field.select();
+  }
+}
+
+// Start handling shortcuts; actions are { onEdit, onDetails, onDelete } taking a task ID
+export function initKeyboardShortcuts(actions) {
+  document.addEventListener('focusin', (e) => {
+    if (e.target.classList && e.target.classList.contains('stickyNote')) {
+      lastFocusedNoteId = e.target.getAttribute('data-note-id');
+    }
+  });
+  
+  document.addEventListener('keydown', (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    
+    // Escape leaves the add form and the search so the shortcuts work again
+    const inField = e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]');
+    if (inField) {
+      if (e.key === 'Escape' && !document.querySelector('.taskModal')) {
+        e.target.blur();
+      }
+      return;
+    }
+    if (document.querySelector('.taskModal')) return;
+    
+    const card = getFocusedCard();
+    const noteId = card ? card.getAttribute('data-note-id') : null;
+    
+    switch (e.key) {
+      case 'ArrowUp':
+      case 'ArrowDown':
+        e.preventDefault();
+        moveFocus(e.key);
+        break;
+      case 'ArrowLeft':
+      case 'ArrowRight':
+        e.preventDefault();
+        if (e.shiftKey) {
+          moveFocusedCard(e.key === 'ArrowLeft' ? -1 : 1);
+        } else {
+          moveFocus(e.key);
+        }
+        break;
+      case 'Enter':
+        if (noteId !== null && actions.onDetails) {
+          e.preventDefault();
+          actions.onDetails(noteId);
+        }
+        break;
+      case 'e':
+      case 'E':
+        if (noteId !== null && actions.onEdit) {
+          e.preventDefault();
+          actions.onEdit(noteId);
+        }
+        break;
+      // Only Delete: Backspace is pressed by habit after typing and would trash cards by accident
+      case 'Delete':
+        if (noteId !== null && actions.onDelete) {
+          e.preventDefault();
+          // Keep working from the card below (or above) the deleted one
+          const neighbour = card.nextElementSibling || card.previousElementSibling;
+          actions.onDelete(noteId);
+          if (neighbour && neighbour.classList.contains('stickyNote')) {
+            focusCard(neighbour.getAttribute('data-note-id'));
+          }
+        }
+        break;
+      case 'n':
+      case 'N':
+        e.preventDefault();
+        focusField('noteText');
+        break;
+      case '/':
+        e.preventDefault();
+        focusField('searchInput');
+        break;
+      case 't':
+      case 'T':
+        toggleTheme();
+        break;
+      case '?':
+        e.preventDefault();
+        openShortcutsModal(KEYBOARD_SHORTCUTS);
+        break;
+      default:
+        break;
+    }
+  });
+}
@@ -0,0 +1,88 @@
+// Label Configuration
+//
+// Manages the free-form labels (e.g. "backend", "client-A") a board's tasks can
+// carry, each with a user-chosen color. Stored in localStorage, one list per board.
+// Notes reference labels by ID, so renaming or recoloring a label updates every card.
+
+import { getActiveBoardId, getBoardStorageKey } from './boards.js';
+
+export const LABELS_STORAGE_KEY = 'kanbyLabels';
+
+// Colors offered for new labels, picked in turn
+export const LABEL_COLORS = ['#00b4ff', '#ff6b00', '#9d00ff', '#10b981', '#ff0055', '#ccff00', '#f59e0b', '#00f0ff'];
+
+const labelsByBoard = {}; // Cached label lists by board ID, loaded lazily
+
+// Normalize a stored label entry
+function migrateLabel(label, index) {
+  return {
+    id: String(label.id),
+    name: label.name || String(label.id),
+    color: /^#[0-9a-f]{6}$/i.test(label.color) ? label.color : LABEL_COLORS[index % LABEL_COLORS.length]
+  };
+}
+
+// Load a board's labels from localStorage
+function loadLabels(boardId) {
+  try {
+    const data = localStorage.getItem(getBoardStorageKey(LABELS_STORAGE_KEY, boardId));
+    const stored = data ? JSON.parse(data) : null;
+    if (Array.isArray(stored)) {
+      return stored.filter(label => label && label.id !== undefined).map(migrateLabel);
+    }
+  } catch (e) {
+    // Fall through to no labels
+  }
+  return [];
+}
+
+// Get all labels of a board
+export function getLabels(boardId = getActiveBoardId()) {
+  if (!labelsByBoard[boardId]) {
+    labelsByBoard[boardId] = loadLabels(boardId);
+  }
+  return labelsByBoard[boardId];
+}
+
+// Read a board's labels again (after another tab changed them)
+export function reloadLabels(boardId = getActiveBoardId()) {
+  delete labelsByBoard[boardId];
+}
+
+// Replace and persist a board's labels
+export function saveLabels(newLabels, boardId = getActiveBoardId()) {
+  const labels = newLabels.map(migrateLabel);
+  labelsByBoard[boardId] = labels;
+  try {
+    localStorage.setItem(getBoardStorageKey(LABELS_STORAGE_KEY, boardId), JSON.stringify(labels));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Find a label by ID
+export function getLabel(labelId, boardId = getActiveBoardId()) {
+  return getLabels(boardId).find(label => label.id === labelId) || null;
+}
+
+// Generate a unique ID for a new label
+// The time suffix keeps a deleted label's ID from being reused, so tasks (also those
+// in the trash) that still carry the old label don't show the new one
+export function createLabelId(name, existingLabels = getLabels()) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '').slice(0, 20) || 'label';
+  let id = `${slug}${Date.now().toString(36)}`;
+  while (existingLabels.some(label => label.id === id)) {
+    id = `${slug}${Date.now().toString(36)}${Math.floor(Math.random() * 1000)}`;
+  }
+  return id;
+}
+
+// Pick black or white text for readable chips on a label color
+export function getLabelTextColor(color) {
+  const r = parseInt(color.slice(1, 3), 16);
+  const g = parseInt(color.slice(3, 5), 16);
+  const b = parseInt(color.slice(5, 7), 16);
+  // Perceived brightness (ITU-R BT.601)
+  return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#0a0e1a' : '#ffffff';
+}
@@ -4,22 +4,56 @@
 // Coordinates between notes, rendering, modals, storage, drag-drop, and timer modules.
 // Initializes the app and sets up event listeners. Manages timer updates.
 
-import { loadNotes, saveNotes, isStorageAvailable } from './storage.js';
+import { initStorage, loadNotes, saveNotes, isStorageAvailable } from './storage.js';
 import { initDragAndDrop } from './dragDrop.js';
 import { TimerManager, formatElapsedTime } from './timer.js';
 import { openGooglePanel, closeGooglePanel } from './headerWidgets.js';
 import { ensureGoogleAuth, fetchAndDisplayEvents } from './googleCalendar.js';
-import { getNotes, setNotes, addNote, deleteNote, updateNote, handleFormSubmit, handleButtonClick } from './notes.js';
-import { renderNotes, updateEmptyState } from './rendering.js';
-import { openTaskModal, openTaskDetailsModal } from './modals.js';
+import { getNotes, setNotes, addNote, deleteNote, restoreNote, purgeNotes, purgeExpiredNotes, getTrashedNotes, getBoardNotes, isTrashed, setChecklistItemDone, isChecklistComplete, applyChecklistAutoComplete, createNextOccurrence, confirmWipLimit, togglePomodoro, skipPomodoroPhase, advancePomodoros, updateNote, moveNoteToColumn, reconcileNotesWithColumns, handleFormSubmit, handleButtonClick } from './notes.js';
+import { renderBoard, renderBoardSwitcher, renderNotes, updateEmptyState, renderFilterStatus } from './rendering.js';
+import { openTaskModal, openTaskDetailsModal, openColumnsModal, openBoardsModal, openImportModal, openTimesheetModal, openTrashModal, openLabelsModal, openPomodoroSettingsModal, openAnalyticsModal, openShortcutsModal, openSyncConflictModal } from './modals.js';
+import { getColumns, getColumnName, saveColumns, reloadColumns, isActiveColumn, isDoneColumn, COLUMNS_STORAGE_KEY } from './columns.js';
+import { getBoards, getActiveBoard, getActiveBoardId, setActiveBoard, createBoard, renameBoard, duplicateBoard, deleteBoard, reloadBoards, getBoardStorageKey, BOARDS_STORAGE_KEY } from './boards.js';
+import { buildBackup, parseBackup, applyBackup } from './backup.js';
+import { buildTimesheetCsv } from './timesheet.js';
+import { buildICalendar, getCalendarNotes } from './icalendar.js';
+import { downloadFile, readFileAsText, getFileDateStamp } from './fileUtils.js';
+import { recordChange, isLatestChange, snapshotNote, undo, redo, canUndo, canRedo, clearHistory, forgetNoteHistory } from './history.js';
+import { showToast } from './toast.js';
+import { getSetting, getSettings, updateSettings, reloadSettings, SETTINGS_STORAGE_KEY } from './settings.js';
+import { getLabels, getLabel, saveLabels, reloadLabels, LABELS_STORAGE_KEY } from './labels.js';
+import { getFilters, loadFilters, updateFilters, setLabelFilter, clearFilters } from './filters.js';
+import { startReminderScheduler, checkReminders, requestNotificationPermission } from './reminders.js';
+import { isPomodoroBreak, updatePomodoroRing, notifyPomodoroPhaseEnd } from './pomodoro.js';
+import { setTimeLog } from './timeLog.js';
+import { buildAnalytics } from './analytics.js';
+import { initKeyboardShortcuts, KEYBOARD_SHORTCUTS } from './keyboard.js';
+import { initCrossTabSync, mergeNote, applyConflictChoices, EDITOR_FIELDS } from './sync.js';
 
 let notes = []; // Array to store all tasks
 let timerManager = new TimerManager(); // Manages time tracking for in-progress tasks
 
 // Initialize the application
-export function init() {
+export async function init() {
+  // Tasks are read into memory once; everything after works on that copy
+  try {
+    await initStorage();
+  } catch (e) {
+    showStorageWarning(e.message);
+  }
   notes = loadNotes();
   setNotes(notes);
+  reconcileNotesWithColumns(timerManager);
+  purgeExpiredNotes(getSetting('trashRetentionDays'));
+  notes = getNotes();
+  loadFilters();
+  
+  // Build board switcher and columns from the stored config
+  renderBoardSwitcher(getBoards(), getActiveBoardId());
+  renderBoard();
+  
+  // Catch up on Pomodoro intervals that ended while the app was closed
+  advancePomodoros(null);
   
   // Start timers for tasks already in progress BEFORE rendering
   initializeTimers();
@@ -27,7 +61,19 @@ export function init() {
   
   // Now render with timers already running
   renderNotes(notes, timerManager);
+  renderFilterStatus();
   updateEmptyState(notes);
+  updateTrashCount();
+  
+  // Check due-date reminders now (catching up on missed ones) and periodically
+  startReminderScheduler(() => notes);
+  
+  // Merge changes saved in other tabs as they happen
+  initCrossTabSync({
+    onNotesChanged: handleRemoteNotesChange,
+    onConflicts: handleSyncConflicts,
+    onDataChanged: handleRemoteDataChange
+  });
   
   // Show warning if localStorage is not available
   if (!isStorageAvailable()) {
@@ -41,16 +87,266 @@ export function init() {
     });
   });
   
+  // Task editor and details viewer, opened from a card click or a shortcut
+  const openEditor = (note) => openTaskModal(note, null, null, null, null, handleTaskSave);
+  const openDetails = (note) => openTaskDetailsModal(note, getTimerManager, openEditor, handleDeleteNote, handleChecklistToggle, handleTimeLogSave);
+  
   document.querySelector('.board').addEventListener('click', (e) => {
+    // Column header sort toggle
+    const sortBtn = e.target.closest('.columnSortBtn');
+    if (sortBtn) {
+      toggleColumnSortMode(sortBtn.getAttribute('data-column-id'));
+      return;
+    }
+    
+    // Pomodoro controls on a card
+    const pomodoroControl = e.target.closest('.pomodoroBtn, .pomodoroSkipBtn');
+    if (pomodoroControl) {
+      const noteId = pomodoroControl.closest('.stickyNote').getAttribute('data-note-id');
+      handlePomodoroControl(noteId, pomodoroControl.classList.contains('pomodoroSkipBtn'));
+      return;
+    }
+    
+    // Label chip on a card - filter to that label, or clear when already active
+    const labelChip = e.target.closest('.labelChip');
+    if (labelChip) {
+      const labelId = labelChip.getAttribute('data-label-id');
+      setLabelFilter(getFilters().labelId === labelId ? null : labelId);
+      refreshFilteredBoard();
+      return;
+    }
+    
     handleButtonClick(
       e,
       notes,
       (noteId) => handleDeleteNote(noteId),
-      (note) => openTaskModal(note, null, null, null, null, handleTaskSave),
-      (note) => openTaskDetailsModal(note, getTimerManager, (note) => openTaskModal(note, null, null, null, null, handleTaskSave), handleDeleteNote)
+      openEditor,
+      openDetails
     );
   });
   
+  // Keyboard navigation and shortcuts (? lists them)
+  const withNote = (callback) => (noteId) => {
+    const note = notes.find(n => n.id === noteId);
+    if (note) callback(note);
+  };
+  initKeyboardShortcuts({
+    onEdit: withNote(openEditor),
+    onDetails: withNote(openDetails),
+    onDelete: handleDeleteNote
+  });
+  
+  const shortcutsBtn = document.getElementById('shortcutsBtn');
+  if (shortcutsBtn) {
+    shortcutsBtn.addEventListener('click', () => openShortcutsModal(KEYBOARD_SHORTCUTS));
+  }
+  
+  // Undo/redo buttons and shortcuts (Ctrl+Z, Ctrl+Shift+Z or Ctrl+Y)
+  const undoBtn = document.getElementById('undoBtn');
+  if (undoBtn) {
+    undoBtn.addEventListener('click', handleUndo);
+  }
+  
+  const redoBtn = document.getElementById('redoBtn');
+  if (redoBtn) {
+    redoBtn.addEventListener('click', handleRedo);
+  }
+  
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+    
+    // Leave text fields and open dialogs to the browser's own undo
+    if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+    if (document.querySelector('.taskModal')) return;
+    
+    e.preventDefault();
+    if (key === 'y' || e.shiftKey) {
+      handleRedo();
+    } else {
+      handleUndo();
+    }
+  });
+  
+  // Trash view
+  const trashBtn = document.getElementById('trashBtn');
+  if (trashBtn) {
+    trashBtn.addEventListener('click', () => {
+      openTrashModal(() => getTrashedNotes(), getSetting('trashRetentionDays'), {
+        onRestore: handleRestoreNote,
+        onDelete: (noteId) => handlePurgeNotes([noteId]),
+        onEmpty: () => handlePurgeNotes(getTrashedNotes().map(note => note.id)),
+        onRetentionChange: (days) => {
+          updateSettings({ trashRetentionDays: days });
+          if (purgeExpiredNotes(days) > 0) {
+            refreshAfterPurge();
+          }
+        }
+      });
+    });
+  }
+  
+  // Pomodoro interval lengths
+  const pomodoroSettingsBtn = document.getElementById('pomodoroSettingsBtn');
+  if (pomodoroSettingsBtn) {
+    pomodoroSettingsBtn.addEventListener('click', () => {
+      openPomodoroSettingsModal(getSettings(), (updates) => {
+        updateSettings(updates);
+        renderNotes(notes, timerManager);
+      });
+    });
+  }
+  
+  // Board switcher and manager
+  const boardSelect = document.getElementById('boardSelect');
+  if (boardSelect) {
+    boardSelect.addEventListener('change', () => switchBoard(boardSelect.value));
+  }
+  
+  const manageBoardsBtn = document.getElementById('manageBoardsBtn');
+  if (manageBoardsBtn) {
+    manageBoardsBtn.addEventListener('click', () => {
+      openBoardsModal(getBoards, getActiveBoardId, {
+        onSelect: (boardId) => switchBoard(boardId),
+        onCreate: (name) => switchBoard(createBoard(name).id),
+        onRename: (boardId, name) => {
+          renameBoard(boardId, name);
+          renderBoardSwitcher(getBoards(), getActiveBoardId());
+        },
+        onDuplicate: (boardId) => {
+          duplicateBoard(boardId);
+          renderBoardSwitcher(getBoards(), getActiveBoardId());
+        },
+        onDelete: (boardId) => {
+          const wasActive = boardId === getActiveBoardId();
+          deleteBoard(boardId);
+          if (wasActive) {
+            switchBoard(getActiveBoardId());
+          } else {
+            renderBoardSwitcher(getBoards(), getActiveBoardId());
+          }
+        }
+      });
+    });
+  }
+  
+  // Column manager
+  const manageColumnsBtn = document.getElementById('manageColumnsBtn');
+  if (manageColumnsBtn) {
+    manageColumnsBtn.addEventListener('click', () => {
+      openColumnsModal(getColumns(), getBoardNotes(notes), getSetting('wipLimitMode'), handleColumnsSave);
+    });
+  }
+  
+  // Label manager
+  const manageLabelsBtn = document.getElementById('manageLabelsBtn');
+  if (manageLabelsBtn) {
+    manageLabelsBtn.addEventListener('click', () => {
+      openLabelsModal(getLabels(), getBoardNotes(notes), handleLabelsSave);
+    });
+  }
+  
+  const clearFiltersBtn = document.getElementById('clearFiltersBtn');
+  if (clearFiltersBtn) {
+    clearFiltersBtn.addEventListener('click', () => {
+      setLabelFilter(null);
+      refreshFilteredBoard();
+    });
+  }
+  
+  // Search and filter bar
+  const filterInputs = {
+    searchInput: 'query',
+    filterPriority: 'priority',
+    filterDueStatus: 'dueStatus',
+    filterDateField: 'dateField',
+    filterDateFrom: 'dateFrom',
+    filterDateTo: 'dateTo'
+  };
+  Object.keys(filterInputs).forEach(inputId => {
+    const input = document.getElementById(inputId);
+    if (!input) return;
+    const eventName = input.tagName === 'SELECT' || input.type === 'date' ? 'change' : 'input';
+    input.addEventListener(eventName, () => {
+      updateFilters({ [filterInputs[inputId]]: input.value });
+      refreshFilteredBoard();
+    });
+  });
+  
+  const resetFiltersBtn = document.getElementById('resetFiltersBtn');
+  if (resetFiltersBtn) {
+    resetFiltersBtn.addEventListener('click', () => {
+      clearFilters();
+      refreshFilteredBoard();
+    });
+  }
+  
+  // Backup export and import
+  const exportBackupBtn = document.getElementById('exportBackupBtn');
+  if (exportBackupBtn) {
+    exportBackupBtn.addEventListener('click', () => {
+      const backup = JSON.stringify(buildBackup(), null, 2);
+      downloadFile(`kanby-backup-${getFileDateStamp()}.json`, backup, 'application/json');
+    });
+  }
+  
+  const importBackupBtn = document.getElementById('importBackupBtn');
+  const importFileInput = document.getElementById('importFileInput');
+  if (importBackupBtn && importFileInput) {
+    importBackupBtn.addEventListener('click', () => importFileInput.click());
+    importFileInput.addEventListener('change', async () => {
+      const file = importFileInput.files[0];
+      importFileInput.value = ''; // Allow picking the same file again
+      if (!file) return;
+      
+      try {
+        const result = parseBackup(await readFileAsText(file));
+        openImportModal(result, (mode) => {
+          applyBackup(result.backup, mode);
+          // Reload the selected board so imported timers restart
+          switchBoard(getActiveBoardId());
+        });
+      } catch (e) {
+        alert(`Could not import backup: ${e.message}`);
+      }
+    });
+  }
+  
+  // Productivity analytics for the active board
+  const analyticsBtn = document.getElementById('analyticsBtn');
+  if (analyticsBtn) {
+    analyticsBtn.addEventListener('click', () => {
+      openAnalyticsModal((range) => buildAnalytics(notes, range));
+    });
+  }
+  
+  // Timesheet CSV export
+  const exportTimesheetBtn = document.getElementById('exportTimesheetBtn');
+  if (exportTimesheetBtn) {
+    exportTimesheetBtn.addEventListener('click', () => {
+      openTimesheetModal(getColumns(), (options) => {
+        // Byte order mark so spreadsheet apps detect UTF-8
+        const csv = `\uFEFF${buildTimesheetCsv(notes, { ...options, timerManager })}`;
+        downloadFile(`kanby-timesheet-${getFileDateStamp()}.csv`, csv, 'text/csv;charset=utf-8');
+      });
+    });
+  }
+  
+  // iCalendar export of due dates
+  const exportCalendarBtn = document.getElementById('exportCalendarBtn');
+  if (exportCalendarBtn) {
+    exportCalendarBtn.addEventListener('click', () => {
+      if (getCalendarNotes(notes).length === 0) {
+        alert('No open tasks with a due date to export.');
+        return;
+      }
+      const board = getActiveBoard();
+      // Same file name on every export so calendar apps see it as the same feed
+      downloadFile(`kanby-${board.id}-due-dates.ics`, buildICalendar(notes, board), 'text/calendar;charset=utf-8');
+    });
+  }
+  
   // Calendar panel view management
   const calendarPanel = document.getElementById('googleCalendarPanel');
   const iframeContainer = document.getElementById('googleCalendarIframeContainer');
@@ -133,68 +429,89 @@ export function init() {
   
   // Listen for updates from drag and drop
   window.addEventListener('notesUpdated', () => {
-    notes = loadNotes();
-    setNotes(notes);
+    notes = getNotes();
     // Re-initialize timers BEFORE rendering to prevent flicker
     initializeTimers();
     renderNotes(notes, timerManager);
+    updateHistoryButtons();
   });
 }
 
-// Handle task save from modal
-function handleTaskSave(note, newText, newDescription, newPriority, newDueDate, newStatus) {
+// Handle task save from modal, returns false when the WIP limit check refused it
+// (a promise of the answer when the save waits for the merge prompt)
+function handleTaskSave(note, newText, newDescription, newPriority, newDueDate, newStatus, newChecklist = [], newAutoComplete = false, newLabels = [], newRecurrence = null, newReminders = []) {
   if (note) {
-    const oldColumn = note.column;
-    const newColumn = newStatus;
+    // Another tab changed or deleted the task while the editor was open
+    const current = notes.find(n => n.id === note.id);
+    if (!current) {
+      alert('This task was permanently deleted in another tab.');
+      return true;
+    }
+    if (current !== note) {
+      return mergeEditorChanges(note, current, {
+        text: newText,
+        description: newDescription,
+        priority: newPriority,
+        dueDate: newDueDate,
+        column: newStatus,
+        checklist: newChecklist,
+        autoCompleteChecklist: newAutoComplete,
+        labels: newLabels,
+        recurrence: newRecurrence,
+        reminders: newReminders
+      });
+    }
     
-    // Handle timer state when status changes
-    if (oldColumn !== newColumn) {
-      // Stop timer when leaving In Progress
-      if (oldColumn === 'inprogress' && newColumn !== 'inprogress') {
-        if (note.inProgressSince) {
-          const sessionTime = Date.now() - note.inProgressSince;
-          note.timeSpent = (note.timeSpent || 0) + sessionTime;
-        }
-        note.timerStartTime = null;
-        note.inProgressSince = null;
-        timerManager.stopTimer(note.id);
-        
-        // Mark as completed if moving to Done
-        if (newColumn === 'done') {
-          note.completedAt = Date.now();
-        }
-      }
-      
-      // Start timer when moving to In Progress
-      if (newColumn === 'inprogress' && oldColumn !== 'inprogress') {
-        if (!note.startedAt) {
-          note.startedAt = Date.now();
-        }
-        note.inProgressSince = Date.now();
-        const previousTimeSpent = note.timeSpent || 0;
-        const adjustedStartTime = Date.now() - previousTimeSpent;
-        note.timerStartTime = adjustedStartTime;
-        timerManager.startTimer(note.id, adjustedStartTime);
-      }
+    // A move into a full column is refused or confirmed first; false keeps the editor open
+    if (newStatus !== note.column && !confirmWipLimit(newStatus, note.id)) {
+      return false;
     }
     
+    const before = snapshotNote(note);
+    const wasComplete = isChecklistComplete(note);
+    const wasDone = isDoneColumn(note.column);
+    note.checklist = newChecklist;
+    note.autoCompleteChecklist = newAutoComplete;
+    
+    // Handle timer state and completion when status changes
+    moveNoteToColumn(note, newStatus, timerManager);
+    
+    // Completing the checklist in the editor moves an opted-in task to done
+    applyChecklistAutoComplete(note, wasComplete, timerManager);
+    
     // Update existing note
-    updateNote(note.id, {
+    const updatedNote = updateNote(note.id, {
       text: newText,
       description: newDescription,
       priority: newPriority,
       dueDate: newDueDate,
-      column: newColumn
-    }, () => {
-      notes = getNotes();
-      // Re-initialize timers BEFORE rendering to prevent flicker
-      initializeTimers();
-      renderNotes(notes, timerManager);
-      updateEmptyState(notes);
+      column: note.column,
+      checklist: newChecklist,
+      autoCompleteChecklist: newAutoComplete,
+      labels: newLabels,
+      recurrence: newRecurrence,
+      reminders: newReminders
     });
+    
+    // Completing a recurring task creates its next occurrence (from the edited task)
+    const nextNote = updatedNote ? createNextOccurrence(updatedNote, wasDone, timerManager) : null;
+    
+    notes = getNotes();
+    // Re-initialize timers BEFORE rendering to prevent flicker
+    initializeTimers();
+    renderNotes(notes, timerManager);
+    updateEmptyState(notes);
+    
+    if (updatedNote) {
+      const changes = [{ before, after: snapshotNote(updatedNote), index: -1 }];
+      if (nextNote) {
+        changes.push({ before: null, after: snapshotNote(nextNote), index: -1 });
+      }
+      recordHistory(nextNote ? 'Complete recurring task' : 'Edit task', changes);
+    }
   } else {
     // Create new note (newStatus is the selected column)
-    addNote(newText, newStatus, newPriority, newDescription, newDueDate, timerManager, () => {
+    const newNote = addNote(newText, newStatus, newPriority, newDescription, newDueDate, newChecklist, newAutoComplete, newLabels, newRecurrence, newReminders, timerManager, () => {
       notes = getNotes();
       // Re-initialize timers BEFORE rendering to prevent flicker
       initializeTimers();
@@ -203,11 +520,275 @@ function handleTaskSave(note, newText, newDescription, newPriority, newDueDate,
     }, () => {
       updateEmptyState(notes);
     });
+    if (!newNote) {
+      return false;
+    }
+    recordHistory('Add task', [{ before: null, after: snapshotNote(newNote), index: -1 }]);
+  }
+  return true;
+}
+
+// Save editor changes to a task that another tab changed while the editor was open
+// Fields only one side changed are merged, fields both changed go to the merge prompt
+// Returns the save's answer like handleTaskSave, as a promise when the prompt is shown
+function mergeEditorChanges(base, current, edits) {
+  const mine = { ...base, ...edits };
+  const { note: merged, conflicts } = mergeNote(base, mine, current, EDITOR_FIELDS);
+  const save = (result) => handleTaskSave(current, result.text, result.description, result.priority, result.dueDate, result.column, result.checklist, result.autoCompleteChecklist, result.labels, result.recurrence, result.reminders);
+  
+  if (conflicts.length === 0) {
+    return save(merged);
+  }
+  return new Promise((resolve) => {
+    openSyncConflictModal([{ mine, theirs: current, fields: conflicts }], ([chosen]) => {
+      resolve(save(applyConflictChoices(merged, mine, conflicts, chosen)));
+    });
+  });
+}
+
+// Turn Pomodoro mode on/off for a task, or skip its current interval
+function handlePomodoroControl(noteId, skip) {
+  const note = notes.find(n => n.id === noteId);
+  if (!note) return;
+  
+  if (skip) {
+    skipPomodoroPhase(note, timerManager);
+  } else {
+    togglePomodoro(note, timerManager);
+    if (note.pomodoro) {
+      // Ask while handling the click so the end-of-interval alert can show outside the tab
+      requestNotificationPermission();
+    }
   }
+  
+  notes = getNotes();
+  renderNotes(notes, timerManager);
 }
 
-// Handle note deletion
+// Replace a task's finished sessions after they were edited in the details view
+// Returns the updated note so the view can refresh its totals
+function handleTimeLogSave(noteId, timeLog) {
+  const note = notes.find(n => n.id === noteId);
+  if (!note) return null;
+  
+  const before = snapshotNote(note);
+  setTimeLog(note, timeLog);
+  saveNotes(notes);
+  // Running timers continue from the corrected total
+  initializeTimers();
+  renderNotes(notes, timerManager);
+  recordHistory('Edit time log', [{ before, after: snapshotNote(note), index: -1 }]);
+  return note;
+}
+
+// Tick or untick a checklist item from the details view
+// Returns the updated note so the view can refresh its progress
+function handleChecklistToggle(noteId, itemId, done) {
+  const note = notes.find(n => n.id === noteId);
+  if (!note) return null;
+  
+  const before = snapshotNote(note);
+  const wasComplete = isChecklistComplete(note);
+  if (!setChecklistItemDone(note, itemId, done)) return null;
+  const moved = applyChecklistAutoComplete(note, wasComplete, timerManager);
+  const nextNote = moved ? createNextOccurrence(note, false, timerManager) : null;
+  
+  saveNotes(notes);
+  // Re-initialize timers BEFORE rendering to prevent flicker
+  initializeTimers();
+  renderNotes(notes, timerManager);
+  updateEmptyState(notes);
+  const changes = [{ before, after: snapshotNote(note), index: -1 }];
+  if (nextNote) {
+    changes.push({ before: null, after: snapshotNote(nextNote), index: -1 });
+  }
+  const entry = recordHistory(moved ? 'Complete checklist' : 'Check item', changes);
+  
+  if (moved) {
+    showToast(`Checklist complete — moved to ${getColumnName(note.column)}`, {
+      actionLabel: 'Undo',
+      onAction: () => {
+        if (isLatestChange(entry)) handleUndo();
+      }
+    });
+  }
+  return note;
+}
+
+// Load another board's notes and columns
+function switchBoard(boardId) {
+  setActiveBoard(boardId);
+  
+  // Timers and history belong to the previous board's notes
+  timerManager.clearAllTimers();
+  clearHistory();
+  updateHistoryButtons();
+  loadFilters();
+  renderFilterStatus();
+  notes = loadNotes();
+  setNotes(notes);
+  reconcileNotesWithColumns(timerManager);
+  purgeExpiredNotes(getSetting('trashRetentionDays'));
+  notes = getNotes();
+  
+  advancePomodoros(null);
+  
+  renderBoardSwitcher(getBoards(), getActiveBoardId());
+  renderBoard();
+  // Re-initialize timers BEFORE rendering to prevent flicker
+  initializeTimers();
+  renderNotes(notes, timerManager);
+  updateEmptyState(notes);
+  updateTrashCount();
+  checkReminders();
+}
+
+// Show tasks another tab changed on this board
+function handleRemoteNotesChange(noteIds) {
+  notes = getNotes();
+  // Undo must not bring back this tab's older version of these tasks
+  forgetNoteHistory(noteIds);
+  updateHistoryButtons();
+  // Timers restart from the merged inProgressSince/timeSpent values (already saved by the other tab)
+  initializeTimers(false);
+  renderNotes(notes, timerManager);
+  updateEmptyState(notes);
+  updateTrashCount();
+}
+
+// Ask which version to keep for tasks this tab and another tab changed at the same time
+// The other tab's values are in place until the user picks this tab's
+function handleSyncConflicts(conflicts) {
+  openSyncConflictModal(conflicts, (choices) => {
+    let changed = false;
+    conflicts.forEach((conflict, index) => {
+      const noteIndex = notes.findIndex(n => n.id === conflict.mine.id);
+      if (noteIndex === -1 || choices[index].length === 0) return;
+      notes[noteIndex] = applyConflictChoices(notes[noteIndex], conflict.mine, conflict.fields, choices[index]);
+      changed = true;
+    });
+    
+    if (changed) {
+      setNotes(notes);
+      saveNotes(notes);
+      // Re-initialize timers BEFORE rendering to prevent flicker
+      initializeTimers();
+      renderNotes(notes, timerManager);
+      updateEmptyState(notes);
+      updateTrashCount();
+    }
+  });
+}
+
+// Pick up board, column, label and settings changes saved in another tab
+// key is the changed storage key, null when the storage was cleared
+function handleRemoteDataChange(key) {
+  const boardsChanged = key === null || key === BOARDS_STORAGE_KEY;
+  const settingsChanged = key === null || key === SETTINGS_STORAGE_KEY;
+  const labelsChanged = key === null || key === getBoardStorageKey(LABELS_STORAGE_KEY);
+  const columnsChanged = key === null || key === getBoardStorageKey(COLUMNS_STORAGE_KEY);
+  if (!boardsChanged && !settingsChanged && !labelsChanged && !columnsChanged) return;
+  
+  if (boardsChanged) {
+    const boardId = getActiveBoardId();
+    reloadBoards();
+    // The board shown here was deleted in the other tab
+    if (getActiveBoardId() !== boardId) {
+      switchBoard(getActiveBoardId());
+      return;
+    }
+    renderBoardSwitcher(getBoards(), boardId);
+  }
+  if (settingsChanged) {
+    reloadSettings();
+  }
+  if (labelsChanged) {
+    reloadLabels();
+    if (getFilters().labelId !== null && !getLabel(getFilters().labelId)) {
+      setLabelFilter(null);
+    }
+  }
+  if (columnsChanged) {
+    reloadColumns();
+    reconcileNotesWithColumns(timerManager);
+    notes = getNotes();
+    // Old entries may point at columns that no longer exist
+    clearHistory();
+    updateHistoryButtons();
+    renderBoard();
+  }
+  
+  initializeTimers(false);
+  renderNotes(notes, timerManager);
+  renderFilterStatus();
+  updateEmptyState(notes);
+}
+
+// Apply an edited column config to the board
+function handleColumnsSave(newColumns, wipLimitMode) {
+  saveColumns(newColumns);
+  updateSettings({ wipLimitMode });
+  reconcileNotesWithColumns(timerManager);
+  notes = getNotes();
+  // Old entries may point at columns that no longer exist
+  clearHistory();
+  updateHistoryButtons();
+  renderBoard();
+  // Re-initialize timers BEFORE rendering to prevent flicker
+  initializeTimers();
+  renderNotes(notes, timerManager);
+  updateEmptyState(notes);
+}
+
+// Apply an edited label list to the board
+function handleLabelsSave(newLabels) {
+  saveLabels(newLabels);
+  
+  // Strip deleted labels from every task that carried them
+  const labelIds = new Set(newLabels.map(label => label.id));
+  let changed = false;
+  notes.forEach(note => {
+    const labels = (note.labels || []).filter(labelId => labelIds.has(labelId));
+    if (labels.length !== (note.labels || []).length) {
+      note.labels = labels;
+      changed = true;
+    }
+  });
+  if (changed) {
+    saveNotes(notes);
+    // Old entries may restore labels that no longer exist
+    clearHistory();
+    updateHistoryButtons();
+  }
+  
+  if (getFilters().labelId !== null && !labelIds.has(getFilters().labelId)) {
+    setLabelFilter(null);
+  }
+  refreshFilteredBoard();
+}
+
+// Re-render cards and the filter bar after the filter changed
+function refreshFilteredBoard() {
+  renderNotes(notes, timerManager);
+  renderFilterStatus();
+}
+
+// Switch a column between manual order and priority sorting
+function toggleColumnSortMode(columnId) {
+  saveColumns(getColumns().map(column => column.id === columnId
+    ? { ...column, sortMode: column.sortMode === 'priority' ? 'manual' : 'priority' }
+    : column
+  ));
+  renderBoard();
+  renderNotes(notes, timerManager);
+}
+
+// Handle note deletion (moves the task to the trash)
 function handleDeleteNote(noteId) {
+  const index = notes.findIndex(n => n.id === noteId);
+  if (index === -1) return;
+  const before = snapshotNote(notes[index]);
+  
   deleteNote(noteId, timerManager, () => {
     notes = getNotes();
     // Re-initialize timers BEFORE rendering to prevent flicker
@@ -217,48 +798,174 @@ function handleDeleteNote(noteId) {
   }, () => {
     updateEmptyState(notes);
   });
+  
+  updateTrashCount();
+  const trashedNote = notes.find(n => n.id === noteId);
+  const entry = recordHistory('Delete task', [{ before, after: snapshotNote(trashedNote), index }]);
+  showToast('Task deleted', {
+    actionLabel: 'Undo',
+    onAction: () => {
+      // Only undo if nothing else changed since the delete
+      if (isLatestChange(entry)) handleUndo();
+    }
+  });
+}
+
+// Restore a task from the trash
+function handleRestoreNote(noteId) {
+  const trashedNote = notes.find(n => n.id === noteId);
+  if (!trashedNote) return;
+  const before = snapshotNote(trashedNote);
+  
+  const restoredNote = restoreNote(noteId, timerManager, () => {
+    notes = getNotes();
+    // Re-initialize timers BEFORE rendering to prevent flicker
+    initializeTimers();
+    renderNotes(notes, timerManager);
+    updateEmptyState(notes);
+  });
+  
+  if (restoredNote) {
+    recordHistory('Restore task', [{ before, after: snapshotNote(restoredNote), index: -1 }]);
+  }
+  updateTrashCount();
+}
+
+// Permanently delete tasks from the trash
+function handlePurgeNotes(noteIds) {
+  purgeNotes(noteIds);
+  refreshAfterPurge();
+}
+
+// Sync state after tasks were permanently deleted
+function refreshAfterPurge() {
+  notes = getNotes();
+  // Undo must not bring back permanently deleted tasks
+  clearHistory();
+  updateHistoryButtons();
+  updateTrashCount();
+}
+
+// Show the number of trashed tasks on the toolbar button
+function updateTrashCount() {
+  const trashCount = document.getElementById('trashCount');
+  if (!trashCount) return;
+  const count = getTrashedNotes().length;
+  trashCount.textContent = count;
+  trashCount.classList.toggle('hidden', count === 0);
+}
+
+// Record a change and refresh the undo/redo buttons
+function recordHistory(label, changes) {
+  const entry = recordChange(label, changes);
+  updateHistoryButtons();
+  return entry;
+}
+
+// Save and redraw after history restored notes
+// Timers restart from the restored inProgressSince/timeSpent values
+function refreshAfterHistoryChange() {
+  setNotes(notes);
+  saveNotes(notes);
+  // Re-initialize timers BEFORE rendering to prevent flicker
+  initializeTimers();
+  renderNotes(notes, timerManager);
+  updateEmptyState(notes);
+  updateHistoryButtons();
+  updateTrashCount();
+}
+
+// Undo the last board change
+function handleUndo() {
+  const entry = undo(notes);
+  if (!entry) return;
+  refreshAfterHistoryChange();
+  showToast(`Undone: ${entry.label}`, { actionLabel: 'Redo', onAction: handleRedo });
+}
+
+// Redo the last undone board change
+function handleRedo() {
+  const entry = redo(notes);
+  if (!entry) return;
+  refreshAfterHistoryChange();
+  showToast(`Redone: ${entry.label}`, { actionLabel: 'Undo', onAction: handleUndo });
+}
+
+// Enable or disable the undo/redo toolbar buttons
+function updateHistoryButtons() {
+  const undoBtn = document.getElementById('undoBtn');
+  const redoBtn = document.getElementById('redoBtn');
+  if (undoBtn) undoBtn.disabled = !canUndo();
+  if (redoBtn) redoBtn.disabled = !canRedo();
 }
 
 // Start timers for all tasks in progress
-function initializeTimers() {
+// Tasks are saved only when a start time had to be filled in, so redrawing never
+// rewrites unchanged tasks (which would ping every other open tab)
+// save is false when the notes were just merged from another tab, which already saved them
+function initializeTimers(save = true) {
   // Clear all existing timers first
   timerManager.clearAllTimers();
+  const now = Date.now();
+  let changed = false;
   
   notes.forEach(note => {
-    if (note.column === 'inprogress') {
+    // The work timer stays paused during a Pomodoro break
+    if (isActiveColumn(note.column) && !isTrashed(note) && !isPomodoroBreak(note)) {
       // Calculate actual elapsed time including time when browser was closed
       let totalElapsedTime = note.timeSpent || 0;
       
       if (note.inProgressSince) {
-        // Add time since task entered In Progress (even if browser was closed)
-        const currentSessionTime = Date.now() - note.inProgressSince;
+        // Add time since task entered an active column (even if browser was closed)
+        const currentSessionTime = now - note.inProgressSince;
         totalElapsedTime += currentSessionTime;
       }
       
       // Set adjusted start time for timer display
-      const adjustedStartTime = Date.now() - totalElapsedTime;
+      const adjustedStartTime = now - totalElapsedTime;
       note.timerStartTime = adjustedStartTime;
       
       // Set first started timestamp if not already set
       if (!note.startedAt) {
-        note.startedAt = note.inProgressSince || Date.now();
+        note.startedAt = note.inProgressSince || now;
+        changed = true;
       }
       
       // Ensure inProgressSince is set (for backward compatibility)
       if (!note.inProgressSince) {
-        note.inProgressSince = Date.now();
+        note.inProgressSince = now;
+        changed = true;
       }
       
       timerManager.startTimer(note.id, adjustedStartTime);
     }
   });
   
-  // Save notes to persist any updates
-  saveNotes(notes);
+  // Save notes to persist the filled-in start times
+  if (save && changed) {
+    saveNotes(notes);
+  }
 }
 
 // Update timer displays for all active timers
 function updateTimerDisplays() {
+  // Switch Pomodoro intervals that just ended and announce them
+  const changedNotes = advancePomodoros(timerManager);
+  if (changedNotes.length > 0) {
+    notes = getNotes();
+    renderNotes(notes, timerManager);
+    changedNotes.forEach(note => notifyPomodoroPhaseEnd(note));
+  }
+  
+  notes.forEach(note => {
+    if (note.pomodoro && note.pomodoro.phaseStartedAt) {
+      const pomodoroDisplay = document.querySelector(`[data-note-id="${note.id}"] .pomodoroDisplay`);
+      if (pomodoroDisplay) {
+        updatePomodoroRing(pomodoroDisplay, note);
+      }
+    }
+  });
+  
   const activeTimerIds = timerManager.getActiveTimerIds();
   
   activeTimerIds.forEach(noteId => {
@@ -278,12 +985,12 @@ export function getTimerManager() {
   return timerManager;
 }
 
-// Display warning if localStorage is not available
-function showStorageWarning() {
+// Display warning if localStorage is not available, or the tasks could not be loaded
+function showStorageWarning(message = 'Warning: Your notes will not be saved.') {
   const warning = document.createElement('div');
   warning.className = 'storageWarning';
-  warning.innerHTML =
-    '<p><i class="fas fa-exclamation-triangle"></i> Warning: Your notes will not be saved.</p>';
+  warning.innerHTML = '<p><i class="fas fa-exclamation-triangle"></i> </p>';
+  warning.querySelector('p').append(message);
   const container = document.querySelector('.container');
   container.insertBefore(warning, container.firstChild);
 }
@@ -0,0 +1,185 @@
+// Markdown Rendering and HTML Escaping
+//
+// Renders task descriptions written in a small Markdown subset (headings, lists,
+// fenced code blocks, blockquotes, links, inline code, bold and italic) to HTML.
+// The parser escapes all text itself, and its output is passed through a
+// whitelist sanitizer before it reaches innerHTML, so pasted markup such as
+// <img onerror> is shown as text and never runs. escapeHtml is the helper for
+// every other place that puts user text into a template string.
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+
+// Tags the sanitizer keeps; everything else is replaced by its text
+const ALLOWED_TAGS = new Set([
+  'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'P', 'BR', 'HR', 'STRONG', 'EM', 'DEL',
+  'CODE', 'PRE', 'UL', 'OL', 'LI', 'BLOCKQUOTE', 'A'
+]);
+
+const SAFE_URL_PATTERN = /^(https?:|mailto:)/i;
+
+// Escape text for use in HTML content and attribute values
+export function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// Render inline Markdown (code spans, links, bold, italic, strikethrough) in one line
+function renderInline(text, tokens = []) {
+  // Code spans and links are swapped for placeholders so emphasis rules
+  // never touch their content (e.g. underscores in URLs)
+  const keep = (html) => {
+    tokens.push(html);
+    return `\u0000${tokens.length - 1}\u0000`;
+  };
+  
+  let html = text.replace(/`([^`]+)`/g, (match, code) => keep(`<code>${escapeHtml(code)}</code>`));
+  html = html.replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (match, label, url) => {
+    if (!SAFE_URL_PATTERN.test(url)) {
+      return label;
+    }
+    return keep(`<a href="${escapeHtml(url)}">${renderInline(label, tokens)}</a>`);
+  });
+  
+  html = escapeHtml(html)
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/__(.+?)__/g, '<strong>$1</strong>')
+    .replace(/\*(.+?)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(.+?)_(?=[^\w]|$)/g, '$1<em>$2</em>')
+    .replace(/~~(.+?)~~/g, '<del>$1</del>');
+  
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[Number(index)]);
+}
+
+const LIST_ITEM_PATTERN = /^([-*+]|\d+[.)])\s+(.*)$/;
+
+// Check if a line starts a block other than a paragraph
+function startsBlock(line) {
+  return /^```/.test(line) || /^#{1,6}\s/.test(line) || /^>/.test(line) ||
+    LIST_ITEM_PATTERN.test(line) || /^(-{3,}|\*{3,}|_{3,})\s*$/.test(line);
+}
+
+// Render block-level Markdown from an array of lines
+function renderBlocks(lines) {
+  const html = [];
+  let i = 0;
+  
+  while (i < lines.length) {
+    const line = lines[i];
+    
+    // Blank line
+    if (line.trim().length === 0) {
+      i++;
+      continue;
+    }
+    
+    // Fenced code block (an unclosed fence runs to the end)
+    if (/^```/.test(line)) {
+      const codeLines = [];
+      i++;
+      while (i < lines.length && !/^```/.test(lines[i])) {
+        codeLines.push(lines[i]);
+        i++;
+      }
+      i++;
+      html.push(`<pre><code>${escapeHtml(codeLines.join('\n'))}</code></pre>`);
+      continue;
+    }
+    
+    // Heading
+    const heading = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+    if (heading) {
+      const level = heading[1].length;
+      html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+    
+    // Horizontal rule
+    if (/^(-{3,}|\*{3,}|_{3,})\s*$/.test(line)) {
+      html.push('<hr>');
+      i++;
+      continue;
+    }
+    
+    // Blockquote
+    if (/^>/.test(line)) {
+      const quoteLines = [];
+      while (i < lines.length && /^>/.test(lines[i])) {
+        quoteLines.push(lines[i].replace(/^>\s?/, ''));
+        i++;
+      }
+      html.push(`<blockquote>${renderBlocks(quoteLines)}</blockquote>`);
+      continue;
+    }
+    
+    // List - indented lines belong to the item above (nested lists, more text)
+    const listItem = LIST_ITEM_PATTERN.exec(line);
+    if (listItem) {
+      const ordered = /^\d/.test(listItem[1]);
+      const items = [];
+      while (i < lines.length) {
+        const itemMatch = LIST_ITEM_PATTERN.exec(lines[i]);
+        if (itemMatch && /^\d/.test(itemMatch[1]) === ordered) {
+          items.push([itemMatch[2]]);
+        } else if (items.length > 0 && /^\s{2,}\S/.test(lines[i])) {
+          items[items.length - 1].push(lines[i].replace(/^\s{2,4}/, ''));
+        } else {
+          break;
+        }
+        i++;
+      }
+      const itemsHtml = items.map(([first, ...rest]) =>
+        `<li>${renderInline(first)}${rest.length > 0 ? renderBlocks(rest) : ''}</li>`
+      ).join('');
+      html.push(ordered ? `<ol>${itemsHtml}</ol>` : `<ul>${itemsHtml}</ul>`);
+      continue;
+    }
+    
+    // Paragraph - runs until a blank line or another block, line breaks are kept
+    const paragraphLines = [];
+    while (i < lines.length && lines[i].trim().length > 0 && (paragraphLines.length === 0 || !startsBlock(lines[i]))) {
+      paragraphLines.push(renderInline(lines[i].trim()));
+      i++;
+    }
+    html.push(`<p>${paragraphLines.join('<br>')}</p>`);
+  }
+  
+  return html.join('');
+}
+
+// Keep only whitelisted tags and attributes; links open in a new tab
+export function sanitizeHtml(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  
+  const cleanNode = (node) => {
+    Array.from(node.childNodes).forEach(child => {
+      if (child.nodeType === Node.TEXT_NODE) {
+        return;
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE || !ALLOWED_TAGS.has(child.tagName)) {
+        // Comments are dropped, unknown elements keep only their text
+        child.replaceWith(document.createTextNode(child.nodeType === Node.ELEMENT_NODE ? child.textContent : ''));
+        return;
+      }
+      
+      const href = child.getAttribute('href');
+      Array.from(child.attributes).forEach(attribute => child.removeAttribute(attribute.name));
+      if (child.tagName === 'A' && href && SAFE_URL_PATTERN.test(href)) {
+        child.setAttribute('href', href);
+        child.setAttribute('target', '_blank');
+        child.setAttribute('rel', 'noopener noreferrer');
+      }
+      cleanNode(child);
+    });
+  };
+  
+  cleanNode(template.content);
+  return template.innerHTML;
+}
+
+// Render Markdown to sanitized HTML
+// NUL characters are removed first: renderInline uses them to mark its placeholders
+export function renderMarkdown(text) {
+  const lines = String(text ?? '').replace(/\u0000/g, '').replace(/\r\n?/g, '\n').split('\n');
+  return sanitizeHtml(renderBlocks(lines));
+}
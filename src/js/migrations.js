@@ -0,0 +1,52 @@
+// Schema Migrations
+//
+// The stored schema version says which shape every stored task has. Each step below
+// upgrades one board's raw task records from the previous version; initStorage runs
+// the steps newer than the stored version once, after backing up the old data, and
+// writes the result and the new version back together. Steps work on plain records
+// without looking at columns or settings, so they also upgrade the tasks of old
+// backup files. They return new records instead of changing their input, and must
+// accept records already in the new shape (localStorage cannot write every board at
+// once, so an interrupted upgrade runs again). migrateNote (storage.js) still fills
+// in defaults on every load.
+
+import { migrateTimeLog } from './timeLog.js';
+import { repairDuplicateIds } from './ids.js';
+
+// Ordered by version; add new steps at the end
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Turn the tracked-time total of tasks saved before the time log into a session',
+    migrate: (notes) => notes.map(note =>
+      note && typeof note === 'object' && !Array.isArray(note.timeLog) ? { ...note, timeLog: migrateTimeLog(note) } : note
+    )
+  },
+  {
+    version: 2,
+    description: 'Turn numeric task IDs into strings of the same digits and give duplicate IDs new ones',
+    migrate: (notes) => repairDuplicateIds(notes.map(note => {
+      if (!note || typeof note !== 'object') return note;
+      return {
+        ...note,
+        id: Number.isFinite(note.id) ? String(note.id) : note.id,
+        ...(Number.isFinite(note.nextOccurrenceId) ? { nextOccurrenceId: String(note.nextOccurrenceId) } : {})
+      };
+    })).notes
+  }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Read a stored or imported schema version; data saved before versions is version 0
+export function parseSchemaVersion(value) {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : 0;
+}
+
+// Upgrade one board's raw task records from a schema version to the current one
+export function migrateRecords(notes, fromVersion) {
+  return MIGRATIONS
+    .filter(step => step.version > fromVersion)
+    .reduce((records, step) => step.migrate(records), notes);
+}
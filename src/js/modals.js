@@ -4,11 +4,23 @@
 // Manages the task editor modal with date/time picker and the task details
 // viewer modal. Coordinates with notes and rendering modules.
 
-import { formatTimestamp, formatDateTimeLocal, formatDueDateDisplay } from './formatters.js';
+import { formatTimestamp, formatDateTimeLocal, formatDueDateDisplay, formatTimeRange } from './formatters.js';
 import { formatElapsedTime, formatCompletedTime } from './timer.js';
+import { getColumns, getColumnName, getColumnRole, isActiveColumn, isDoneColumn, createColumnId } from './columns.js';
+import { createChecklistItemId, getChecklistProgress, getNextOccurrenceDueDate } from './notes.js';
+import { getLabels, getLabel, getLabelTextColor, createLabelId, LABEL_COLORS } from './labels.js';
+import { escapeHtml, renderMarkdown } from './markdown.js';
+import { migrateRecurrence, describeRecurrence, WEEKDAY_NAMES } from './recurrence.js';
+import { REMINDER_OFFSETS, migrateReminders, describeReminderOffset, requestNotificationPermission } from './reminders.js';
+import { getBreakTime } from './pomodoro.js';
+import { createTimeEntryId, findOverlappingEntry } from './timeLog.js';
+import { getDefaultAnalyticsRange, formatDuration, HEATMAP_WEEKDAYS } from './analytics.js';
+import { createColumnChart, createStackedAreaChart, createLineChart, createBarList, createHeatmap } from './charts.js';
 
 // Open modal for adding or editing a task
 export function openTaskModal(note, taskText, taskColumn, taskPriority, taskDueDate, saveCallback) {
+  const selectedColumn = note ? note.column : taskColumn;
+  
   // Format due date for datetime-local input
   const dueDateValue = note?.dueDate ? formatDateTimeLocal(note.dueDate) : (taskDueDate ? formatDateTimeLocal(taskDueDate) : '');
   
@@ -24,11 +36,31 @@ export function openTaskModal(note, taskText, taskColumn, taskPriority, taskDueD
       <div class="modalBody">
         <div class="formGroup">
           <label for="modalTaskName">Task Name *</label>
-          <input type="text" id="modalTaskName" value="${note ? note.text : taskText}" required>
+          <input type="text" id="modalTaskName" value="${escapeHtml(note ? note.text : taskText)}" required>
         </div>
-        <div class="formGroup">
-          <label for="modalTaskDescription">Description</label>
-          <textarea id="modalTaskDescription" rows="4" placeholder="Add task description...">${note ? (note.description || '') : ''}</textarea>
+        <div class="formGroup descriptionGroup">
+          <div class="descriptionHeader">
+            <label for="modalTaskDescription">Description</label>
+            <div class="descriptionTabs" role="tablist">
+              <button type="button" class="descriptionTab active" data-tab="write" role="tab" aria-selected="true">Write</button>
+              <button type="button" class="descriptionTab" data-tab="preview" role="tab" aria-selected="false">Preview</button>
+            </div>
+          </div>
+          <textarea id="modalTaskDescription" rows="4" placeholder="Add task description... (Markdown supported)">${escapeHtml(note ? (note.description || '') : '')}</textarea>
+          <div class="markdownBody descriptionPreview hidden"></div>
+          <div class="descriptionHint"><i class="fab fa-markdown"></i> Markdown: # heading, **bold**, *italic*, \`code\`, - lists, [link](https://...), \`\`\` code blocks</div>
+        </div>
+        <div class="formGroup checklistGroup">
+          <label for="newChecklistItem"><i class="fas fa-tasks"></i> Checklist</label>
+          <div class="checklistEditor"></div>
+          <div class="addColumnRow">
+            <input type="text" id="newChecklistItem" placeholder="Add an item...">
+            <button type="button" class="btnAddColumn btnAddChecklistItem"><i class="fas fa-plus"></i> Add</button>
+          </div>
+          <label class="checklistOption">
+            <input type="checkbox" id="checklistAutoComplete" ${note && note.autoCompleteChecklist ? 'checked' : ''}>
+            Move to Done when all items are checked
+          </label>
         </div>
         <div class="formGroup">
           <label for="modalTaskPriority">Priority</label>
@@ -38,12 +70,16 @@ export function openTaskModal(note, taskText, taskColumn, taskPriority, taskDueD
             <option value="low" ${(note ? note.priority : taskPriority) === 'low' ? 'selected' : ''}>Low</option>
           </select>
         </div>
+        <div class="formGroup">
+          <label><i class="fas fa-tags"></i> Labels</label>
+          <div class="labelPicker"></div>
+        </div>
         <div class="formGroup">
           <label for="modalTaskStatus">Status</label>
           <select id="modalTaskStatus">
-            <option value="todo" ${(note ? note.column : taskColumn) === 'todo' ? 'selected' : ''}>To Do</option>
-            <option value="inprogress" ${(note ? note.column : taskColumn) === 'inprogress' ? 'selected' : ''}>In Progress</option>
-            <option value="done" ${(note ? note.column : taskColumn) === 'done' ? 'selected' : ''}>Done</option>
+            ${getColumns().map(column => `
+              <option value="${escapeHtml(column.id)}" ${selectedColumn === column.id ? 'selected' : ''}>${escapeHtml(column.name)}</option>
+            `).join('')}
           </select>
         </div>
         <div class="formGroup dueDateGroup">
@@ -74,6 +110,44 @@ export function openTaskModal(note, taskText, taskColumn, taskPriority, taskDueD
           </div>
           ${note?.dueDate ? '<button type="button" class="btnClearDueDate" title="Clear due date"><i class="fas fa-times-circle"></i> Clear Due Date</button>' : ''}
         </div>
+        <div class="formGroup recurrenceGroup">
+          <label for="modalTaskRecurrence"><i class="fas fa-redo"></i> Repeat</label>
+          <select id="modalTaskRecurrence">
+            <option value="">Does not repeat</option>
+            <option value="daily">Daily</option>
+            <option value="weekdays">Every weekday (Mon-Fri)</option>
+            <option value="weekly">Weekly on chosen days</option>
+            <option value="monthly">Monthly on a day of the month</option>
+            <option value="interval">Every N days</option>
+          </select>
+          <div class="recurrenceOptions recurrenceDays hidden" data-type="weekly">
+            ${WEEKDAY_NAMES.map((name, day) => `
+              <label class="recurrenceDay"><input type="checkbox" value="${day}"><span>${name}</span></label>
+            `).join('')}
+          </div>
+          <div class="recurrenceOptions hidden" data-type="monthly">
+            Day <input type="number" id="recurrenceDayOfMonth" min="1" max="31"> of every month
+          </div>
+          <div class="recurrenceOptions hidden" data-type="interval">
+            Every <input type="number" id="recurrenceInterval" min="1" max="365"> days
+          </div>
+          <span class="recurrenceHint hidden">
+            <i class="fas fa-info-circle"></i>
+            Moving the task to Done creates the next one in the first column with the due date moved forward
+          </span>
+        </div>
+        <div class="formGroup reminderGroup">
+          <label><i class="fas fa-bell"></i> Reminders</label>
+          <div class="reminderOptions">
+            ${REMINDER_OFFSETS.map(offset => `
+              <label class="reminderOption"><input type="checkbox" value="${offset}"${note && note.reminders.includes(offset) ? ' checked' : ''}><span>${describeReminderOffset(offset)} before</span></label>
+            `).join('')}
+          </div>
+          <span class="reminderHint">
+            <i class="fas fa-info-circle"></i>
+            Reminders need a due date. You get a browser notification if allowed, otherwise a message in the app.
+          </span>
+        </div>
         ${note && note.lastEditedAt ? `
           <div class="lastEdited">
             Last edited: ${formatTimestamp(note.lastEditedAt)}
@@ -91,6 +165,151 @@ export function openTaskModal(note, taskText, taskColumn, taskPriority, taskDueD
   // Initialize custom date/time picker
   initializeDateTimePicker(modal, dueDateValue);
   
+  // Checklist editor works on a copy so Cancel discards changes
+  const workingChecklist = note ? (note.checklist || []).map(item => ({ ...item })) : [];
+  const checklistEditor = modal.querySelector('.checklistEditor');
+  const newItemInput = modal.querySelector('#newChecklistItem');
+  
+  // Rebuild the editable checklist rows
+  const renderChecklistRows = () => {
+    checklistEditor.innerHTML = '';
+    
+    workingChecklist.forEach((item, index) => {
+      const row = document.createElement('div');
+      row.className = 'columnRow checklistEditRow';
+      row.innerHTML = `
+        <input type="checkbox" class="checklistDoneInput" aria-label="Done">
+        <input type="text" class="columnNameInput checklistTextInput" aria-label="Checklist item">
+        <button type="button" class="btnColumnMove" data-direction="-1" title="Move up"><i class="fas fa-arrow-up"></i></button>
+        <button type="button" class="btnColumnMove" data-direction="1" title="Move down"><i class="fas fa-arrow-down"></i></button>
+        <button type="button" class="btnColumnDelete" title="Delete item"><i class="fas fa-trash"></i></button>
+      `;
+      
+      const doneInput = row.querySelector('.checklistDoneInput');
+      const textInput = row.querySelector('.checklistTextInput');
+      doneInput.checked = item.done;
+      textInput.value = item.text;
+      row.querySelector('[data-direction="-1"]').disabled = index === 0;
+      row.querySelector('[data-direction="1"]').disabled = index === workingChecklist.length - 1;
+      
+      doneInput.addEventListener('change', () => {
+        item.done = doneInput.checked;
+      });
+      textInput.addEventListener('input', () => {
+        item.text = textInput.value;
+      });
+      
+      row.querySelectorAll('.btnColumnMove').forEach(btn => {
+        btn.addEventListener('click', () => {
+          const target = index + parseInt(btn.getAttribute('data-direction'), 10);
+          [workingChecklist[index], workingChecklist[target]] = [workingChecklist[target], workingChecklist[index]];
+          renderChecklistRows();
+        });
+      });
+      
+      row.querySelector('.btnColumnDelete').addEventListener('click', () => {
+        workingChecklist.splice(index, 1);
+        renderChecklistRows();
+      });
+      
+      checklistEditor.appendChild(row);
+    });
+  };
+  
+  // Add a checklist item from the input field
+  const addChecklistItem = () => {
+    const text = newItemInput.value.trim();
+    if (text.length === 0) {
+      newItemInput.classList.add('invalidInput');
+      setTimeout(() => newItemInput.classList.remove('invalidInput'), 500);
+      return;
+    }
+    workingChecklist.push({ id: createChecklistItemId(), text: text, done: false });
+    newItemInput.value = '';
+    renderChecklistRows();
+    newItemInput.focus();
+  };
+  
+  renderChecklistRows();
+  
+  // Label picker - each label is a toggle chip
+  const selectedLabels = new Set(note ? (note.labels || []) : []);
+  const labelPicker = modal.querySelector('.labelPicker');
+  const boardLabels = getLabels();
+  if (boardLabels.length === 0) {
+    labelPicker.innerHTML = '<span class="labelPickerEmpty">No labels yet. Create them with the Labels button above the board.</span>';
+  }
+  boardLabels.forEach(label => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'labelChip labelToggle';
+    chip.textContent = label.name;
+    chip.style.setProperty('--label-color', label.color);
+    chip.style.setProperty('--label-text-color', getLabelTextColor(label.color));
+    
+    const updateChip = () => {
+      const selected = selectedLabels.has(label.id);
+      chip.classList.toggle('selected', selected);
+      chip.setAttribute('aria-pressed', String(selected));
+    };
+    chip.addEventListener('click', () => {
+      if (selectedLabels.has(label.id)) {
+        selectedLabels.delete(label.id);
+      } else {
+        selectedLabels.add(label.id);
+      }
+      updateChip();
+    });
+    
+    updateChip();
+    labelPicker.appendChild(chip);
+  });
+  
+  // Recurrence - defaults for the sub-options come from the due date (or today)
+  const recurrence = note ? note.recurrence : null;
+  const recurrenceSelect = modal.querySelector('#modalTaskRecurrence');
+  const recurrenceDays = modal.querySelector('.recurrenceDays');
+  const dayOfMonthInput = modal.querySelector('#recurrenceDayOfMonth');
+  const intervalInput = modal.querySelector('#recurrenceInterval');
+  const referenceDate = new Date(note && note.dueDate ? note.dueDate : Date.now());
+  const selectedDays = recurrence && recurrence.type === 'weekly' ? recurrence.days : [referenceDate.getDay()];
+  
+  recurrenceSelect.value = recurrence ? recurrence.type : '';
+  recurrenceDays.querySelectorAll('input').forEach(input => {
+    input.checked = selectedDays.includes(Number(input.value));
+  });
+  dayOfMonthInput.value = recurrence && recurrence.type === 'monthly' ? recurrence.dayOfMonth : referenceDate.getDate();
+  intervalInput.value = recurrence && recurrence.type === 'interval' ? recurrence.interval : 2;
+  
+  // Show the options of the selected rule type
+  const updateRecurrenceOptions = () => {
+    modal.querySelectorAll('.recurrenceOptions').forEach(options => {
+      options.classList.toggle('hidden', options.getAttribute('data-type') !== recurrenceSelect.value);
+    });
+    modal.querySelector('.recurrenceHint').classList.toggle('hidden', recurrenceSelect.value === '');
+  };
+  recurrenceSelect.addEventListener('change', updateRecurrenceOptions);
+  updateRecurrenceOptions();
+  
+  // Description Write/Preview tabs
+  const descriptionInput = modal.querySelector('#modalTaskDescription');
+  const descriptionPreview = modal.querySelector('.descriptionPreview');
+  modal.querySelectorAll('.descriptionTab').forEach(tab => {
+    tab.addEventListener('click', () => {
+      const showPreview = tab.getAttribute('data-tab') === 'preview';
+      modal.querySelectorAll('.descriptionTab').forEach(otherTab => {
+        otherTab.classList.toggle('active', otherTab === tab);
+        otherTab.setAttribute('aria-selected', String(otherTab === tab));
+      });
+      if (showPreview) {
+        const text = descriptionInput.value.trim();
+        descriptionPreview.innerHTML = text ? renderMarkdown(text) : '<p class="previewEmpty">Nothing to preview</p>';
+      }
+      descriptionInput.classList.toggle('hidden', showPreview);
+      descriptionPreview.classList.toggle('hidden', !showPreview);
+    });
+  });
+  
   // Focus on task name input
   const taskNameInput = modal.querySelector('#modalTaskName');
   taskNameInput.focus();
@@ -115,6 +334,21 @@ export function openTaskModal(note, taskText, taskColumn, taskPriority, taskDueD
     const newStatus = modal.querySelector('#modalTaskStatus').value;
     const dueDateInput = modal.querySelector('#modalTaskDueDate').value;
     const newDueDate = dueDateInput ? new Date(dueDateInput).getTime() : null;
+    const newChecklist = workingChecklist
+      .map(item => ({ ...item, text: item.text.trim() }))
+      .filter(item => item.text.length > 0);
+    const newAutoComplete = modal.querySelector('#checklistAutoComplete').checked;
+    // Keep board label order; drop IDs of labels deleted meanwhile
+    const newLabels = boardLabels.filter(label => selectedLabels.has(label.id)).map(label => label.id);
+    const newRecurrence = migrateRecurrence({
+      type: recurrenceSelect.value,
+      days: Array.from(recurrenceDays.querySelectorAll('input:checked')).map(input => Number(input.value)),
+      dayOfMonth: dayOfMonthInput.value,
+      interval: intervalInput.value
+    });
+    const newReminders = migrateReminders(
+      Array.from(modal.querySelectorAll('.reminderOption input:checked')).map(input => Number(input.value))
+    );
     
     // Validate task name
     if (newText.length === 0) {
@@ -123,8 +357,29 @@ export function openTaskModal(note, taskText, taskColumn, taskPriority, taskDueD
       return;
     }
     
-    if (saveCallback) {
-      saveCallback(note, newText, newDescription, newPriority, newDueDate, newStatus);
+    // Weekly repeats need at least one day
+    if (recurrenceSelect.value === 'weekly' && !newRecurrence) {
+      recurrenceDays.classList.add('invalidInput');
+      setTimeout(() => recurrenceDays.classList.remove('invalidInput'), 500);
+      return;
+    }
+    
+    // Ask for notification permission while handling the click that set the reminders
+    if (newReminders.length > 0 && newDueDate) {
+      requestNotificationPermission();
+    }
+    
+    // The editor stays open when the save is refused (e.g. the column is at its WIP limit);
+    // a save that first asks in the merge prompt answers with a promise
+    const saved = saveCallback ? saveCallback(note, newText, newDescription, newPriority, newDueDate, newStatus, newChecklist, newAutoComplete, newLabels, newRecurrence, newReminders) : true;
+    if (saved instanceof Promise) {
+      saved.then(result => {
+        if (result !== false) closeModal();
+      });
+      return;
+    }
+    if (saved === false) {
+      return;
     }
     
     closeModal();
@@ -134,6 +389,14 @@ export function openTaskModal(note, taskText, taskColumn, taskPriority, taskDueD
   closeBtn.addEventListener('click', closeModal);
   cancelBtn.addEventListener('click', closeModal);
   saveBtn.addEventListener('click', saveTask);
+  modal.querySelector('.btnAddChecklistItem').addEventListener('click', addChecklistItem);
+  
+  newItemInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      addChecklistItem();
+    }
+  });
   
   // Clear due date button
   const clearDueDateBtn = modal.querySelector('.btnClearDueDate');
@@ -154,9 +417,9 @@ export function openTaskModal(note, taskText, taskColumn, taskPriority, taskDueD
     }
   });
   
-  // Close on Escape key
+  // Close on Escape key (unless it is meant for the merge prompt of a save in progress)
   document.addEventListener('keydown', function escapeHandler(e) {
-    if (e.key === 'Escape') {
+    if (e.key === 'Escape' && !document.querySelector('.syncConflictModal')) {
       closeModal();
       document.removeEventListener('keydown', escapeHandler);
     }
@@ -250,26 +513,27 @@ function initializeDateTimePicker(modal, initialValue) {
 }
 
 // Open modal to view task details
-export function openTaskDetailsModal(note, getTimerManagerCallback, openTaskModalCallback, deleteNoteCallback) {
+export function openTaskDetailsModal(note, getTimerManagerCallback, openTaskModalCallback, deleteNoteCallback, toggleChecklistItemCallback, saveTimeLogCallback) {
   const modal = document.createElement('div');
   modal.className = 'taskModal taskDetailsModal';
   
   const priorityLabels = { high: 'High', medium: 'Medium', low: 'Low' };
-  const columnLabels = { todo: 'To Do', inprogress: 'In Progress', done: 'Done' };
   const priorityClasses = { high: 'priorityHigh', medium: 'priorityMedium', low: 'priorityLow' };
   const statusClasses = { todo: 'statusTodo', inprogress: 'statusInprogress', done: 'statusDone' };
+  const isActive = isActiveColumn(note.column);
+  const isDone = isDoneColumn(note.column);
   
-  // Calculate time spent for display
-  let timeSpentDisplay = '';
-  if (note.startedAt && (note.timeSpent > 0 || note.column === 'inprogress')) {
-    if (note.column === 'inprogress' && getTimerManagerCallback) {
+  // Calculate time spent for display (live for a running timer)
+  const getTimeSpentDisplay = () => {
+    if (isActive && getTimerManagerCallback) {
       const timerManager = getTimerManagerCallback();
-      const elapsedTime = timerManager.getElapsedTime(note.id);
-      timeSpentDisplay = formatCompletedTime(elapsedTime);
-    } else {
-      timeSpentDisplay = formatCompletedTime(note.timeSpent);
+      // The work timer is paused during a Pomodoro break
+      const elapsedTime = timerManager.isTimerActive(note.id) ? timerManager.getElapsedTime(note.id) : note.timeSpent;
+      return formatCompletedTime(elapsedTime);
     }
-  }
+    return formatCompletedTime(note.timeSpent);
+  };
+  const timeSpentDisplay = note.startedAt && (note.timeSpent > 0 || isActive) ? getTimeSpentDisplay() : '';
   
   modal.innerHTML = `
     <div class="modalContent">
@@ -281,12 +545,40 @@ export function openTaskDetailsModal(note, getTimerManagerCallback, openTaskModa
         <div class="detailsView">
           <div class="detailSection">
             <div class="detailLabel"><i class="fas fa-tasks"></i> Task Name</div>
-            <div class="detailValue taskName">${note.text}</div>
+            <div class="detailValue taskName">${escapeHtml(note.text)}</div>
           </div>
           ${note.description ? `
             <div class="detailSection">
               <div class="detailLabel"><i class="fas fa-align-left"></i> Description</div>
-              <div class="detailValue description">${note.description}</div>
+              <div class="detailValue description markdownBody">${renderMarkdown(note.description)}</div>
+            </div>
+          ` : ''}
+          ${note.labels && note.labels.some(labelId => getLabel(labelId)) ? `
+            <div class="detailSection">
+              <div class="detailLabel"><i class="fas fa-tags"></i> Labels</div>
+              <div class="detailValue detailLabels"></div>
+            </div>
+          ` : ''}
+          ${note.recurrence ? `
+            <div class="detailSection">
+              <div class="detailLabel"><i class="fas fa-redo"></i> Repeats</div>
+              <div class="detailValue recurrenceValue">
+                ${escapeHtml(describeRecurrence(note.recurrence))}
+                <span class="recurrenceNext">Next due: ${formatDueDateDisplay(new Date(getNextOccurrenceDueDate(note)))}</span>
+              </div>
+            </div>
+          ` : ''}
+          ${note.dueDate && note.reminders.length > 0 ? `
+            <div class="detailSection">
+              <div class="detailLabel"><i class="fas fa-bell"></i> Reminders</div>
+              <div class="detailValue">${note.reminders.map(describeReminderOffset).join(', ')} before the due date</div>
+            </div>
+          ` : ''}
+          ${note.checklist && note.checklist.length > 0 ? `
+            <div class="detailSection">
+              <div class="detailLabel"><i class="fas fa-tasks"></i> Checklist <span class="detailChecklistCount"></span></div>
+              <div class="checklistBar"><div class="checklistBarFill"></div></div>
+              <div class="detailChecklist"></div>
             </div>
           ` : ''}
           <div class="detailRow">
@@ -298,7 +590,7 @@ export function openTaskDetailsModal(note, getTimerManagerCallback, openTaskModa
             </div>
             <div class="detailSection">
               <div class="detailLabel"><i class="fas fa-columns"></i> Status</div>
-              <div class="detailValue statusBadge ${statusClasses[note.column]}">${columnLabels[note.column]}</div>
+              <div class="detailValue statusBadge ${statusClasses[getColumnRole(note.column)]}">${escapeHtml(getColumnName(note.column))}</div>
             </div>
           </div>
           ${note.dueDate ? `
@@ -323,29 +615,40 @@ export function openTaskDetailsModal(note, getTimerManagerCallback, openTaskModa
               <div class="detailValue">${formatTimestamp(note.startedAt)}</div>
             </div>
           ` : ''}
-          ${timeSpentDisplay && note.column !== 'done' ? `
+          ${timeSpentDisplay && !isDone ? `
             <div class="detailSection">
               <div class="detailLabel"><i class="fas fa-hourglass-half"></i> Time Spent On Task</div>
-              <div class="detailValue">${timeSpentDisplay}</div>
+              <div class="detailValue detailTimeSpent">${timeSpentDisplay}</div>
             </div>
           ` : ''}
-          ${note.completedAt && note.column === 'done' ? `
+          ${note.completedAt && isDone ? `
             <div class="detailSection">
               <div class="detailLabel"><i class="fas fa-check-circle"></i> Completed</div>
               <div class="detailValue">${formatTimestamp(note.completedAt)}</div>
             </div>
             <div class="detailSection">
               <div class="detailLabel"><i class="fas fa-clock"></i> Total Time Spent On Task</div>
-              <div class="detailValue">${formatCompletedTime(note.timeSpent)}</div>
+              <div class="detailValue detailTimeSpent">${formatCompletedTime(note.timeSpent)}</div>
+            </div>
+          ` : ''}
+          ${note.pomodoro || note.pomodoros > 0 || note.breakTime > 0 ? `
+            <div class="detailSection">
+              <div class="detailLabel"><i class="fas fa-stopwatch"></i> Pomodoros</div>
+              <div class="detailValue">${note.pomodoros} completed · ${getBreakTime(note) > 0 ? formatCompletedTime(getBreakTime(note)) : 'no time'} on breaks</div>
             </div>
           ` : ''}
+          <div class="detailSection timeLogSection">
+            <div class="detailLabel"><i class="fas fa-history"></i> Time Log</div>
+            <div class="timeLogList"></div>
+            ${saveTimeLogCallback ? '<button type="button" class="btnAddColumn btnAddTimeEntry"><i class="fas fa-plus"></i> Add Entry</button>' : ''}
+          </div>
         </div>
       </div>
       <div class="modalFooter">
-        <button class="btnDelete" data-note-id="${note.id}">
+        <button class="btnDelete" data-note-id="${escapeHtml(note.id)}">
           <i class="fas fa-trash"></i> Delete Task
         </button>
-        <button class="btnEdit" data-note-id="${note.id}">
+        <button class="btnEdit" data-note-id="${escapeHtml(note.id)}">
           <i class="fas fa-edit"></i> Edit Task
         </button>
         <button class="btnClose">Close</button>
@@ -364,6 +667,186 @@ export function openTaskDetailsModal(note, getTimerManagerCallback, openTaskModa
     modal.remove();
   };
   
+  // Label chips
+  const detailLabels = modal.querySelector('.detailLabels');
+  if (detailLabels) {
+    note.labels.map(labelId => getLabel(labelId)).filter(Boolean).forEach(label => {
+      const chip = document.createElement('span');
+      chip.className = 'labelChip';
+      chip.style.backgroundColor = label.color;
+      chip.style.color = getLabelTextColor(label.color);
+      chip.textContent = label.name;
+      detailLabels.appendChild(chip);
+    });
+  }
+  
+  // Checklist items can be ticked right here
+  const checklistContainer = modal.querySelector('.detailChecklist');
+  if (checklistContainer) {
+    const updateChecklistProgress = () => {
+      const progress = getChecklistProgress(note);
+      modal.querySelector('.detailChecklistCount').textContent = `${progress.done}/${progress.total}`;
+      modal.querySelector('.checklistBarFill').style.width = `${Math.round((progress.done / progress.total) * 100)}%`;
+    };
+    
+    note.checklist.forEach(item => {
+      const label = document.createElement('label');
+      label.className = 'checklistItem';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = item.done;
+      checkbox.disabled = !toggleChecklistItemCallback;
+      const text = document.createElement('span');
+      text.textContent = item.text;
+      label.appendChild(checkbox);
+      label.appendChild(text);
+      
+      checkbox.addEventListener('change', () => {
+        const column = note.column;
+        const updatedNote = toggleChecklistItemCallback(note.id, item.id, checkbox.checked);
+        if (!updatedNote) return;
+        
+        // Reopen with fresh details if completing the checklist moved the task
+        if (updatedNote.column !== column) {
+          closeModal();
+          openTaskDetailsModal(updatedNote, getTimerManagerCallback, openTaskModalCallback, deleteNoteCallback, toggleChecklistItemCallback, saveTimeLogCallback);
+          return;
+        }
+        note = updatedNote;
+        updateChecklistProgress();
+      });
+      
+      checklistContainer.appendChild(label);
+    });
+    
+    updateChecklistProgress();
+  }
+  
+  // Time log - finished sessions can be corrected, added and deleted by hand
+  const timeLogList = modal.querySelector('.timeLogList');
+  
+  // Save an edited copy of the log and refresh the totals
+  const saveTimeLog = (timeLog) => {
+    const updatedNote = saveTimeLogCallback(note.id, timeLog);
+    if (!updatedNote) return;
+    note = updatedNote;
+    modal.querySelectorAll('.detailTimeSpent').forEach(element => {
+      element.textContent = getTimeSpentDisplay();
+    });
+    renderTimeLog();
+  };
+  
+  // Turn a row into start/end inputs; entry is null for a new entry
+  const editTimeEntry = (row, entry) => {
+    const now = Date.now();
+    row.className = 'columnRow timeLogRow editing';
+    row.innerHTML = `
+      <input type="datetime-local" class="timeLogStart" aria-label="Start">
+      <span class="timeLogSeparator">–</span>
+      <input type="datetime-local" class="timeLogEnd" aria-label="End">
+      <button type="button" class="btnColumnMove btnSaveTimeEntry" title="Save entry"><i class="fas fa-check"></i></button>
+      <button type="button" class="btnColumnDelete btnCancelTimeEntry" title="Cancel"><i class="fas fa-times"></i></button>
+    `;
+    const startInput = row.querySelector('.timeLogStart');
+    const endInput = row.querySelector('.timeLogEnd');
+    startInput.value = formatDateTimeLocal(entry ? entry.start : now - 60 * 60 * 1000);
+    endInput.value = formatDateTimeLocal(entry ? entry.end : now);
+    startInput.focus();
+    
+    row.querySelector('.btnCancelTimeEntry').addEventListener('click', renderTimeLog);
+    row.querySelector('.btnSaveTimeEntry').addEventListener('click', () => {
+      // Unchanged fields keep their exact time (the inputs only show minutes)
+      const readInput = (input, original) => {
+        if (original !== null && input.value === formatDateTimeLocal(original)) return original;
+        return input.value ? new Date(input.value).getTime() : NaN;
+      };
+      const start = readInput(startInput, entry ? entry.start : null);
+      const end = readInput(endInput, entry ? entry.end : null);
+      
+      // Both times are needed, the end after the start and not in the future
+      const invalidInputs = [];
+      if (!Number.isFinite(start) || start > Date.now()) invalidInputs.push(startInput);
+      if (!Number.isFinite(end) || end <= start || end > Date.now()) invalidInputs.push(endInput);
+      if (invalidInputs.length > 0) {
+        invalidInputs.forEach(input => {
+          input.classList.add('invalidInput');
+          setTimeout(() => input.classList.remove('invalidInput'), 500);
+        });
+        return;
+      }
+      
+      const overlapping = findOverlappingEntry(note, start, end, entry ? entry.id : null);
+      if (overlapping) {
+        alert(overlapping.id === 'running'
+          ? 'This entry overlaps the session that is running now.'
+          : `This entry overlaps the session ${formatTimeRange(overlapping.start, overlapping.end)}.`);
+        return;
+      }
+      
+      const otherEntries = note.timeLog.filter(other => !entry || other.id !== entry.id);
+      saveTimeLog([...otherEntries, { id: entry ? entry.id : createTimeEntryId(), start, end }]);
+    });
+  };
+  
+  // Rebuild the log rows, newest first
+  const renderTimeLog = () => {
+    timeLogList.innerHTML = '';
+    
+    if (note.inProgressSince && isActive) {
+      const runningRow = document.createElement('div');
+      runningRow.className = 'columnRow timeLogRow running';
+      runningRow.innerHTML = '<span class="timeLogRange"></span><span class="timeLogDuration">running</span>';
+      runningRow.querySelector('.timeLogRange').textContent = `${formatDueDateDisplay(new Date(note.inProgressSince))} – now`;
+      timeLogList.appendChild(runningRow);
+    }
+    
+    if (note.timeLog.length === 0 && !(note.inProgressSince && isActive)) {
+      const empty = document.createElement('p');
+      empty.className = 'timeLogEmpty';
+      empty.textContent = 'No time recorded yet.';
+      timeLogList.appendChild(empty);
+      return;
+    }
+    
+    [...note.timeLog].reverse().forEach(entry => {
+      const row = document.createElement('div');
+      row.className = 'columnRow timeLogRow';
+      row.innerHTML = `
+        <span class="timeLogRange"></span>
+        <span class="timeLogDuration"></span>
+        ${saveTimeLogCallback ? `
+          <button type="button" class="btnColumnMove btnEditTimeEntry" title="Edit entry"><i class="fas fa-pen"></i></button>
+          <button type="button" class="btnColumnDelete btnDeleteTimeEntry" title="Delete entry"><i class="fas fa-times"></i></button>
+        ` : ''}
+      `;
+      row.querySelector('.timeLogRange').textContent = entry.migrated
+        ? `Tracked before the time log (until ${formatDueDateDisplay(new Date(entry.end))})`
+        : formatTimeRange(entry.start, entry.end);
+      row.querySelector('.timeLogDuration').textContent = formatElapsedTime(entry.end - entry.start);
+      
+      if (saveTimeLogCallback) {
+        row.querySelector('.btnEditTimeEntry').addEventListener('click', () => editTimeEntry(row, entry));
+        row.querySelector('.btnDeleteTimeEntry').addEventListener('click', () => {
+          if (confirm('Delete this time entry?')) {
+            saveTimeLog(note.timeLog.filter(other => other.id !== entry.id));
+          }
+        });
+      }
+      timeLogList.appendChild(row);
+    });
+  };
+  renderTimeLog();
+  
+  const addTimeEntryBtn = modal.querySelector('.btnAddTimeEntry');
+  if (addTimeEntryBtn) {
+    addTimeEntryBtn.addEventListener('click', () => {
+      const row = document.createElement('div');
+      timeLogList.querySelector('.timeLogEmpty')?.remove();
+      timeLogList.prepend(row);
+      editTimeEntry(row, null);
+    });
+  }
+  
   // Attach event listeners
   closeBtn.addEventListener('click', closeModal);
   closeFooterBtn.addEventListener('click', closeModal);
@@ -377,7 +860,7 @@ export function openTaskDetailsModal(note, getTimerManagerCallback, openTaskModa
   
   if (deleteBtn && deleteNoteCallback) {
     deleteBtn.addEventListener('click', () => {
-      if (confirm('Are you sure you want to delete this task?')) {
+      if (confirm('Move this task to the trash?')) {
         deleteNoteCallback(note.id);
         closeModal();
       }
@@ -400,10 +883,1291 @@ export function openTaskDetailsModal(note, getTimerManagerCallback, openTaskModa
   });
 }
 
+// Open modal to add, rename, reorder and delete board columns and set their WIP limits
+export function openColumnsModal(columns, notesArray, wipLimitMode, saveCallback) {
+  // Edit a working copy so Cancel discards everything
+  const workingColumns = columns.map(column => ({ ...column }));
+  
+  const modal = document.createElement('div');
+  modal.className = 'taskModal columnsModal';
+  modal.innerHTML = `
+    <div class="modalContent">
+      <div class="modalHeader">
+        <h2><i class="fas fa-columns"></i> Manage Columns</h2>
+        <button class="modalClose">&times;</button>
+      </div>
+      <div class="modalBody">
+        <p class="modalHint">
+          <i class="fas fa-info-circle"></i>
+          Active columns run the task timer. Entering a done column marks the task as completed.
+          A WIP limit caps how many tasks a column holds (leave it empty for no limit).
+        </p>
+        <div class="columnList"></div>
+        <div class="formGroup">
+          <label for="wipLimitMode"><i class="fas fa-hand-paper"></i> When a column is at its WIP limit</label>
+          <select id="wipLimitMode">
+            <option value="confirm">Ask before adding another task</option>
+            <option value="block">Block the move</option>
+          </select>
+        </div>
+        <div class="formGroup addColumnGroup">
+          <label for="newColumnName"><i class="fas fa-plus-circle"></i> Add Column</label>
+          <div class="addColumnRow">
+            <input type="text" id="newColumnName" placeholder="e.g. Backlog, Review, Blocked">
+            <button type="button" class="btnAddColumn"><i class="fas fa-plus"></i> Add</button>
+          </div>
+        </div>
+      </div>
+      <div class="modalFooter">
+        <button class="btnCancel">Cancel</button>
+        <button class="btnSave">Save Columns</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  const columnList = modal.querySelector('.columnList');
+  const newColumnInput = modal.querySelector('#newColumnName');
+  const wipModeSelect = modal.querySelector('#wipLimitMode');
+  wipModeSelect.value = wipLimitMode;
+  
+  // Count tasks currently stored in a column
+  const countTasks = (columnId) => notesArray.filter(note => note.column === columnId).length;
+  
+  // Rebuild the editable column rows
+  const renderRows = () => {
+    columnList.innerHTML = '';
+    workingColumns.forEach((column, index) => {
+      const row = document.createElement('div');
+      row.className = 'columnRow';
+      row.innerHTML = `
+        <input type="text" class="columnNameInput" aria-label="Column name">
+        <select class="columnRoleSelect" aria-label="Column role">
+          <option value="normal">Normal</option>
+          <option value="active">Active (timer runs)</option>
+          <option value="done">Done</option>
+        </select>
+        <input type="number" class="columnWipInput" min="1" max="99" step="1" placeholder="WIP" aria-label="WIP limit" title="WIP limit (empty for none)">
+        <span class="columnTaskCount"></span>
+        <button type="button" class="btnColumnMove" data-direction="-1" title="Move left"><i class="fas fa-arrow-up"></i></button>
+        <button type="button" class="btnColumnMove" data-direction="1" title="Move right"><i class="fas fa-arrow-down"></i></button>
+        <button type="button" class="btnColumnDelete" title="Delete column"><i class="fas fa-trash"></i></button>
+      `;
+      
+      const nameInput = row.querySelector('.columnNameInput');
+      const roleSelect = row.querySelector('.columnRoleSelect');
+      const wipInput = row.querySelector('.columnWipInput');
+      const taskCount = countTasks(column.id);
+      
+      nameInput.value = column.name;
+      roleSelect.value = column.isActive ? 'active' : (column.isDone ? 'done' : 'normal');
+      // Done columns collect finished work and have no limit
+      wipInput.value = column.wipLimit && !column.isDone ? column.wipLimit : '';
+      wipInput.disabled = Boolean(column.isDone);
+      row.querySelector('.columnTaskCount').textContent = `${taskCount} task${taskCount !== 1 ? 's' : ''}`;
+      row.querySelector('[data-direction="-1"]').disabled = index === 0;
+      row.querySelector('[data-direction="1"]').disabled = index === workingColumns.length - 1;
+      row.querySelector('.btnColumnDelete').disabled = workingColumns.length === 1;
+      
+      nameInput.addEventListener('input', () => {
+        column.name = nameInput.value;
+      });
+      
+      roleSelect.addEventListener('change', () => {
+        column.isActive = roleSelect.value === 'active';
+        column.isDone = roleSelect.value === 'done';
+        wipInput.disabled = column.isDone;
+      });
+      
+      wipInput.addEventListener('input', () => {
+        column.wipLimit = wipInput.value === '' ? null : Number(wipInput.value);
+      });
+      
+      row.querySelectorAll('.btnColumnMove').forEach(btn => {
+        btn.addEventListener('click', () => {
+          const target = index + parseInt(btn.getAttribute('data-direction'));
+          [workingColumns[index], workingColumns[target]] = [workingColumns[target], workingColumns[index]];
+          renderRows();
+        });
+      });
+      
+      row.querySelector('.btnColumnDelete').addEventListener('click', () => {
+        workingColumns.splice(index, 1);
+        renderRows();
+      });
+      
+      columnList.appendChild(row);
+    });
+  };
+  
+  // Add a new column at the end of the board
+  const addColumn = () => {
+    const name = newColumnInput.value.trim();
+    if (name.length === 0) {
+      newColumnInput.classList.add('invalidInput');
+      setTimeout(() => newColumnInput.classList.remove('invalidInput'), 500);
+      return;
+    }
+    workingColumns.push({ id: createColumnId(name, workingColumns), name: name, isActive: false, isDone: false, wipLimit: null });
+    newColumnInput.value = '';
+    renderRows();
+  };
+  
+  const closeModal = () => {
+    modal.remove();
+  };
+  
+  // Validate names and limits and hand the new config back
+  const saveColumns = () => {
+    const emptyInput = Array.from(columnList.querySelectorAll('.columnNameInput')).find(input => input.value.trim().length === 0);
+    if (emptyInput) {
+      emptyInput.classList.add('invalidInput');
+      setTimeout(() => emptyInput.classList.remove('invalidInput'), 500);
+      return;
+    }
+    const invalidLimit = Array.from(columnList.querySelectorAll('.columnWipInput')).find(input =>
+      !input.disabled && input.value !== '' && !(Number.isInteger(Number(input.value)) && Number(input.value) > 0)
+    );
+    if (invalidLimit) {
+      invalidLimit.classList.add('invalidInput');
+      setTimeout(() => invalidLimit.classList.remove('invalidInput'), 500);
+      return;
+    }
+    
+    // Tasks from deleted columns move to the first remaining column
+    const deletedTaskCount = notesArray.filter(note => !workingColumns.some(column => column.id === note.column)).length;
+    if (deletedTaskCount > 0 && !confirm(`${deletedTaskCount} task(s) will be moved to "${workingColumns[0].name.trim()}". Continue?`)) {
+      return;
+    }
+    
+    if (saveCallback) {
+      saveCallback(workingColumns.map(column => ({ ...column, name: column.name.trim() })), wipModeSelect.value);
+    }
+    closeModal();
+  };
+  
+  renderRows();
+  
+  // Attach event listeners
+  modal.querySelector('.btnAddColumn').addEventListener('click', addColumn);
+  modal.querySelector('.modalClose').addEventListener('click', closeModal);
+  modal.querySelector('.btnCancel').addEventListener('click', closeModal);
+  modal.querySelector('.btnSave').addEventListener('click', saveColumns);
+  
+  newColumnInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      addColumn();
+    }
+  });
+  
+  // Close on backdrop click
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeModal();
+    }
+  });
+  
+  // Close on Escape key
+  document.addEventListener('keydown', function escapeHandler(e) {
+    if (e.key === 'Escape') {
+      closeModal();
+      document.removeEventListener('keydown', escapeHandler);
+    }
+  });
+}
 
-
-
-
-
-
-
+// Open modal to create, rename, recolor and delete labels
+export function openLabelsModal(labels, notesArray, saveCallback) {
+  // Edit a working copy so Cancel discards everything
+  const workingLabels = labels.map(label => ({ ...label }));
+  
+  const modal = document.createElement('div');
+  modal.className = 'taskModal labelsModal';
+  modal.innerHTML = `
+    <div class="modalContent">
+      <div class="modalHeader">
+        <h2><i class="fas fa-tags"></i> Manage Labels</h2>
+        <button class="modalClose">&times;</button>
+      </div>
+      <div class="modalBody">
+        <p class="modalHint">
+          <i class="fas fa-info-circle"></i>
+          Labels belong to this board. Deleting a label removes it from every task.
+        </p>
+        <div class="columnList labelList"></div>
+        <div class="formGroup addColumnGroup">
+          <label for="newLabelName"><i class="fas fa-plus-circle"></i> Add Label</label>
+          <div class="addColumnRow">
+            <input type="text" id="newLabelName" placeholder="e.g. backend, client-A">
+            <button type="button" class="btnAddColumn btnAddLabel"><i class="fas fa-plus"></i> Add</button>
+          </div>
+        </div>
+      </div>
+      <div class="modalFooter">
+        <button class="btnCancel">Cancel</button>
+        <button class="btnSave">Save Labels</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  const labelList = modal.querySelector('.labelList');
+  const newLabelInput = modal.querySelector('#newLabelName');
+  
+  // Count tasks carrying a label
+  const countTasks = (labelId) => notesArray.filter(note => (note.labels || []).includes(labelId)).length;
+  
+  // Rebuild the editable label rows
+  const renderRows = () => {
+    labelList.innerHTML = '';
+    
+    if (workingLabels.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'labelListEmpty';
+      empty.textContent = 'No labels yet.';
+      labelList.appendChild(empty);
+      return;
+    }
+    
+    workingLabels.forEach((label, index) => {
+      const row = document.createElement('div');
+      row.className = 'columnRow labelRow';
+      row.innerHTML = `
+        <input type="color" class="labelColorInput" aria-label="Label color">
+        <input type="text" class="columnNameInput" aria-label="Label name">
+        <span class="columnTaskCount"></span>
+        <button type="button" class="btnColumnDelete" title="Delete label"><i class="fas fa-trash"></i></button>
+      `;
+      
+      const colorInput = row.querySelector('.labelColorInput');
+      const nameInput = row.querySelector('.columnNameInput');
+      const taskCount = countTasks(label.id);
+      
+      colorInput.value = label.color;
+      nameInput.value = label.name;
+      row.querySelector('.columnTaskCount').textContent = `${taskCount} task${taskCount !== 1 ? 's' : ''}`;
+      
+      colorInput.addEventListener('input', () => {
+        label.color = colorInput.value;
+      });
+      
+      nameInput.addEventListener('input', () => {
+        label.name = nameInput.value;
+      });
+      
+      row.querySelector('.btnColumnDelete').addEventListener('click', () => {
+        workingLabels.splice(index, 1);
+        renderRows();
+      });
+      
+      labelList.appendChild(row);
+    });
+  };
+  
+  // Add a new label with the next palette color
+  const addLabel = () => {
+    const name = newLabelInput.value.trim();
+    if (name.length === 0) {
+      newLabelInput.classList.add('invalidInput');
+      setTimeout(() => newLabelInput.classList.remove('invalidInput'), 500);
+      return;
+    }
+    workingLabels.push({
+      id: createLabelId(name, workingLabels),
+      name: name,
+      color: LABEL_COLORS[workingLabels.length % LABEL_COLORS.length]
+    });
+    newLabelInput.value = '';
+    renderRows();
+  };
+  
+  const closeModal = () => {
+    modal.remove();
+  };
+  
+  // Validate names and hand the new list back
+  const saveLabels = () => {
+    const emptyInput = Array.from(labelList.querySelectorAll('.columnNameInput')).find(input => input.value.trim().length === 0);
+    if (emptyInput) {
+      emptyInput.classList.add('invalidInput');
+      setTimeout(() => emptyInput.classList.remove('invalidInput'), 500);
+      return;
+    }
+    
+    if (saveCallback) {
+      saveCallback(workingLabels.map(label => ({ ...label, name: label.name.trim() })));
+    }
+    closeModal();
+  };
+  
+  renderRows();
+  
+  // Attach event listeners
+  modal.querySelector('.btnAddLabel').addEventListener('click', addLabel);
+  modal.querySelector('.modalClose').addEventListener('click', closeModal);
+  modal.querySelector('.btnCancel').addEventListener('click', closeModal);
+  modal.querySelector('.btnSave').addEventListener('click', saveLabels);
+  
+  newLabelInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      addLabel();
+    }
+  });
+  
+  // Close on backdrop click
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeModal();
+    }
+  });
+  
+  // Close on Escape key
+  document.addEventListener('keydown', function escapeHandler(e) {
+    if (e.key === 'Escape') {
+      closeModal();
+      document.removeEventListener('keydown', escapeHandler);
+    }
+  });
+}
+
+// Open modal to create, rename, duplicate and delete boards
+export function openBoardsModal(getBoardsCallback, getActiveBoardIdCallback, actions) {
+  const modal = document.createElement('div');
+  modal.className = 'taskModal boardsModal';
+  modal.innerHTML = `
+    <div class="modalContent">
+      <div class="modalHeader">
+        <h2><i class="fas fa-layer-group"></i> Manage Boards</h2>
+        <button class="modalClose">&times;</button>
+      </div>
+      <div class="modalBody">
+        <p class="modalHint">
+          <i class="fas fa-info-circle"></i>
+          Each board keeps its own tasks and columns. Renaming takes effect when you leave the field.
+        </p>
+        <div class="boardList"></div>
+        <div class="formGroup addColumnGroup">
+          <label for="newBoardName"><i class="fas fa-plus-circle"></i> New Board</label>
+          <div class="addColumnRow">
+            <input type="text" id="newBoardName" placeholder="e.g. Work Sprint, Personal">
+            <button type="button" class="btnAddColumn btnAddBoard"><i class="fas fa-plus"></i> Create</button>
+          </div>
+        </div>
+      </div>
+      <div class="modalFooter">
+        <button class="btnClose">Close</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  const boardList = modal.querySelector('.boardList');
+  const newBoardInput = modal.querySelector('#newBoardName');
+  
+  // Rebuild board rows from the current board list
+  const renderRows = () => {
+    const boards = getBoardsCallback();
+    const activeBoardId = getActiveBoardIdCallback();
+    boardList.innerHTML = '';
+    
+    boards.forEach(board => {
+      const row = document.createElement('div');
+      row.className = 'columnRow boardRow';
+      row.classList.toggle('activeBoard', board.id === activeBoardId);
+      row.innerHTML = `
+        <input type="text" class="columnNameInput" aria-label="Board name">
+        <button type="button" class="btnColumnMove btnBoardOpen" title="Open board"><i class="fas fa-folder-open"></i></button>
+        <button type="button" class="btnColumnMove btnBoardDuplicate" title="Duplicate board"><i class="fas fa-copy"></i></button>
+        <button type="button" class="btnColumnDelete" title="Delete board"><i class="fas fa-trash"></i></button>
+      `;
+      
+      const nameInput = row.querySelector('.columnNameInput');
+      nameInput.value = board.name;
+      row.querySelector('.btnBoardOpen').disabled = board.id === activeBoardId;
+      row.querySelector('.btnColumnDelete').disabled = boards.length === 1;
+      
+      // Rename when the field loses focus
+      nameInput.addEventListener('change', () => {
+        const name = nameInput.value.trim();
+        if (name.length === 0) {
+          nameInput.value = board.name;
+          return;
+        }
+        actions.onRename(board.id, name);
+      });
+      
+      row.querySelector('.btnBoardOpen').addEventListener('click', () => {
+        actions.onSelect(board.id);
+        renderRows();
+      });
+      
+      row.querySelector('.btnBoardDuplicate').addEventListener('click', () => {
+        actions.onDuplicate(board.id);
+        renderRows();
+      });
+      
+      row.querySelector('.btnColumnDelete').addEventListener('click', () => {
+        if (confirm(`Delete board "${board.name}" and all of its tasks? This cannot be undone.`)) {
+          actions.onDelete(board.id);
+          renderRows();
+        }
+      });
+      
+      boardList.appendChild(row);
+    });
+  };
+  
+  // Create a board from the input field
+  const createBoard = () => {
+    const name = newBoardInput.value.trim();
+    if (name.length === 0) {
+      newBoardInput.classList.add('invalidInput');
+      setTimeout(() => newBoardInput.classList.remove('invalidInput'), 500);
+      return;
+    }
+    actions.onCreate(name);
+    newBoardInput.value = '';
+    renderRows();
+  };
+  
+  const closeModal = () => {
+    modal.remove();
+  };
+  
+  renderRows();
+  
+  // Attach event listeners
+  modal.querySelector('.btnAddBoard').addEventListener('click', createBoard);
+  modal.querySelector('.modalClose').addEventListener('click', closeModal);
+  modal.querySelector('.btnClose').addEventListener('click', closeModal);
+  
+  newBoardInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      createBoard();
+    }
+  });
+  
+  // Close on backdrop click
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeModal();
+    }
+  });
+  
+  // Close on Escape key
+  document.addEventListener('keydown', function escapeHandler(e) {
+    if (e.key === 'Escape') {
+      closeModal();
+      document.removeEventListener('keydown', escapeHandler);
+    }
+  });
+}
+
+// Open modal to review a parsed backup and choose how to import it
+export function openImportModal(result, importCallback) {
+  const { backup, errors, totalRecords, validRecords } = result;
+  
+  const modal = document.createElement('div');
+  modal.className = 'taskModal importModal';
+  modal.innerHTML = `
+    <div class="modalContent">
+      <div class="modalHeader">
+        <h2><i class="fas fa-file-import"></i> Import Backup</h2>
+        <button class="modalClose">&times;</button>
+      </div>
+      <div class="modalBody">
+        <div class="importSummary">
+          <div class="detailSection">
+            <div class="detailLabel"><i class="fas fa-layer-group"></i> Boards</div>
+            <div class="detailValue">${backup.boards.length}</div>
+          </div>
+          <div class="detailSection">
+            <div class="detailLabel"><i class="fas fa-tasks"></i> Valid Tasks</div>
+            <div class="detailValue">${validRecords} of ${totalRecords}</div>
+          </div>
+          ${backup.exportedAt ? `
+            <div class="detailSection">
+              <div class="detailLabel"><i class="fas fa-calendar-plus"></i> Exported</div>
+              <div class="detailValue">${formatTimestamp(backup.exportedAt)}</div>
+            </div>
+          ` : ''}
+        </div>
+        <div class="formGroup importModes">
+          <label>Import Mode</label>
+          <label class="importMode">
+            <input type="radio" name="importMode" value="merge" checked>
+            <span><strong>Merge by ID</strong> - update tasks with the same ID, add the rest</span>
+          </label>
+          <label class="importMode">
+            <input type="radio" name="importMode" value="copy">
+            <span><strong>Import as new copies</strong> - keep existing tasks, add every imported task with a new ID</span>
+          </label>
+          <label class="importMode">
+            <input type="radio" name="importMode" value="replace">
+            <span><strong>Replace everything</strong> - delete all current boards and tasks first</span>
+          </label>
+        </div>
+        <div class="importErrors ${errors.length === 0 ? 'hidden' : ''}">
+          <div class="detailLabel"><i class="fas fa-exclamation-triangle"></i> ${errors.length} record(s) skipped</div>
+          <ul class="importErrorList"></ul>
+        </div>
+      </div>
+      <div class="modalFooter">
+        <button class="btnCancel">Cancel</button>
+        <button class="btnSave">Import</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  // Error messages contain user data, so add them as text
+  const errorList = modal.querySelector('.importErrorList');
+  errors.forEach(message => {
+    const item = document.createElement('li');
+    item.textContent = message;
+    errorList.appendChild(item);
+  });
+  
+  const saveBtn = modal.querySelector('.btnSave');
+  saveBtn.disabled = backup.boards.length === 0;
+  
+  const closeModal = () => {
+    modal.remove();
+  };
+  
+  // Run the import with the selected mode
+  const runImport = () => {
+    const mode = modal.querySelector('input[name="importMode"]:checked').value;
+    if (mode === 'replace' && !confirm('Replace all boards and tasks with the backup? This cannot be undone.')) {
+      return;
+    }
+    if (importCallback) {
+      importCallback(mode);
+    }
+    closeModal();
+  };
+  
+  // Attach event listeners
+  modal.querySelector('.modalClose').addEventListener('click', closeModal);
+  modal.querySelector('.btnCancel').addEventListener('click', closeModal);
+  saveBtn.addEventListener('click', runImport);
+  
+  // Close on backdrop click
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeModal();
+    }
+  });
+  
+  // Close on Escape key
+  document.addEventListener('keydown', function escapeHandler(e) {
+    if (e.key === 'Escape') {
+      closeModal();
+      document.removeEventListener('keydown', escapeHandler);
+    }
+  });
+}
+
+// Open modal to choose the date range and columns for the timesheet CSV
+export function openTimesheetModal(columns, exportCallback) {
+  const modal = document.createElement('div');
+  modal.className = 'taskModal timesheetModal';
+  modal.innerHTML = `
+    <div class="modalContent">
+      <div class="modalHeader">
+        <h2><i class="fas fa-file-csv"></i> Export Timesheet</h2>
+        <button class="modalClose">&times;</button>
+      </div>
+      <div class="modalBody">
+        <p class="modalHint">
+          <i class="fas fa-info-circle"></i>
+          One row per task with its tracked time. Tasks are included when they were worked on during the selected dates.
+        </p>
+        <div class="dateRangeRow">
+          <div class="formGroup">
+            <label for="timesheetFrom"><i class="fas fa-calendar-day"></i> From</label>
+            <input type="date" id="timesheetFrom">
+          </div>
+          <div class="formGroup">
+            <label for="timesheetTo"><i class="fas fa-calendar-day"></i> To</label>
+            <input type="date" id="timesheetTo">
+          </div>
+        </div>
+        <div class="formGroup">
+          <label><i class="fas fa-columns"></i> Columns</label>
+          <div class="columnCheckboxes"></div>
+        </div>
+      </div>
+      <div class="modalFooter">
+        <button class="btnCancel">Cancel</button>
+        <button class="btnSave"><i class="fas fa-download"></i> Download CSV</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  // One checkbox per column, all selected by default
+  const checkboxContainer = modal.querySelector('.columnCheckboxes');
+  columns.forEach(column => {
+    const label = document.createElement('label');
+    label.className = 'columnCheckbox';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = column.id;
+    checkbox.checked = true;
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${column.name}`));
+    checkboxContainer.appendChild(label);
+  });
+  
+  const closeModal = () => {
+    modal.remove();
+  };
+  
+  // Collect the options and run the export
+  const runExport = () => {
+    const fromValue = modal.querySelector('#timesheetFrom').value;
+    const toValue = modal.querySelector('#timesheetTo').value;
+    const columnIds = Array.from(checkboxContainer.querySelectorAll('input:checked')).map(input => input.value);
+    
+    if (columnIds.length === 0) {
+      alert('Select at least one column.');
+      return;
+    }
+    
+    if (exportCallback) {
+      exportCallback({
+        from: fromValue ? new Date(`${fromValue}T00:00:00`).getTime() : null,
+        to: toValue ? new Date(`${toValue}T23:59:59.999`).getTime() : null,
+        columnIds: columnIds
+      });
+    }
+    closeModal();
+  };
+  
+  // Attach event listeners
+  modal.querySelector('.modalClose').addEventListener('click', closeModal);
+  modal.querySelector('.btnCancel').addEventListener('click', closeModal);
+  modal.querySelector('.btnSave').addEventListener('click', runExport);
+  
+  // Close on backdrop click
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeModal();
+    }
+  });
+  
+  // Close on Escape key
+  document.addEventListener('keydown', function escapeHandler(e) {
+    if (e.key === 'Escape') {
+      closeModal();
+      document.removeEventListener('keydown', escapeHandler);
+    }
+  });
+}
+
+// Open modal for the Pomodoro interval lengths and sound
+export function openPomodoroSettingsModal(settings, saveCallback) {
+  const modal = document.createElement('div');
+  modal.className = 'taskModal pomodoroSettingsModal';
+  modal.innerHTML = `
+    <div class="modalContent">
+      <div class="modalHeader">
+        <h2><i class="fas fa-stopwatch"></i> Pomodoro Settings</h2>
+        <button class="modalClose">&times;</button>
+      </div>
+      <div class="modalBody">
+        <p class="modalHint">
+          <i class="fas fa-info-circle"></i>
+          Turn on Pomodoro mode from a task in an active column. Only focus intervals add to the task's tracked time; breaks are counted separately.
+        </p>
+        <div class="pomodoroSettingsGrid">
+          <div class="formGroup">
+            <label for="pomodoroWorkMinutes"><i class="fas fa-briefcase"></i> Focus (minutes)</label>
+            <input type="number" id="pomodoroWorkMinutes" min="1" max="180" step="1">
+          </div>
+          <div class="formGroup">
+            <label for="pomodoroShortBreakMinutes"><i class="fas fa-coffee"></i> Short break (minutes)</label>
+            <input type="number" id="pomodoroShortBreakMinutes" min="1" max="60" step="1">
+          </div>
+          <div class="formGroup">
+            <label for="pomodoroLongBreakMinutes"><i class="fas fa-couch"></i> Long break (minutes)</label>
+            <input type="number" id="pomodoroLongBreakMinutes" min="1" max="120" step="1">
+          </div>
+          <div class="formGroup">
+            <label for="pomodoroLongBreakEvery"><i class="fas fa-redo"></i> Long break after (pomodoros)</label>
+            <input type="number" id="pomodoroLongBreakEvery" min="1" max="12" step="1">
+          </div>
+        </div>
+        <label class="pomodoroSoundOption">
+          <input type="checkbox" id="pomodoroSound"> Play a sound when an interval ends
+        </label>
+      </div>
+      <div class="modalFooter">
+        <button class="btnCancel">Cancel</button>
+        <button class="btnSave"><i class="fas fa-save"></i> Save</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  // Number fields with their allowed range
+  const fields = {
+    pomodoroWorkMinutes: 180,
+    pomodoroShortBreakMinutes: 60,
+    pomodoroLongBreakMinutes: 120,
+    pomodoroLongBreakEvery: 12
+  };
+  Object.keys(fields).forEach(key => {
+    modal.querySelector(`#${key}`).value = settings[key];
+  });
+  const soundInput = modal.querySelector('#pomodoroSound');
+  soundInput.checked = settings.pomodoroSound;
+  
+  const closeModal = () => {
+    modal.remove();
+  };
+  
+  const saveSettings = () => {
+    const updates = { pomodoroSound: soundInput.checked };
+    let valid = true;
+    Object.keys(fields).forEach(key => {
+      const input = modal.querySelector(`#${key}`);
+      const value = parseInt(input.value, 10);
+      if (!Number.isInteger(value) || value < 1 || value > fields[key]) {
+        input.classList.add('invalidInput');
+        setTimeout(() => input.classList.remove('invalidInput'), 500);
+        valid = false;
+        return;
+      }
+      updates[key] = value;
+    });
+    if (!valid) return;
+    
+    if (saveCallback) {
+      saveCallback(updates);
+    }
+    closeModal();
+  };
+  
+  // Attach event listeners
+  modal.querySelector('.modalClose').addEventListener('click', closeModal);
+  modal.querySelector('.btnCancel').addEventListener('click', closeModal);
+  modal.querySelector('.btnSave').addEventListener('click', saveSettings);
+  
+  // Close on backdrop click
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeModal();
+    }
+  });
+  
+  // Close on Escape key
+  document.addEventListener('keydown', function escapeHandler(e) {
+    if (e.key === 'Escape') {
+      closeModal();
+      document.removeEventListener('keydown', escapeHandler);
+    }
+  });
+}
+
+// Open modal listing trashed tasks with restore, delete forever and empty trash actions
+export function openTrashModal(getTrashedNotesCallback, retentionDays, actions) {
+  const modal = document.createElement('div');
+  modal.className = 'taskModal trashModal';
+  modal.innerHTML = `
+    <div class="modalContent">
+      <div class="modalHeader">
+        <h2><i class="fas fa-trash-restore"></i> Trash</h2>
+        <button class="modalClose">&times;</button>
+      </div>
+      <div class="modalBody">
+        <p class="modalHint">
+          <i class="fas fa-info-circle"></i>
+          Deleted tasks keep all their data and go back to their original column when restored.
+        </p>
+        <div class="trashList"></div>
+        <div class="formGroup trashRetentionGroup">
+          <label for="trashRetentionDays"><i class="fas fa-hourglass-end"></i> Delete permanently after (days, 0 = never)</label>
+          <input type="number" id="trashRetentionDays" min="0" max="365" step="1">
+        </div>
+      </div>
+      <div class="modalFooter">
+        <button class="btnDelete btnEmptyTrash"><i class="fas fa-dumpster"></i> Empty Trash</button>
+        <button class="btnClose">Close</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  const trashList = modal.querySelector('.trashList');
+  const retentionInput = modal.querySelector('#trashRetentionDays');
+  const emptyTrashBtn = modal.querySelector('.btnEmptyTrash');
+  retentionInput.value = retentionDays;
+  
+  // Describe when a trashed task will be purged
+  const describePurge = (note) => {
+    if (retentionDays <= 0) return '';
+    const msLeft = note.deletedAt + retentionDays * 24 * 60 * 60 * 1000 - Date.now();
+    const daysLeft = Math.max(0, Math.ceil(msLeft / (24 * 60 * 60 * 1000)));
+    return ` · deleted for good in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+  };
+  
+  // Rebuild trash rows from the current notes
+  const renderRows = () => {
+    const trashedNotes = getTrashedNotesCallback();
+    trashList.innerHTML = '';
+    emptyTrashBtn.disabled = trashedNotes.length === 0;
+    
+    if (trashedNotes.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'trashEmpty';
+      empty.textContent = 'The trash is empty.';
+      trashList.appendChild(empty);
+      return;
+    }
+    
+    trashedNotes.forEach(note => {
+      const row = document.createElement('div');
+      row.className = 'columnRow trashRow';
+      row.innerHTML = `
+        <div class="trashInfo">
+          <div class="trashTitle"></div>
+          <div class="trashMeta"></div>
+        </div>
+        <button type="button" class="btnColumnMove btnTrashRestore" title="Restore task"><i class="fas fa-undo"></i></button>
+        <button type="button" class="btnColumnDelete" title="Delete permanently"><i class="fas fa-times"></i></button>
+      `;
+      row.querySelector('.trashTitle').textContent = note.text;
+      row.querySelector('.trashMeta').textContent =
+        `${getColumnName(note.column)} · deleted ${formatTimestamp(note.deletedAt)}${describePurge(note)}`;
+      
+      row.querySelector('.btnTrashRestore').addEventListener('click', () => {
+        actions.onRestore(note.id);
+        renderRows();
+      });
+      
+      row.querySelector('.btnColumnDelete').addEventListener('click', () => {
+        if (confirm(`Permanently delete "${note.text}"? This cannot be undone.`)) {
+          actions.onDelete(note.id);
+          renderRows();
+        }
+      });
+      
+      trashList.appendChild(row);
+    });
+  };
+  
+  const closeModal = () => {
+    modal.remove();
+  };
+  
+  renderRows();
+  
+  // Attach event listeners
+  retentionInput.addEventListener('change', () => {
+    const days = parseInt(retentionInput.value, 10);
+    if (!Number.isInteger(days) || days < 0 || days > 365) {
+      retentionInput.value = retentionDays;
+      retentionInput.classList.add('invalidInput');
+      setTimeout(() => retentionInput.classList.remove('invalidInput'), 500);
+      return;
+    }
+    retentionDays = days;
+    actions.onRetentionChange(days);
+    renderRows();
+  });
+  
+  emptyTrashBtn.addEventListener('click', () => {
+    const count = getTrashedNotesCallback().length;
+    if (count > 0 && confirm(`Permanently delete ${count} task(s) in the trash? This cannot be undone.`)) {
+      actions.onEmpty();
+      renderRows();
+    }
+  });
+  
+  modal.querySelector('.modalClose').addEventListener('click', closeModal);
+  modal.querySelector('.btnClose').addEventListener('click', closeModal);
+  
+  // Close on backdrop click
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeModal();
+    }
+  });
+  
+  // Close on Escape key
+  document.addEventListener('keydown', function escapeHandler(e) {
+    if (e.key === 'Escape') {
+      closeModal();
+      document.removeEventListener('keydown', escapeHandler);
+    }
+  });
+}
+
+// Open the analytics view; getAnalyticsCallback builds the figures for { from, to, groupBy }
+export function openAnalyticsModal(getAnalyticsCallback) {
+  const modal = document.createElement('div');
+  modal.className = 'taskModal analyticsModal';
+  modal.innerHTML = `
+    <div class="modalContent">
+      <div class="modalHeader">
+        <h2><i class="fas fa-chart-bar"></i> Analytics</h2>
+        <button class="modalClose">&times;</button>
+      </div>
+      <div class="modalBody">
+        <div class="analyticsControls">
+          <div class="dateRangeRow">
+            <div class="formGroup">
+              <label for="analyticsFrom"><i class="fas fa-calendar-day"></i> From</label>
+              <input type="date" id="analyticsFrom">
+            </div>
+            <div class="formGroup">
+              <label for="analyticsTo"><i class="fas fa-calendar-day"></i> To</label>
+              <input type="date" id="analyticsTo">
+            </div>
+          </div>
+          <div class="formGroup">
+            <label for="analyticsGroupBy"><i class="fas fa-calendar-week"></i> Group by</label>
+            <select id="analyticsGroupBy">
+              <option value="day">Day</option>
+              <option value="week">Week</option>
+            </select>
+          </div>
+        </div>
+        <div class="analyticsSummary"></div>
+        <section class="analyticsSection">
+          <h3><i class="fas fa-check-circle"></i> Tasks Completed</h3>
+          <div class="analyticsChart" data-chart="completed"></div>
+        </section>
+        <section class="analyticsSection">
+          <h3><i class="fas fa-layer-group"></i> Cumulative Flow</h3>
+          <div class="analyticsChart" data-chart="flow"></div>
+        </section>
+        <section class="analyticsSection">
+          <h3><i class="fas fa-chart-line"></i> Burndown</h3>
+          <div class="analyticsChart" data-chart="burndown"></div>
+        </section>
+        <section class="analyticsSection">
+          <h3><i class="fas fa-flag"></i> Tracked Time by Priority</h3>
+          <div class="analyticsChart" data-chart="priority"></div>
+        </section>
+        <section class="analyticsSection">
+          <h3><i class="fas fa-calendar-check"></i> Due Dates</h3>
+          <div class="analyticsChart" data-chart="dueDates"></div>
+        </section>
+        <section class="analyticsSection">
+          <h3><i class="fas fa-th"></i> When Work Happens</h3>
+          <div class="analyticsChart" data-chart="heatmap"></div>
+        </section>
+      </div>
+      <div class="modalFooter">
+        <button class="btnCancel">Close</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  const fromInput = modal.querySelector('#analyticsFrom');
+  const toInput = modal.querySelector('#analyticsTo');
+  const groupBySelect = modal.querySelector('#analyticsGroupBy');
+  const defaultRange = getDefaultAnalyticsRange();
+  fromInput.value = formatDateTimeLocal(defaultRange.from).slice(0, 10);
+  toInput.value = formatDateTimeLocal(defaultRange.to).slice(0, 10);
+  
+  const getChart = (name) => modal.querySelector(`[data-chart="${name}"]`);
+  
+  // Show a chart, or a short message when the range has no data for it
+  const showChart = (name, hasData, createChart, emptyText) => {
+    const container = getChart(name);
+    container.innerHTML = '';
+    if (hasData) {
+      container.appendChild(createChart());
+    } else {
+      const empty = document.createElement('p');
+      empty.className = 'analyticsEmpty';
+      empty.textContent = emptyText;
+      container.appendChild(empty);
+    }
+  };
+  
+  // Recompute and redraw everything for the selected range
+  const renderAnalytics = () => {
+    const from = new Date(`${fromInput.value}T00:00:00`).getTime();
+    const to = new Date(`${toInput.value}T23:59:59.999`).getTime();
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from > to) {
+      [fromInput, toInput].forEach(input => {
+        input.classList.add('invalidInput');
+        setTimeout(() => input.classList.remove('invalidInput'), 500);
+      });
+      return;
+    }
+    
+    const groupBy = groupBySelect.value;
+    const analytics = getAnalyticsCallback({ from, to, groupBy });
+    const { onTime, late, noDueDate } = analytics.dueDates;
+    
+    const summary = [
+      { label: 'Completed', value: String(analytics.completedCount) },
+      { label: 'Avg. lead time', value: formatDuration(analytics.averageLeadTime), hint: 'Created → done' },
+      { label: 'Avg. cycle time', value: formatDuration(analytics.averageCycleTime), hint: 'Started → done' },
+      { label: 'Tracked time', value: formatDuration(analytics.trackedTime) },
+      { label: 'On time', value: onTime + late > 0 ? `${Math.round((onTime / (onTime + late)) * 100)}%` : '—', hint: 'Of completed tasks with a due date' }
+    ];
+    modal.querySelector('.analyticsSummary').innerHTML = summary.map(item => `
+      <div class="analyticsStat"${item.hint ? ` title="${escapeHtml(item.hint)}"` : ''}>
+        <span class="analyticsStatValue">${escapeHtml(item.value)}</span>
+        <span class="analyticsStatLabel">${escapeHtml(item.label)}</span>
+      </div>
+    `).join('');
+    
+    const dateOptions = { month: 'short', day: 'numeric' };
+    showChart('completed', analytics.completedCount > 0, () => createColumnChart(
+      analytics.completedSeries.map(bucket => {
+        const label = new Date(bucket.start).toLocaleDateString('en-US', dateOptions);
+        return {
+          label,
+          value: bucket.count,
+          title: `${groupBy === 'week' ? `Week of ${label}` : label}: ${bucket.count} completed`
+        };
+      })
+    ), 'No tasks were completed in this range.');
+    
+    // Cumulative flow stacks the last column at the bottom, like finished work piling up
+    const { columns, points } = analytics.cumulativeFlow;
+    const flowLabels = points.map(point => new Date(point.start).toLocaleDateString('en-US', dateOptions));
+    showChart('flow', points.some(point => Object.values(point.counts).some(count => count > 0)), () => createStackedAreaChart(
+      flowLabels,
+      columns.map((column, index) => ({
+        label: column.name,
+        values: points.map(point => point.counts[column.id]),
+        className: `flowSeries${index % 6}`
+      })).reverse()
+    ), 'No tasks on the board in this range.');
+    
+    const bucketLabels = analytics.completedSeries.map(bucket => new Date(bucket.start).toLocaleDateString('en-US', dateOptions));
+    const { remaining, ideal } = analytics.burndown;
+    showChart('burndown', remaining.some(count => count > 0), () => createLineChart(
+      bucketLabels,
+      [
+        { label: 'Ideal', values: ideal, className: 'burndownIdeal', dots: false },
+        { label: 'Open tasks', values: bucketLabels.map((_, index) => (index < remaining.length ? remaining[index] : null)), className: 'burndownActual' }
+      ],
+      { formatValue: value => String(Math.round(value)) }
+    ), 'No open tasks in this range.');
+    
+    showChart('priority', analytics.trackedTime > 0, () => createBarList(
+      ['high', 'medium', 'low'].map(priority => ({
+        label: priority.charAt(0).toUpperCase() + priority.slice(1),
+        value: analytics.timeByPriority[priority],
+        className: priority
+      })),
+      { formatValue: formatDuration }
+    ), 'No time was tracked in this range.');
+    
+    showChart('dueDates', analytics.completedCount > 0, () => createBarList([
+      { label: 'On time', value: onTime, className: 'onTime' },
+      { label: 'Late', value: late, className: 'late' },
+      { label: 'No due date', value: noDueDate, className: 'noDueDate' }
+    ]), 'No tasks were completed in this range.');
+    
+    showChart('heatmap', analytics.trackedTime > 0, () => createHeatmap(
+      HEATMAP_WEEKDAYS.map(day => ({ label: WEEKDAY_NAMES[day], values: analytics.heatmap[day] })),
+      Array.from({ length: 24 }, (_, hour) => (hour % 3 === 0 ? String(hour) : '')),
+      { describeCell: (row, hour, value) => `${row.label} ${String(hour).padStart(2, '0')}:00 – ${formatDuration(value)}` }
+    ), 'No time was tracked in this range.');
+  };
+  
+  const closeModal = () => {
+    modal.remove();
+  };
+  
+  // Attach event listeners
+  [fromInput, toInput, groupBySelect].forEach(input => input.addEventListener('change', renderAnalytics));
+  modal.querySelector('.modalClose').addEventListener('click', closeModal);
+  modal.querySelector('.btnCancel').addEventListener('click', closeModal);
+  
+  // Close on backdrop click
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeModal();
+    }
+  });
+  
+  // Close on Escape key
+  document.addEventListener('keydown', function escapeHandler(e) {
+    if (e.key === 'Escape') {
+      closeModal();
+      document.removeEventListener('keydown', escapeHandler);
+    }
+  });
+  
+  renderAnalytics();
+}
+
+// Open the keyboard shortcut cheat sheet; shortcuts are { keys, description }
+export function openShortcutsModal(shortcuts) {
+  const modal = document.createElement('div');
+  modal.className = 'taskModal shortcutsModal';
+  modal.innerHTML = `
+    <div class="modalContent">
+      <div class="modalHeader">
+        <h2><i class="fas fa-keyboard"></i> Keyboard Shortcuts</h2>
+        <button class="modalClose">&times;</button>
+      </div>
+      <div class="modalBody">
+        <dl class="shortcutList">
+          ${shortcuts.map(shortcut => `
+            <div class="shortcutRow">
+              <dt>${shortcut.keys.map(key => `<kbd>${escapeHtml(key)}</kbd>`).join(' ')}</dt>
+              <dd>${escapeHtml(shortcut.description)}</dd>
+            </div>
+          `).join('')}
+        </dl>
+      </div>
+      <div class="modalFooter">
+        <button class="btnCancel">Close</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  const closeModal = () => {
+    modal.remove();
+  };
+  
+  // Attach event listeners
+  modal.querySelector('.modalClose').addEventListener('click', closeModal);
+  modal.querySelector('.btnCancel').addEventListener('click', closeModal);
+  
+  // Close on backdrop click
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeModal();
+    }
+  });
+  
+  // Close on Escape key
+  document.addEventListener('keydown', function escapeHandler(e) {
+    if (e.key === 'Escape') {
+      closeModal();
+      document.removeEventListener('keydown', escapeHandler);
+    }
+  });
+}
+
+// Describe one field of a task for the merge prompt
+function formatConflictValue(fieldName, note) {
+  switch (fieldName) {
+    case 'text':
+      return note.text;
+    case 'description':
+      return note.description || 'No description';
+    case 'priority':
+      return note.priority.charAt(0).toUpperCase() + note.priority.slice(1);
+    case 'dueDate':
+      return note.dueDate ? formatTimestamp(note.dueDate) : 'No due date';
+    case 'labels':
+      return note.labels.length > 0
+        ? note.labels.map(labelId => (getLabel(labelId) || { name: labelId }).name).join(', ')
+        : 'No labels';
+    case 'checklist': {
+      const { done, total } = getChecklistProgress(note);
+      return total > 0 ? `${done}/${total} done: ${note.checklist.map(item => item.text).join(', ')}` : 'No checklist';
+    }
+    case 'recurrence':
+      return note.recurrence ? describeRecurrence(note.recurrence) : 'Does not repeat';
+    case 'reminders':
+      return note.reminders.length > 0 ? `${note.reminders.map(describeReminderOffset).join(', ')} before` : 'No reminders';
+    case 'column':
+      return getColumnName(note.column);
+    case 'workflow':
+      return `${getColumnName(note.column)}${note.deletedAt ? ' (in trash)' : ''}, ${formatCompletedTime(note.timeSpent)}`;
+    default:
+      return '';
+  }
+}
+
+// Open the merge prompt for tasks changed here and in another tab
+// conflicts are { mine, theirs, fields }; resolveCallback gets, per conflict, the names of
+// the fields to take from this tab (none when the prompt is dismissed)
+// The other tab's values start selected, so applying unchanged keeps them like dismissing does
+export function openSyncConflictModal(conflicts, resolveCallback) {
+  const modal = document.createElement('div');
+  modal.className = 'taskModal syncConflictModal';
+  modal.innerHTML = `
+    <div class="modalContent">
+      <div class="modalHeader">
+        <h2><i class="fas fa-code-branch"></i> Changed in Another Tab</h2>
+        <button class="modalClose">&times;</button>
+      </div>
+      <div class="modalBody">
+        <p class="syncConflictIntro">
+          ${conflicts.length === 1 ? 'This task was' : 'These tasks were'} changed here and in another tab at the same time.
+          Choose which version of each field to keep.
+        </p>
+        ${conflicts.map((conflict, index) => `
+          <section class="syncConflict">
+            <h3>${escapeHtml(conflict.theirs.text)}</h3>
+            ${conflict.fields.map(field => `
+              <fieldset class="syncConflictField">
+                <legend>${escapeHtml(field.label)}</legend>
+                <label class="syncConflictOption">
+                  <input type="radio" name="conflict${index}-${field.name}" value="mine">
+                  <span class="syncConflictSource">This tab</span>
+                  <span class="syncConflictValue">${escapeHtml(formatConflictValue(field.name, conflict.mine))}</span>
+                </label>
+                <label class="syncConflictOption">
+                  <input type="radio" name="conflict${index}-${field.name}" value="theirs" checked>
+                  <span class="syncConflictSource">Other tab</span>
+                  <span class="syncConflictValue">${escapeHtml(formatConflictValue(field.name, conflict.theirs))}</span>
+                </label>
+              </fieldset>
+            `).join('')}
+          </section>
+        `).join('')}
+      </div>
+      <div class="modalFooter">
+        <button class="btnCancel">Keep Other Tab's Version</button>
+        <button class="btnSave">Apply Selection</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  // Dismissing the prompt keeps the other tab's values
+  const closeModal = (applySelection) => {
+    const choices = conflicts.map((conflict, index) => applySelection
+      ? conflict.fields
+        .filter(field => modal.querySelector(`input[name="conflict${index}-${field.name}"]:checked`).value === 'mine')
+        .map(field => field.name)
+      : []
+    );
+    modal.remove();
+    document.removeEventListener('keydown', escapeHandler);
+    resolveCallback(choices);
+  };
+  
+  // Close on Escape key
+  const escapeHandler = (e) => {
+    if (e.key === 'Escape') {
+      closeModal(false);
+    }
+  };
+  document.addEventListener('keydown', escapeHandler);
+  
+  // Attach event listeners
+  modal.querySelector('.modalClose').addEventListener('click', () => closeModal(false));
+  modal.querySelector('.btnCancel').addEventListener('click', () => closeModal(false));
+  modal.querySelector('.btnSave').addEventListener('click', () => closeModal(true));
+  
+  // Close on backdrop click
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeModal(false);
+    }
+  });
+}
@@ -5,6 +5,13 @@
 // for task operations. Coordinates with storage and timer modules.
 
 import { saveNotes } from './storage.js';
+import { getColumn, getColumnName, getFirstColumnId, getFirstDoneColumnId, getWipLimit, isActiveColumn, isDoneColumn } from './columns.js';
+import { getNextDueDate } from './recurrence.js';
+import { getPomodoroDuration, getBreakPhase, isPomodoroBreak } from './pomodoro.js';
+import { addTimeEntry } from './timeLog.js';
+import { recordColumnTransition } from './columnHistory.js';
+import { getSetting } from './settings.js';
+import { createNoteId } from './ids.js';
 
 let notes = []; // Array to store all tasks
 
@@ -18,47 +25,445 @@ export function setNotes(newNotes) {
   notes = newNotes;
 }
 
+// Check whether one more task may enter a column under its WIP limit
+// A full column asks for confirmation or refuses, depending on the wipLimitMode setting;
+// noteId is the task being moved, which does not count against the limit
+export function confirmWipLimit(column, noteId = null) {
+  const limit = getWipLimit(column);
+  if (limit === null) return true;
+  
+  const count = notes.filter(note => note.column === column && note.id !== noteId && !isTrashed(note)).length;
+  if (count < limit) return true;
+  
+  const message = `"${getColumnName(column)}" is at its WIP limit (${count}/${limit}).`;
+  if (getSetting('wipLimitMode') === 'block') {
+    alert(`${message} Finish or move a task out of it first.`);
+    return false;
+  }
+  return confirm(`${message} Add another task anyway?`);
+}
+
 // Create and add a new task
-export function addNote(text, column, priority = 'medium', description = '', dueDate = null, timerManager, renderCallback, updateEmptyStateCallback) {
+// Returns null when the column is full and the WIP limit check refuses the task
+export function addNote(text, column, priority = 'medium', description = '', dueDate = null, checklist = [], autoCompleteChecklist = false, labels = [], recurrence = null, reminders = [], timerManager, renderCallback, updateEmptyStateCallback) {
+  if (!confirmWipLimit(column)) {
+    return null;
+  }
+  
+  const newNote = insertNote(text, column, priority, description, dueDate, checklist, autoCompleteChecklist, labels, recurrence, reminders, timerManager);
+  if (renderCallback) renderCallback(notes);
+  if (updateEmptyStateCallback) updateEmptyStateCallback();
+  return newNote;
+}
+
+// Build a new task, add it to the board and save, without the WIP limit check
+function insertNote(text, column, priority, description, dueDate, checklist, autoCompleteChecklist, labels, recurrence, reminders, timerManager) {
   const now = Date.now();
+  const isActive = isActiveColumn(column);
   const newNote = {
-    id: now, // Unique ID based on timestamp
+    id: createNoteId(), // Random UUID string
     text: text,
     description: description,
     column: column,
+    columnHistory: [{ column: column, at: now }], // Columns entered, oldest first
     priority: priority,
     dueDate: dueDate,
     createdAt: now,
     lastEditedAt: null,
-    startedAt: column === 'inprogress' ? now : null, // Track when task starts
-    completedAt: column === 'done' ? now : null, // Set completedAt if adding directly to Done
-    timeSpent: 0, // Accumulated time in milliseconds
-    timerStartTime: column === 'inprogress' ? now : null, // Store actual timer start time
-    inProgressSince: column === 'inprogress' ? now : null // Track when current In Progress session started
+    startedAt: isActive ? now : null, // Track when task starts
+    completedAt: isDoneColumn(column) ? now : null, // Set completedAt if adding directly to a done column
+    timeSpent: 0, // Accumulated time in milliseconds (sum of timeLog)
+    timeLog: [], // Finished sessions { id, start, end }
+    timerStartTime: isActive ? now : null, // Store actual timer start time
+    inProgressSince: isActive ? now : null, // Track when current active session started
+    deletedAt: null,
+    order: getNextOrder(column), // New tasks go to the bottom of the column
+    checklist: checklist,
+    autoCompleteChecklist: autoCompleteChecklist,
+    labels: labels,
+    recurrence: recurrence,
+    nextOccurrenceId: null,
+    reminders: reminders,
+    pomodoro: null,
+    pomodoros: 0,
+    breakTime: 0
   };
   
   notes.push(newNote);
   
-  // Start timer if adding directly to In Progress
-  if (column === 'inprogress' && timerManager) {
+  // Start timer if adding directly to an active column
+  if (isActive && timerManager) {
     // Start timer from current time (no previous time spent)
     timerManager.startTimer(newNote.id, now);
   }
   
+  saveNotes(notes);
+  return newNote;
+}
+
+// Get a column's tasks (excluding the trash) in manual order
+export function getColumnNotes(columnId, notesArray = notes) {
+  return notesArray
+    .filter(note => note.column === columnId && !isTrashed(note))
+    .sort((a, b) => a.order - b.order);
+}
+
+// Get an order value that places a task at the bottom of a column
+function getNextOrder(columnId, excludeNoteId = null) {
+  const orders = getColumnNotes(columnId)
+    .filter(note => note.id !== excludeNoteId)
+    .map(note => note.order);
+  return orders.length > 0 ? Math.max(...orders) + 1 : 0;
+}
+
+// Place a task in its column right before another task, or at the bottom when beforeNoteId is null
+// Only the moved task changes unless the gap between neighbours is used up, then the column is renumbered
+export function setNoteOrder(note, beforeNoteId) {
+  const siblings = getColumnNotes(note.column).filter(n => n.id !== note.id);
+  let index = siblings.findIndex(n => n.id === beforeNoteId);
+  if (index === -1) {
+    index = siblings.length;
+  }
+  
+  const prev = siblings[index - 1];
+  const next = siblings[index];
+  
+  if (!prev && !next) {
+    note.order = 0;
+  } else if (!next) {
+    note.order = prev.order + 1;
+  } else if (!prev) {
+    note.order = next.order - 1;
+  } else if (next.order - prev.order > 1e-6) {
+    note.order = (prev.order + next.order) / 2;
+  } else {
+    siblings.splice(index, 0, note);
+    siblings.forEach((n, i) => {
+      n.order = i;
+    });
+  }
+}
+
+// Start a timer session (task entered an active column or was restored into one)
+function startTimerSession(note, timerManager, now) {
+  // Record the actual timestamp when task first starts
+  if (!note.startedAt) {
+    note.startedAt = now;
+  }
+  
+  // Store when this active session started
+  note.inProgressSince = now;
+  
+  // Pomodoro mode resumes with a fresh focus interval
+  if (note.pomodoro) {
+    note.pomodoro = { phase: 'work', phaseStartedAt: now };
+  }
+  
+  // Calculate adjusted start time for timer display (accounts for previous time)
+  const adjustedStartTime = now - (note.timeSpent || 0);
+  note.timerStartTime = adjustedStartTime;
+  if (timerManager) {
+    timerManager.startTimer(note.id, adjustedStartTime);
+  }
+}
+
+// Stop the timer session and record it in the time log (which updates timeSpent)
+// A running Pomodoro break goes to breakTime instead
+function stopTimerSession(note, timerManager, now) {
+  if (isPomodoroBreak(note)) {
+    note.breakTime = (note.breakTime || 0) + (now - note.pomodoro.phaseStartedAt);
+  }
+  if (note.pomodoro) {
+    note.pomodoro = { phase: 'work', phaseStartedAt: null };
+  }
+  
+  if (note.inProgressSince) {
+    addTimeEntry(note, note.inProgressSince, now);
+  } else if (timerManager && timerManager.isTimerActive(note.id)) {
+    // Fallback to timer manager if inProgressSince not set
+    addTimeEntry(note, now - (timerManager.getElapsedTime(note.id) - (note.timeSpent || 0)), now);
+  }
+  
+  note.timerStartTime = null;
+  note.inProgressSince = null;
+  if (timerManager) {
+    timerManager.stopTimer(note.id);
+  }
+}
+
+// Move a task to another column and apply timer and completion rules
+export function moveNoteToColumn(note, newColumn, timerManager) {
+  const oldColumn = note.column;
+  if (oldColumn === newColumn) return;
+  
+  const wasActive = isActiveColumn(oldColumn);
+  const willBeActive = isActiveColumn(newColumn);
+  const now = Date.now();
+  note.column = newColumn;
+  note.order = getNextOrder(newColumn, note.id);
+  recordColumnTransition(note, newColumn, now);
+  
+  // Start timer when entering an active column
+  if (willBeActive && !wasActive) {
+    startTimerSession(note, timerManager, now);
+  }
+  
+  // Stop timer and save elapsed time when leaving an active column
+  if (wasActive && !willBeActive) {
+    stopTimerSession(note, timerManager, now);
+  }
+  
+  // Mark as completed when entering a done column
+  if (isDoneColumn(newColumn) && !isDoneColumn(oldColumn)) {
+    note.completedAt = now;
+  }
+}
+
+// Create the next occurrence of a recurring task that just entered a done column
+// The completed task keeps its tracked time; the new one starts fresh in the first
+// column with the due date moved forward. Returns the new task or null.
+// The WIP limit is not checked: finishing a task must neither ask about nor lose the next one
+export function createNextOccurrence(note, wasDone, timerManager) {
+  if (!note.recurrence || wasDone || !isDoneColumn(note.column) || note.nextOccurrenceId !== null) {
+    return null;
+  }
+  
+  const now = Date.now();
+  const nextDueDate = getNextDueDate(note.recurrence, note.dueDate || now, now);
+  const checklist = note.checklist.map(item => ({ id: createChecklistItemId(), text: item.text, done: false }));
+  
+  const nextNote = insertNote(note.text, getFirstColumnId(), note.priority, note.description, nextDueDate,
+    checklist, note.autoCompleteChecklist, [...note.labels], { ...note.recurrence }, [...note.reminders], timerManager);
+  note.nextOccurrenceId = nextNote.id;
+  saveNotes(notes);
+  return nextNote;
+}
+
+// Get the due date of a recurring task's next occurrence
+// Uses the created occurrence once there is one, otherwise the date it would get if completed now
+export function getNextOccurrenceDueDate(note) {
+  const nextNote = note.nextOccurrenceId !== null ? notes.find(n => n.id === note.nextOccurrenceId && !isTrashed(n)) : null;
+  if (nextNote && nextNote.dueDate) {
+    return nextNote.dueDate;
+  }
+  const now = Date.now();
+  return getNextDueDate(note.recurrence, note.dueDate || now, now);
+}
+
+// Bring tasks in line with the current column config after columns are edited
+export function reconcileNotesWithColumns(timerManager) {
+  const now = Date.now();
+  
+  notes.forEach(note => {
+    // Tasks whose column was deleted land in the first column
+    if (!getColumn(note.column)) {
+      note.column = getFirstColumnId();
+      recordColumnTransition(note, note.column, now);
+    }
+    
+    // Close the running session if the column no longer counts as active
+    if (!isActiveColumn(note.column) && (note.inProgressSince || isPomodoroBreak(note))) {
+      stopTimerSession(note, timerManager, now);
+    }
+    
+    // Tasks sitting in a column that became a done column are now completed
+    if (isDoneColumn(note.column) && !note.completedAt) {
+      note.completedAt = now;
+    }
+  });
+  
+  saveNotes(notes);
+}
+
+// Switch a task to its next Pomodoro interval at the given time
+// Ending a focus interval closes the work session (counted as a pomodoro when it ran
+// its full length); ending a break adds it to breakTime and starts a new work session
+function startNextPomodoroPhase(note, timerManager, at, countPomodoro) {
+  if (note.pomodoro.phase === 'work') {
+    if (note.inProgressSince) {
+      addTimeEntry(note, note.inProgressSince, at);
+    }
+    note.inProgressSince = null;
+    note.timerStartTime = null;
+    if (timerManager) {
+      timerManager.stopTimer(note.id);
+    }
+    if (countPomodoro) {
+      note.pomodoros = (note.pomodoros || 0) + 1;
+    }
+    note.pomodoro = { phase: countPomodoro ? getBreakPhase(note.pomodoros) : 'shortBreak', phaseStartedAt: at };
+  } else {
+    note.breakTime = (note.breakTime || 0) + (at - note.pomodoro.phaseStartedAt);
+    note.pomodoro = { phase: 'work', phaseStartedAt: at };
+    note.inProgressSince = at;
+    note.timerStartTime = at - (note.timeSpent || 0);
+    if (timerManager) {
+      timerManager.startTimer(note.id, note.timerStartTime);
+    }
+  }
+}
+
+// Turn Pomodoro mode on or off for a task
+// Turning it off during a break resumes normal time tracking right away
+export function togglePomodoro(note, timerManager) {
+  const now = Date.now();
+  const isRunning = isActiveColumn(note.column) && !isTrashed(note);
+  
+  if (!note.pomodoro) {
+    note.pomodoro = { phase: 'work', phaseStartedAt: isRunning ? now : null };
+  } else {
+    const wasOnBreak = isPomodoroBreak(note);
+    if (wasOnBreak) {
+      note.breakTime = (note.breakTime || 0) + (now - note.pomodoro.phaseStartedAt);
+    }
+    note.pomodoro = null;
+    if (wasOnBreak && isRunning) {
+      startTimerSession(note, timerManager, now);
+    }
+  }
+  
+  saveNotes(notes);
+}
+
+// End the current Pomodoro interval early (a skipped focus interval is not counted)
+export function skipPomodoroPhase(note, timerManager) {
+  if (!note.pomodoro || !note.pomodoro.phaseStartedAt) return;
+  startNextPomodoroPhase(note, timerManager, Date.now(), false);
+  saveNotes(notes);
+}
+
+// Move running Pomodoros past every interval that has ended, using the exact
+// interval boundaries so time away from the tab is split correctly
+// Returns the tasks that changed interval
+export function advancePomodoros(timerManager, now = Date.now()) {
+  const changedNotes = [];
+  
+  notes.forEach(note => {
+    if (!note.pomodoro || !note.pomodoro.phaseStartedAt || isTrashed(note) || !isActiveColumn(note.column)) {
+      return;
+    }
+    
+    let phaseEnd = note.pomodoro.phaseStartedAt + getPomodoroDuration(note.pomodoro.phase);
+    if (phaseEnd > now) return;
+    while (phaseEnd <= now) {
+      startNextPomodoroPhase(note, timerManager, phaseEnd, true);
+      phaseEnd = note.pomodoro.phaseStartedAt + getPomodoroDuration(note.pomodoro.phase);
+    }
+    changedNotes.push(note);
+  });
+  
+  if (changedNotes.length > 0) {
+    saveNotes(notes);
+  }
+  return changedNotes;
+}
+
+// Generate an ID for a checklist item
+export function createChecklistItemId() {
+  return `item${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Count checked and total checklist items
+export function getChecklistProgress(note) {
+  const items = note.checklist || [];
+  return { done: items.filter(item => item.done).length, total: items.length };
+}
+
+// Check if a task has checklist items and all of them are checked
+export function isChecklistComplete(note) {
+  const { done, total } = getChecklistProgress(note);
+  return total > 0 && done === total;
+}
+
+// Tick or untick a checklist item
+export function setChecklistItemDone(note, itemId, done) {
+  const item = (note.checklist || []).find(i => i.id === itemId);
+  if (!item) return false;
+  item.done = done;
+  return true;
+}
+
+// Move a task to the done column if it opted in and its checklist was just completed
+// Returns true when the task was moved
+export function applyChecklistAutoComplete(note, wasComplete, timerManager) {
+  if (!note.autoCompleteChecklist || wasComplete || !isChecklistComplete(note)) return false;
+  if (isDoneColumn(note.column)) return false;
+  
+  const doneColumnId = getFirstDoneColumnId();
+  if (!doneColumnId) return false;
+  
+  moveNoteToColumn(note, doneColumnId, timerManager);
+  return true;
+}
+
+// Check if a task is in the trash
+export function isTrashed(note) {
+  return Boolean(note.deletedAt);
+}
+
+// Get the tasks shown on the board (everything not in the trash)
+export function getBoardNotes(notesArray = notes) {
+  return notesArray.filter(note => !isTrashed(note));
+}
+
+// Get the tasks in the trash, most recently deleted first
+export function getTrashedNotes(notesArray = notes) {
+  return notesArray.filter(isTrashed).sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+// Move a task to the trash by ID
+// The note keeps all its data; a running timer session is closed so trash time isn't tracked
+export function deleteNote(noteId, timerManager, renderCallback, updateEmptyStateCallback) {
+  const note = notes.find(n => n.id === noteId);
+  if (note && !isTrashed(note)) {
+    const now = Date.now();
+    if (isActiveColumn(note.column)) {
+      stopTimerSession(note, timerManager, now);
+    }
+    note.deletedAt = now;
+  }
   saveNotes(notes);
   if (renderCallback) renderCallback(notes);
   if (updateEmptyStateCallback) updateEmptyStateCallback();
 }
 
-// Delete a task by ID
-export function deleteNote(noteId, timerManager, renderCallback, updateEmptyStateCallback) {
-  if (timerManager) {
-    timerManager.stopTimer(noteId); // Stop timer if running
+// Restore a task from the trash to its original column
+// Falls back to the first column if that column was deleted; resumes the timer in active columns
+export function restoreNote(noteId, timerManager, renderCallback, updateEmptyStateCallback) {
+  const note = notes.find(n => n.id === noteId);
+  if (!note || !isTrashed(note)) return null;
+  
+  note.deletedAt = null;
+  if (!getColumn(note.column)) {
+    note.column = getFirstColumnId();
+    recordColumnTransition(note, note.column);
   }
-  notes = notes.filter(note => note.id !== noteId);
+  if (isActiveColumn(note.column)) {
+    startTimerSession(note, timerManager, Date.now());
+  }
+  
   saveNotes(notes);
   if (renderCallback) renderCallback(notes);
   if (updateEmptyStateCallback) updateEmptyStateCallback();
+  return note;
+}
+
+// Permanently remove tasks from the trash
+export function purgeNotes(noteIds) {
+  const before = notes.length;
+  notes = notes.filter(note => !(isTrashed(note) && noteIds.includes(note.id)));
+  saveNotes(notes);
+  return before - notes.length;
+}
+
+// Permanently remove tasks that have been in the trash longer than the retention period
+// A retention of 0 days keeps trashed tasks until the trash is emptied
+export function purgeExpiredNotes(retentionDays) {
+  if (!retentionDays || retentionDays <= 0) return 0;
+  
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  const expiredIds = getTrashedNotes().filter(note => note.deletedAt < cutoff).map(note => note.id);
+  return expiredIds.length > 0 ? purgeNotes(expiredIds) : 0;
 }
 
 // Update an existing note
@@ -107,7 +512,7 @@ export function handleButtonClick(event, notesArray, deleteNoteCallback, openTas
   if (deleteBtn) {
     event.stopPropagation();
     const noteElement = deleteBtn.closest('.stickyNote');
-    const noteId = parseInt(noteElement.getAttribute('data-note-id'));
+    const noteId = noteElement.getAttribute('data-note-id');
     if (deleteNoteCallback) {
       deleteNoteCallback(noteId);
     }
@@ -119,7 +524,7 @@ export function handleButtonClick(event, notesArray, deleteNoteCallback, openTas
   if (editBtn) {
     event.stopPropagation();
     const noteElement = editBtn.closest('.stickyNote');
-    const noteId = parseInt(noteElement.getAttribute('data-note-id'));
+    const noteId = noteElement.getAttribute('data-note-id');
     const note = notesArray.find(n => n.id === noteId);
     if (note && openTaskModalCallback) {
       openTaskModalCallback(note);
@@ -129,8 +534,8 @@ export function handleButtonClick(event, notesArray, deleteNoteCallback, openTas
   
   // Handle click on card itself to view details
   const noteCard = event.target.closest('.stickyNote');
-  if (noteCard && !event.target.closest('.editBtn, .deleteBtn, .priorityBadge')) {
-    const noteId = parseInt(noteCard.getAttribute('data-note-id'));
+  if (noteCard && !event.target.closest('.editBtn, .deleteBtn, .priorityBadge, .labelChip, .pomodoroBtn, .pomodoroSkipBtn')) {
+    const noteId = noteCard.getAttribute('data-note-id');
     const note = notesArray.find(n => n.id === noteId);
     if (note && openTaskDetailsModalCallback) {
       openTaskDetailsModalCallback(note);
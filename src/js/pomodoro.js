@@ -0,0 +1,162 @@
+// Pomodoro Mode
+//
+// Tasks in an active column can switch their timer to Pomodoro mode: focus
+// intervals alternate with short breaks, and every few intervals a long break.
+// Interval lengths come from the app settings. A task's state is
+// { phase, phaseStartedAt } (phaseStartedAt is null while the task is outside an
+// active column) plus a pomodoros counter and a breakTime total on the note.
+// Only focus intervals add to timeSpent. The interval switching itself lives in
+// notes.js next to the other timer session rules; this module holds the
+// durations, the countdown ring on the card and the end-of-interval alerts.
+
+import { getSetting } from './settings.js';
+import { showToast } from './toast.js';
+
+export const POMODORO_PHASES = ['work', 'shortBreak', 'longBreak'];
+
+export const POMODORO_PHASE_LABELS = {
+  work: 'Focus',
+  shortBreak: 'Short break',
+  longBreak: 'Long break'
+};
+
+const RING_RADIUS = 16;
+
+// Normalize a stored Pomodoro state, returns null when the mode is off
+export function migratePomodoro(state) {
+  if (!state || typeof state !== 'object' || !POMODORO_PHASES.includes(state.phase)) {
+    return null;
+  }
+  return {
+    phase: state.phase,
+    phaseStartedAt: Number.isFinite(state.phaseStartedAt) ? state.phaseStartedAt : null
+  };
+}
+
+// Get the length of an interval in milliseconds
+export function getPomodoroDuration(phase) {
+  const settingKeys = {
+    work: 'pomodoroWorkMinutes',
+    shortBreak: 'pomodoroShortBreakMinutes',
+    longBreak: 'pomodoroLongBreakMinutes'
+  };
+  return Math.max(1, getSetting(settingKeys[phase])) * 60000;
+}
+
+// Pick the break that follows a finished focus interval
+export function getBreakPhase(completedPomodoros) {
+  const longBreakEvery = Math.max(1, getSetting('pomodoroLongBreakEvery'));
+  return completedPomodoros > 0 && completedPomodoros % longBreakEvery === 0 ? 'longBreak' : 'shortBreak';
+}
+
+// Check if a task is running a break (its work timer is paused)
+export function isPomodoroBreak(note) {
+  return Boolean(note.pomodoro && note.pomodoro.phase !== 'work' && note.pomodoro.phaseStartedAt);
+}
+
+// Get milliseconds left in the current interval
+export function getPomodoroRemaining(note, now = Date.now()) {
+  if (!note.pomodoro || !note.pomodoro.phaseStartedAt) {
+    return getPomodoroDuration(note.pomodoro ? note.pomodoro.phase : 'work');
+  }
+  return Math.max(0, note.pomodoro.phaseStartedAt + getPomodoroDuration(note.pomodoro.phase) - now);
+}
+
+// Get total break time, including a break that is running
+export function getBreakTime(note, now = Date.now()) {
+  const running = isPomodoroBreak(note) ? now - note.pomodoro.phaseStartedAt : 0;
+  return (note.breakTime || 0) + running;
+}
+
+// Format a countdown as MM:SS
+function formatCountdown(milliseconds) {
+  const totalSeconds = Math.ceil(milliseconds / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+}
+
+// Create the countdown ring shown on a card instead of the timer text
+export function createPomodoroRing(note) {
+  const display = document.createElement('div');
+  display.className = 'pomodoroDisplay';
+  display.innerHTML = `
+    <div class="pomodoroRing">
+      <svg viewBox="0 0 36 36" aria-hidden="true">
+        <circle class="pomodoroTrack" cx="18" cy="18" r="${RING_RADIUS}"></circle>
+        <circle class="pomodoroProgress" cx="18" cy="18" r="${RING_RADIUS}" pathLength="100" stroke-dasharray="100"></circle>
+      </svg>
+      <span class="pomodoroTime"></span>
+    </div>
+    <div class="pomodoroInfo">
+      <span class="pomodoroPhase"></span>
+      <span class="pomodoroCount"></span>
+      <div class="pomodoroActions">
+        <button type="button" class="pomodoroSkipBtn" title="Skip to the next interval"><i class="fas fa-forward"></i></button>
+        <button type="button" class="pomodoroBtn" title="Turn off Pomodoro mode"><i class="fas fa-stop"></i></button>
+      </div>
+    </div>
+  `;
+  updatePomodoroRing(display, note);
+  return display;
+}
+
+// Refresh a ring's countdown, progress and labels
+export function updatePomodoroRing(display, note, now = Date.now()) {
+  const phase = note.pomodoro.phase;
+  const duration = getPomodoroDuration(phase);
+  const remaining = getPomodoroRemaining(note, now);
+  const count = note.pomodoros || 0;
+  
+  display.classList.toggle('onBreak', phase !== 'work');
+  display.querySelector('.pomodoroProgress').setAttribute('stroke-dashoffset', String(100 - (remaining / duration) * 100));
+  display.querySelector('.pomodoroTime').textContent = formatCountdown(remaining);
+  display.querySelector('.pomodoroPhase').textContent = POMODORO_PHASE_LABELS[phase];
+  display.querySelector('.pomodoroCount').textContent = `${count} pomodoro${count === 1 ? '' : 's'}`;
+}
+
+// Play a short two-tone chime
+function playChime() {
+  if (!getSetting('pomodoroSound')) return;
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return;
+  
+  try {
+    const context = new AudioContextClass();
+    [660, 880].forEach((frequency, index) => {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      const start = context.currentTime + index * 0.25;
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.2, start);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + 0.4);
+      oscillator.connect(gain);
+      gain.connect(context.destination);
+      oscillator.start(start);
+      oscillator.stop(start + 0.4);
+    });
+    setTimeout(() => context.close(), 1000);
+  } catch (e) {
+    // Audio can be blocked until the user interacts with the page
+  }
+}
+
+// Announce the end of an interval with a chime, a browser notification when allowed and a toast
+export function notifyPomodoroPhaseEnd(note) {
+  const nextPhase = note.pomodoro.phase;
+  const minutes = Math.round(getPomodoroDuration(nextPhase) / 60000);
+  const message = nextPhase === 'work'
+    ? `Break over — back to "${note.text}" for ${minutes} min`
+    : `Pomodoro done on "${note.text}" — take a ${minutes} min ${nextPhase === 'longBreak' ? 'long ' : ''}break`;
+  
+  playChime();
+  
+  if (typeof Notification !== 'undefined' && Notification.permission === 'granted' && document.hidden) {
+    try {
+      new Notification('Kanby Pomodoro', { body: message, tag: `pomodoro:${note.id}` });
+    } catch (e) {
+      // The toast below still shows
+    }
+  }
+  showToast(message);
+}
@@ -0,0 +1,97 @@
+// Recurring Tasks
+//
+// Recurrence rules for tasks that repeat (daily standups, weekly reports, monthly
+// invoices). A rule is { type, days, dayOfMonth, interval } with type 'daily',
+// 'weekdays', 'weekly' (on the chosen weekdays), 'monthly' (on a day of the
+// month) or 'interval' (every N days). Computes the next due date, keeping the
+// time of day, and describes a rule for the UI.
+
+export const RECURRENCE_TYPES = ['daily', 'weekdays', 'weekly', 'monthly', 'interval'];
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const MAX_STEPS = 10000; // Safety limit when catching up with overdue occurrences
+
+// Normalize a stored rule, returns null for no recurrence or an unusable rule
+export function migrateRecurrence(rule) {
+  if (!rule || typeof rule !== 'object' || !RECURRENCE_TYPES.includes(rule.type)) {
+    return null;
+  }
+  
+  const days = Array.isArray(rule.days)
+    ? [...new Set(rule.days.map(Number).filter(day => Number.isInteger(day) && day >= 0 && day <= 6))].sort((a, b) => a - b)
+    : [];
+  const dayOfMonth = Math.min(31, Math.max(1, Math.floor(Number(rule.dayOfMonth)) || 1));
+  const interval = Math.min(365, Math.max(1, Math.floor(Number(rule.interval)) || 1));
+  
+  if (rule.type === 'weekly' && days.length === 0) {
+    return null;
+  }
+  
+  return { type: rule.type, days, dayOfMonth, interval };
+}
+
+// Advance a date by one step of the rule (always moves forward at least one day)
+function advance(rule, date) {
+  const next = new Date(date);
+  
+  switch (rule.type) {
+    case 'interval':
+      next.setDate(next.getDate() + rule.interval);
+      break;
+    case 'weekdays':
+      do {
+        next.setDate(next.getDate() + 1);
+      } while (next.getDay() === 0 || next.getDay() === 6);
+      break;
+    case 'weekly':
+      do {
+        next.setDate(next.getDate() + 1);
+      } while (!rule.days.includes(next.getDay()));
+      break;
+    case 'monthly': {
+      // Months without that day use their last day (e.g. the 31st becomes Feb 28)
+      const dayInMonth = (year, month) => Math.min(rule.dayOfMonth, new Date(year, month + 1, 0).getDate());
+      next.setDate(dayInMonth(next.getFullYear(), next.getMonth()));
+      if (next <= date) {
+        next.setDate(1);
+        next.setMonth(next.getMonth() + 1);
+        next.setDate(dayInMonth(next.getFullYear(), next.getMonth()));
+      }
+      break;
+    }
+    default:
+      next.setDate(next.getDate() + 1);
+  }
+  
+  return next;
+}
+
+// Get the next due date after a previous due date (timestamps)
+// Occurrences that are already in the past are skipped
+export function getNextDueDate(rule, previousDueDate, now = Date.now()) {
+  let next = advance(rule, new Date(previousDueDate));
+  for (let step = 0; next.getTime() <= now && step < MAX_STEPS; step++) {
+    next = advance(rule, next);
+  }
+  return next.getTime();
+}
+
+// Describe a rule for display (e.g. "Weekly on Mon, Thu")
+export function describeRecurrence(rule) {
+  if (!rule) return '';
+  
+  switch (rule.type) {
+    case 'daily':
+      return 'Every day';
+    case 'weekdays':
+      return 'Every weekday (Mon-Fri)';
+    case 'weekly':
+      return `Weekly on ${rule.days.map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+    case 'monthly':
+      return `Monthly on day ${rule.dayOfMonth}${rule.dayOfMonth > 28 ? ' (or the last day of the month)' : ''}`;
+    case 'interval':
+      return rule.interval === 1 ? 'Every day' : `Every ${rule.interval} days`;
+    default:
+      return '';
+  }
+}
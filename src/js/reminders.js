@@ -0,0 +1,243 @@
+// Due-Date Reminders
+//
+// Tasks can ask to be reminded a set time before their due date (e.g. 1 day and
+// 10 minutes before). A scheduler checks every board on an interval and when the
+// tab becomes visible again, so reminders that came due while the tab was closed
+// are caught up on load. A reminder shows a browser notification when permission
+// is granted and always an in-app toast with Snooze and Dismiss. Fired reminders
+// are remembered in localStorage, keyed by board, task, due date and offset, so
+// nothing fires twice and changing the due date re-arms the reminders.
+
+import { getBoards, getActiveBoardId } from './boards.js';
+import { isDoneColumn } from './columns.js';
+import { formatDueDate } from './formatters.js';
+import { readNotes } from './storage.js';
+import { showToast, hideToast, isToastVisible } from './toast.js';
+
+export const REMINDERS_STORAGE_KEY = 'kanbyReminders';
+
+// Offsets offered in the task editor, in minutes before the due date
+export const REMINDER_OFFSETS = [10, 30, 60, 120, 1440, 2880, 10080];
+
+const CHECK_INTERVAL = 30000; // Milliseconds between checks
+const SNOOZE_MINUTES = 10;
+const STATE_RETENTION = 30 * 24 * 60 * 60 * 1000; // Forget fired reminders after 30 days
+
+let checkInterval = null;
+let getActiveNotes = () => [];
+let pendingReminders = []; // Fired reminders waiting for Snooze/Dismiss: { key, noteId, boardId, message }
+let shownReminderKey = null; // Reminder currently shown in the toast
+let shownReminderToast = null; // Its toast element, which another message may have replaced
+
+// Normalize a task's reminder offsets: unique positive minutes, largest first
+export function migrateReminders(reminders) {
+  if (!Array.isArray(reminders)) return [];
+  return [...new Set(reminders.map(Number).filter(minutes => Number.isInteger(minutes) && minutes > 0))]
+    .sort((a, b) => b - a);
+}
+
+// Describe an offset for display (e.g. "1 day", "2 hours", "10 min")
+export function describeReminderOffset(minutes) {
+  if (minutes % 10080 === 0) {
+    const weeks = minutes / 10080;
+    return weeks === 1 ? '1 week' : `${weeks} weeks`;
+  }
+  if (minutes % 1440 === 0) {
+    const days = minutes / 1440;
+    return days === 1 ? '1 day' : `${days} days`;
+  }
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return hours === 1 ? '1 hour' : `${hours} hours`;
+  }
+  return `${minutes} min`;
+}
+
+// Load fired/snoozed reminder state
+function loadReminderState() {
+  try {
+    const data = localStorage.getItem(REMINDERS_STORAGE_KEY);
+    const state = data ? JSON.parse(data) : {};
+    return state && typeof state === 'object' && !Array.isArray(state) ? state : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// Persist reminder state, dropping entries older than the retention period
+function saveReminderState(state) {
+  const cutoff = Date.now() - STATE_RETENTION;
+  Object.keys(state).forEach(key => {
+    if (!state[key].firedAt || state[key].firedAt < cutoff) {
+      delete state[key];
+    }
+  });
+  try {
+    localStorage.setItem(REMINDERS_STORAGE_KEY, JSON.stringify(state));
+  } catch (e) {
+    // Reminders may fire again after a reload
+  }
+}
+
+// Build the state key of one reminder
+function getReminderKey(boardId, note, offset) {
+  return `${boardId}:${note.id}:${note.dueDate}:${offset}`;
+}
+
+// Ask for notification permission (only asks while the user has not decided yet)
+export function requestNotificationPermission() {
+  if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+    Notification.requestPermission().catch(() => {});
+  }
+}
+
+// Show a browser notification when allowed; clicking it brings the tab forward
+function showBrowserNotification(key, message) {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') {
+    return;
+  }
+  try {
+    const notification = new Notification('Kanby reminder', { body: message, tag: key });
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+    };
+  } catch (e) {
+    // Some browsers only allow notifications from a service worker - the toast still shows
+  }
+}
+
+// Show the oldest pending reminder in the toast unless another toast is visible
+function showNextReminder() {
+  if (pendingReminders.length === 0 || isToastVisible()) {
+    return;
+  }
+  
+  const reminder = pendingReminders[0];
+  const removeReminder = () => {
+    pendingReminders = pendingReminders.filter(r => r.key !== reminder.key);
+    shownReminderKey = null;
+  };
+  
+  shownReminderKey = reminder.key;
+  shownReminderToast = showToast(reminder.message, {
+    duration: 0,
+    actions: [
+      {
+        label: `Snooze ${SNOOZE_MINUTES} min`,
+        onAction: () => {
+          const state = loadReminderState();
+          if (state[reminder.key]) {
+            state[reminder.key].snoozedUntil = Date.now() + SNOOZE_MINUTES * 60000;
+            saveReminderState(state);
+          }
+          removeReminder();
+          showNextReminder();
+        }
+      },
+      {
+        label: 'Dismiss',
+        onAction: () => {
+          removeReminder();
+          showNextReminder();
+        }
+      }
+    ],
+    onClose: () => {
+      removeReminder();
+      showNextReminder();
+    }
+  });
+}
+
+// Get the tasks of every board that may have reminders due
+// The active board uses the in-memory notes so unsaved timer state is not reloaded;
+// other boards are only read, since this runs every few seconds
+function getReminderCandidates() {
+  const activeBoardId = getActiveBoardId();
+  return getBoards().flatMap(board => {
+    const boardNotes = board.id === activeBoardId ? getActiveNotes() : readNotes(board.id);
+    return boardNotes
+      .filter(note => !note.deletedAt && note.dueDate && note.reminders && note.reminders.length > 0 &&
+        !isDoneColumn(note.column, board.id))
+      .map(note => ({ board, note }));
+  });
+}
+
+// Check all boards for reminders that are due and fire them
+export function checkReminders() {
+  const now = Date.now();
+  const state = loadReminderState();
+  const activeBoardId = getActiveBoardId();
+  const candidates = getReminderCandidates();
+  const firedReminders = [];
+  let changed = false;
+  
+  candidates.forEach(({ board, note }) => {
+    // Offsets whose time has come and that have not fired (or whose snooze ran out)
+    const dueOffsets = note.reminders.filter(offset => {
+      const entry = state[getReminderKey(board.id, note, offset)];
+      if (note.dueDate - offset * 60000 > now) return false;
+      if (!entry) return true;
+      return entry.snoozedUntil !== null && entry.snoozedUntil <= now;
+    });
+    if (dueOffsets.length === 0) return;
+    
+    // When several came due at once (e.g. after the tab was closed), only the one
+    // closest to the due date is shown; the others are marked as fired
+    dueOffsets.forEach(offset => {
+      state[getReminderKey(board.id, note, offset)] = { firedAt: now, snoozedUntil: null };
+    });
+    changed = true;
+    
+    const key = getReminderKey(board.id, note, Math.min(...dueOffsets));
+    const boardName = board.id === activeBoardId ? '' : ` (${board.name})`;
+    firedReminders.push({
+      key,
+      noteId: note.id,
+      boardId: board.id,
+      message: `${note.text}${boardName} — ${formatDueDate(note.dueDate).text}`
+    });
+  });
+  
+  if (changed) {
+    saveReminderState(state);
+  }
+  
+  // Drop queued reminders whose task was completed, deleted or rescheduled meanwhile
+  const liveKeys = new Set(candidates.flatMap(({ board, note }) =>
+    note.reminders.map(offset => getReminderKey(board.id, note, offset))
+  ));
+  pendingReminders = pendingReminders.filter(reminder => liveKeys.has(reminder.key));
+  if (shownReminderKey && !liveKeys.has(shownReminderKey)) {
+    hideToast(shownReminderToast);
+    shownReminderKey = null;
+  }
+  
+  // A newer reminder for the same task replaces an older one still waiting
+  firedReminders.forEach(reminder => {
+    pendingReminders = pendingReminders.filter(r => r.noteId !== reminder.noteId || r.boardId !== reminder.boardId);
+    pendingReminders.push(reminder);
+    showBrowserNotification(reminder.key, reminder.message);
+  });
+  
+  // Re-show a reminder whose toast was replaced by another message
+  if (shownReminderKey && !isToastVisible()) {
+    shownReminderKey = null;
+  }
+  showNextReminder();
+}
+
+// Start checking reminders; getNotes returns the active board's in-memory tasks
+// Runs a check right away to catch up on reminders missed while the tab was closed
+export function startReminderScheduler(getNotes) {
+  getActiveNotes = getNotes;
+  clearInterval(checkInterval);
+  checkInterval = setInterval(checkReminders, CHECK_INTERVAL);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      checkReminders();
+    }
+  });
+  checkReminders();
+}
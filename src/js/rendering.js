@@ -1,18 +1,29 @@
 // Rendering and DOM Manipulation
 // 
 // Handles rendering of notes to the DOM, creating note elements, priority badges,
-// and managing the visual display of the kanban board. Coordinates with drag-drop
-// module to re-enable drag functionality after rendering.
+// and managing the visual display of the kanban board. Builds the column markup
+// from the stored column config. Coordinates with drag-drop module to re-enable
+// drag functionality after rendering.
 
 import { initDragAndDrop } from './dragDrop.js';
+import { getColumns, getColumnRole, isPrioritySorted, getWipLimit } from './columns.js';
 import { formatTimestamp, formatDueDate } from './formatters.js';
 import { formatElapsedTime, formatCompletedTime } from './timer.js';
+import { getChecklistProgress } from './notes.js';
+import { getLabel, getLabelTextColor } from './labels.js';
+import { describeRecurrence } from './recurrence.js';
+import { describeReminderOffset } from './reminders.js';
+import { createPomodoroRing } from './pomodoro.js';
+import { getFilters, matchesFilters, hasActiveFilters, getSearchTerms } from './filters.js';
 
 // Create a task card DOM element
 export function createNoteElement(note, timerManager) {
+  const role = getColumnRole(note.column);
   const noteDiv = document.createElement('div');
-  noteDiv.className = `stickyNote column${note.column.charAt(0).toUpperCase() + note.column.slice(1)}`;
+  noteDiv.className = `stickyNote ${getRoleClass(role)}`;
   noteDiv.setAttribute('data-note-id', note.id);
+  noteDiv.tabIndex = 0; // Focusable for keyboard navigation
+  noteDiv.setAttribute('aria-label', note.text);
   
   // Add priority badge
   if (note.priority) {
@@ -35,9 +46,10 @@ export function createNoteElement(note, timerManager) {
   noteDiv.appendChild(deleteBtn);
   
   // Add task text
+  const searchTerms = getSearchTerms();
   const textP = document.createElement('p');
   textP.className = 'noteText';
-  textP.textContent = note.text;
+  appendHighlightedText(textP, note.text, searchTerms);
   
   // Add description indicator if description exists
   if (note.description && note.description.trim().length > 0) {
@@ -48,10 +60,66 @@ export function createNoteElement(note, timerManager) {
     textP.appendChild(descIndicator);
   }
   
+  // Add repeat indicator for recurring tasks
+  if (note.recurrence) {
+    const recurrenceIndicator = document.createElement('span');
+    recurrenceIndicator.className = 'descriptionIndicator recurrenceIndicator';
+    recurrenceIndicator.innerHTML = '<i class="fas fa-redo"></i>';
+    recurrenceIndicator.title = `Repeats: ${describeRecurrence(note.recurrence)}`;
+    textP.appendChild(recurrenceIndicator);
+  }
+  
+  // Add bell indicator for tasks with reminders
+  if (note.dueDate && note.reminders && note.reminders.length > 0) {
+    const reminderIndicator = document.createElement('span');
+    reminderIndicator.className = 'descriptionIndicator reminderIndicator';
+    reminderIndicator.innerHTML = '<i class="fas fa-bell"></i>';
+    reminderIndicator.title = `Reminders: ${note.reminders.map(describeReminderOffset).join(', ')} before`;
+    textP.appendChild(reminderIndicator);
+  }
+  
   noteDiv.appendChild(textP);
   
-  // Add due date display (except for Done column)
-  if (note.dueDate && note.column !== 'done') {
+  // Show where the search matched inside the description
+  const snippet = getDescriptionSnippet(note.text, note.description, searchTerms);
+  if (snippet) {
+    const snippetP = document.createElement('p');
+    snippetP.className = 'searchSnippet';
+    appendHighlightedText(snippetP, snippet, searchTerms);
+    noteDiv.appendChild(snippetP);
+  }
+  
+  // Add label chips (click filters the board to that label)
+  const labels = (note.labels || []).map(labelId => getLabel(labelId)).filter(Boolean);
+  if (labels.length > 0) {
+    const labelsDiv = document.createElement('div');
+    labelsDiv.className = 'noteLabels';
+    labels.forEach(label => {
+      const chip = createLabelChip(label, 'button');
+      chip.title = `Show only "${label.name}" tasks`;
+      chip.classList.toggle('active', getFilters().labelId === label.id);
+      labelsDiv.appendChild(chip);
+    });
+    noteDiv.appendChild(labelsDiv);
+  }
+  
+  // Add checklist progress ("3/7" and a bar)
+  const progress = getChecklistProgress(note);
+  if (progress.total > 0) {
+    const percent = Math.round((progress.done / progress.total) * 100);
+    const checklistDiv = document.createElement('div');
+    checklistDiv.className = 'checklistProgress';
+    checklistDiv.classList.toggle('complete', progress.done === progress.total);
+    checklistDiv.title = `${progress.done} of ${progress.total} checklist items done`;
+    checklistDiv.innerHTML = `
+      <span class="checklistCount"><i class="fas fa-check-square"></i> ${progress.done}/${progress.total}</span>
+      <div class="checklistBar"><div class="checklistBarFill" style="width: ${percent}%"></div></div>
+    `;
+    noteDiv.appendChild(checklistDiv);
+  }
+  
+  // Add due date display (except for done columns)
+  if (note.dueDate && role !== 'done') {
     const dueDateInfo = formatDueDate(note.dueDate);
     const dueDateDiv = document.createElement('div');
     dueDateDiv.className = 'noteDueDate';
@@ -64,30 +132,41 @@ export function createNoteElement(note, timerManager) {
     noteDiv.appendChild(dueDateDiv);
   }
   
-  // Add creation timestamp for To Do column
-  if (note.column === 'todo' && note.createdAt) {
+  // Add creation timestamp for queue columns
+  if (role === 'todo' && note.createdAt) {
     const timestampDiv = document.createElement('div');
     timestampDiv.className = 'noteTimestamp';
     timestampDiv.textContent = formatTimestamp(note.createdAt);
     noteDiv.appendChild(timestampDiv);
   }
   
-  // Add live timer for In Progress column
-  if (note.column === 'inprogress') {
-    const timerDiv = document.createElement('div');
-    timerDiv.className = 'timerDisplay';
-    let elapsedTime = 0;
-    
-    if (timerManager && timerManager.isTimerActive(note.id)) {
-      elapsedTime = timerManager.getElapsedTime(note.id);
+  // Add live timer for active columns (a countdown ring in Pomodoro mode)
+  if (role === 'inprogress') {
+    if (note.pomodoro) {
+      noteDiv.appendChild(createPomodoroRing(note));
     } else {
-      // If timer is not active but task is in progress, show accumulated time
-      elapsedTime = note.timeSpent || 0;
+      const timerDiv = document.createElement('div');
+      timerDiv.className = 'timerDisplay';
+      let elapsedTime = 0;
+      
+      if (timerManager && timerManager.isTimerActive(note.id)) {
+        elapsedTime = timerManager.getElapsedTime(note.id);
+      } else {
+        // If timer is not active but task is in progress, show accumulated time
+        elapsedTime = note.timeSpent || 0;
+      }
+      
+      timerDiv.textContent = `⏱ ${formatElapsedTime(elapsedTime)}`;
+      noteDiv.appendChild(timerDiv);
+      
+      const pomodoroBtn = document.createElement('button');
+      pomodoroBtn.type = 'button';
+      pomodoroBtn.className = 'pomodoroBtn pomodoroStartBtn';
+      pomodoroBtn.innerHTML = '<i class="fas fa-stopwatch"></i> Pomodoro';
+      pomodoroBtn.title = 'Switch to Pomodoro mode';
+      noteDiv.appendChild(pomodoroBtn);
     }
     
-    timerDiv.textContent = `⏱ ${formatElapsedTime(elapsedTime)}`;
-    noteDiv.appendChild(timerDiv);
-    
     // Add creation timestamp below timer
     if (note.createdAt) {
       const timestampDiv = document.createElement('div');
@@ -97,8 +176,8 @@ export function createNoteElement(note, timerManager) {
     }
   }
   
-  // Add completion info for Done column
-  if (note.column === 'done') {
+  // Add completion info for done columns
+  if (role === 'done') {
     const timeDisplay = document.createElement('div');
     timeDisplay.className = 'completedTimeDisplay';
     
@@ -140,38 +219,221 @@ export function createPriorityBadge(priority) {
   return badge;
 }
 
+// Append text to an element, wrapping search matches in <mark>
+export function appendHighlightedText(element, text, terms) {
+  if (terms.length === 0) {
+    element.appendChild(document.createTextNode(text));
+    return;
+  }
+  
+  const escapedTerms = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(${escapedTerms.join('|')})`, 'gi');
+  text.split(pattern).forEach((part, index) => {
+    // Odd indexes are the captured matches
+    if (index % 2 === 1) {
+      const mark = document.createElement('mark');
+      mark.className = 'searchHighlight';
+      mark.textContent = part;
+      element.appendChild(mark);
+    } else if (part.length > 0) {
+      element.appendChild(document.createTextNode(part));
+    }
+  });
+}
+
+// Cut the description around the first match of a search term the title does not contain
+function getDescriptionSnippet(title, description, terms) {
+  const descriptionTerms = terms.filter(term => !title.toLowerCase().includes(term));
+  if (!description || descriptionTerms.length === 0) return null;
+  
+  const lowerDescription = description.toLowerCase();
+  const matchIndex = descriptionTerms
+    .map(term => lowerDescription.indexOf(term))
+    .filter(index => index !== -1)
+    .sort((a, b) => a - b)[0];
+  if (matchIndex === undefined) return null;
+  
+  const start = Math.max(0, matchIndex - 30);
+  const end = Math.min(description.length, matchIndex + 70);
+  const snippet = description.slice(start, end).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${snippet}${end < description.length ? '…' : ''}`;
+}
+
+// Create a colored label chip element
+export function createLabelChip(label, tagName = 'span') {
+  const chip = document.createElement(tagName);
+  chip.className = 'labelChip';
+  if (tagName === 'button') {
+    chip.type = 'button';
+  }
+  chip.setAttribute('data-label-id', label.id);
+  chip.style.backgroundColor = label.color;
+  chip.style.color = getLabelTextColor(label.color);
+  chip.textContent = label.name;
+  return chip;
+}
+
+// Sync the search bar inputs and show or hide the bar naming the active label filter
+export function renderFilterStatus() {
+  const filters = getFilters();
+  const inputValues = {
+    searchInput: filters.query,
+    filterPriority: filters.priority,
+    filterDueStatus: filters.dueStatus,
+    filterDateField: filters.dateField,
+    filterDateFrom: filters.dateFrom,
+    filterDateTo: filters.dateTo
+  };
+  Object.keys(inputValues).forEach(inputId => {
+    const input = document.getElementById(inputId);
+    // Only write changed values so typing keeps the caret where it is
+    if (input && input.value !== inputValues[inputId]) {
+      input.value = inputValues[inputId];
+    }
+  });
+  
+  const resetFiltersBtn = document.getElementById('resetFiltersBtn');
+  if (resetFiltersBtn) {
+    resetFiltersBtn.disabled = !hasActiveFilters();
+  }
+  
+  const filterBar = document.getElementById('activeFilterBar');
+  if (!filterBar) return;
+  
+  const label = filters.labelId ? getLabel(filters.labelId) : null;
+  filterBar.classList.toggle('hidden', !label);
+  const chipContainer = filterBar.querySelector('.activeFilterChips');
+  chipContainer.innerHTML = '';
+  if (label) {
+    chipContainer.appendChild(createLabelChip(label));
+  }
+}
+
+// Get the CSS class for a column role (columnTodo, columnInprogress, columnDone)
+export function getRoleClass(role) {
+  return `column${role.charAt(0).toUpperCase() + role.slice(1)}`;
+}
+
+// Build the board columns and column selectors from the column config
+export function renderBoard() {
+  const board = document.querySelector('.board');
+  const columns = getColumns();
+  
+  board.innerHTML = '';
+  board.style.setProperty('--column-count', columns.length);
+  
+  columns.forEach(column => {
+    const columnDiv = document.createElement('div');
+    columnDiv.className = `boardColumn ${getRoleClass(getColumnRole(column.id))}`;
+    columnDiv.setAttribute('data-column-id', column.id);
+    
+    const heading = document.createElement('h2');
+    heading.textContent = column.name;
+    
+    // Toggle between manual order and priority sorting
+    const sortBtn = document.createElement('button');
+    sortBtn.type = 'button';
+    sortBtn.className = 'columnSortBtn';
+    sortBtn.setAttribute('data-column-id', column.id);
+    const byPriority = column.sortMode === 'priority';
+    sortBtn.classList.toggle('active', byPriority);
+    sortBtn.innerHTML = byPriority ? '<i class="fas fa-sort-amount-down"></i>' : '<i class="fas fa-grip-lines"></i>';
+    sortBtn.title = byPriority ? 'Sorted by priority - click to use manual order' : 'Manual order - click to sort by priority';
+    heading.appendChild(sortBtn);
+    
+    // Task count, filled in by renderNotes
+    const countSpan = document.createElement('span');
+    countSpan.className = 'columnCount';
+    heading.appendChild(countSpan);
+    
+    columnDiv.appendChild(heading);
+    
+    const notesContainer = document.createElement('div');
+    notesContainer.className = 'notesContainer';
+    columnDiv.appendChild(notesContainer);
+    
+    board.appendChild(columnDiv);
+  });
+  
+  // Keep the quick-add column selector in sync
+  const columnSelect = document.getElementById('columnSelect');
+  if (columnSelect) {
+    const selected = columnSelect.value;
+    columnSelect.innerHTML = '';
+    columns.forEach(column => {
+      const option = document.createElement('option');
+      option.value = column.id;
+      option.textContent = column.name;
+      columnSelect.appendChild(option);
+    });
+    if (columns.some(column => column.id === selected)) {
+      columnSelect.value = selected;
+    }
+  }
+}
+
+// Fill the header board switcher
+export function renderBoardSwitcher(boards, activeBoardId) {
+  const boardSelect = document.getElementById('boardSelect');
+  if (!boardSelect) return;
+  
+  boardSelect.innerHTML = '';
+  boards.forEach(board => {
+    const option = document.createElement('option');
+    option.value = board.id;
+    option.textContent = board.name;
+    boardSelect.appendChild(option);
+  });
+  boardSelect.value = activeBoardId;
+}
+
 // Render all tasks to the board
 export function renderNotes(notesToRender, timerManager) {
-  const todoContainer = document.querySelector('#todo .notesContainer');
-  const inprogressContainer = document.querySelector('#inprogress .notesContainer');
-  const doneContainer = document.querySelector('#done .notesContainer');
-  
-  // Clear existing notes
-  todoContainer.innerHTML = '';
-  inprogressContainer.innerHTML = '';
-  doneContainer.innerHTML = '';
+  const containers = {};
+  document.querySelectorAll('.boardColumn').forEach(columnDiv => {
+    const container = columnDiv.querySelector('.notesContainer');
+    container.innerHTML = ''; // Clear existing notes
+    containers[columnDiv.getAttribute('data-column-id')] = container;
+  });
   
-  // Sort notes by priority
-  const sortedNotes = sortNotesByPriority(notesToRender);
+  // Manual order first (trashed notes are only shown in the trash)
+  const boardNotes = notesToRender.filter(note => !note.deletedAt);
+  const orderedNotes = boardNotes
+    .filter(note => matchesFilters(note))
+    .sort((a, b) => a.order - b.order);
+  const filtered = hasActiveFilters();
   
-  // Add notes to their respective columns
-  sortedNotes.forEach(note => {
-    const noteElement = createNoteElement(note, timerManager);
+  // Add notes to their respective columns, priority-sorted columns re-sort their cards
+  Object.keys(containers).forEach(columnId => {
+    let columnNotes = orderedNotes.filter(note => note.column === columnId);
+    if (isPrioritySorted(columnId)) {
+      columnNotes = sortNotesByPriority(columnNotes);
+    }
+    columnNotes.forEach(note => {
+      containers[columnId].appendChild(createNoteElement(note, timerManager));
+    });
     
-    if (note.column === 'todo') {
-      todoContainer.appendChild(noteElement);
-    } else if (note.column === 'inprogress') {
-      inprogressContainer.appendChild(noteElement);
-    } else if (note.column === 'done') {
-      doneContainer.appendChild(noteElement);
+    // "N of M" while filtered, plain total otherwise; "total/limit" when the column has a WIP limit
+    const columnDiv = containers[columnId].parentElement;
+    const countSpan = columnDiv.querySelector('.columnCount');
+    const total = boardNotes.filter(note => note.column === columnId).length;
+    const wipLimit = getWipLimit(columnId);
+    if (countSpan) {
+      const totalText = wipLimit !== null ? `${total}/${wipLimit}` : String(total);
+      countSpan.textContent = filtered ? `${columnNotes.length} of ${totalText}` : totalText;
+      countSpan.title = (filtered ? `Showing ${columnNotes.length} of ${total} tasks` : `${total} task${total !== 1 ? 's' : ''}`) +
+        (wipLimit !== null ? ` (WIP limit ${wipLimit})` : '');
+      countSpan.classList.toggle('filtered', filtered);
     }
+    columnDiv.classList.toggle('wipLimitReached', wipLimit !== null && total >= wipLimit);
+    columnDiv.classList.toggle('wipLimitExceeded', wipLimit !== null && total > wipLimit);
   });
   
   // Re-enable drag and drop
   initDragAndDrop();
 }
 
-// Sort notes by priority (high > medium > low)
+// Sort notes by priority (high > medium > low), keeping manual order within a priority
 function sortNotesByPriority(notesToSort) {
   const priorityOrder = { high: 1, medium: 2, low: 3 };
   
@@ -185,7 +447,7 @@ function sortNotesByPriority(notesToSort) {
 // Show or hide empty state message
 export function updateEmptyState(notesArray) {
   const emptyState = document.getElementById('emptyState');
-  if (notesArray && notesArray.length > 0) {
+  if (notesArray && notesArray.some(note => !note.deletedAt)) {
     emptyState.style.display = 'none';
   } else {
     emptyState.style.display = 'block';
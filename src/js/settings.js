@@ -0,0 +1,59 @@
+// App Settings
+//
+// App-wide preferences that are not tied to a board (e.g. how long trashed tasks
+// are kept). Stored as one object in localStorage; missing keys fall back to the
+// defaults so new settings can be added without a migration.
+
+export const SETTINGS_STORAGE_KEY = 'kanbySettings';
+
+export const DEFAULT_SETTINGS = {
+  trashRetentionDays: 30, // 0 keeps trashed tasks until the trash is emptied
+  pomodoroWorkMinutes: 25,
+  pomodoroShortBreakMinutes: 5,
+  pomodoroLongBreakMinutes: 15,
+  pomodoroLongBreakEvery: 4, // Focus intervals before a long break
+  pomodoroSound: true, // Chime when an interval ends
+  wipLimitMode: 'confirm' // 'confirm' asks before filling a column past its WIP limit, 'block' refuses
+};
+
+let settings = null; // Cached settings merged with defaults
+
+// Load settings from localStorage
+function loadSettings() {
+  try {
+    const data = localStorage.getItem(SETTINGS_STORAGE_KEY);
+    const stored = data ? JSON.parse(data) : null;
+    return { ...DEFAULT_SETTINGS, ...(stored && typeof stored === 'object' ? stored : {}) };
+  } catch (e) {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+// Get all settings
+export function getSettings() {
+  if (!settings) {
+    settings = loadSettings();
+  }
+  return settings;
+}
+
+// Get a single setting
+export function getSetting(key) {
+  return getSettings()[key];
+}
+
+// Read the settings again (after another tab changed them)
+export function reloadSettings() {
+  settings = null;
+}
+
+// Change one or more settings and persist them
+export function updateSettings(updates) {
+  settings = { ...getSettings(), ...updates };
+  try {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
@@ -1,11 +1,37 @@
-// Local Storage Management
+// Task Storage Management
 // 
-// Handles all localStorage operations for persisting Kanby notes in the browser.
-// Provides functions to save and load notes, check storage availability, and
-// migrate old note data to ensure backward compatibility when new fields are added.
-// All data is stored as JSON in the browser's localStorage.
+// Handles persisting Kanby notes in the browser through a storage adapter
+// (IndexedDB with one record per task, or localStorage as a fallback; see
+// storageAdapters.js). Provides functions to save and load notes, check storage
+// availability, and migrate old note data to ensure backward compatibility when new
+// fields are added. initStorage reads every board's tasks into memory once, so
+// loadNotes and saveNotes stay synchronous: a save writes only the tasks that
+// changed, in one transaction, and tells other tabs on a BroadcastChannel to
+// re-read the board.
+// Saving first merges in what other tabs saved since this tab last read the board (see sync.js).
+// Data from older schema versions is upgraded once at startup (see migrations.js).
+
+import { getColumn, getFirstColumnId, isDoneColumn } from './columns.js';
+import { getActiveBoardId, getBoardStorageKey, getBoards } from './boards.js';
+import { migrateRecurrence, RECURRENCE_TYPES } from './recurrence.js';
+import { migrateReminders } from './reminders.js';
+import { migratePomodoro, POMODORO_PHASES } from './pomodoro.js';
+import { migrateTimeLog, getLoggedTime, isValidTimeEntry } from './timeLog.js';
+import { migrateColumnHistory } from './columnHistory.js';
+import { markSynced, syncBeforeSave } from './sync.js';
+import { openStorageAdapter, LocalStorageAdapter } from './storageAdapters.js';
+import { repairDuplicateIds } from './ids.js';
+import { SCHEMA_VERSION, parseSchemaVersion, migrateRecords } from './migrations.js';
 
 export const STORAGE_KEY = 'kanbyNotes';
+const CHANNEL_NAME = 'kanbyNotes';
+const WRITE_NOTICE_KEY = 'kanbyNotesWritten'; // localStorage stand-in for the channel
+
+let adapter = null; // Storage adapter, set by initStorage
+let channel = null; // BroadcastChannel announcing writes to other tabs
+const storedRecords = new Map(); // Board ID -> Map of task ID -> JSON of the task as stored
+let localWrites = 0; // Writes started by this tab
+const remoteChangeListeners = [];
 
 // Check if localStorage is available in the browser
 export function isStorageAvailable() {
@@ -18,55 +44,351 @@ export function isStorageAvailable() {
   }
 }
 
+// Normalize checklist items, dropping entries without text
+function migrateChecklist(checklist) {
+  if (!Array.isArray(checklist)) return [];
+  return checklist
+    .filter(item => item && typeof item.text === 'string' && item.text.trim().length > 0)
+    .map((item, index) => ({
+      id: item.id !== undefined && item.id !== null ? String(item.id) : `item${index}`,
+      text: item.text,
+      done: Boolean(item.done)
+    }));
+}
+
 // Add missing fields to old notes for backward compatibility
-export function migrateNote(note) {
-  // If task is in done column but has no completedAt, set it to createdAt or now
+export function migrateNote(note, boardId = getActiveBoardId()) {
+  // Tasks from a column that no longer exists fall back to the first column
+  const column = getColumn(note.column, boardId) ? note.column : getFirstColumnId(boardId);
+  
+  // If task is in a done column but has no completedAt, set it to createdAt or now
+  const createdAt = note.createdAt || Date.now();
   let completedAt = note.completedAt || null;
-  if (note.column === 'done' && !completedAt) {
-    completedAt = note.createdAt || Date.now();
+  if (isDoneColumn(column, boardId) && !completedAt) {
+    completedAt = createdAt;
   }
   
+  // Finished sessions; timeSpent is derived from them
+  const timeLog = migrateTimeLog(note);
+  
   return {
-    id: note.id,
+    id: Number.isFinite(note.id) ? String(note.id) : note.id, // Older tasks have numeric IDs; cards and lookups use strings
     text: note.text,
     description: note.description || '',
-    column: note.column,
+    column: column,
+    columnHistory: migrateColumnHistory({ ...note, createdAt, completedAt }, column, boardId), // Columns entered { column, at }, oldest first
     priority: note.priority || 'medium',
     dueDate: note.dueDate || null,
-    createdAt: note.createdAt || Date.now(),
+    createdAt: createdAt,
     lastEditedAt: note.lastEditedAt || null,
     startedAt: note.startedAt || null,
     completedAt: completedAt,
-    timeSpent: note.timeSpent || 0,
+    timeSpent: getLoggedTime(timeLog),
+    timeLog: timeLog, // Finished sessions { id, start, end }
     timerStartTime: note.timerStartTime || null,
-    inProgressSince: note.inProgressSince || null
+    inProgressSince: note.inProgressSince || null,
+    deletedAt: note.deletedAt || null, // Set while the task is in the trash
+    order: Number.isFinite(note.order) ? note.order : null, // Position within the column, filled in by loadNotes
+    checklist: migrateChecklist(note.checklist),
+    autoCompleteChecklist: Boolean(note.autoCompleteChecklist), // Move to done when every item is checked
+    labels: Array.isArray(note.labels) ? note.labels.map(String) : [], // Label IDs, none for old notes
+    recurrence: migrateRecurrence(note.recurrence), // Repeat rule or null
+    nextOccurrenceId: Number.isFinite(note.nextOccurrenceId) ? String(note.nextOccurrenceId) : note.nextOccurrenceId ?? null, // Task created when this occurrence was completed
+    reminders: migrateReminders(note.reminders), // Minutes before the due date to remind at
+    pomodoro: migratePomodoro(note.pomodoro), // { phase, phaseStartedAt } while Pomodoro mode is on
+    pomodoros: Number.isInteger(note.pomodoros) && note.pomodoros > 0 ? note.pomodoros : 0, // Finished focus intervals
+    breakTime: note.breakTime || 0 // Pomodoro break time in milliseconds (not part of timeSpent)
   };
 }
 
-// Load notes from localStorage
-export function loadNotes() {
-  if (!isStorageAvailable()) {
+// Check a raw note record (e.g. from an import file) against the shape migrateNote produces
+// Returns a list of problems, empty when the record can be migrated safely
+export function validateNote(note) {
+  if (!note || typeof note !== 'object' || Array.isArray(note)) {
+    return ['record is not an object'];
+  }
+  
+  const errors = [];
+  const isTimestamp = (value) => value === null || value === undefined || (typeof value === 'number' && Number.isFinite(value));
+  
+  if (!(typeof note.id === 'number' && Number.isFinite(note.id)) && !(typeof note.id === 'string' && note.id.length > 0)) {
+    errors.push('id must be a number or non-empty string');
+  }
+  if (typeof note.text !== 'string' || note.text.trim().length === 0) {
+    errors.push('text must be a non-empty string');
+  }
+  if (note.description !== undefined && note.description !== null && typeof note.description !== 'string') {
+    errors.push('description must be a string');
+  }
+  if (typeof note.column !== 'string' || note.column.length === 0) {
+    errors.push('column must be a non-empty string');
+  }
+  if (note.priority !== undefined && !['high', 'medium', 'low'].includes(note.priority)) {
+    errors.push('priority must be high, medium or low');
+  }
+  ['dueDate', 'createdAt', 'lastEditedAt', 'startedAt', 'completedAt', 'timerStartTime', 'inProgressSince', 'deletedAt'].forEach(field => {
+    if (!isTimestamp(note[field])) {
+      errors.push(`${field} must be a timestamp or null`);
+    }
+  });
+  if (note.timeSpent !== undefined && !(typeof note.timeSpent === 'number' && note.timeSpent >= 0)) {
+    errors.push('timeSpent must be a non-negative number');
+  }
+  if (note.timeLog !== undefined && note.timeLog !== null &&
+      (!Array.isArray(note.timeLog) || note.timeLog.some(entry => !isValidTimeEntry(entry)))) {
+    errors.push('timeLog must be a list of sessions with start and end timestamps');
+  }
+  if (note.columnHistory !== undefined && note.columnHistory !== null &&
+      (!Array.isArray(note.columnHistory) || note.columnHistory.some(entry => !entry || typeof entry.column !== 'string' || !Number.isFinite(entry.at)))) {
+    errors.push('columnHistory must be a list of columns with timestamps');
+  }
+  if (note.breakTime !== undefined && !(typeof note.breakTime === 'number' && note.breakTime >= 0)) {
+    errors.push('breakTime must be a non-negative number');
+  }
+  if (note.pomodoro !== undefined && note.pomodoro !== null &&
+      (typeof note.pomodoro !== 'object' || !POMODORO_PHASES.includes(note.pomodoro.phase))) {
+    errors.push(`pomodoro phase must be one of ${POMODORO_PHASES.join(', ')}`);
+  }
+  if (!isTimestamp(note.order)) {
+    errors.push('order must be a number or null');
+  }
+  if (note.checklist !== undefined && note.checklist !== null &&
+      (!Array.isArray(note.checklist) || note.checklist.some(item => !item || typeof item.text !== 'string'))) {
+    errors.push('checklist must be a list of items with text');
+  }
+  if (note.labels !== undefined && note.labels !== null &&
+      (!Array.isArray(note.labels) || note.labels.some(label => typeof label !== 'string'))) {
+    errors.push('labels must be a list of label IDs');
+  }
+  if (note.recurrence !== undefined && note.recurrence !== null &&
+      (typeof note.recurrence !== 'object' || !RECURRENCE_TYPES.includes(note.recurrence.type))) {
+    errors.push(`recurrence type must be one of ${RECURRENCE_TYPES.join(', ')}`);
+  }
+  if (note.reminders !== undefined && note.reminders !== null &&
+      (!Array.isArray(note.reminders) || note.reminders.some(minutes => !(Number.isInteger(minutes) && minutes > 0)))) {
+    errors.push('reminders must be a list of minutes before the due date');
+  }
+  
+  return errors;
+}
+
+// Give notes without a position one at the end of their column
+// Placed by priority, then array order, so boards saved before manual ordering keep their look
+function assignMissingOrder(notes) {
+  const priorityOrder = { high: 1, medium: 2, low: 3 };
+  const unordered = notes
+    .filter(note => note.order === null)
+    .sort((a, b) => (priorityOrder[a.priority] || 2) - (priorityOrder[b.priority] || 2));
+  
+  unordered.forEach(note => {
+    const columnOrders = notes
+      .filter(n => n.column === note.column && n.order !== null)
+      .map(n => n.order);
+    note.order = columnOrders.length > 0 ? Math.max(...columnOrders) + 1 : 0;
+  });
+  
+  return notes;
+}
+
+// Remember a board's tasks as they are stored
+function cacheRecords(boardId, notes) {
+  storedRecords.set(boardId, new Map(notes.map(note => [note.id, JSON.stringify(note)])));
+}
+
+// Get a board's task array as stored (JSON), null when the board was never read
+export function getStoredData(boardId) {
+  const records = storedRecords.get(boardId);
+  return records ? `[${[...records.values()].join(',')}]` : null;
+}
+
+// Check if a record has an ID it can be stored under on its own
+function hasStorableId(note) {
+  return Boolean(note) && (Number.isFinite(note.id) || (typeof note.id === 'string' && note.id.length > 0));
+}
+
+// Build the pre-migration backup of some boards, null when they hold no tasks
+function createMigrationBackup(boards, schemaVersion) {
+  const hasNotes = boards.some(board => board.notes.length > 0);
+  return hasNotes ? { schemaVersion, createdAt: Date.now(), boards } : null;
+}
+
+// Move task arrays saved in localStorage by earlier versions into the adapter (first run),
+// together with their schema version; the localStorage copies are removed once all are written
+// The adapter needs unique IDs, so duplicates get new ones on the way: data that still needs
+// an upgrade therefore takes its backup along, built from the records exactly as they were
+// stored. Returns those original records [{ id, notes }] for the upgrade's backup.
+async function moveLocalStorageNotes(boardIds) {
+  const source = new LocalStorageAdapter();
+  const keys = [];
+  const originals = [];
+  const boards = [];
+  for (const boardId of boardIds) {
+    const key = getBoardStorageKey(STORAGE_KEY, boardId);
+    if (localStorage.getItem(key) === null) continue;
+    const records = await source.load(boardId);
+    keys.push(key);
+    originals.push({ id: boardId, notes: records });
+    boards.push({ id: boardId, notes: repairDuplicateIds(records.filter(hasStorableId)).notes });
+  }
+  if (boards.length === 0) return [];
+  
+  const storedVersion = await source.getSchemaVersion();
+  const schemaVersion = parseSchemaVersion(storedVersion);
+  const backup = schemaVersion < SCHEMA_VERSION ? createMigrationBackup(originals, schemaVersion) : null;
+  await adapter.writeAll(boards, storedVersion, backup);
+  keys.forEach(key => localStorage.removeItem(key));
+  return originals;
+}
+
+// Upgrade every board's tasks to the current schema and write them back with the new
+// version in one go, keeping the data as it was before in the adapter's backup
+// originals are the localStorage records of boards just moved, backed up instead of their moved copies
+async function migrateStoredNotes(boards, schemaVersion, originals = []) {
+  const backupBoards = boards.map(board => originals.find(original => original.id === board.id) || board);
+  const backup = createMigrationBackup(backupBoards, schemaVersion);
+  const migratedBoards = boards.map(board => ({ id: board.id, notes: migrateRecords(board.notes, schemaVersion) }));
+  await adapter.writeAll(migratedBoards, SCHEMA_VERSION, backup);
+  return migratedBoards;
+}
+
+// Tell other tabs that a board's tasks were written
+// Without a BroadcastChannel a localStorage write stands in for the message
+// (the localStorage adapter's own writes already cause storage events)
+function announceWrite(boardId) {
+  if (channel) {
+    channel.postMessage({ boardId });
+  } else if (adapter && adapter.name !== 'localStorage') {
+    try {
+      localStorage.setItem(WRITE_NOTICE_KEY, JSON.stringify({ boardId, at: Date.now() }));
+    } catch (e) {
+      // Other tabs merge the write in when they next save this board
+    }
+  }
+}
+
+// Re-read a board another tab wrote to, then tell the listeners
+// The stored records are the truth: when both tabs wrote the same task, the later write won
+async function handleRemoteWrite(message) {
+  if (!message || typeof message.boardId !== 'string') return;
+  
+  const { boardId } = message;
+  let notes;
+  let writes;
+  // A save in this tab during the read may be missing from it, so read again
+  do {
+    writes = localWrites;
+    notes = await adapter.load(boardId);
+  } while (writes !== localWrites);
+  
+  cacheRecords(boardId, notes);
+  remoteChangeListeners.forEach(callback => callback(boardId));
+}
+
+// Handle a localStorage event about tasks from another tab; returns false for other keys
+// With a BroadcastChannel the writes are announced there and these events are ignored,
+// without one they are the only notice, so the board is re-read
+export function handleNotesStorageEvent(event) {
+  let boardId = null;
+  if (event.key && event.key.startsWith(`${STORAGE_KEY}:`)) {
+    boardId = event.key.slice(STORAGE_KEY.length + 1);
+  } else if (event.key === WRITE_NOTICE_KEY) {
+    try {
+      boardId = JSON.parse(event.newValue).boardId;
+    } catch (e) {
+      return true;
+    }
+  } else {
+    return false;
+  }
+  
+  if (!channel && adapter) {
+    handleRemoteWrite({ boardId });
+  }
+  return true;
+}
+
+// Call back with the board ID whenever another tab has written tasks (after re-reading them)
+export function onRemoteNotesChange(callback) {
+  remoteChangeListeners.push(callback);
+}
+
+// Open the storage backend, upgrade old data and read every board's tasks into memory
+// Must finish before notes are loaded or saved. Throws (with a message for the user)
+// when the tasks cannot be used; nothing is loaded or saved then
+export async function initStorage() {
+  adapter = await openStorageAdapter();
+  // Reading the boards first moves data saved before boards existed into the Default board
+  const boardIds = getBoards().map(board => board.id);
+  
+  // Without any storage nothing can be read or saved (main.js shows a warning)
+  if (adapter.name === 'localStorage' && !isStorageAvailable()) {
+    adapter = null;
+    return;
+  }
+  
+  let movedOriginals = [];
+  if (adapter.name !== 'localStorage' && isStorageAvailable()) {
+    try {
+      movedOriginals = await moveLocalStorageNotes(boardIds);
+    } catch (e) {
+      // Keep working from localStorage until the move succeeds
+      adapter = new LocalStorageAdapter();
+    }
+  }
+  
+  const schemaVersion = parseSchemaVersion(await adapter.getSchemaVersion());
+  if (schemaVersion > SCHEMA_VERSION) {
+    adapter = null;
+    throw new Error('Your tasks were saved by a newer version of Kanby. They were not loaded, so they stay unchanged - open Kanby in its latest version to use them.');
+  }
+  
+  let boards = [];
+  for (const boardId of boardIds) {
+    const records = await adapter.load(boardId);
+    // Older data gets new IDs for duplicates in the upgrade below, after its backup was written
+    const { notes, repaired } = schemaVersion < SCHEMA_VERSION ? { notes: records, repaired: 0 } : repairDuplicateIds(records);
+    if (repaired > 0) {
+      try {
+        await adapter.save(boardId, notes);
+      } catch (e) {
+        // The stored copy still holds every task; the repaired IDs stay in memory
+      }
+    }
+    boards.push({ id: boardId, notes });
+  }
+  if (schemaVersion < SCHEMA_VERSION) {
+    try {
+      boards = await migrateStoredNotes(boards, schemaVersion, movedOriginals);
+    } catch (e) {
+      adapter = null;
+      throw new Error('Your tasks could not be upgraded to this version of Kanby and were left unchanged. Reload the page to try again.');
+    }
+  }
+  boards.forEach(board => cacheRecords(board.id, board.notes));
+  
+  if (typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => handleRemoteWrite(event.data);
+  }
+}
+
+// Load a board's notes
+export function loadNotes(boardId = getActiveBoardId()) {
+  const data = getStoredData(boardId);
+  markSynced(boardId, data);
+  if (!data) {
     return [];
   }
   
   try {
-    const data = localStorage.getItem(STORAGE_KEY);
-    
-    if (!data) {
-      return [];
-    }
-    
     const notes = JSON.parse(data);
-    if (!Array.isArray(notes)) {
-      return [];
-    }
     
     // Migrate notes to ensure all fields exist
-    const migratedNotes = notes.map(migrateNote);
+    const migratedNotes = assignMissingOrder(notes.map(note => migrateNote(note, boardId)));
     
-    // Save migrated data back
-    if (migratedNotes.length > 0) {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(migratedNotes));
+    // Save migrated data back (only the tasks migration changed are written)
+    if (JSON.stringify(migratedNotes) !== data) {
+      saveNotes(migratedNotes, boardId);
     }
     
     return migratedNotes;
@@ -75,17 +397,69 @@ export function loadNotes() {
   }
 }
 
-// Save notes to localStorage
-export function saveNotes(notes) {
-  if (!isStorageAvailable()) {
-    return false;
+// Read a board's notes without side effects: nothing is written back and the sync state
+// is left alone, so scans over boards that are not open (e.g. reminders) change nothing
+export function readNotes(boardId = getActiveBoardId()) {
+  const data = getStoredData(boardId);
+  if (!data) {
+    return [];
   }
   
   try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(notes));
-    return true;
+    return assignMissingOrder(JSON.parse(data).map(note => migrateNote(note, boardId)));
   } catch (e) {
-    alert('Could not save notes. Storage might be full.');
+    return [];
+  }
+}
+
+// Save a board's notes, writing the tasks that changed since the board was last stored
+export function saveNotes(notes, boardId = getActiveBoardId()) {
+  if (!adapter) {
     return false;
   }
+  
+  syncBeforeSave(notes, boardId);
+  
+  const previous = storedRecords.get(boardId) || new Map();
+  const records = new Map(notes.map(note => [note.id, JSON.stringify(note)]));
+  const changedNotes = notes.filter(note => previous.get(note.id) !== records.get(note.id));
+  const deletedIds = [...previous.keys()].filter(noteId => !records.has(noteId));
+  storedRecords.set(boardId, records);
+  markSynced(boardId, getStoredData(boardId));
+  if (changedNotes.length === 0 && deletedIds.length === 0) {
+    return true;
+  }
+  
+  localWrites++;
+  adapter.transaction(boardId, (tx) => {
+    changedNotes.forEach(note => tx.put(note));
+    deletedIds.forEach(noteId => tx.delete(noteId));
+  }).then(() => {
+    announceWrite(boardId);
+  }).catch(() => {
+    alert('Could not save notes. Storage might be full.');
+  });
+  return true;
+}
+
+// Copy a board's tasks to another board (when duplicating a board)
+export function copyBoardNotes(sourceBoardId, targetBoardId) {
+  const data = getStoredData(sourceBoardId);
+  if (data) {
+    saveNotes(JSON.parse(data), targetBoardId);
+  }
+}
+
+// Delete all tasks of a board (when the board is deleted or replaced)
+export function deleteBoardNotes(boardId) {
+  storedRecords.set(boardId, new Map());
+  markSynced(boardId, getStoredData(boardId));
+  if (!adapter) return;
+  
+  localWrites++;
+  adapter.save(boardId, []).then(() => {
+    announceWrite(boardId);
+  }).catch(() => {
+    // The board is gone from the list already, so leftover records are never shown
+  });
 }
@@ -0,0 +1,126 @@
+// Storage Adapters
+//
+// storage.js keeps tasks through an adapter so the backend can change without
+// touching the rest of the app. Every adapter stores the tasks of each board and offers:
+//   load(boardId)                 Promise of the board's task records
+//   save(boardId, notes)          Replace all tasks of the board
+//   putNote(boardId, note)        Add or replace one task
+//   deleteNote(boardId, noteId)   Remove one task
+//   transaction(boardId, work)    work(tx) calls tx.put(note) and tx.delete(noteId);
+//                                 the changes are applied together or not at all
+//   getSchemaVersion()            Promise of the stored schema version, 0 when none
+//   writeAll(boards, version, backup)
+//                                 Replace the tasks of several boards [{ id, notes }],
+//                                 set the schema version and keep the pre-migration
+//                                 backup (both optional), all together
+// All writes return promises that reject when the data could not be stored.
+// IndexedDB is used when the browser allows it; localStorage (one JSON array per
+// board, as in earlier versions) is the fallback.
+
+import { IndexedDbAdapter, isIndexedDbAvailable } from './indexedDbAdapter.js';
+import { STORAGE_KEY } from './storage.js';
+import { getBoardStorageKey } from './boards.js';
+
+const SCHEMA_VERSION_KEY = 'kanbySchemaVersion';
+const MIGRATION_BACKUP_KEY = 'kanbyMigrationBackup';
+
+// Storage adapter keeping each board's tasks as one JSON array in localStorage
+export class LocalStorageAdapter {
+  constructor() {
+    this.name = 'localStorage';
+  }
+  
+  // Read a board's task array, empty when missing or unreadable
+  readNotes(boardId) {
+    try {
+      const data = localStorage.getItem(getBoardStorageKey(STORAGE_KEY, boardId));
+      const notes = data ? JSON.parse(data) : [];
+      return Array.isArray(notes) ? notes : [];
+    } catch (e) {
+      return [];
+    }
+  }
+  
+  // Get all tasks of a board
+  async load(boardId) {
+    return this.readNotes(boardId);
+  }
+  
+  // Replace all tasks of a board
+  async save(boardId, notes) {
+    const key = getBoardStorageKey(STORAGE_KEY, boardId);
+    if (notes.length === 0) {
+      localStorage.removeItem(key);
+    } else {
+      localStorage.setItem(key, JSON.stringify(notes));
+    }
+  }
+  
+  // Add or replace one task
+  async putNote(boardId, note) {
+    return this.transaction(boardId, tx => tx.put(note));
+  }
+  
+  // Remove one task
+  async deleteNote(boardId, noteId) {
+    return this.transaction(boardId, tx => tx.delete(noteId));
+  }
+  
+  // The board is a single value, so a transaction reads it, applies the changes and writes it once
+  async transaction(boardId, work) {
+    const notes = this.readNotes(boardId);
+    work({
+      put: (note) => {
+        const index = notes.findIndex(n => n.id === note.id);
+        if (index === -1) {
+          notes.push(note);
+        } else {
+          notes[index] = note;
+        }
+      },
+      delete: (noteId) => {
+        const index = notes.findIndex(n => n.id === noteId);
+        if (index !== -1) {
+          notes.splice(index, 1);
+        }
+      }
+    });
+    return this.save(boardId, notes);
+  }
+  
+  // Get the stored schema version, 0 when none was stored yet
+  async getSchemaVersion() {
+    return Number(localStorage.getItem(SCHEMA_VERSION_KEY)) || 0;
+  }
+  
+  // localStorage cannot write several keys at once: the backup goes first and the
+  // version last, so an interrupted migration runs again on the next start
+  async writeAll(boards, schemaVersion = null, backup = null) {
+    if (backup) {
+      localStorage.setItem(MIGRATION_BACKUP_KEY, JSON.stringify(backup));
+    }
+    for (const board of boards) {
+      await this.save(board.id, board.notes);
+    }
+    if (schemaVersion !== null) {
+      localStorage.setItem(SCHEMA_VERSION_KEY, String(schemaVersion));
+    }
+  }
+}
+
+// Open IndexedDB, or fall back to localStorage when it is missing or refused
+// Rejects when another tab blocks the database: the tasks are in it, so localStorage
+// would show an empty board
+export async function openStorageAdapter() {
+  if (isIndexedDbAvailable()) {
+    try {
+      return await IndexedDbAdapter.open();
+    } catch (e) {
+      if (e.name === 'BlockedError') {
+        throw e;
+      }
+      // Fall through to localStorage
+    }
+  }
+  return new LocalStorageAdapter();
+}
@@ -0,0 +1,244 @@
+// Cross-Tab Sync
+//
+// Keeps Kanby tabs showing the same board in step. Every tab remembers the board
+// data it last read or wrote. When another tab saves tasks (storage.js hears about
+// every write on a BroadcastChannel, or from storage events in browsers without one,
+// and re-reads the board) and right before this tab saves, the stored version is
+// merged three ways against that copy: a task only one side changed takes that
+// side's version, a task both sides changed is merged field by field. Fields changed differently on both sides are conflicts;
+// the other tab's value is kept until the user picks one in the merge prompt, so
+// nothing is overwritten silently. Timers are rebuilt from the merged
+// inProgressSince/timeSpent values, so every tab shows the same tracked time.
+// Boards, columns, labels and settings live in localStorage; their storage events
+// are passed on to the app.
+
+import { migrateNote, saveNotes, getStoredData, onRemoteNotesChange, handleNotesStorageEvent } from './storage.js';
+import { getActiveBoardId } from './boards.js';
+import { getNotes } from './notes.js';
+import { createNoteId } from './ids.js';
+
+// Task fields the user edits, merged one by one
+const CONTENT_FIELDS = [
+  { name: 'text', label: 'Task name', keys: ['text'] },
+  { name: 'description', label: 'Description', keys: ['description'] },
+  { name: 'priority', label: 'Priority', keys: ['priority'] },
+  { name: 'dueDate', label: 'Due date', keys: ['dueDate'] },
+  { name: 'labels', label: 'Labels', keys: ['labels'] },
+  { name: 'checklist', label: 'Checklist', keys: ['checklist', 'autoCompleteChecklist'] },
+  { name: 'recurrence', label: 'Repeat', keys: ['recurrence'] },
+  { name: 'reminders', label: 'Reminders', keys: ['reminders'] }
+];
+
+// Column, position, timer and trash state depend on each other, so they are merged as one
+// (timerStartTime is left out: every tab derives it from the others)
+const WORKFLOW_FIELD = {
+  name: 'workflow',
+  label: 'Column and tracked time',
+  keys: ['column', 'columnHistory', 'order', 'startedAt', 'completedAt', 'timeSpent', 'timeLog', 'inProgressSince',
+    'pomodoro', 'pomodoros', 'breakTime', 'deletedAt', 'nextOccurrenceId']
+};
+
+export const NOTE_FIELDS = [...CONTENT_FIELDS, WORKFLOW_FIELD];
+
+// Fields of the task editor, which changes the column but none of the timer fields
+export const EDITOR_FIELDS = [...CONTENT_FIELDS, { name: 'column', label: 'Column', keys: ['column'] }];
+
+const syncedData = new Map(); // Board ID -> board data this tab last read or wrote
+let syncHandlers = null; // { onNotesChanged, onConflicts, onDataChanged } from initCrossTabSync
+
+// Remember the board data this tab read or wrote
+export function markSynced(boardId, data) {
+  syncedData.set(boardId, data);
+}
+
+// Serialize a value with sorted object keys, so key order and undefined vs null don't count as changes
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Check if two versions of a task agree on some fields
+function sameFields(a, b, keys) {
+  return keys.every(key => stableStringify(a[key]) === stableStringify(b[key]));
+}
+
+// Check if two versions of a task differ in anything the user would notice
+function noteChanged(a, b) {
+  return NOTE_FIELDS.some(field => !sameFields(a, b, field.keys));
+}
+
+// Parse stored board data into migrated tasks, none for missing or broken data
+function parseNotes(data, boardId) {
+  try {
+    const notes = data ? JSON.parse(data) : [];
+    return Array.isArray(notes) ? notes.map(note => migrateNote(note, boardId)) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// Merge two versions of a task changed from the same base
+// Returns the merged copy and the fields both sides changed differently (those keep theirs)
+export function mergeNote(base, mine, theirs, fields = NOTE_FIELDS) {
+  const note = { ...theirs };
+  const conflicts = [];
+  
+  fields.forEach(field => {
+    if (sameFields(base, mine, field.keys)) return;
+    if (sameFields(base, theirs, field.keys) || sameFields(mine, theirs, field.keys)) {
+      field.keys.forEach(key => {
+        note[key] = mine[key];
+      });
+    } else {
+      conflicts.push(field);
+    }
+  });
+  
+  note.lastEditedAt = Math.max(mine.lastEditedAt || 0, theirs.lastEditedAt || 0) || null;
+  return { note, conflicts };
+}
+
+// Take the fields picked in the merge prompt from this tab's version
+export function applyConflictChoices(note, mine, fields, chosenNames) {
+  const result = { ...note };
+  fields.filter(field => chosenNames.includes(field.name)).forEach(field => {
+    field.keys.forEach(key => {
+      result[key] = mine[key];
+    });
+  });
+  return result;
+}
+
+// Merge the stored task list into this tab's list, both changed from the synced base
+// keptLocal is set when the result has changes the stored data lacks
+export function mergeNotes(baseNotes, localNotes, remoteNotes) {
+  const baseById = new Map(baseNotes.map(note => [note.id, note]));
+  const localById = new Map(localNotes.map(note => [note.id, note]));
+  const remoteIds = new Set(remoteNotes.map(note => note.id));
+  const merged = [];
+  const conflicts = [];
+  let keptLocal = false;
+  
+  remoteNotes.forEach(remote => {
+    const base = baseById.get(remote.id);
+    const local = localById.get(remote.id);
+    
+    if (!local) {
+      // Permanently deleted here, unless the other tab changed it since
+      if (base && !noteChanged(base, remote)) {
+        keptLocal = true;
+        return;
+      }
+      merged.push(remote);
+    } else if (!base) {
+      // Both tabs created a task with the same ID (a tab still on numeric IDs): keep both
+      merged.push(remote);
+      if (noteChanged(local, remote)) {
+        merged.push({ ...local, id: createNoteId() });
+        keptLocal = true;
+      }
+    } else if (!noteChanged(base, remote) || !noteChanged(local, remote)) {
+      keptLocal = keptLocal || noteChanged(local, remote);
+      merged.push(local);
+    } else if (!noteChanged(base, local)) {
+      merged.push(remote);
+    } else {
+      const result = mergeNote(base, local, remote);
+      merged.push(result.note);
+      keptLocal = keptLocal || noteChanged(result.note, remote);
+      if (result.conflicts.length > 0) {
+        conflicts.push({ mine: local, theirs: remote, fields: result.conflicts });
+      }
+    }
+  });
+  
+  // Tasks the stored data lacks: new here, or deleted in the other tab
+  localNotes.forEach(local => {
+    if (remoteIds.has(local.id)) return;
+    const base = baseById.get(local.id);
+    if (base && !noteChanged(base, local)) return;
+    merged.push(local);
+    keptLocal = true;
+  });
+  
+  return { notes: merged, conflicts, keptLocal };
+}
+
+// Merge what another tab saved since this tab last read or wrote a board into notes (in place)
+// Tasks nobody changed keep their objects. Returns null when there is nothing new,
+// otherwise { changedIds, conflicts, keptLocal }
+function mergeStoredNotes(notes, boardId) {
+  const synced = syncedData.get(boardId);
+  const stored = getStoredData(boardId);
+  if (synced === undefined || stored === null || stored === synced) {
+    return null;
+  }
+  
+  const result = mergeNotes(parseNotes(synced, boardId), notes, parseNotes(stored, boardId));
+  const mergedIds = new Set(result.notes.map(note => note.id));
+  const changedIds = [
+    ...result.notes.filter(note => !notes.includes(note)).map(note => note.id),
+    ...notes.filter(note => !mergedIds.has(note.id)).map(note => note.id)
+  ];
+  
+  notes.splice(0, notes.length, ...result.notes);
+  markSynced(boardId, stored);
+  return { changedIds, conflicts: result.conflicts, keptLocal: result.keptLocal };
+}
+
+// Merge other tabs' changes in before this tab writes a board, so they aren't overwritten
+// The app hears about them once the current action has finished
+export function syncBeforeSave(notes, boardId) {
+  const result = mergeStoredNotes(notes, boardId);
+  if (!result || !syncHandlers) return;
+  
+  setTimeout(() => {
+    if (result.changedIds.length > 0) {
+      syncHandlers.onNotesChanged(result.changedIds);
+    }
+    if (result.conflicts.length > 0) {
+      syncHandlers.onConflicts(result.conflicts);
+    }
+  }, 0);
+}
+
+// Listen for changes saved in other tabs
+// handlers: onNotesChanged(noteIds) after the active board's tasks were merged,
+// onConflicts(conflicts) with { mine, theirs, fields } per task both tabs changed,
+// onDataChanged(key) for any other localStorage key (null when storage was cleared)
+export function initCrossTabSync(handlers) {
+  syncHandlers = handlers;
+  
+  window.addEventListener('storage', (event) => {
+    if (event.storageArea && event.storageArea !== localStorage) return;
+    // Task writes arrive through storage.js: on its BroadcastChannel, or from these
+    // events in browsers without one
+    if (handleNotesStorageEvent(event)) return;
+    handlers.onDataChanged(event.key);
+  });
+  
+  onRemoteNotesChange((boardId) => {
+    if (boardId !== getActiveBoardId()) return;
+    
+    const notes = getNotes();
+    const result = mergeStoredNotes(notes, boardId);
+    if (!result) return;
+    
+    // Write back what only this tab has (new tasks, the newer side of a merge)
+    if (result.keptLocal) {
+      saveNotes(notes, boardId);
+    }
+    if (result.changedIds.length > 0) {
+      handlers.onNotesChanged(result.changedIds);
+    }
+    if (result.conflicts.length > 0) {
+      handlers.onConflicts(result.conflicts);
+    }
+  });
+}
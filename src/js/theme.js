@@ -3,9 +3,10 @@
 // Handles dark/light mode theme switching with automatic persistence to localStorage.
 // Detects system theme preference on first visit and allows manual override.
 // Updates UI elements (icons, labels) when theme changes. Listens for system theme
-// changes and auto-switches if user hasn't manually selected a theme.
+// changes and auto-switches if user hasn't manually selected a theme. Follows
+// theme changes made in other open tabs.
 
-const THEME_STORAGE_KEY = "kanby-theme";
+export const THEME_STORAGE_KEY = "kanby-theme";
 
 // Get user's preferred theme from storage or system preference
 function getPreferredTheme() {
@@ -54,14 +55,20 @@ function applyTheme(theme) {
   }
 }
 
+// Get the theme the user explicitly chose, or null when following the system
+export function getStoredTheme() {
+  const stored = localStorage.getItem(THEME_STORAGE_KEY);
+  return stored === "light" || stored === "dark" ? stored : null;
+}
+
 // Save theme preference and apply it
-function setTheme(theme) {
+export function setTheme(theme) {
   localStorage.setItem(THEME_STORAGE_KEY, theme);
   applyTheme(theme);
 }
 
 // Toggle between light and dark themes
-function toggleTheme() {
+export function toggleTheme() {
   const current = getPreferredTheme();
   const next = current === "dark" ? "light" : "dark";
   setTheme(next);
@@ -78,6 +85,13 @@ document.addEventListener("DOMContentLoaded", () => {
     btn.addEventListener("click", toggleTheme);
   }
   
+  // Follow a theme chosen in another tab
+  window.addEventListener("storage", (event) => {
+    if (event.key === THEME_STORAGE_KEY || event.key === null) {
+      applyTheme(getPreferredTheme());
+    }
+  });
+  
   // Listen for system theme changes
   if (window.matchMedia) {
     const media = window.matchMedia("(prefers-color-scheme: dark)");
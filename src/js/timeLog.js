@@ -0,0 +1,72 @@
+// Time Log
+//
+// Every finished timer session is kept on the task as a { id, start, end } entry,
+// so it is visible when the work actually happened and forgotten timers can be
+// fixed by hand. timeSpent is always the sum of the entries; a session that is
+// still running is tracked by inProgressSince until it ends. Totals saved before
+// the log existed become one migrated entry ending when the task was last worked on.
+
+// Generate an ID for a time log entry
+export function createTimeEntryId() {
+  return `time${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Check that an entry has a start before its end
+export function isValidTimeEntry(entry) {
+  return Boolean(entry) && Number.isFinite(entry.start) && Number.isFinite(entry.end) && entry.end >= entry.start;
+}
+
+// Sum the durations of the entries
+export function getLoggedTime(timeLog) {
+  return timeLog.reduce((total, entry) => total + (entry.end - entry.start), 0);
+}
+
+// Sort entries oldest first
+function sortTimeLog(timeLog) {
+  return timeLog.sort((a, b) => a.start - b.start);
+}
+
+// Build a task's log from stored data, turning an old timeSpent total into one entry
+export function migrateTimeLog(note) {
+  if (Array.isArray(note.timeLog)) {
+    return sortTimeLog(note.timeLog.filter(isValidTimeEntry).map((entry, index) => ({
+      id: entry.id !== undefined && entry.id !== null ? String(entry.id) : `time${index}`,
+      start: entry.start,
+      end: entry.end,
+      ...(entry.migrated ? { migrated: true } : {})
+    })));
+  }
+  
+  const timeSpent = Number(note.timeSpent) || 0;
+  if (timeSpent <= 0) {
+    return [];
+  }
+  
+  // The total ends when the last session did: completion, the start of the running
+  // session, or first start plus the total - never in the future
+  const now = Date.now();
+  const end = Math.min(note.completedAt || note.inProgressSince || ((note.startedAt || note.createdAt || now) + timeSpent), now);
+  return [{ id: 'time0', start: end - timeSpent, end: end, migrated: true }];
+}
+
+// Record a finished session and update timeSpent
+export function addTimeEntry(note, start, end) {
+  if (end <= start) return;
+  note.timeLog = sortTimeLog([...(note.timeLog || []), { id: createTimeEntryId(), start: start, end: end }]);
+  note.timeSpent = getLoggedTime(note.timeLog);
+}
+
+// Replace all entries (edited by hand) and update timeSpent
+export function setTimeLog(note, timeLog) {
+  note.timeLog = sortTimeLog(timeLog.filter(isValidTimeEntry).map(entry => ({ ...entry })));
+  note.timeSpent = getLoggedTime(note.timeLog);
+}
+
+// Find an entry that overlaps the given range (the running session counts too)
+export function findOverlappingEntry(note, start, end, ignoreId = null) {
+  const sessions = [...(note.timeLog || [])];
+  if (note.inProgressSince) {
+    sessions.push({ id: 'running', start: note.inProgressSince, end: Infinity });
+  }
+  return sessions.find(entry => entry.id !== ignoreId && start < entry.end && end > entry.start) || null;
+}
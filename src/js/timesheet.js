@@ -0,0 +1,125 @@
+// Time-Tracking CSV Export
+//
+// Builds a timesheet CSV from the timer fields every task records (time log,
+// startedAt, completedAt). One row per task with title, priority, status, key
+// timestamps, due date, tracked time both in decimal hours and HH:MM:SS, and
+// Pomodoro counts with break time (breaks are not part of the tracked time).
+// Rows can be limited to a date range and to selected columns; the tracked time
+// then only counts the parts of the sessions (the running one included) inside the range.
+// The running session is taken from the board's timer manager, so the export shows the
+// same time as the card timer (no session runs during a Pomodoro break).
+
+import { getColumnName, isActiveColumn } from './columns.js';
+import { formatDateTimeLocal } from './formatters.js';
+import { formatElapsedTime } from './timer.js';
+import { getBreakTime, isPomodoroBreak } from './pomodoro.js';
+import { getLoggedTime } from './timeLog.js';
+
+const CSV_HEADERS = [
+  'Title',
+  'Priority',
+  'Status',
+  'Created',
+  'Started',
+  'Completed',
+  'Due Date',
+  'Tracked Hours',
+  'Tracked Time',
+  'Pomodoros',
+  'Break Time'
+];
+
+// Escape a value for CSV (RFC 4180) and neutralize spreadsheet formulas
+export function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// Format a timestamp as "YYYY-MM-DD HH:MM", or empty when not set
+function formatCsvTimestamp(timestamp) {
+  return timestamp ? formatDateTimeLocal(timestamp).replace('T', ' ') : '';
+}
+
+// Get how long the running session has lasted: the card timer minus the logged time
+// Without a timer manager the rules the board starts timers by are applied to the task
+function getRunningTime(note, now, timerManager) {
+  if (timerManager) {
+    if (!timerManager.isTimerActive(note.id)) return 0;
+    return Math.max(0, timerManager.getElapsedTime(note.id, now) - getLoggedTime(note.timeLog || []));
+  }
+  if (!note.inProgressSince || note.deletedAt || !isActiveColumn(note.column) || isPomodoroBreak(note)) {
+    return 0;
+  }
+  return Math.max(0, now - note.inProgressSince);
+}
+
+// Get a task's finished sessions plus the one running now
+function getSessions(note, now, timerManager) {
+  const sessions = [...(note.timeLog || [])];
+  const runningTime = getRunningTime(note, now, timerManager);
+  if (runningTime > 0) {
+    sessions.push({ start: now - runningTime, end: now });
+  }
+  return sessions;
+}
+
+// Get tracked time for a task within the range (inclusive timestamps, null for an open end)
+// Sessions crossing a boundary only count their part inside the range
+export function getTrackedTime(note, from = null, to = null, now = Date.now(), timerManager = null) {
+  return getSessions(note, now, timerManager).reduce((total, session) => {
+    const start = from === null ? session.start : Math.max(session.start, from);
+    const end = to === null ? session.end : Math.min(session.end, to);
+    return total + Math.max(0, end - start);
+  }, 0);
+}
+
+// Check if a task was worked on or created within the range (inclusive timestamps)
+function isInDateRange(note, from, to, now, timerManager) {
+  const activityStart = note.startedAt || note.createdAt;
+  const activityEnd = note.completedAt || now;
+  return ((from === null || activityEnd >= from) && (to === null || activityStart <= to)) ||
+    getTrackedTime(note, from, to, now, timerManager) > 0;
+}
+
+// Select the tasks to export
+export function filterTimesheetNotes(notes, { from = null, to = null, columnIds = null, timerManager = null } = {}, now = Date.now()) {
+  return notes.filter(note =>
+    !note.deletedAt &&
+    (columnIds === null || columnIds.includes(note.column)) && isInDateRange(note, from, to, now, timerManager)
+  );
+}
+
+// Build the CSV document
+// options: { from, to, columnIds, timerManager } (all optional)
+export function buildTimesheetCsv(notes, options = {}, now = Date.now()) {
+  const { from = null, to = null, timerManager = null } = options;
+  const rows = filterTimesheetNotes(notes, options, now).map(note => {
+    const trackedTime = getTrackedTime(note, from, to, now, timerManager);
+    return [
+      note.text,
+      note.priority,
+      getColumnName(note.column),
+      formatCsvTimestamp(note.createdAt),
+      formatCsvTimestamp(note.startedAt),
+      formatCsvTimestamp(note.completedAt),
+      formatCsvTimestamp(note.dueDate),
+      (trackedTime / 3600000).toFixed(2),
+      formatElapsedTime(trackedTime),
+      note.pomodoros || 0,
+      formatElapsedTime(getBreakTime(note))
+    ];
+  });
+  
+  return [CSV_HEADERS, ...rows]
+    .map(row => row.map(escapeCsvValue).join(','))
+    .join('\r\n');
+}
@@ -0,0 +1,89 @@
+// Toast Notifications
+//
+// Short messages shown at the bottom of the screen, optionally with action
+// buttons (e.g. "Task deleted — Undo"). A new toast replaces the current one.
+// A duration of 0 keeps the toast until the user closes it. showToast returns the
+// toast element, so the code that showed it can later hide it without closing
+// whatever toast replaced it meanwhile.
+
+const DEFAULT_DURATION = 5000; // Milliseconds before the toast hides
+
+let hideTimeout = null;
+
+// Get or create the toast container
+function getToastContainer() {
+  let container = document.getElementById('toastContainer');
+  if (!container) {
+    container = document.createElement('div');
+    container.id = 'toastContainer';
+    container.className = 'toastContainer';
+    container.setAttribute('role', 'status');
+    container.setAttribute('aria-live', 'polite');
+    document.body.appendChild(container);
+  }
+  return container;
+}
+
+// Check if a toast is currently shown
+export function isToastVisible() {
+  const container = document.getElementById('toastContainer');
+  return Boolean(container && container.firstChild);
+}
+
+// Hide the current toast, or only the given toast if it is still the one shown
+export function hideToast(toast = null) {
+  const container = document.getElementById('toastContainer');
+  if (toast && !(container && container.contains(toast))) {
+    return;
+  }
+  clearTimeout(hideTimeout);
+  hideTimeout = null;
+  if (container) {
+    container.innerHTML = '';
+  }
+}
+
+// Show a toast with an optional action button, or several via actions: [{ label, onAction }]
+// onClose runs when the user dismisses the toast with its close button
+export function showToast(message, { actionLabel = null, onAction = null, actions = [], duration = DEFAULT_DURATION, onClose = null } = {}) {
+  hideToast();
+  const container = getToastContainer();
+  
+  const toast = document.createElement('div');
+  toast.className = 'toast';
+  
+  const text = document.createElement('span');
+  text.className = 'toastMessage';
+  text.textContent = message;
+  toast.appendChild(text);
+  
+  const allActions = actionLabel && onAction ? [{ label: actionLabel, onAction }, ...actions] : actions;
+  allActions.forEach(action => {
+    const actionBtn = document.createElement('button');
+    actionBtn.type = 'button';
+    actionBtn.className = 'toastAction';
+    actionBtn.textContent = action.label;
+    actionBtn.addEventListener('click', () => {
+      hideToast();
+      action.onAction();
+    });
+    toast.appendChild(actionBtn);
+  });
+  
+  const closeBtn = document.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.className = 'toastClose';
+  closeBtn.setAttribute('aria-label', 'Dismiss');
+  closeBtn.innerHTML = '<i class="fas fa-times"></i>';
+  closeBtn.addEventListener('click', () => {
+    hideToast();
+    if (onClose) onClose();
+  });
+  toast.appendChild(closeBtn);
+  
+  container.appendChild(toast);
+  if (duration > 0) {
+    hideTimeout = setTimeout(hideToast, duration);
+  }
+  return toast;
+}
@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { buildAnalytics, getDefaultAnalyticsRange, formatDuration } from '../src/js/analytics.js';
+import { saveColumns, DEFAULT_COLUMNS } from '../src/js/columns.js';
+import { task } from './helpers.js';
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Local time (vitest.config.js pins Europe/Berlin)
+function local(year, month, day, hours = 0, minutes = 0) {
+  return new Date(year, month - 1, day, hours, minutes).getTime();
+}
+
+// Monday 2026-06-01 to Sunday 2026-06-07
+const FROM = local(2026, 6, 1);
+const TO = local(2026, 6, 8) - 1;
+const NOW = local(2026, 6, 10, 12);
+
+beforeEach(() => {
+  localStorage.clear();
+  saveColumns(DEFAULT_COLUMNS);
+});
+
+describe('completions', () => {
+  const notes = [
+    task({ id: 'a', column: 'done', createdAt: local(2026, 5, 30), startedAt: local(2026, 6, 1, 9), completedAt: local(2026, 6, 1, 15), dueDate: local(2026, 6, 2) }),
+    task({ id: 'b', column: 'done', createdAt: local(2026, 5, 31), completedAt: local(2026, 6, 3, 10), dueDate: local(2026, 6, 2) }),
+    task({ id: 'c', column: 'done', createdAt: local(2026, 6, 2), completedAt: local(2026, 6, 3, 11) }),
+    task({ id: 'before', column: 'done', completedAt: local(2026, 5, 31, 23) }),
+    task({ id: 'reopened', column: 'todo', completedAt: local(2026, 6, 2) }),
+    task({ id: 'trashed', column: 'done', completedAt: local(2026, 6, 2), deletedAt: local(2026, 6, 4) })
+  ];
+  
+  it('counts tasks completed in the range per day', () => {
+    const analytics = buildAnalytics(notes, { from: FROM, to: TO }, NOW);
+    expect(analytics.completedCount).toBe(3);
+    expect(analytics.completedSeries.map(bucket => bucket.count)).toEqual([1, 0, 2, 0, 0, 0, 0]);
+    expect(analytics.completedSeries[2].start).toBe(local(2026, 6, 3));
+  });
+  
+  it('groups by week from Monday', () => {
+    const analytics = buildAnalytics(notes, { from: local(2026, 6, 3), to: TO, groupBy: 'week' }, NOW);
+    expect(analytics.completedSeries).toEqual([{ start: FROM, count: 2 }]);
+  });
+  
+  it('averages lead and cycle time and rates due dates', () => {
+    const analytics = buildAnalytics(notes, { from: FROM, to: TO }, NOW);
+    expect(analytics.averageLeadTime).toBe(((2 * DAY + 15 * HOUR) + (3 * DAY + 10 * HOUR) + (DAY + 11 * HOUR)) / 3);
+    expect(analytics.averageCycleTime).toBe(6 * HOUR);
+    expect(analytics.dueDates).toEqual({ onTime: 1, late: 1, noDueDate: 1 });
+  });
+  
+  it('has no averages when nothing was completed', () => {
+    const analytics = buildAnalytics([], { from: FROM, to: TO }, NOW);
+    expect(analytics.averageLeadTime).toBeNull();
+    expect(formatDuration(analytics.averageCycleTime)).toBe('—');
+  });
+});
+
+describe('tracked time', () => {
+  it('clips sessions to the range and counts the running one', () => {
+    const notes = [
+      task({ priority: 'high', timeLog: [{ start: local(2026, 5, 31, 23), end: local(2026, 6, 1, 1) }] }),
+      task({ priority: 'low', timeLog: [{ start: local(2026, 6, 7, 23), end: local(2026, 6, 8, 2) }] }),
+      task({ priority: 'urgent', column: 'inprogress', inProgressSince: local(2026, 6, 7, 22, 30) }),
+      task({ timeLog: [{ start: local(2026, 6, 2, 9), end: local(2026, 6, 2, 10) }], deletedAt: local(2026, 6, 3) })
+    ];
+    const analytics = buildAnalytics(notes, { from: FROM, to: TO }, NOW);
+    expect(analytics.timeByPriority).toEqual({ high: HOUR, medium: 90 * MINUTE, low: HOUR });
+    expect(analytics.trackedTime).toBe(3.5 * HOUR);
+  });
+  
+  it('spreads sessions over weekday and hour cells', () => {
+    // Monday 09:40 to 11:10
+    const notes = [task({ timeLog: [{ start: local(2026, 6, 1, 9, 40), end: local(2026, 6, 1, 11, 10) }] })];
+    const { heatmap } = buildAnalytics(notes, { from: FROM, to: TO }, NOW);
+    expect(heatmap[1].slice(9, 12)).toEqual([20 * MINUTE, HOUR, 10 * MINUTE]);
+    expect(heatmap.flat().reduce((sum, value) => sum + value, 0)).toBe(90 * MINUTE);
+  });
+});
+
+describe('cumulative flow and burndown', () => {
+  const notes = [
+    // Created on Monday, started on Tuesday, done on Thursday
+    task({ id: 'a', column: 'done', columnHistory: [
+      { column: 'todo', at: local(2026, 6, 1, 9) },
+      { column: 'inprogress', at: local(2026, 6, 2, 9) },
+      { column: 'done', at: local(2026, 6, 4, 9) }
+    ] }),
+    // Created on Tuesday
+    task({ id: 'b', columnHistory: [{ column: 'todo', at: local(2026, 6, 2, 9) }] }),
+    // Created on Monday, trashed on Wednesday
+    task({ id: 'c', columnHistory: [{ column: 'todo', at: local(2026, 6, 1, 9) }], deletedAt: local(2026, 6, 3, 9) })
+  ];
+  
+  it('counts the tasks in each column at the end of every day', () => {
+    const { cumulativeFlow } = buildAnalytics(notes, { from: FROM, to: local(2026, 6, 5) - 1 }, NOW);
+    expect(cumulativeFlow.columns.map(column => column.id)).toEqual(['todo', 'inprogress', 'done']);
+    expect(cumulativeFlow.points.map(point => point.counts)).toEqual([
+      { todo: 2, inprogress: 0, done: 0 },
+      { todo: 2, inprogress: 1, done: 0 },
+      { todo: 1, inprogress: 1, done: 0 },
+      { todo: 1, inprogress: 0, done: 1 }
+    ]);
+  });
+  
+  it('leaves out days after now', () => {
+    const { cumulativeFlow, burndown } = buildAnalytics(notes, { from: FROM, to: TO }, local(2026, 6, 3, 12));
+    expect(cumulativeFlow.points).toHaveLength(3);
+    expect(burndown.remaining).toEqual([2, 3, 2]);
+  });
+  
+  it('draws the ideal line from the first open tasks down to zero', () => {
+    const { burndown } = buildAnalytics(notes, { from: FROM, to: local(2026, 6, 5) - 1 }, NOW);
+    expect(burndown.remaining).toEqual([2, 3, 2, 1]);
+    expect(burndown.ideal.map(value => Number(value.toFixed(3)))).toEqual([2, 1.333, 0.667, 0]);
+  });
+});
+
+describe('helpers', () => {
+  it('defaults to the last 30 days including today', () => {
+    expect(getDefaultAnalyticsRange(NOW)).toEqual({ from: local(2026, 5, 12), to: local(2026, 6, 11) - 1 });
+  });
+  
+  it('formats durations compactly', () => {
+    expect(formatDuration(45 * MINUTE)).toBe('45m');
+    expect(formatDuration(3 * HOUR + 20 * MINUTE)).toBe('3h 20m');
+    expect(formatDuration(2 * DAY + 4 * HOUR)).toBe('2d 4h');
+    expect(formatDuration(DAY)).toBe('1d');
+  });
+});
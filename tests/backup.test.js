@@ -0,0 +1,234 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 2, 10, 12, 0, 0);
+
+// Storage, boards and columns cache their data, so every test imports fresh modules
+async function loadBackup() {
+  vi.resetModules();
+  const storage = await import('../src/js/storage.js');
+  const backup = await import('../src/js/backup.js');
+  const boards = await import('../src/js/boards.js');
+  await storage.initStorage();
+  return { ...backup, storage, boards };
+}
+
+function backupFile(boards, extra = {}) {
+  return JSON.stringify({ app: 'kanby', formatVersion: 1, schemaVersion: 2, exportedAt: NOW - HOUR, boards, ...extra });
+}
+
+beforeEach(() => {
+  localStorage.clear();
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(NOW);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('buildBackup', () => {
+  it('exports every board without writing to storage', async () => {
+    // Stored without the order field, which reading fills in
+    localStorage.setItem('kanbyNotes:default', JSON.stringify([{ id: 'a', text: 'Stored', column: 'todo' }]));
+    localStorage.setItem('kanbySchemaVersion', '2');
+    const { buildBackup } = await loadBackup();
+    const setItem = vi.spyOn(Storage.prototype, 'setItem');
+    
+    const backup = buildBackup();
+    
+    expect(backup.boards.map(board => board.notes.map(note => note.text))).toEqual([['Stored']]);
+    expect(backup.boards[0].notes[0].order).toBeDefined();
+    expect(setItem).not.toHaveBeenCalled();
+    expect(JSON.parse(localStorage.getItem('kanbyNotes:default'))).toEqual([{ id: 'a', text: 'Stored', column: 'todo' }]);
+    setItem.mockRestore();
+  });
+});
+
+describe('parseBackup', () => {
+  it('rejects files that are not Kanby backups', async () => {
+    const { parseBackup } = await loadBackup();
+    expect(() => parseBackup('{not json')).toThrow('not valid JSON');
+    expect(() => parseBackup(JSON.stringify({ app: 'other', boards: [] }))).toThrow('not a Kanby backup');
+  });
+  
+  it('refuses files from a newer version', async () => {
+    const { parseBackup } = await loadBackup();
+    expect(() => parseBackup(JSON.stringify({ app: 'kanby', formatVersion: 2, boards: [] }))).toThrow('newer version');
+    expect(() => parseBackup(JSON.stringify({ app: 'kanby', formatVersion: 1, schemaVersion: 99, boards: [] }))).toThrow('newer version');
+  });
+  
+  it('reads a bare task array as the Default board', async () => {
+    const { parseBackup } = await loadBackup();
+    const result = parseBackup(JSON.stringify([{ id: 'a', text: 'Task', column: 'todo' }]));
+    expect(result.backup.boards).toHaveLength(1);
+    expect(result.backup.boards[0].id).toBe('default');
+    expect(result.validRecords).toBe(1);
+  });
+  
+  it('skips invalid records and lists them in the report', async () => {
+    const { parseBackup } = await loadBackup();
+    const result = parseBackup(backupFile([
+      {
+        id: 'work',
+        name: 'Work',
+        columns: [{ id: 'todo', name: 'To Do' }, { id: '', name: 'Broken' }],
+        labels: [{ id: 'bug', name: '' }],
+        notes: [{ id: 'a', text: 'Valid', column: 'todo' }, { id: 'b', column: 'todo' }]
+      },
+      { id: 'work', name: 'Again', notes: [] },
+      { name: 'No id', notes: [] }
+    ]));
+    
+    expect(result.backup.boards.map(board => board.id)).toEqual(['work']);
+    expect(result.backup.boards[0].columns.map(column => column.id)).toEqual(['todo']);
+    expect(result.backup.boards[0].labels).toEqual([]);
+    expect(result.backup.boards[0].notes.map(note => note.id)).toEqual(['a']);
+    expect(result.totalRecords).toBe(2);
+    expect(result.validRecords).toBe(1);
+    expect(result.errors).toHaveLength(5);
+    expect(result.errors.some(error => error.includes('record #2 (id b)'))).toBe(true);
+    expect(result.errors.some(error => error.includes('duplicate board id work'))).toBe(true);
+  });
+  
+  it('upgrades notes from files without a schema version', async () => {
+    const { parseBackup } = await loadBackup();
+    const result = parseBackup(JSON.stringify({
+      app: 'kanby',
+      formatVersion: 1,
+      boards: [{ id: 'default', name: 'Default', notes: [{ id: 1, text: 'Old', column: 'done', completedAt: NOW, timeSpent: HOUR }] }]
+    }));
+    
+    expect(result.backup.boards[0].notes[0].timeLog).toEqual([{ id: 'time0', start: NOW - HOUR, end: NOW, migrated: true }]);
+  });
+  
+  it('turns numeric IDs into strings and gives duplicates new IDs', async () => {
+    const { parseBackup } = await loadBackup();
+    const result = parseBackup(JSON.stringify({
+      app: 'kanby',
+      formatVersion: 1,
+      boards: [{
+        id: 'default',
+        name: 'Default',
+        notes: [
+          { id: 1700000000000, text: 'First', column: 'todo', nextOccurrenceId: 1700000000002 },
+          { id: 1700000000000, text: 'Same millisecond', column: 'todo' },
+          { id: 1700000000002, text: 'Next', column: 'todo' }
+        ]
+      }]
+    }));
+    
+    const notes = result.backup.boards[0].notes;
+    expect(result.validRecords).toBe(3);
+    expect(notes.map(note => note.text)).toEqual(['First', 'Same millisecond', 'Next']);
+    expect(notes[0]).toMatchObject({ id: '1700000000000', nextOccurrenceId: '1700000000002' });
+    expect(notes[1].id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(notes[2].id).toBe('1700000000002');
+  });
+});
+
+describe('applyBackup', () => {
+  it('replaces all boards and their data', async () => {
+    const { parseBackup, applyBackup, storage, boards } = await loadBackup();
+    boards.createBoard('Old board');
+    
+    applyBackup(parseBackup(backupFile([
+      { id: 'work', name: 'Work', columns: [{ id: 'todo', name: 'To Do' }], labels: [], notes: [{ id: 'a', text: 'Task', column: 'todo' }] }
+    ], { activeBoardId: 'work' })).backup, 'replace');
+    
+    expect(boards.getBoards().map(board => board.id)).toEqual(['work']);
+    expect(boards.getActiveBoardId()).toBe('work');
+    expect(storage.loadNotes('work').map(note => note.text)).toEqual(['Task']);
+  });
+  
+  it('merges tasks by ID and keeps the others', async () => {
+    const { parseBackup, applyBackup, storage } = await loadBackup();
+    storage.saveNotes([
+      { id: 'a', text: 'Local A', column: 'todo' },
+      { id: 'b', text: 'Local B', column: 'todo' }
+    ], 'default');
+    
+    applyBackup(parseBackup(backupFile([
+      { id: 'default', name: 'Default', notes: [{ id: 'a', text: 'Imported A', column: 'todo' }, { id: 'c', text: 'Imported C', column: 'todo' }] }
+    ])).backup, 'merge');
+    
+    expect(storage.loadNotes('default').map(note => [note.id, note.text])).toEqual([
+      ['a', 'Imported A'],
+      ['b', 'Local B'],
+      ['c', 'Imported C']
+    ]);
+  });
+  
+  it('adds copies with new IDs in copy mode', async () => {
+    const { parseBackup, applyBackup, storage } = await loadBackup();
+    storage.saveNotes([{ id: 'a', text: 'Local', column: 'todo' }], 'default');
+    
+    applyBackup(parseBackup(backupFile([
+      { id: 'default', name: 'Default', notes: [{ id: 'a', text: 'Imported', column: 'todo' }] }
+    ])).backup, 'copy');
+    
+    const notes = storage.loadNotes('default');
+    expect(notes.map(note => note.text)).toEqual(['Local', 'Imported']);
+    expect(notes[1].id).not.toBe('a');
+  });
+  
+  it('points copied recurring tasks at the copy of their next occurrence', async () => {
+    const { parseBackup, applyBackup, storage } = await loadBackup();
+    storage.saveNotes([
+      { id: 'done', text: 'Weekly', column: 'done', nextOccurrenceId: 'next' },
+      { id: 'next', text: 'Weekly', column: 'todo' }
+    ], 'default');
+    
+    applyBackup(parseBackup(backupFile([
+      { id: 'default', name: 'Default', notes: [
+        { id: 'done', text: 'Weekly', column: 'done', nextOccurrenceId: 'next' },
+        { id: 'next', text: 'Weekly', column: 'todo' },
+        { id: 'orphan', text: 'Monthly', column: 'done', nextOccurrenceId: 'not-in-file' }
+      ] }
+    ])).backup, 'copy');
+    
+    const [, , done, next, orphan] = storage.loadNotes('default');
+    expect(done.nextOccurrenceId).toBe(next.id);
+    expect(next.id).not.toBe('next');
+    expect(orphan.nextOccurrenceId).toBeNull();
+  });
+  
+  it('logs a running session up to the export and restarts it at import time', async () => {
+    const { parseBackup, applyBackup, storage } = await loadBackup();
+    const exportedAt = NOW - 3 * 24 * HOUR;
+    const file = backupFile([{
+      id: 'default',
+      name: 'Default',
+      notes: [{ id: 'a', text: 'Running', column: 'inprogress', startedAt: exportedAt - 2 * HOUR, inProgressSince: exportedAt - HOUR, timeLog: [] }]
+    }], { exportedAt });
+    
+    applyBackup(parseBackup(file).backup, 'replace');
+    
+    const [note] = storage.loadNotes('default');
+    expect(note.timeLog.map(entry => [entry.start, entry.end])).toEqual([[exportedAt - HOUR, exportedAt]]);
+    expect(note.timeSpent).toBe(HOUR);
+    expect(note.inProgressSince).toBe(NOW);
+    expect(note.timerStartTime).toBe(NOW - HOUR);
+    expect(note.startedAt).toBe(exportedAt - 2 * HOUR);
+  });
+  
+  it('drops the open session when the export time is unknown', async () => {
+    const { parseBackup, applyBackup, storage } = await loadBackup();
+    const file = JSON.stringify([{ id: 'a', text: 'Running', column: 'inprogress', inProgressSince: NOW - HOUR, timeLog: [] }]);
+    
+    applyBackup(parseBackup(file).backup, 'replace');
+    
+    const [note] = storage.loadNotes('default');
+    expect(note.timeSpent).toBe(0);
+    expect(note.inProgressSince).toBe(NOW);
+  });
+  
+  it('stops timers outside active columns', async () => {
+    const { parseBackup, applyBackup, storage } = await loadBackup();
+    applyBackup(parseBackup(backupFile([
+      { id: 'default', name: 'Default', notes: [{ id: 'a', text: 'Waiting', column: 'todo', inProgressSince: NOW - HOUR }] }
+    ])).backup, 'replace');
+    
+    expect(storage.loadNotes('default')[0].inProgressSince).toBeNull();
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// boards.js caches the board list, so every test imports fresh modules
+async function loadBoards() {
+  vi.resetModules();
+  const storage = await import('../src/js/storage.js');
+  const boards = await import('../src/js/boards.js');
+  await storage.initStorage();
+  return { ...boards, storage };
+}
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('board list', () => {
+  it('starts with a Default board', async () => {
+    const { getBoards, getActiveBoardId } = await loadBoards();
+    expect(getBoards().map(board => board.name)).toEqual(['Default']);
+    expect(getActiveBoardId()).toBe('default');
+  });
+  
+  it('moves data saved before boards existed into the Default board', async () => {
+    localStorage.setItem('kanbyColumns', JSON.stringify([{ id: 'a', name: 'A' }]));
+    localStorage.setItem('kanbyNotes', JSON.stringify([{ id: 1, text: 'Old task', column: 'a' }]));
+    
+    const { storage } = await loadBoards();
+    expect(localStorage.getItem('kanbyColumns')).toBeNull();
+    expect(JSON.parse(localStorage.getItem('kanbyColumns:default'))).toEqual([{ id: 'a', name: 'A' }]);
+    expect(storage.loadNotes('default').map(note => note.text)).toEqual(['Old task']);
+  });
+  
+  it('falls back to the first board when the stored selection is gone', async () => {
+    localStorage.setItem('kanbyBoards', JSON.stringify({
+      activeBoardId: 'missing',
+      boards: [{ id: 'work', name: 'Work' }, { id: 'home', name: 'Home' }]
+    }));
+    const { getActiveBoardId } = await loadBoards();
+    expect(getActiveBoardId()).toBe('work');
+  });
+  
+  it('creates, renames and selects boards', async () => {
+    const { createBoard, renameBoard, setActiveBoard, getActiveBoard } = await loadBoards();
+    const board = createBoard('Work');
+    
+    expect(renameBoard(board.id, 'Office').name).toBe('Office');
+    expect(renameBoard('missing', 'x')).toBeNull();
+    expect(setActiveBoard('missing')).toBe(false);
+    expect(setActiveBoard(board.id)).toBe(true);
+    expect(getActiveBoard().name).toBe('Office');
+    expect(JSON.parse(localStorage.getItem('kanbyBoards')).activeBoardId).toBe(board.id);
+  });
+  
+  it('keeps its own selection when another tab changed the list', async () => {
+    const { createBoard, setActiveBoard, reloadBoards, getActiveBoardId, getBoards } = await loadBoards();
+    const board = createBoard('Work');
+    setActiveBoard(board.id);
+    
+    const stored = JSON.parse(localStorage.getItem('kanbyBoards'));
+    stored.activeBoardId = 'default';
+    stored.boards.push({ id: 'other', name: 'Other' });
+    localStorage.setItem('kanbyBoards', JSON.stringify(stored));
+    
+    reloadBoards();
+    expect(getActiveBoardId()).toBe(board.id);
+    expect(getBoards().map(b => b.id)).toContain('other');
+  });
+});
+
+describe('duplicateBoard', () => {
+  it('copies columns, labels and tasks', async () => {
+    const { duplicateBoard, storage } = await loadBoards();
+    localStorage.setItem('kanbyColumns:default', JSON.stringify([{ id: 'a', name: 'A' }]));
+    localStorage.setItem('kanbyLabels:default', JSON.stringify([{ id: 'bug', name: 'Bug', color: '#ff0000' }]));
+    storage.saveNotes([{ id: 'task1', text: 'Task', column: 'a' }], 'default');
+    
+    const copy = duplicateBoard('default');
+    expect(copy.name).toBe('Default (copy)');
+    expect(localStorage.getItem(`kanbyColumns:${copy.id}`)).toBe(localStorage.getItem('kanbyColumns:default'));
+    expect(localStorage.getItem(`kanbyLabels:${copy.id}`)).toBe(localStorage.getItem('kanbyLabels:default'));
+    expect(storage.loadNotes(copy.id).map(note => note.id)).toEqual(['task1']);
+  });
+  
+  it('returns null for unknown boards', async () => {
+    const { duplicateBoard } = await loadBoards();
+    expect(duplicateBoard('missing')).toBeNull();
+  });
+});
+
+describe('deleteBoard', () => {
+  it('refuses to delete the last board', async () => {
+    const { deleteBoard, getBoards } = await loadBoards();
+    expect(deleteBoard('default')).toBe(false);
+    expect(getBoards()).toHaveLength(1);
+  });
+  
+  it('removes the board data and selects the first board when the active one is deleted', async () => {
+    const { createBoard, setActiveBoard, deleteBoard, getActiveBoardId, storage } = await loadBoards();
+    const board = createBoard('Work');
+    setActiveBoard(board.id);
+    localStorage.setItem(`kanbyColumns:${board.id}`, '[]');
+    storage.saveNotes([{ id: 'task1', text: 'Task', column: 'todo' }], board.id);
+    
+    expect(deleteBoard(board.id)).toBe(true);
+    expect(getActiveBoardId()).toBe('default');
+    expect(localStorage.getItem(`kanbyColumns:${board.id}`)).toBeNull();
+    expect(storage.loadNotes(board.id)).toEqual([]);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { recordColumnTransition, migrateColumnHistory, getColumnAt } from '../src/js/columnHistory.js';
+import { saveColumns, DEFAULT_COLUMNS } from '../src/js/columns.js';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 5, 1, 12);
+const CREATED = NOW - 10 * HOUR;
+
+beforeEach(() => {
+  localStorage.clear();
+  saveColumns(DEFAULT_COLUMNS);
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(NOW);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('migrateColumnHistory', () => {
+  it('keeps valid entries, oldest first', () => {
+    const note = {
+      columnHistory: [
+        { column: 'inprogress', at: CREATED + HOUR },
+        { column: 'todo', at: CREATED },
+        { column: '', at: CREATED },
+        { column: 'done', at: 'later' }
+      ]
+    };
+    expect(migrateColumnHistory(note, 'inprogress', 'default')).toEqual([
+      { column: 'todo', at: CREATED },
+      { column: 'inprogress', at: CREATED + HOUR }
+    ]);
+  });
+  
+  it('adds the current column when the task was moved out of a deleted one', () => {
+    const note = { columnHistory: [{ column: 'review', at: CREATED }] };
+    expect(migrateColumnHistory(note, 'todo', 'default')).toEqual([
+      { column: 'review', at: CREATED },
+      { column: 'todo', at: CREATED }
+    ]);
+    
+    const edited = { ...note, lastEditedAt: CREATED + 2 * HOUR };
+    expect(migrateColumnHistory(edited, 'todo', 'default').at(-1)).toEqual({ column: 'todo', at: CREATED + 2 * HOUR });
+  });
+  
+  it('gives the same history on every read of the same record', () => {
+    const note = { columnHistory: [{ column: 'review', at: CREATED }], completedAt: CREATED + HOUR };
+    const first = migrateColumnHistory(note, 'done', 'default');
+    vi.setSystemTime(NOW + 24 * HOUR);
+    expect(migrateColumnHistory(note, 'done', 'default')).toEqual(first);
+  });
+  
+  it('rebuilds the history of older tasks from their timestamps', () => {
+    expect(migrateColumnHistory({ createdAt: CREATED }, 'todo', 'default')).toEqual([{ column: 'todo', at: CREATED }]);
+    expect(migrateColumnHistory({ createdAt: CREATED, startedAt: CREATED + HOUR, completedAt: CREATED + 3 * HOUR }, 'done', 'default')).toEqual([
+      { column: 'todo', at: CREATED },
+      { column: 'inprogress', at: CREATED + HOUR },
+      { column: 'done', at: CREATED + 3 * HOUR }
+    ]);
+  });
+  
+  it('collapses steps at the same moment', () => {
+    expect(migrateColumnHistory({ createdAt: CREATED, startedAt: CREATED }, 'inprogress', 'default')).toEqual([
+      { column: 'inprogress', at: CREATED }
+    ]);
+  });
+  
+  it('ends rebuilt histories in the current column', () => {
+    // Completed, then moved back to To Do
+    expect(migrateColumnHistory({ createdAt: CREATED, completedAt: CREATED + HOUR, lastEditedAt: CREATED + 2 * HOUR }, 'todo', 'default')).toEqual([
+      { column: 'todo', at: CREATED },
+      { column: 'done', at: CREATED + HOUR },
+      { column: 'todo', at: CREATED + 2 * HOUR }
+    ]);
+    
+    // A second done column takes the place of the first
+    saveColumns([...DEFAULT_COLUMNS, { id: 'archive', name: 'Archive', isActive: false, isDone: true, sortMode: 'manual', wipLimit: null }]);
+    expect(migrateColumnHistory({ createdAt: CREATED, completedAt: CREATED + HOUR }, 'archive', 'default')).toEqual([
+      { column: 'todo', at: CREATED },
+      { column: 'archive', at: CREATED + HOUR }
+    ]);
+  });
+});
+
+describe('getColumnAt', () => {
+  const note = { columnHistory: [] };
+  recordColumnTransition(note, 'todo', CREATED);
+  recordColumnTransition(note, 'inprogress', CREATED + HOUR);
+  
+  it('replays the recorded moves', () => {
+    expect(getColumnAt(note, CREATED - 1)).toBeNull();
+    expect(getColumnAt(note, CREATED)).toBe('todo');
+    expect(getColumnAt(note, CREATED + HOUR - 1)).toBe('todo');
+    expect(getColumnAt(note, CREATED + HOUR)).toBe('inprogress');
+  });
+});
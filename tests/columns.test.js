@@ -0,0 +1,127 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  DEFAULT_COLUMNS,
+  getColumns,
+  saveColumns,
+  reloadColumns,
+  getColumn,
+  isActiveColumn,
+  isDoneColumn,
+  isPrioritySorted,
+  getWipLimit,
+  getFirstColumnId,
+  getFirstDoneColumnId,
+  createColumnId
+} from '../src/js/columns.js';
+
+const BOARD = 'columnsTest';
+
+beforeEach(() => {
+  localStorage.clear();
+  reloadColumns(BOARD);
+});
+
+describe('getColumns', () => {
+  it('falls back to the default workflow', () => {
+    expect(getColumns(BOARD)).toEqual(DEFAULT_COLUMNS);
+    expect(getFirstColumnId(BOARD)).toBe('todo');
+    expect(getFirstDoneColumnId(BOARD)).toBe('done');
+  });
+  
+  it('falls back to the defaults for unreadable or empty configs', () => {
+    localStorage.setItem(`kanbyColumns:${BOARD}`, '{broken');
+    expect(getColumns(BOARD)).toEqual(DEFAULT_COLUMNS);
+    
+    reloadColumns(BOARD);
+    localStorage.setItem(`kanbyColumns:${BOARD}`, '[]');
+    expect(getColumns(BOARD)).toEqual(DEFAULT_COLUMNS);
+  });
+  
+  it('returns copies, so changing them leaves the defaults alone', () => {
+    getColumns(BOARD)[0].name = 'Changed';
+    expect(DEFAULT_COLUMNS[0].name).toBe('To Do');
+  });
+});
+
+describe('saveColumns', () => {
+  it('persists the config and reads it back', () => {
+    saveColumns([
+      { id: 'backlog', name: 'Backlog' },
+      { id: 'doing', name: 'Doing', isActive: true, wipLimit: 3 },
+      { id: 'shipped', name: 'Shipped', isDone: true, sortMode: 'priority' }
+    ], BOARD);
+    reloadColumns(BOARD);
+    
+    expect(getColumns(BOARD).map(column => column.id)).toEqual(['backlog', 'doing', 'shipped']);
+    expect(isActiveColumn('doing', BOARD)).toBe(true);
+    expect(isDoneColumn('shipped', BOARD)).toBe(true);
+    expect(isPrioritySorted('shipped', BOARD)).toBe(true);
+    expect(getWipLimit('doing', BOARD)).toBe(3);
+    expect(getFirstDoneColumnId(BOARD)).toBe('shipped');
+  });
+  
+  it('normalizes stored entries', () => {
+    saveColumns([{ id: 7, isActive: true, isDone: true, sortMode: 'random', wipLimit: '2.5' }], BOARD);
+    
+    expect(getColumn('7', BOARD)).toEqual({
+      id: '7',
+      name: '7',
+      isActive: true,
+      isDone: false, // A column cannot be active and done at once
+      sortMode: 'manual',
+      wipLimit: null
+    });
+  });
+  
+  it('drops WIP limits on done columns', () => {
+    saveColumns([{ id: 'done', name: 'Done', isDone: true, wipLimit: 5 }], BOARD);
+    expect(getWipLimit('done', BOARD)).toBeNull();
+  });
+});
+
+describe('column roles', () => {
+  it('treats unknown columns as plain columns', () => {
+    expect(getColumn('missing', BOARD)).toBeNull();
+    expect(isActiveColumn('missing', BOARD)).toBe(false);
+    expect(isDoneColumn('missing', BOARD)).toBe(false);
+    expect(getWipLimit('missing', BOARD)).toBeNull();
+  });
+  
+  it('reports no done column when the board has none', () => {
+    saveColumns([{ id: 'a', name: 'A' }], BOARD);
+    expect(getFirstDoneColumnId(BOARD)).toBeNull();
+  });
+});
+
+describe('createColumnId', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+  
+  it('builds the ID from the name and the creation time', () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(1700000000000);
+    expect(createColumnId('Code Review!', [])).toBe(`codereview${(1700000000000).toString(36)}`);
+  });
+  
+  it('never gives a new column the ID of a deleted one with the same name', () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(1700000000000);
+    const deleted = createColumnId('Review', []);
+    vi.setSystemTime(1700000060000);
+    expect(createColumnId('Review', [])).not.toBe(deleted);
+  });
+  
+  it('picks another ID when one created in the same millisecond exists', () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(1700000000000);
+    const first = createColumnId('Review', []);
+    const second = createColumnId('Review', [{ id: first }]);
+    expect(second).not.toBe(first);
+    expect(second.startsWith(first)).toBe(true);
+  });
+  
+  it('uses a generic prefix for names without letters or digits', () => {
+    expect(createColumnId('???', [])).toMatch(/^column[a-z0-9]+$/);
+  });
+});
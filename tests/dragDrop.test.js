@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { initDragAndDrop, moveNote } from '../src/js/dragDrop.js';
+import { setNotes, getNotes } from '../src/js/notes.js';
+import { saveColumns, DEFAULT_COLUMNS } from '../src/js/columns.js';
+import { task } from './helpers.js';
+
+// main.js starts the whole app; the drag code only needs its task accessors
+vi.mock('../src/js/main.js', async () => {
+  const notes = await import('../src/js/notes.js');
+  return { getNotes: notes.getNotes, setNotes: notes.setNotes, getTimerManager: () => null };
+});
+
+// jsdom has no PointerEvent, so pointer events are mouse events with the pointer fields added
+function pointer(type, target, { x = 0, y = 0, pointerType = 'touch' } = {}) {
+  const event = new MouseEvent(type, { bubbles: true, cancelable: true, clientX: x, clientY: y });
+  Object.assign(event, { pointerId: 1, pointerType, isPrimary: true });
+  target.dispatchEvent(event);
+  return event;
+}
+
+const card = (id) => document.querySelector(`.stickyNote[data-note-id="${id}"]`);
+const column = (id) => document.querySelector(`.boardColumn[data-column-id="${id}"]`);
+
+beforeEach(() => {
+  localStorage.clear();
+  saveColumns(DEFAULT_COLUMNS);
+  setNotes([
+    task({ id: 'a', text: 'a', column: 'todo', order: 0 }),
+    task({ id: 'b', text: 'b', column: 'todo', order: 1 }),
+    task({ id: 'c', text: 'c', column: 'inprogress', order: 0 })
+  ]);
+  document.body.innerHTML = ['todo', 'inprogress', 'done'].map(columnId => `
+    <div class="boardColumn" data-column-id="${columnId}">
+      <div class="notesContainer">
+        ${getNotes().filter(n => n.column === columnId).map(n => `<div class="stickyNote" data-note-id="${n.id}"></div>`).join('')}
+      </div>
+    </div>
+  `).join('');
+  // No layout in jsdom: the finger is over the Done column
+  document.elementFromPoint = vi.fn(() => column('done'));
+  vi.useFakeTimers();
+  initDragAndDrop();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('touch drag', () => {
+  it('picks a card up after a long press and drops it on the column under the finger', () => {
+    pointer('pointerdown', card('a'), { x: 10, y: 10 });
+    vi.advanceTimersByTime(400);
+    expect(document.querySelector('.dragGhost')).not.toBeNull();
+    expect(card('a').classList.contains('dragging')).toBe(true);
+    
+    expect(pointer('pointermove', document, { x: 300, y: 40 }).defaultPrevented).toBe(true);
+    expect(column('done').classList.contains('dropTarget')).toBe(true);
+    
+    pointer('pointerup', document, { x: 300, y: 40 });
+    expect(getNotes().find(n => n.id === 'a').column).toBe('done');
+    expect(document.querySelector('.dragGhost')).toBeNull();
+    expect(document.querySelector('.dropTarget')).toBeNull();
+  });
+  
+  it('lets the page scroll when the finger moves before the long press ends', () => {
+    pointer('pointerdown', card('a'), { x: 10, y: 10 });
+    pointer('pointermove', document, { x: 10, y: 40 });
+    vi.advanceTimersByTime(400);
+    pointer('pointerup', document, { x: 10, y: 40 });
+    
+    expect(document.querySelector('.dragGhost')).toBeNull();
+    expect(getNotes().find(n => n.id === 'a').column).toBe('todo');
+  });
+  
+  it('leaves mouse presses to HTML5 drag and drop', () => {
+    pointer('pointerdown', card('a'), { pointerType: 'mouse' });
+    vi.advanceTimersByTime(400);
+    expect(document.querySelector('.dragGhost')).toBeNull();
+  });
+  
+  it('does not drop outside the columns', () => {
+    document.elementFromPoint.mockReturnValue(null);
+    pointer('pointerdown', card('a'));
+    vi.advanceTimersByTime(400);
+    pointer('pointerup', document);
+    expect(getNotes().find(n => n.id === 'a').column).toBe('todo');
+  });
+});
+
+describe('moveNote', () => {
+  it('moves a card before another one and tells the board', () => {
+    const updated = vi.fn();
+    window.addEventListener('notesUpdated', updated);
+    
+    expect(moveNote('b', 'todo', 'a')).toBe(true);
+    expect(getNotes().filter(n => n.column === 'todo').sort((x, y) => x.order - y.order).map(n => n.id)).toEqual(['b', 'a']);
+    expect(updated).toHaveBeenCalled();
+    window.removeEventListener('notesUpdated', updated);
+  });
+  
+  it('reports drops that change nothing', () => {
+    expect(moveNote('b', 'todo', null)).toBe(false);
+    expect(moveNote('missing', 'done')).toBe(false);
+  });
+  
+  it('keeps the card where it was when the WIP limit refuses it', () => {
+    saveColumns(DEFAULT_COLUMNS.map(c => c.id === 'inprogress' ? { ...c, wipLimit: 1 } : c));
+    vi.spyOn(window, 'confirm').mockReturnValue(false);
+    expect(moveNote('a', 'inprogress')).toBe(false);
+    expect(getNotes().find(n => n.id === 'a').column).toBe('todo');
+  });
+});
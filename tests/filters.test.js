@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  loadFilters,
+  getFilters,
+  updateFilters,
+  setLabelFilter,
+  clearFilters,
+  hasActiveFilters,
+  getSearchTerms,
+  getDueStatus,
+  matchesFilters
+} from '../src/js/filters.js';
+import { saveLabels } from '../src/js/labels.js';
+import { task } from './helpers.js';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date(2026, 6, 15, 10, 0, 0).getTime(); // Local time, like the date inputs
+
+beforeEach(() => {
+  localStorage.clear();
+  clearFilters();
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(NOW);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('search', () => {
+  it('needs every term in the title or the description, ignoring case', () => {
+    updateFilters({ query: '  Invoice   CLIENT ' });
+    expect(getSearchTerms()).toEqual(['invoice', 'client']);
+    expect(matchesFilters(task({ text: 'Send invoice', description: 'to the client' }))).toBe(true);
+    expect(matchesFilters(task({ text: 'Send invoice' }))).toBe(false);
+  });
+});
+
+describe('priority, due status and labels', () => {
+  it('filters by priority', () => {
+    updateFilters({ priority: 'high' });
+    expect(matchesFilters(task({ priority: 'high' }))).toBe(true);
+    expect(matchesFilters(task({ priority: 'low' }))).toBe(false);
+  });
+  
+  it('classifies due dates like the cards do', () => {
+    expect(getDueStatus(task({ dueDate: null }))).toBe('none');
+    expect(getDueStatus(task({ dueDate: NOW - HOUR }))).toBe('overdue');
+    expect(getDueStatus(task({ dueDate: NOW + 2 * HOUR }))).toBe('urgent');
+    expect(getDueStatus(task({ dueDate: NOW + 10 * 24 * HOUR }))).toBe('later');
+    
+    updateFilters({ dueStatus: 'overdue' });
+    expect(matchesFilters(task({ dueDate: NOW - HOUR }))).toBe(true);
+    expect(matchesFilters(task({ dueDate: null }))).toBe(false);
+  });
+  
+  it('shows every task due on today\'s calendar day as due today or soon', () => {
+    updateFilters({ dueStatus: 'urgent' });
+    expect(matchesFilters(task({ dueDate: new Date(2026, 6, 15, 23, 45).getTime() }))).toBe(true);
+    expect(matchesFilters(task({ dueDate: new Date(2026, 6, 15, 8, 0).getTime() }))).toBe(true);
+    expect(matchesFilters(task({ dueDate: new Date(2026, 6, 16, 9, 0).getTime() }))).toBe(true);
+    expect(matchesFilters(task({ dueDate: new Date(2026, 6, 14, 23, 0).getTime() }))).toBe(false);
+    expect(matchesFilters(task({ dueDate: new Date(2026, 6, 25, 9, 0).getTime() }))).toBe(false);
+    expect(matchesFilters(task({ dueDate: null }))).toBe(false);
+  });
+  
+  it('filters by label', () => {
+    setLabelFilter('bug');
+    expect(matchesFilters(task({ labels: ['bug', 'ui'] }))).toBe(true);
+    expect(matchesFilters(task({ labels: ['ui'] }))).toBe(false);
+  });
+});
+
+describe('date range', () => {
+  it('includes whole days at both ends', () => {
+    updateFilters({ dateFrom: '2026-07-10', dateTo: '2026-07-15' });
+    expect(matchesFilters(task({ createdAt: new Date(2026, 6, 10, 0, 0).getTime() }))).toBe(true);
+    expect(matchesFilters(task({ createdAt: new Date(2026, 6, 15, 23, 59).getTime() }))).toBe(true);
+    expect(matchesFilters(task({ createdAt: new Date(2026, 6, 9, 23, 59).getTime() }))).toBe(false);
+    expect(matchesFilters(task({ createdAt: new Date(2026, 6, 16, 0, 0).getTime() }))).toBe(false);
+  });
+  
+  it('can apply to the completion time, leaving out open tasks', () => {
+    updateFilters({ dateField: 'completedAt', dateFrom: '2026-07-01' });
+    expect(matchesFilters(task({ completedAt: NOW }))).toBe(true);
+    expect(matchesFilters(task({ completedAt: null }))).toBe(false);
+  });
+});
+
+describe('filter state', () => {
+  it('reports whether any filter is set', () => {
+    expect(hasActiveFilters()).toBe(false);
+    updateFilters({ query: '   ' });
+    expect(hasActiveFilters()).toBe(false);
+    updateFilters({ dateTo: '2026-07-01' });
+    expect(hasActiveFilters()).toBe(true);
+    clearFilters();
+    expect(hasActiveFilters()).toBe(false);
+  });
+  
+  it('saves filters per board and drops unknown or invalid values on load', () => {
+    saveLabels([{ id: 'bug', name: 'Bug', color: '#ff0000' }], 'default');
+    updateFilters({ query: 'report', labelId: 'bug' });
+    expect(loadFilters('default')).toMatchObject({ query: 'report', labelId: 'bug' });
+    
+    localStorage.setItem('kanbyFilters:other', JSON.stringify({ priority: 3, labelId: 'deleted', dateField: 'dueDate', extra: 'x' }));
+    const filters = loadFilters('other');
+    expect(filters.priority).toBe('');
+    expect(filters.labelId).toBeNull();
+    expect(filters.dateField).toBe('createdAt');
+    expect(filters).not.toHaveProperty('extra');
+    expect(getFilters()).toBe(filters);
+  });
+});
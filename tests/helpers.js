@@ -0,0 +1,38 @@
+// Test Helpers
+//
+// Fixtures shared by the specs. task() builds a task record with every field the app
+// stores, set to what a new task in the first column has; specs pass only the fields
+// they care about.
+
+// Build a task record
+export function task(fields = {}) {
+  return {
+    id: 'task',
+    text: 'Task',
+    description: '',
+    column: 'todo',
+    columnHistory: [],
+    priority: 'medium',
+    dueDate: null,
+    createdAt: 0,
+    lastEditedAt: null,
+    startedAt: null,
+    completedAt: null,
+    timeSpent: 0,
+    timeLog: [],
+    timerStartTime: null,
+    inProgressSince: null,
+    deletedAt: null,
+    order: 0,
+    checklist: [],
+    autoCompleteChecklist: false,
+    labels: [],
+    recurrence: null,
+    nextOccurrenceId: null,
+    reminders: [],
+    pomodoro: null,
+    pomodoros: 0,
+    breakTime: 0,
+    ...fields
+  };
+}
@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  captureNotes,
+  collectChanges,
+  recordChange,
+  isLatestChange,
+  undo,
+  redo,
+  canUndo,
+  canRedo,
+  forgetNoteHistory,
+  clearHistory,
+  snapshotNote
+} from '../src/js/history.js';
+
+beforeEach(() => {
+  clearHistory();
+});
+
+describe('undo and redo', () => {
+  it('reverts and reapplies an edit', () => {
+    const notes = [{ id: 'a', text: 'Before', timeSpent: 1000 }];
+    const captured = captureNotes(notes);
+    notes[0].text = 'After';
+    notes[0].timeSpent = 5000;
+    recordChange('Edit', collectChanges(captured, notes));
+    
+    expect(undo(notes).label).toBe('Edit');
+    expect(notes).toEqual([{ id: 'a', text: 'Before', timeSpent: 1000 }]);
+    expect(canRedo()).toBe(true);
+    
+    redo(notes);
+    expect(notes).toEqual([{ id: 'a', text: 'After', timeSpent: 5000 }]);
+  });
+  
+  it('removes added tasks and puts deleted tasks back at their position', () => {
+    const notes = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+    recordChange('Delete', [{ before: snapshotNote(notes[1]), after: null, index: 1 }]);
+    notes.splice(1, 1);
+    recordChange('Add', [{ before: null, after: { id: 'd' }, index: -1 }]);
+    notes.push({ id: 'd' });
+    
+    undo(notes);
+    expect(notes.map(note => note.id)).toEqual(['a', 'c']);
+    undo(notes);
+    expect(notes.map(note => note.id)).toEqual(['a', 'b', 'c']);
+  });
+  
+  it('keeps snapshots apart from later changes to the tasks', () => {
+    const notes = [{ id: 'a', labels: ['x'] }];
+    const captured = captureNotes(notes);
+    notes[0].labels.push('y');
+    recordChange('Edit', collectChanges(captured, notes));
+    notes[0].labels.push('z');
+    
+    undo(notes);
+    expect(notes[0].labels).toEqual(['x']);
+  });
+  
+  it('returns null with nothing to undo or redo', () => {
+    expect(undo([])).toBeNull();
+    expect(redo([])).toBeNull();
+    expect(canUndo()).toBe(false);
+  });
+  
+  it('drops the redo stack when a new change is recorded', () => {
+    const notes = [{ id: 'a', text: 'x' }];
+    recordChange('Edit', [{ before: { id: 'a', text: 'old' }, after: { id: 'a', text: 'x' }, index: -1 }]);
+    undo(notes);
+    recordChange('Other', []);
+    expect(canRedo()).toBe(false);
+  });
+  
+  it('keeps the latest 100 entries', () => {
+    const notes = [{ id: 'a', n: 0 }];
+    for (let n = 1; n <= 105; n++) {
+      recordChange(`Edit ${n}`, [{ before: { id: 'a', n: n - 1 }, after: { id: 'a', n }, index: -1 }]);
+    }
+    let count = 0;
+    while (undo(notes)) count++;
+    expect(count).toBe(100);
+    expect(notes[0].n).toBe(5);
+  });
+});
+
+describe('collectChanges', () => {
+  it('lists only tasks that changed', () => {
+    const notes = [{ id: 'a', text: 'same' }, { id: 'b', text: 'old' }];
+    const captured = captureNotes(notes);
+    notes[1].text = 'new';
+    expect(collectChanges(captured, notes).map(change => change.before.id)).toEqual(['b']);
+  });
+  
+  it('records removed tasks with an empty after state', () => {
+    const notes = [{ id: 'a' }];
+    const captured = captureNotes(notes);
+    notes.pop();
+    expect(collectChanges(captured, notes)).toEqual([{ before: { id: 'a' }, after: null, index: -1 }]);
+  });
+});
+
+describe('forgetNoteHistory', () => {
+  it('drops entries touching tasks changed elsewhere', () => {
+    const kept = recordChange('Edit a', [{ before: { id: 'a' }, after: { id: 'a', x: 1 }, index: -1 }]);
+    recordChange('Edit b', [{ before: { id: 'b' }, after: { id: 'b', x: 1 }, index: -1 }]);
+    
+    forgetNoteHistory(['b']);
+    expect(isLatestChange(kept)).toBe(true);
+  });
+});
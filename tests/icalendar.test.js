@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  escapeICalText,
+  formatICalDate,
+  foldICalLine,
+  getEventUid,
+  getCalendarNotes,
+  buildICalendar
+} from '../src/js/icalendar.js';
+import { task } from './helpers.js';
+
+const DUE = Date.UTC(2026, 4, 20, 9, 30, 0);
+
+// An open task with a due date, the kind the calendar exports
+const REPORT = { id: 'task1', text: 'Write report', priority: 'high', dueDate: DUE, createdAt: DUE - 5000 };
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('escapeICalText', () => {
+  it('escapes backslashes, separators and line breaks', () => {
+    expect(escapeICalText('a\\b;c,d\r\ne')).toBe('a\\\\b\\;c\\,d\\ne');
+  });
+});
+
+describe('formatICalDate', () => {
+  it('writes UTC date-times without separators or milliseconds', () => {
+    expect(formatICalDate(DUE + 123)).toBe('20260520T093000Z');
+  });
+});
+
+describe('foldICalLine', () => {
+  it('leaves short lines alone', () => {
+    expect(foldICalLine('SUMMARY:Short')).toBe('SUMMARY:Short');
+  });
+  
+  it('folds long lines at 75 octets', () => {
+    const folded = foldICalLine(`DESCRIPTION:${'x'.repeat(200)}`);
+    const parts = folded.split('\r\n');
+    expect(parts[0]).toHaveLength(75);
+    parts.slice(1).forEach(part => {
+      expect(part.startsWith(' ')).toBe(true);
+      expect(part.length).toBeLessThanOrEqual(75);
+    });
+    expect(parts.map((part, index) => (index === 0 ? part : part.slice(1))).join('')).toBe(`DESCRIPTION:${'x'.repeat(200)}`);
+  });
+  
+  it('never splits a multi-byte character', () => {
+    const folded = foldICalLine(`SUMMARY:${'é'.repeat(60)}`);
+    const encoder = new TextEncoder();
+    folded.split('\r\n').forEach(part => {
+      expect(encoder.encode(part).length).toBeLessThanOrEqual(75);
+      expect(part).not.toContain('�');
+    });
+  });
+});
+
+describe('getCalendarNotes', () => {
+  it('keeps open tasks with a due date only', () => {
+    const notes = [
+      task({ ...REPORT, id: 'open' }),
+      task({ ...REPORT, id: 'noDue', dueDate: null }),
+      task({ ...REPORT, id: 'done', column: 'done' }),
+      task({ ...REPORT, id: 'trashed', deletedAt: DUE })
+    ];
+    expect(getCalendarNotes(notes).map(note => note.id)).toEqual(['open']);
+  });
+});
+
+describe('buildICalendar', () => {
+  it('builds one event per task with a stable UID', () => {
+    const ics = buildICalendar([task({ ...REPORT, description: 'Numbers, charts' })], { id: 'work', name: 'Work' });
+    
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics).toContain(`UID:${getEventUid({ id: 'task1' }, 'work')}\r\n`);
+    expect(ics).toContain('DTSTART:20260520T093000Z\r\n');
+    expect(ics).toContain('DTEND:20260520T100000Z\r\n');
+    expect(ics).toContain('PRIORITY:1\r\n');
+    expect(ics).toContain('DESCRIPTION:Numbers\\, charts\r\n');
+    expect(ics).toContain('X-WR-CALNAME:Kanby - Work\r\n');
+  });
+  
+  it('raises SEQUENCE with every edit', () => {
+    const board = { id: 'work', name: 'Work' };
+    const sequence = (note) => buildICalendar([note], board).match(/SEQUENCE:(\d+)/)[1];
+    expect(sequence(task({ ...REPORT, lastEditedAt: null }))).toBe('0');
+    expect(Number(sequence(task({ ...REPORT, lastEditedAt: DUE + 60000 })))).toBeGreaterThan(0);
+  });
+});
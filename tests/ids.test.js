@@ -0,0 +1,59 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import fc from 'fast-check';
+import { createNoteId, repairDuplicateIds } from '../src/js/ids.js';
+
+const UUID_V4 = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('createNoteId', () => {
+  it('creates unique version 4 UUIDs', () => {
+    const ids = Array.from({ length: 200 }, createNoteId);
+    expect(ids.every(id => UUID_V4.test(id))).toBe(true);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+  
+  it('builds the UUID by hand where randomUUID is missing', () => {
+    vi.stubGlobal('crypto', { getRandomValues: (bytes) => bytes.fill(0xff) });
+    expect(createNoteId()).toBe('ffffffff-ffff-4fff-bfff-ffffffffffff');
+    
+    vi.stubGlobal('crypto', undefined);
+    expect(createNoteId()).toMatch(UUID_V4);
+  });
+});
+
+describe('repairDuplicateIds', () => {
+  it('keeps the first task with an ID and gives later ones fresh UUIDs', () => {
+    const first = { id: '1700000000000', text: 'First' };
+    const second = { id: '1700000000000', text: 'Second' };
+    const other = { id: 'b', text: 'Other' };
+    const third = { id: '1700000000000', text: 'Third' };
+    
+    const { notes, repaired } = repairDuplicateIds([first, other, second, third]);
+    expect(repaired).toBe(2);
+    expect(notes[0]).toBe(first);
+    expect(notes[1]).toBe(other);
+    expect(notes.map(note => note.text)).toEqual(['First', 'Other', 'Second', 'Third']);
+    expect(notes[2].id).toMatch(UUID_V4);
+    expect(notes[3].id).toMatch(UUID_V4);
+    expect(notes[2].id).not.toBe(notes[3].id);
+    expect(second.id).toBe('1700000000000');
+  });
+  
+  it('leaves records without an ID alone', () => {
+    const records = [null, { text: 'No id' }, { id: null }, 'text', { text: 'Also no id' }];
+    expect(repairDuplicateIds(records)).toEqual({ notes: records, repaired: 0 });
+  });
+  
+  it('always ends with unique IDs and the same tasks in the same order', () => {
+    const id = fc.constantFrom('a', 'b', 'c', '1700000000000');
+    fc.assert(fc.property(fc.array(fc.record({ id, text: fc.string() }), { maxLength: 20 }), (records) => {
+      const { notes, repaired } = repairDuplicateIds(records);
+      expect(new Set(notes.map(note => note.id)).size).toBe(notes.length);
+      expect(notes.map(note => note.text)).toEqual(records.map(record => record.text));
+      expect(repaired).toBe(records.length - new Set(records.map(record => record.id)).size);
+    }));
+  });
+});
@@ -0,0 +1,185 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { IndexedDbAdapter, isIndexedDbAvailable } from '../src/js/indexedDbAdapter.js';
+
+// Read every record of a store, board IDs included
+async function rawRecords(adapter, storeName) {
+  const store = adapter.db.transaction(storeName, 'readonly').objectStore(storeName);
+  return new Promise((resolve, reject) => {
+    const request = store.getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Read the records an index holds under a key
+async function indexRecords(adapter, indexName, key) {
+  const index = adapter.db.transaction('notes', 'readonly').objectStore('notes').index(indexName);
+  return new Promise((resolve, reject) => {
+    const request = index.getAll(key);
+    request.onsuccess = () => resolve(request.result.map(record => record.id));
+    request.onerror = () => reject(request.error);
+  });
+}
+
+let adapter;
+
+beforeEach(async () => {
+  // A fresh, empty database for every test
+  vi.stubGlobal('indexedDB', new IDBFactory());
+  vi.stubGlobal('IDBKeyRange', IDBKeyRange);
+  adapter = await IndexedDbAdapter.open();
+});
+
+afterEach(() => {
+  adapter.db.close();
+  vi.unstubAllGlobals();
+});
+
+describe('IndexedDbAdapter', () => {
+  it('creates the notes and meta stores with their key path and indexes', () => {
+    expect(isIndexedDbAvailable()).toBe(true);
+    expect(adapter.name).toBe('indexedDB');
+    expect([...adapter.db.objectStoreNames].sort()).toEqual(['meta', 'notes']);
+    
+    const store = adapter.db.transaction('notes', 'readonly').objectStore('notes');
+    expect(store.keyPath).toEqual(['boardId', 'id']);
+    expect([...store.indexNames].sort()).toEqual(['boardId', 'column', 'dueDate']);
+    expect(store.index('column').keyPath).toEqual(['boardId', 'column']);
+  });
+  
+  it('keeps each board\'s tasks apart, even with the same task IDs', async () => {
+    await adapter.save('work', [{ id: 'a', text: 'Work A', column: 'todo' }, { id: 'b', text: 'Work B', column: 'done' }]);
+    await adapter.save('home', [{ id: 'a', text: 'Home A', column: 'todo' }]);
+    
+    expect((await adapter.load('work')).map(note => note.text)).toEqual(['Work A', 'Work B']);
+    expect(await adapter.load('home')).toEqual([{ id: 'a', text: 'Home A', column: 'todo' }]);
+    expect(await adapter.load('empty')).toEqual([]);
+    
+    // Stored records carry their board; loaded tasks do not
+    expect((await rawRecords(adapter, 'notes')).map(record => [record.boardId, record.id])).toEqual([
+      ['home', 'a'],
+      ['work', 'a'],
+      ['work', 'b']
+    ]);
+  });
+  
+  it('replaces only the saved board', async () => {
+    await adapter.save('work', [{ id: 'a', text: 'Old' }, { id: 'b', text: 'Gone' }]);
+    await adapter.save('home', [{ id: 'c', text: 'Home' }]);
+    
+    await adapter.save('work', [{ id: 'a', text: 'New' }]);
+    expect(await adapter.load('work')).toEqual([{ id: 'a', text: 'New' }]);
+    expect(await adapter.load('home')).toEqual([{ id: 'c', text: 'Home' }]);
+    
+    await adapter.save('work', []);
+    expect(await adapter.load('work')).toEqual([]);
+    expect(await adapter.load('home')).toHaveLength(1);
+  });
+  
+  it('puts and deletes single tasks of one board', async () => {
+    await adapter.save('work', [{ id: 'a', text: 'A' }]);
+    await adapter.save('home', [{ id: 'a', text: 'Home A' }]);
+    
+    await adapter.putNote('work', { id: 'a', text: 'A2' });
+    await adapter.putNote('work', { id: 'b', text: 'B' });
+    await adapter.deleteNote('home', 'a');
+    
+    expect(await adapter.load('work')).toEqual([{ id: 'a', text: 'A2' }, { id: 'b', text: 'B' }]);
+    expect(await adapter.load('home')).toEqual([]);
+  });
+  
+  it('applies a transaction together, or not at all when it throws', async () => {
+    await adapter.save('work', [{ id: 'a', text: 'A' }, { id: 'b', text: 'B' }]);
+    
+    await adapter.transaction('work', (tx) => {
+      tx.put({ id: 'c', text: 'C' });
+      tx.delete('a');
+    });
+    expect((await adapter.load('work')).map(note => note.id)).toEqual(['b', 'c']);
+    
+    await expect(adapter.transaction('work', (tx) => {
+      tx.delete('b');
+      throw new Error('Stopped');
+    })).rejects.toThrow('Stopped');
+    expect((await adapter.load('work')).map(note => note.id)).toEqual(['b', 'c']);
+  });
+  
+  it('indexes tasks by board and column and by due date', async () => {
+    await adapter.save('work', [
+      { id: 'a', column: 'todo', dueDate: 2000 },
+      { id: 'b', column: 'done', dueDate: 1000 },
+      { id: 'c', column: 'todo', dueDate: null }
+    ]);
+    await adapter.save('home', [{ id: 'd', column: 'todo', dueDate: 1500 }]);
+    
+    expect(await indexRecords(adapter, 'column', ['work', 'todo'])).toEqual(['a', 'c']);
+    expect(await indexRecords(adapter, 'dueDate', IDBKeyRange.bound(1000, 1500))).toEqual(['b', 'd']);
+  });
+  
+  it('writes several boards, the schema version and the backup in one go', async () => {
+    expect(await adapter.getSchemaVersion()).toBe(0);
+    await adapter.save('work', [{ id: 'old' }]);
+    const backup = { schemaVersion: 1, createdAt: 1000, boards: [{ id: 'work', notes: [{ id: 'old' }] }] };
+    
+    await adapter.writeAll([
+      { id: 'work', notes: [{ id: 'a', text: 'A' }] },
+      { id: 'home', notes: [{ id: 'b', text: 'B' }] }
+    ], 2, backup);
+    
+    expect(await adapter.load('work')).toEqual([{ id: 'a', text: 'A' }]);
+    expect(await adapter.load('home')).toEqual([{ id: 'b', text: 'B' }]);
+    expect(await adapter.getSchemaVersion()).toBe(2);
+    expect(await rawRecords(adapter, 'meta')).toEqual(expect.arrayContaining([backup, 2]));
+  });
+  
+  it('writes nothing when one record of a writeAll cannot be stored', async () => {
+    await adapter.save('work', [{ id: 'a', text: 'A' }]);
+    
+    await expect(adapter.writeAll([
+      { id: 'work', notes: [{ id: 'b', text: 'B' }] },
+      { id: 'home', notes: [{ text: 'No ID' }] }
+    ], 2, { schemaVersion: 1 })).rejects.toThrow();
+    
+    expect(await adapter.load('work')).toEqual([{ id: 'a', text: 'A' }]);
+    expect(await adapter.getSchemaVersion()).toBe(0);
+    expect(await rawRecords(adapter, 'meta')).toEqual([]);
+  });
+  
+  it('closes its connection when another tab opens a newer database version', async () => {
+    const close = vi.spyOn(adapter.db, 'close');
+    const newer = await new Promise((resolve, reject) => {
+      const request = indexedDB.open('kanby', 2);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Blocked'));
+    });
+    
+    expect(newer.version).toBe(2);
+    expect(close).toHaveBeenCalled();
+    newer.close();
+  });
+  
+  it('gives up instead of waiting while another tab keeps an older version open', async () => {
+    const request = {};
+    vi.stubGlobal('indexedDB', { open: vi.fn(() => request) });
+    
+    const opening = IndexedDbAdapter.open();
+    request.onblocked();
+    await expect(opening).rejects.toMatchObject({ name: 'BlockedError' });
+    
+    // Opening later anyway closes the connection nobody waits for
+    request.result = { close: vi.fn() };
+    request.onsuccess();
+    expect(request.result.close).toHaveBeenCalled();
+  });
+  
+  it('keeps the data when the database is opened again', async () => {
+    await adapter.writeAll([{ id: 'work', notes: [{ id: 'a', text: 'A' }] }], 2);
+    adapter.db.close();
+    
+    adapter = await IndexedDbAdapter.open();
+    expect(await adapter.load('work')).toEqual([{ id: 'a', text: 'A' }]);
+    expect(await adapter.getSchemaVersion()).toBe(2);
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+import { initKeyboardShortcuts } from '../src/js/keyboard.js';
+
+const actions = { onEdit: vi.fn(), onDetails: vi.fn(), onDelete: vi.fn() };
+
+function press(key) {
+  document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+}
+
+beforeAll(() => {
+  initKeyboardShortcuts(actions);
+});
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  document.body.innerHTML = `
+    <div class="boardColumn" data-column-id="todo">
+      <div class="notesContainer">
+        <div class="stickyNote" data-note-id="a" tabindex="0"></div>
+        <div class="stickyNote" data-note-id="b" tabindex="0"></div>
+      </div>
+    </div>
+    <input id="noteText">
+  `;
+  Element.prototype.scrollIntoView = () => {};
+  document.querySelector('[data-note-id="a"]').focus();
+});
+
+describe('card shortcuts', () => {
+  it('deletes the focused card with Delete and focuses its neighbour', () => {
+    press('Delete');
+    expect(actions.onDelete).toHaveBeenCalledWith('a');
+    expect(document.activeElement.getAttribute('data-note-id')).toBe('b');
+  });
+  
+  it('does not delete with Backspace', () => {
+    press('Backspace');
+    expect(actions.onDelete).not.toHaveBeenCalled();
+  });
+  
+  it('edits and opens the focused card', () => {
+    press('e');
+    press('Enter');
+    expect(actions.onEdit).toHaveBeenCalledWith('a');
+    expect(actions.onDetails).toHaveBeenCalledWith('a');
+  });
+  
+  it('moves the focus within a column', () => {
+    press('ArrowDown');
+    expect(document.activeElement.getAttribute('data-note-id')).toBe('b');
+  });
+  
+  it('ignores keys typed into fields', () => {
+    document.getElementById('noteText').focus();
+    press('Delete');
+    press('e');
+    expect(actions.onDelete).not.toHaveBeenCalled();
+    expect(actions.onEdit).not.toHaveBeenCalled();
+  });
+});
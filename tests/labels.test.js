@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  LABEL_COLORS,
+  getLabels,
+  saveLabels,
+  reloadLabels,
+  getLabel,
+  createLabelId,
+  getLabelTextColor
+} from '../src/js/labels.js';
+
+const BOARD = 'labelsTest';
+
+beforeEach(() => {
+  localStorage.clear();
+  reloadLabels(BOARD);
+});
+
+describe('getLabels', () => {
+  it('starts without labels', () => {
+    expect(getLabels(BOARD)).toEqual([]);
+  });
+  
+  it('ignores unreadable data and entries without an ID', () => {
+    localStorage.setItem(`kanbyLabels:${BOARD}`, '{broken');
+    expect(getLabels(BOARD)).toEqual([]);
+    
+    reloadLabels(BOARD);
+    localStorage.setItem(`kanbyLabels:${BOARD}`, JSON.stringify([null, { name: 'No id' }, { id: 'ok', name: 'Ok', color: '#123456' }]));
+    expect(getLabels(BOARD)).toEqual([{ id: 'ok', name: 'Ok', color: '#123456' }]);
+  });
+});
+
+describe('saveLabels', () => {
+  it('persists labels and finds them by ID', () => {
+    saveLabels([{ id: 'bug', name: 'Bug', color: '#ff0000' }], BOARD);
+    reloadLabels(BOARD);
+    expect(getLabel('bug', BOARD)).toEqual({ id: 'bug', name: 'Bug', color: '#ff0000' });
+    expect(getLabel('missing', BOARD)).toBeNull();
+  });
+  
+  it('replaces invalid colors with the palette color for the position', () => {
+    saveLabels([{ id: 'a', name: 'A', color: 'red' }, { id: 'b', name: 'B', color: '#12345' }], BOARD);
+    expect(getLabels(BOARD).map(label => label.color)).toEqual([LABEL_COLORS[0], LABEL_COLORS[1]]);
+  });
+  
+  it('uses the ID as name for unnamed labels', () => {
+    saveLabels([{ id: 5, color: '#000000' }], BOARD);
+    expect(getLabels(BOARD)[0]).toEqual({ id: '5', name: '5', color: '#000000' });
+  });
+});
+
+describe('createLabelId', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+  
+  it('builds a unique ID from the name and the creation time', () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(1700000000000);
+    const id = createLabelId('Client A', []);
+    expect(id).toBe(`clienta${(1700000000000).toString(36)}`);
+    expect(createLabelId('Client A', [{ id }])).not.toBe(id);
+    expect(createLabelId('!!!', [])).toMatch(/^label[a-z0-9]+$/);
+  });
+  
+  it('never gives a new label the ID of a deleted one with the same name', () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(1700000000000);
+    const deleted = createLabelId('Urgent', []);
+    vi.setSystemTime(1700000060000);
+    expect(createLabelId('Urgent', [])).not.toBe(deleted);
+  });
+});
+
+describe('getLabelTextColor', () => {
+  it('picks dark text on light colors and white text on dark colors', () => {
+    expect(getLabelTextColor('#ccff00')).toBe('#0a0e1a');
+    expect(getLabelTextColor('#9d00ff')).toBe('#ffffff');
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { escapeHtml, sanitizeHtml, renderMarkdown } from '../src/js/markdown.js';
+
+// Parse rendered HTML the way innerHTML would
+function toDom(html) {
+  const container = document.createElement('div');
+  container.innerHTML = html;
+  return container;
+}
+
+// Check that nothing in the markup can run script
+function expectInert(html) {
+  const dom = toDom(html);
+  expect(dom.querySelector('script, img, iframe, svg, object, embed, style, form')).toBeNull();
+  dom.querySelectorAll('*').forEach(element => {
+    Array.from(element.attributes).forEach(attribute => {
+      expect(attribute.name.startsWith('on')).toBe(false);
+    });
+    const href = element.getAttribute('href');
+    if (href !== null) {
+      expect(href).toMatch(/^(https?:|mailto:)/i);
+    }
+  });
+}
+
+describe('escapeHtml', () => {
+  it('escapes markup characters and quotes', () => {
+    expect(escapeHtml(`<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&#039;&amp;&#039;&lt;/a&gt;');
+  });
+  
+  it('treats missing values as empty text', () => {
+    expect(escapeHtml(null)).toBe('');
+    expect(escapeHtml(undefined)).toBe('');
+  });
+});
+
+describe('renderMarkdown links', () => {
+  it('keeps http, https and mailto links and opens them in a new tab', () => {
+    const link = toDom(renderMarkdown('[Docs](https://example.com/a_b_c)')).querySelector('a');
+    expect(link.getAttribute('href')).toBe('https://example.com/a_b_c');
+    expect(link.getAttribute('target')).toBe('_blank');
+    expect(link.getAttribute('rel')).toBe('noopener noreferrer');
+    expect(toDom(renderMarkdown('[Mail](mailto:me@example.com)')).querySelector('a')).not.toBeNull();
+  });
+  
+  it.each([
+    'javascript:alert(1)',
+    'JavaScript:alert(1)',
+    ' javascript:alert(1)',
+    'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==',
+    'vbscript:msgbox(1)',
+    '//evil.example.com'
+  ])('shows only the label of a %s link', (url) => {
+    const html = renderMarkdown(`[click](${url})`);
+    expect(toDom(html).querySelector('a')).toBeNull();
+    expect(toDom(html).textContent).toContain('click');
+    expectInert(html);
+  });
+  
+  it('does not turn a link inside a code span into a link', () => {
+    const dom = toDom(renderMarkdown('Use `[x](javascript:alert(1))` or `[y](https://example.com)`'));
+    expect(dom.querySelector('a')).toBeNull();
+    expect(Array.from(dom.querySelectorAll('code')).map(code => code.textContent)).toEqual([
+      '[x](javascript:alert(1))',
+      '[y](https://example.com)'
+    ]);
+  });
+  
+  it('keeps emphasis characters in URLs and code spans as they are', () => {
+    const dom = toDom(renderMarkdown('[a](https://example.com/*x*/_y_) and `*not em*`'));
+    expect(dom.querySelector('a').getAttribute('href')).toBe('https://example.com/*x*/_y_');
+    expect(dom.querySelector('em')).toBeNull();
+    expect(dom.querySelector('code').textContent).toBe('*not em*');
+  });
+  
+  it('never fills placeholder-like text in the input with stored markup', () => {
+    const dom = toDom(renderMarkdown('`code` [link](https://example.com) then \u00000\u0000 and \u00001\u0000'));
+    expect(dom.querySelectorAll('code')).toHaveLength(1);
+    expect(dom.querySelectorAll('a')).toHaveLength(1);
+    expect(dom.textContent).toBe('code link then 0 and 1');
+  });
+});
+
+describe('renderMarkdown raw HTML', () => {
+  it.each([
+    '<script>alert(1)</script>',
+    '<img src=x onerror="alert(1)">',
+    '<svg onload=alert(1)>',
+    '<a href="javascript:alert(1)">x</a>',
+    '<iframe src="https://example.com"></iframe>',
+    '"><img src=x onerror=alert(1)>',
+    '**<img src=x onerror=alert(1)>**',
+    '[<img src=x onerror=alert(1)>](https://example.com)'
+  ])('shows %s as text', (input) => {
+    const html = renderMarkdown(input);
+    expectInert(html);
+    expect(toDom(html).textContent).toContain('<');
+  });
+  
+  it('never produces markup that can run script from any input', () => {
+    fc.assert(fc.property(
+      fc.array(fc.constantFrom('<', '>', '"', "'", '[', ']', '(', ')', '`', '*', '_', '~', '\n', '#', '> ', '- ',
+        'javascript:', 'data:', 'https://x.y', 'script', 'img', ' onerror=', 'alert(1)', '=', ' ', 'a')).map(parts => parts.join('')),
+      (input) => {
+        expectInert(renderMarkdown(input));
+      }
+    ), { numRuns: 300 });
+  });
+});
+
+describe('sanitizeHtml', () => {
+  it('removes scripts and event handlers from raw HTML', () => {
+    const html = sanitizeHtml('<p onclick="x()">Hi<script>alert(1)</script><img src=x onerror=alert(1)></p>');
+    expectInert(html);
+    expect(toDom(html).querySelector('p').getAttribute('onclick')).toBeNull();
+  });
+  
+  it('strips unsafe link targets but keeps the text', () => {
+    const html = sanitizeHtml('<a href="data:text/html,hi">data</a><a href="javascript:x()">js</a>');
+    const links = toDom(html).querySelectorAll('a');
+    expect(Array.from(links).map(link => link.getAttribute('href'))).toEqual([null, null]);
+    expect(toDom(html).textContent).toBe('datajs');
+  });
+  
+  it('drops comments and keeps allowed formatting', () => {
+    expect(sanitizeHtml('<!-- hidden --><strong>bold</strong>')).toBe('<strong>bold</strong>');
+  });
+});
+
+describe('renderMarkdown formatting', () => {
+  it('renders nested emphasis', () => {
+    const dom = toDom(renderMarkdown('**bold _and italic_** and *one **two** three*'));
+    expect(dom.querySelector('strong em').textContent).toBe('and italic');
+    expect(dom.querySelector('em strong').textContent).toBe('two');
+  });
+  
+  it('leaves underscores inside words alone', () => {
+    expect(toDom(renderMarkdown('snake_case_name')).querySelector('em')).toBeNull();
+  });
+  
+  it('renders strikethrough, headings, quotes and rules', () => {
+    const dom = toDom(renderMarkdown('# Title\n\n~~gone~~\n\n> quoted\n\n---'));
+    expect(dom.querySelector('h1').textContent).toBe('Title');
+    expect(dom.querySelector('del').textContent).toBe('gone');
+    expect(dom.querySelector('blockquote p').textContent).toBe('quoted');
+    expect(dom.querySelector('hr')).not.toBeNull();
+  });
+  
+  it('renders nested lists', () => {
+    const dom = toDom(renderMarkdown('- one\n  - one.a\n- two\n\n1. first\n2. second'));
+    expect(dom.querySelectorAll('ul > li')).toHaveLength(3);
+    expect(dom.querySelector('ul li ul li').textContent).toBe('one.a');
+    expect(dom.querySelectorAll('ol > li')).toHaveLength(2);
+  });
+  
+  it('escapes the content of fenced code blocks', () => {
+    const dom = toDom(renderMarkdown('```\n<b>**not bold**</b>\n```'));
+    expect(dom.querySelector('pre code').textContent).toBe('<b>**not bold**</b>');
+    expect(dom.querySelector('b, strong')).toBeNull();
+  });
+  
+  it('keeps line breaks inside paragraphs', () => {
+    expect(renderMarkdown('one\ntwo')).toBe('<p>one<br>two</p>');
+  });
+});
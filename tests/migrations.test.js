@@ -0,0 +1,209 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fc from 'fast-check';
+import { SCHEMA_VERSION, parseSchemaVersion, migrateRecords } from '../src/js/migrations.js';
+import { LocalStorageAdapter } from '../src/js/storageAdapters.js';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 5, 1, 12);
+
+// Tasks as version 0 stored them: numeric IDs (two created in the same millisecond)
+// and a tracked-time total instead of a time log
+function versionZeroNotes() {
+  return [
+    { id: 1700000000000, text: 'First', column: 'done', createdAt: NOW - 5 * HOUR, completedAt: NOW - 2 * HOUR, timeSpent: HOUR },
+    { id: 1700000000000, text: 'Same millisecond', column: 'todo', createdAt: NOW - 5 * HOUR, nextOccurrenceId: null },
+    { id: 'task2', text: 'Recurring', column: 'done', createdAt: NOW - 5 * HOUR, nextOccurrenceId: 1700000000000 }
+  ];
+}
+
+// Adapter keeping everything in memory and recording every write
+class FakeAdapter {
+  constructor(boards, schemaVersion) {
+    this.name = 'fake';
+    this.boards = boards;
+    this.schemaVersion = schemaVersion;
+    this.writes = [];
+    this.failWriteAll = false;
+  }
+  
+  async load(boardId) {
+    return structuredClone(this.boards[boardId] || []);
+  }
+  
+  async save(boardId, notes) {
+    this.writes.push({ type: 'save', boardId });
+    this.boards[boardId] = structuredClone(notes);
+  }
+  
+  async transaction(boardId, work) {
+    const notes = await this.load(boardId);
+    const byId = new Map(notes.map(note => [note.id, note]));
+    work({
+      put: (note) => byId.set(note.id, note),
+      delete: (noteId) => byId.delete(noteId)
+    });
+    return this.save(boardId, [...byId.values()]);
+  }
+  
+  async getSchemaVersion() {
+    return this.schemaVersion;
+  }
+  
+  async writeAll(boards, schemaVersion = null, backup = null) {
+    this.writes.push({ type: 'writeAll', schemaVersion, backup: structuredClone(backup) });
+    if (this.failWriteAll) {
+      throw new Error('Quota exceeded');
+    }
+    boards.forEach(board => {
+      this.boards[board.id] = structuredClone(board.notes);
+    });
+    if (schemaVersion !== null) {
+      this.schemaVersion = schemaVersion;
+    }
+  }
+}
+
+// Start storage.js on the fake adapter (fresh modules, since storage.js keeps state)
+async function initStorageWith(adapter) {
+  vi.resetModules();
+  vi.doMock('../src/js/storageAdapters.js', async (importOriginal) => ({
+    ...await importOriginal(),
+    openStorageAdapter: async () => adapter
+  }));
+  const storage = await import('../src/js/storage.js');
+  return { storage, init: storage.initStorage() };
+}
+
+beforeEach(() => {
+  localStorage.clear();
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(NOW);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.doUnmock('../src/js/storageAdapters.js');
+});
+
+describe('parseSchemaVersion', () => {
+  it.each([
+    [2, 2],
+    ['1', 1],
+    [null, 0],
+    [undefined, 0],
+    ['', 0],
+    [-1, 0],
+    [1.5, 0],
+    ['newer', 0]
+  ])('reads %j as %i', (value, version) => {
+    expect(parseSchemaVersion(value)).toBe(version);
+  });
+});
+
+describe('migrateRecords', () => {
+  it('upgrades version 0 records to the current shape', () => {
+    const notes = migrateRecords(versionZeroNotes(), 0);
+    expect(notes.map(note => typeof note.id)).toEqual(['string', 'string', 'string']);
+    expect(notes[0].id).toBe('1700000000000');
+    expect(notes[1].id).not.toBe('1700000000000');
+    expect(notes[2].nextOccurrenceId).toBe('1700000000000');
+    expect(notes[0].timeLog).toEqual([{ id: 'time0', start: NOW - 3 * HOUR, end: NOW - 2 * HOUR, migrated: true }]);
+  });
+  
+  it('leaves its input unchanged', () => {
+    const input = versionZeroNotes();
+    migrateRecords(input, 0);
+    expect(input).toEqual(versionZeroNotes());
+  });
+  
+  it('runs only the steps newer than the stored version', () => {
+    const notes = [{ id: 7, timeSpent: HOUR, createdAt: NOW - 2 * HOUR }];
+    const fromOne = migrateRecords(notes, 1);
+    expect(fromOne[0].id).toBe('7');
+    expect(fromOne[0].timeLog).toBeUndefined();
+    
+    expect(migrateRecords(notes, SCHEMA_VERSION)).toBe(notes);
+  });
+  
+  it('accepts records that are already upgraded', () => {
+    const record = fc.record({
+      id: fc.oneof(fc.integer({ min: 1, max: 2e12 }), fc.string({ minLength: 1, maxLength: 8 })),
+      timeSpent: fc.nat(10 * HOUR),
+      createdAt: fc.integer({ min: 0, max: NOW })
+    });
+    fc.assert(fc.property(fc.array(record, { maxLength: 10 }), (notes) => {
+      const once = migrateRecords(notes, 0);
+      expect(migrateRecords(once, 0)).toEqual(once);
+      expect(new Set(once.map(note => note.id)).size).toBe(once.length);
+    }));
+  });
+});
+
+describe('initStorage', () => {
+  it('upgrades old data once, writing the backup together with the version', async () => {
+    const adapter = new FakeAdapter({ default: versionZeroNotes() }, 0);
+    const { storage, init } = await initStorageWith(adapter);
+    await init;
+    
+    expect(adapter.writes).toHaveLength(1);
+    expect(adapter.writes[0]).toEqual({
+      type: 'writeAll',
+      schemaVersion: SCHEMA_VERSION,
+      backup: { schemaVersion: 0, createdAt: NOW, boards: [{ id: 'default', notes: versionZeroNotes() }] }
+    });
+    expect(adapter.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(storage.loadNotes('default').map(note => note.text)).toEqual(['First', 'Same millisecond', 'Recurring']);
+    
+    // The next start finds the current version and writes nothing
+    await vi.waitFor(() => expect(adapter.writes.at(-1).type).toBe('save')); // Defaults loadNotes filled in
+    const writes = adapter.writes.length;
+    await (await initStorageWith(adapter)).init;
+    expect(adapter.writes).toHaveLength(writes);
+  });
+  
+  it('writes no backup when there are no tasks', async () => {
+    const adapter = new FakeAdapter({}, 0);
+    await (await initStorageWith(adapter)).init;
+    expect(adapter.writes).toEqual([{ type: 'writeAll', schemaVersion: SCHEMA_VERSION, backup: null }]);
+  });
+  
+  it('refuses data stored by a newer version without touching it', async () => {
+    const adapter = new FakeAdapter({ default: [{ id: 'a', text: 'From the future' }] }, SCHEMA_VERSION + 1);
+    const { storage, init } = await initStorageWith(adapter);
+    
+    await expect(init).rejects.toThrow('newer version of Kanby');
+    expect(adapter.writes).toEqual([]);
+    expect(storage.loadNotes('default')).toEqual([]);
+    expect(storage.saveNotes([{ id: 'b' }], 'default')).toBe(false);
+    expect(adapter.boards.default).toEqual([{ id: 'a', text: 'From the future' }]);
+  });
+  
+  it('keeps the old version when the upgrade cannot be written', async () => {
+    const adapter = new FakeAdapter({ default: versionZeroNotes() }, 0);
+    adapter.failWriteAll = true;
+    const { storage, init } = await initStorageWith(adapter);
+    
+    await expect(init).rejects.toThrow('could not be upgraded');
+    expect(adapter.schemaVersion).toBe(0);
+    expect(storage.saveNotes([], 'default')).toBe(false);
+  });
+});
+
+describe('LocalStorageAdapter.writeAll', () => {
+  it('writes the backup first and the version last', async () => {
+    const setItem = vi.spyOn(Storage.prototype, 'setItem');
+    await new LocalStorageAdapter().writeAll([{ id: 'default', notes: [{ id: 'a' }] }], 2, { schemaVersion: 0 });
+    
+    expect(setItem.mock.calls.map(([key]) => key)).toEqual(['kanbyMigrationBackup', 'kanbyNotes:default', 'kanbySchemaVersion']);
+    setItem.mockRestore();
+  });
+  
+  it('leaves the old version when a board cannot be written, so the upgrade runs again', async () => {
+    const adapter = new LocalStorageAdapter();
+    vi.spyOn(adapter, 'save').mockRejectedValue(new Error('Quota exceeded'));
+    
+    await expect(adapter.writeAll([{ id: 'default', notes: [] }], 2, { schemaVersion: 0 })).rejects.toThrow('Quota exceeded');
+    expect(JSON.parse(localStorage.getItem('kanbyMigrationBackup'))).toEqual({ schemaVersion: 0 });
+    expect(await adapter.getSchemaVersion()).toBe(0);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { openTaskModal, openSyncConflictModal } from '../src/js/modals.js';
+import { NOTE_FIELDS } from '../src/js/sync.js';
+import { saveColumns, DEFAULT_COLUMNS } from '../src/js/columns.js';
+
+const field = (name) => NOTE_FIELDS.find(f => f.name === name);
+
+beforeEach(() => {
+  localStorage.clear();
+  document.body.innerHTML = '';
+});
+
+describe('openTaskModal', () => {
+  const note = {
+    id: 'task',
+    text: 'Task',
+    description: '',
+    column: 'todo',
+    priority: 'medium',
+    dueDate: null,
+    checklist: [],
+    autoCompleteChecklist: false,
+    labels: [],
+    recurrence: null,
+    reminders: []
+  };
+  
+  beforeEach(() => {
+    saveColumns(DEFAULT_COLUMNS);
+  });
+  
+  it('stays open while the save is refused', () => {
+    const save = vi.fn(() => false);
+    openTaskModal(note, null, null, null, null, save);
+    document.querySelector('.taskModal .btnSave').click();
+    
+    expect(save).toHaveBeenCalledWith(note, 'Task', '', 'medium', null, 'todo', [], false, [], null, []);
+    expect(document.querySelector('.taskModal')).not.toBeNull();
+  });
+  
+  it('waits for a save that answers with a promise', async () => {
+    let answer;
+    openTaskModal(note, null, null, null, null, () => new Promise(resolve => {
+      answer = resolve;
+    }));
+    document.querySelector('.taskModal .btnSave').click();
+    expect(document.querySelector('.taskModal')).not.toBeNull();
+    
+    answer(false);
+    await Promise.resolve();
+    expect(document.querySelector('.taskModal')).not.toBeNull();
+    
+    document.querySelector('.taskModal .btnSave').click();
+    answer(true);
+    await vi.waitFor(() => expect(document.querySelector('.taskModal')).toBeNull());
+  });
+  
+  it('stays open when Escape closes the merge prompt on top of it', () => {
+    openTaskModal(note, null, null, null, null, () => new Promise(() => {}));
+    openSyncConflictModal([{ mine: note, theirs: note, fields: [field('text')] }], () => {});
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    
+    expect(document.querySelector('.syncConflictModal')).toBeNull();
+    expect(document.querySelector('.taskModal')).not.toBeNull();
+  });
+});
+
+describe('openSyncConflictModal', () => {
+  const conflicts = [{
+    mine: { text: 'Mine', priority: 'high', description: 'Here' },
+    theirs: { text: 'Theirs', priority: 'low', description: 'There' },
+    fields: [field('text'), field('priority')]
+  }];
+  
+  it('starts with the other tab\'s values selected', () => {
+    const resolve = vi.fn();
+    openSyncConflictModal(conflicts, resolve);
+    
+    const checked = [...document.querySelectorAll('.syncConflictField input:checked')].map(input => input.value);
+    expect(checked).toEqual(['theirs', 'theirs']);
+    
+    document.querySelector('.syncConflictModal .btnSave').click();
+    expect(resolve).toHaveBeenCalledWith([[]]);
+    expect(document.querySelector('.syncConflictModal')).toBeNull();
+  });
+  
+  it('takes the fields picked from this tab', () => {
+    const resolve = vi.fn();
+    openSyncConflictModal(conflicts, resolve);
+    
+    document.querySelector('input[name="conflict0-priority"][value="mine"]').click();
+    document.querySelector('.syncConflictModal .btnSave').click();
+    expect(resolve).toHaveBeenCalledWith([['priority']]);
+  });
+  
+  it('keeps the other tab\'s values when dismissed', () => {
+    const resolve = vi.fn();
+    openSyncConflictModal(conflicts, resolve);
+    
+    document.querySelector('input[name="conflict0-text"][value="mine"]').click();
+    document.querySelector('.syncConflictModal .btnCancel').click();
+    expect(resolve).toHaveBeenCalledWith([[]]);
+  });
+});
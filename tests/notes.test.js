@@ -0,0 +1,361 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  getNotes,
+  setNotes,
+  moveNoteToColumn,
+  deleteNote,
+  restoreNote,
+  purgeNotes,
+  purgeExpiredNotes,
+  getBoardNotes,
+  getTrashedNotes,
+  getColumnNotes,
+  setNoteOrder,
+  getChecklistProgress,
+  isChecklistComplete,
+  setChecklistItemDone,
+  applyChecklistAutoComplete,
+  togglePomodoro,
+  skipPomodoroPhase,
+  advancePomodoros,
+  confirmWipLimit,
+  addNote
+} from '../src/js/notes.js';
+import { saveColumns, DEFAULT_COLUMNS } from '../src/js/columns.js';
+import { TimerManager } from '../src/js/timer.js';
+import { reloadSettings, updateSettings } from '../src/js/settings.js';
+import { task } from './helpers.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const NOW = Date.UTC(2026, 5, 1, 12, 0, 0);
+
+beforeEach(() => {
+  localStorage.clear();
+  saveColumns(DEFAULT_COLUMNS);
+  setNotes([]);
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(NOW);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('moveNoteToColumn', () => {
+  it('starts the timer when entering an active column and logs the session when leaving', () => {
+    const timerManager = new TimerManager();
+    const note = task({ timeSpent: HOUR, timeLog: [{ id: 't', start: NOW - 3 * HOUR, end: NOW - 2 * HOUR }] });
+    setNotes([note]);
+    
+    moveNoteToColumn(note, 'inprogress', timerManager);
+    expect(note.startedAt).toBe(NOW);
+    expect(note.inProgressSince).toBe(NOW);
+    expect(timerManager.getElapsedTime(note.id, NOW)).toBe(HOUR);
+    
+    vi.setSystemTime(NOW + 30 * 60 * 1000);
+    moveNoteToColumn(note, 'done', timerManager);
+    expect(note.inProgressSince).toBeNull();
+    expect(note.timeLog.at(-1)).toMatchObject({ start: NOW, end: NOW + 30 * 60 * 1000 });
+    expect(note.timeSpent).toBe(1.5 * HOUR);
+    expect(note.completedAt).toBe(NOW + 30 * 60 * 1000);
+    expect(timerManager.isTimerActive(note.id)).toBe(false);
+  });
+  
+  it('records the column transition and places the task at the bottom', () => {
+    const note = task({ id: 'a' });
+    setNotes([task({ id: 'b', column: 'done', order: 4 }), note]);
+    
+    moveNoteToColumn(note, 'done', null);
+    expect(note.order).toBe(5);
+    expect(note.columnHistory.at(-1)).toEqual({ column: 'done', at: NOW });
+  });
+});
+
+describe('trash', () => {
+  it('closes the running session when a task is deleted', () => {
+    const timerManager = new TimerManager();
+    const note = task({ column: 'inprogress', startedAt: NOW - HOUR, inProgressSince: NOW - HOUR, timerStartTime: NOW - HOUR });
+    timerManager.startTimer(note.id, note.timerStartTime);
+    setNotes([note]);
+    
+    deleteNote(note.id, timerManager);
+    expect(note.deletedAt).toBe(NOW);
+    expect(note.timeSpent).toBe(HOUR);
+    expect(note.inProgressSince).toBeNull();
+    expect(timerManager.isTimerActive(note.id)).toBe(false);
+    expect(getBoardNotes()).toEqual([]);
+    expect(getTrashedNotes()).toEqual([note]);
+  });
+  
+  it('restores into the original column and resumes the timer there', () => {
+    const timerManager = new TimerManager();
+    const note = task({ column: 'inprogress', deletedAt: NOW - HOUR, timeSpent: HOUR });
+    setNotes([note]);
+    
+    expect(restoreNote(note.id, timerManager)).toBe(note);
+    expect(note.deletedAt).toBeNull();
+    expect(note.inProgressSince).toBe(NOW);
+    expect(timerManager.getElapsedTime(note.id, NOW)).toBe(HOUR);
+  });
+  
+  it('restores into the first column when the original column is gone', () => {
+    const note = task({ column: 'removed', deletedAt: NOW - HOUR });
+    setNotes([note]);
+    
+    restoreNote(note.id, null);
+    expect(note.column).toBe('todo');
+  });
+  
+  it('ignores restoring tasks that are not in the trash', () => {
+    setNotes([task({ id: 'a' })]);
+    expect(restoreNote('a', null)).toBeNull();
+    expect(restoreNote('missing', null)).toBeNull();
+  });
+  
+  it('lists trashed tasks most recently deleted first', () => {
+    setNotes([task({ id: 'old', deletedAt: NOW - DAY }), task({ id: 'new', deletedAt: NOW }), task({ id: 'kept' })]);
+    expect(getTrashedNotes().map(note => note.id)).toEqual(['new', 'old']);
+  });
+  
+  it('purges only trashed tasks', () => {
+    setNotes([task({ id: 'a', deletedAt: NOW }), task({ id: 'b' })]);
+    expect(purgeNotes(['a', 'b'])).toBe(1);
+    expect(getNotes().map(note => note.id)).toEqual(['b']);
+  });
+  
+  it('purges tasks trashed longer than the retention period', () => {
+    setNotes([
+      task({ id: 'expired', deletedAt: NOW - 31 * DAY }),
+      task({ id: 'recent', deletedAt: NOW - 29 * DAY })
+    ]);
+    expect(purgeExpiredNotes(30)).toBe(1);
+    expect(getNotes().map(note => note.id)).toEqual(['recent']);
+  });
+  
+  it('keeps trashed tasks forever with a retention of 0 days', () => {
+    setNotes([task({ id: 'a', deletedAt: NOW - 365 * DAY })]);
+    expect(purgeExpiredNotes(0)).toBe(0);
+    expect(getNotes()).toHaveLength(1);
+  });
+});
+
+describe('card order', () => {
+  it('lists a column in manual order without trashed tasks', () => {
+    setNotes([
+      task({ id: 'c', order: 2 }),
+      task({ id: 'a', order: 0 }),
+      task({ id: 'gone', order: 1, deletedAt: NOW }),
+      task({ id: 'other', column: 'done', order: 1 }),
+      task({ id: 'b', order: 1 })
+    ]);
+    expect(getColumnNotes('todo').map(note => note.id)).toEqual(['a', 'b', 'c']);
+  });
+  
+  it('places a task between its new neighbours without touching them', () => {
+    const notes = [task({ id: 'a', order: 0 }), task({ id: 'b', order: 1 }), task({ id: 'c', order: 2 })];
+    setNotes(notes);
+    
+    setNoteOrder(notes[2], 'b');
+    expect(notes[2].order).toBe(0.5);
+    expect(notes.slice(0, 2).map(note => note.order)).toEqual([0, 1]);
+    expect(getColumnNotes('todo').map(note => note.id)).toEqual(['a', 'c', 'b']);
+  });
+  
+  it('moves a task to the top or the bottom', () => {
+    const notes = [task({ id: 'a', order: 0 }), task({ id: 'b', order: 1 }), task({ id: 'c', order: 2 })];
+    setNotes(notes);
+    
+    setNoteOrder(notes[2], 'a');
+    expect(getColumnNotes('todo').map(note => note.id)).toEqual(['c', 'a', 'b']);
+    setNoteOrder(notes[2], null);
+    expect(getColumnNotes('todo').map(note => note.id)).toEqual(['a', 'b', 'c']);
+  });
+  
+  it('renumbers the column once the gap between neighbours is used up', () => {
+    const notes = [task({ id: 'a', order: 0 }), task({ id: 'b', order: 1e-7 }), task({ id: 'c', order: 1 })];
+    setNotes(notes);
+    
+    setNoteOrder(notes[2], 'b');
+    expect(notes.map(note => note.order)).toEqual([0, 2, 1]);
+    expect(getColumnNotes('todo').map(note => note.id)).toEqual(['a', 'c', 'b']);
+  });
+});
+
+describe('checklists', () => {
+  const checklist = () => [
+    { id: 'i1', text: 'One', done: true },
+    { id: 'i2', text: 'Two', done: false }
+  ];
+  
+  it('counts checked items', () => {
+    expect(getChecklistProgress(task({ checklist: checklist() }))).toEqual({ done: 1, total: 2 });
+    expect(getChecklistProgress(task({ checklist: undefined }))).toEqual({ done: 0, total: 0 });
+  });
+  
+  it('treats an empty checklist as not complete', () => {
+    expect(isChecklistComplete(task({ checklist: [] }))).toBe(false);
+  });
+  
+  it('ticks items by ID', () => {
+    const note = task({ checklist: checklist() });
+    expect(setChecklistItemDone(note, 'i2', true)).toBe(true);
+    expect(isChecklistComplete(note)).toBe(true);
+    expect(setChecklistItemDone(note, 'missing', true)).toBe(false);
+  });
+  
+  it('moves an opted-in task to the done column when its checklist is completed', () => {
+    const note = task({ checklist: checklist(), autoCompleteChecklist: true });
+    setNotes([note]);
+    setChecklistItemDone(note, 'i2', true);
+    
+    expect(applyChecklistAutoComplete(note, false, null)).toBe(true);
+    expect(note.column).toBe('done');
+    expect(note.completedAt).toBe(NOW);
+  });
+  
+  it('leaves tasks alone that did not opt in, were complete already or are done', () => {
+    const complete = () => checklist().map(item => ({ ...item, done: true }));
+    expect(applyChecklistAutoComplete(task({ checklist: complete() }), false, null)).toBe(false);
+    expect(applyChecklistAutoComplete(task({ checklist: complete(), autoCompleteChecklist: true }), true, null)).toBe(false);
+    expect(applyChecklistAutoComplete(task({ checklist: complete(), autoCompleteChecklist: true, column: 'done' }), false, null)).toBe(false);
+  });
+  
+  it('does nothing on boards without a done column', () => {
+    saveColumns([{ id: 'todo', name: 'To Do' }]);
+    const note = task({ checklist: [{ id: 'i1', text: 'One', done: true }], autoCompleteChecklist: true });
+    expect(applyChecklistAutoComplete(note, false, null)).toBe(false);
+  });
+});
+
+describe('Pomodoro intervals', () => {
+  const MINUTE = 60000;
+  
+  function focusing(fields) {
+    return task({
+      column: 'inprogress',
+      startedAt: NOW,
+      inProgressSince: NOW,
+      timerStartTime: NOW,
+      pomodoro: { phase: 'work', phaseStartedAt: NOW },
+      ...fields
+    });
+  }
+  
+  it('splits time away from the tab at the exact interval boundaries', () => {
+    const note = focusing();
+    setNotes([note]);
+    
+    // Four 25 min focus intervals with 5 min breaks in between, then the long break
+    expect(advancePomodoros(null, NOW + 120 * MINUTE)).toEqual([note]);
+    expect(note.pomodoros).toBe(4);
+    expect(note.pomodoro).toEqual({ phase: 'longBreak', phaseStartedAt: NOW + 115 * MINUTE });
+    expect(note.timeLog.map(entry => [entry.start - NOW, entry.end - NOW].map(ms => ms / MINUTE))).toEqual([[0, 25], [30, 55], [60, 85], [90, 115]]);
+    expect(note.timeSpent).toBe(100 * MINUTE);
+    expect(note.breakTime).toBe(15 * MINUTE);
+    expect(note.inProgressSince).toBeNull();
+  });
+  
+  it('leaves intervals that are still running alone', () => {
+    const note = focusing();
+    setNotes([note]);
+    expect(advancePomodoros(null, NOW + 24 * MINUTE)).toEqual([]);
+    expect(note.pomodoro.phase).toBe('work');
+  });
+  
+  it('does not count a skipped focus interval', () => {
+    const note = focusing();
+    setNotes([note]);
+    vi.setSystemTime(NOW + 10 * MINUTE);
+    
+    skipPomodoroPhase(note, null);
+    expect(note.pomodoros).toBe(0);
+    expect(note.pomodoro).toEqual({ phase: 'shortBreak', phaseStartedAt: NOW + 10 * MINUTE });
+    expect(note.timeSpent).toBe(10 * MINUTE);
+  });
+  
+  it('keeps breaks out of the tracked time when the task leaves the column', () => {
+    const note = focusing({ pomodoro: { phase: 'shortBreak', phaseStartedAt: NOW }, inProgressSince: null, timerStartTime: null });
+    setNotes([note]);
+    vi.setSystemTime(NOW + 3 * MINUTE);
+    
+    moveNoteToColumn(note, 'done', null);
+    expect(note.breakTime).toBe(3 * MINUTE);
+    expect(note.timeSpent).toBe(0);
+    expect(note.pomodoro).toEqual({ phase: 'work', phaseStartedAt: null });
+  });
+  
+  it('resumes normal tracking when turned off during a break', () => {
+    const note = focusing({ pomodoro: { phase: 'shortBreak', phaseStartedAt: NOW }, inProgressSince: null, timerStartTime: null });
+    setNotes([note]);
+    vi.setSystemTime(NOW + 2 * MINUTE);
+    
+    togglePomodoro(note, null);
+    expect(note.pomodoro).toBeNull();
+    expect(note.breakTime).toBe(2 * MINUTE);
+    expect(note.inProgressSince).toBe(NOW + 2 * MINUTE);
+  });
+  
+  it('waits for the task to start when turned on outside an active column', () => {
+    const note = task();
+    setNotes([note]);
+    togglePomodoro(note, null);
+    expect(note.pomodoro).toEqual({ phase: 'work', phaseStartedAt: null });
+    
+    moveNoteToColumn(note, 'inprogress', null);
+    expect(note.pomodoro).toEqual({ phase: 'work', phaseStartedAt: NOW });
+  });
+});
+
+describe('WIP limits', () => {
+  beforeEach(() => {
+    reloadSettings();
+    saveColumns(DEFAULT_COLUMNS.map(column => column.id === 'inprogress' ? { ...column, wipLimit: 2 } : column));
+    setNotes([
+      task({ id: 'a', column: 'inprogress' }),
+      task({ id: 'b', column: 'inprogress' }),
+      task({ id: 'trashed', column: 'inprogress', deletedAt: NOW })
+    ]);
+  });
+  
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+  
+  it('lets tasks into columns below their limit or without one', () => {
+    const confirm = vi.spyOn(window, 'confirm');
+    setNotes(getNotes().filter(note => note.id !== 'b'));
+    expect(confirmWipLimit('inprogress')).toBe(true);
+    expect(confirmWipLimit('todo')).toBe(true);
+    expect(confirm).not.toHaveBeenCalled();
+  });
+  
+  it('does not count the task being moved', () => {
+    expect(confirmWipLimit('inprogress', 'a')).toBe(true);
+  });
+  
+  it('asks before filling a full column in confirm mode', () => {
+    const confirm = vi.spyOn(window, 'confirm').mockReturnValue(false);
+    expect(confirmWipLimit('inprogress')).toBe(false);
+    expect(confirm).toHaveBeenCalledWith('"In Progress" is at its WIP limit (2/2). Add another task anyway?');
+    
+    confirm.mockReturnValue(true);
+    expect(confirmWipLimit('inprogress')).toBe(true);
+  });
+  
+  it('refuses in block mode', () => {
+    updateSettings({ wipLimitMode: 'block' });
+    const alert = vi.spyOn(window, 'alert').mockImplementation(() => {});
+    const confirm = vi.spyOn(window, 'confirm');
+    expect(confirmWipLimit('inprogress')).toBe(false);
+    expect(alert).toHaveBeenCalledWith('"In Progress" is at its WIP limit (2/2). Finish or move a task out of it first.');
+    expect(confirm).not.toHaveBeenCalled();
+  });
+  
+  it('does not add a task the limit refuses', () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(false);
+    expect(addNote('One more', 'inprogress')).toBeNull();
+    expect(getNotes()).toHaveLength(3);
+    expect(addNote('Later', 'todo').column).toBe('todo');
+  });
+});
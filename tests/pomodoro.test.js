@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  migratePomodoro,
+  getPomodoroDuration,
+  getBreakPhase,
+  isPomodoroBreak,
+  getPomodoroRemaining,
+  getBreakTime,
+  createPomodoroRing
+} from '../src/js/pomodoro.js';
+import { reloadSettings, updateSettings } from '../src/js/settings.js';
+
+const MINUTE = 60000;
+const NOW = Date.UTC(2026, 5, 1, 12);
+
+beforeEach(() => {
+  localStorage.clear();
+  reloadSettings();
+});
+
+describe('migratePomodoro', () => {
+  it('keeps known phases and drops anything else', () => {
+    expect(migratePomodoro({ phase: 'shortBreak', phaseStartedAt: NOW })).toEqual({ phase: 'shortBreak', phaseStartedAt: NOW });
+    expect(migratePomodoro({ phase: 'work', phaseStartedAt: 'soon' })).toEqual({ phase: 'work', phaseStartedAt: null });
+    expect(migratePomodoro({ phase: 'nap' })).toBeNull();
+    expect(migratePomodoro(null)).toBeNull();
+  });
+});
+
+describe('interval lengths', () => {
+  it('reads the durations from the settings', () => {
+    expect(getPomodoroDuration('work')).toBe(25 * MINUTE);
+    expect(getPomodoroDuration('longBreak')).toBe(15 * MINUTE);
+    
+    updateSettings({ pomodoroWorkMinutes: 50, pomodoroShortBreakMinutes: 0 });
+    expect(getPomodoroDuration('work')).toBe(50 * MINUTE);
+    expect(getPomodoroDuration('shortBreak')).toBe(MINUTE);
+  });
+  
+  it('takes a long break after every few focus intervals', () => {
+    expect([1, 2, 3, 4, 5, 8].map(getBreakPhase)).toEqual(['shortBreak', 'shortBreak', 'shortBreak', 'longBreak', 'shortBreak', 'longBreak']);
+    
+    updateSettings({ pomodoroLongBreakEvery: 2 });
+    expect(getBreakPhase(2)).toBe('longBreak');
+  });
+});
+
+describe('countdown and break time', () => {
+  it('counts down the running interval', () => {
+    const note = { pomodoro: { phase: 'work', phaseStartedAt: NOW - 10 * MINUTE } };
+    expect(getPomodoroRemaining(note, NOW)).toBe(15 * MINUTE);
+    expect(getPomodoroRemaining(note, NOW + 60 * MINUTE)).toBe(0);
+    expect(getPomodoroRemaining({ pomodoro: { phase: 'shortBreak', phaseStartedAt: null } }, NOW)).toBe(5 * MINUTE);
+  });
+  
+  it('adds a running break to the break total', () => {
+    const onBreak = { breakTime: 5 * MINUTE, pomodoro: { phase: 'shortBreak', phaseStartedAt: NOW - 2 * MINUTE } };
+    expect(isPomodoroBreak(onBreak)).toBe(true);
+    expect(getBreakTime(onBreak, NOW)).toBe(7 * MINUTE);
+    
+    const working = { breakTime: 5 * MINUTE, pomodoro: { phase: 'work', phaseStartedAt: NOW - 2 * MINUTE } };
+    expect(isPomodoroBreak(working)).toBe(false);
+    expect(getBreakTime(working, NOW)).toBe(5 * MINUTE);
+  });
+});
+
+describe('createPomodoroRing', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(NOW);
+  });
+  
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+  
+  it('shows the phase, the countdown and the finished intervals', () => {
+    const ring = createPomodoroRing({ pomodoros: 1, pomodoro: { phase: 'longBreak', phaseStartedAt: NOW - 90 * 1000 } });
+    expect(ring.classList.contains('onBreak')).toBe(true);
+    expect(ring.querySelector('.pomodoroTime').textContent).toBe('13:30');
+    expect(ring.querySelector('.pomodoroPhase').textContent).toBe('Long break');
+    expect(ring.querySelector('.pomodoroCount').textContent).toBe('1 pomodoro');
+  });
+});
@@ -0,0 +1,299 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fc from 'fast-check';
+import { migrateRecurrence, getNextDueDate, describeRecurrence } from '../src/js/recurrence.js';
+import { setNotes, getNotes, moveNoteToColumn, createNextOccurrence, getNextOccurrenceDueDate } from '../src/js/notes.js';
+import { saveColumns, DEFAULT_COLUMNS } from '../src/js/columns.js';
+import { reloadSettings, updateSettings } from '../src/js/settings.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Local time (vitest.config.js pins Europe/Berlin)
+function local(year, month, day, hours = 9, minutes = 0) {
+  return new Date(year, month - 1, day, hours, minutes).getTime();
+}
+
+// Whole calendar days between two local dates
+function calendarDays(from, to) {
+  const a = new Date(from);
+  const b = new Date(to);
+  return Math.round((Date.UTC(b.getFullYear(), b.getMonth(), b.getDate()) - Date.UTC(a.getFullYear(), a.getMonth(), a.getDate())) / DAY);
+}
+
+function daysInMonth(timestamp) {
+  const date = new Date(timestamp);
+  return new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+}
+
+describe('migrateRecurrence', () => {
+  it('drops missing and unknown rules', () => {
+    expect(migrateRecurrence(null)).toBeNull();
+    expect(migrateRecurrence({ type: 'yearly' })).toBeNull();
+    expect(migrateRecurrence({ type: 'weekly', days: [] })).toBeNull();
+  });
+  
+  it('normalizes days, day of month and interval', () => {
+    expect(migrateRecurrence({ type: 'weekly', days: [4, '1', 1, 9, -1], dayOfMonth: 40, interval: 0 })).toEqual({
+      type: 'weekly',
+      days: [1, 4],
+      dayOfMonth: 31,
+      interval: 1
+    });
+    expect(migrateRecurrence({ type: 'interval', interval: 1000 }).interval).toBe(365);
+  });
+});
+
+describe('getNextDueDate', () => {
+  const daily = { type: 'daily', days: [], dayOfMonth: 1, interval: 1 };
+  
+  it('moves to the next occurrence and keeps the time of day', () => {
+    expect(getNextDueDate(daily, local(2026, 5, 4, 14, 30), local(2026, 5, 4, 8))).toBe(local(2026, 5, 5, 14, 30));
+  });
+  
+  it('skips occurrences already in the past', () => {
+    const now = local(2026, 5, 20, 12);
+    expect(getNextDueDate(daily, local(2026, 5, 1, 9), now)).toBe(local(2026, 5, 21, 9));
+    expect(getNextDueDate(daily, local(2026, 5, 1, 15), now)).toBe(local(2026, 5, 20, 15));
+    
+    const everyThirdDay = { type: 'interval', days: [], dayOfMonth: 1, interval: 3 };
+    expect(getNextDueDate(everyThirdDay, local(2026, 5, 1, 9), now)).toBe(local(2026, 5, 22, 9));
+  });
+  
+  it('never returns the current moment itself', () => {
+    const now = local(2026, 5, 20, 9);
+    expect(getNextDueDate(daily, local(2026, 5, 19, 9), now)).toBe(local(2026, 5, 21, 9));
+  });
+  
+  it('skips weekends on weekdays', () => {
+    const weekdays = { type: 'weekdays', days: [], dayOfMonth: 1, interval: 1 };
+    // Friday 2026-05-08 -> Monday 2026-05-11
+    expect(getNextDueDate(weekdays, local(2026, 5, 8), local(2026, 5, 8, 10))).toBe(local(2026, 5, 11));
+  });
+  
+  it('uses the chosen weekdays on weekly rules', () => {
+    const monThu = { type: 'weekly', days: [1, 4], dayOfMonth: 1, interval: 1 };
+    // Monday -> Thursday -> next Monday
+    expect(getNextDueDate(monThu, local(2026, 5, 4), local(2026, 5, 4, 10))).toBe(local(2026, 5, 7));
+    expect(getNextDueDate(monThu, local(2026, 5, 7), local(2026, 5, 7, 10))).toBe(local(2026, 5, 11));
+  });
+  
+  it('uses the last day of shorter months on monthly rules', () => {
+    const lastDay = { type: 'monthly', days: [], dayOfMonth: 31, interval: 1 };
+    expect(getNextDueDate(lastDay, local(2026, 1, 31), local(2026, 1, 31, 10))).toBe(local(2026, 2, 28));
+    expect(getNextDueDate(lastDay, local(2026, 2, 28), local(2026, 2, 28, 10))).toBe(local(2026, 3, 31));
+    expect(getNextDueDate(lastDay, local(2026, 4, 30), local(2026, 4, 30, 10))).toBe(local(2026, 5, 31));
+    expect(getNextDueDate(lastDay, local(2028, 1, 31), local(2028, 1, 31, 10))).toBe(local(2028, 2, 29));
+  });
+  
+  it('rolls monthly rules over the end of the year', () => {
+    const fifteenth = { type: 'monthly', days: [], dayOfMonth: 15, interval: 1 };
+    expect(getNextDueDate(fifteenth, local(2026, 12, 15), local(2026, 12, 20))).toBe(local(2027, 1, 15));
+  });
+  
+  it('moves a due date set before the rule day to that day of the same month', () => {
+    const fifteenth = { type: 'monthly', days: [], dayOfMonth: 15, interval: 1 };
+    expect(getNextDueDate(fifteenth, local(2026, 3, 2), local(2026, 3, 1))).toBe(local(2026, 3, 15));
+  });
+  
+  it('keeps the time of day across daylight saving time changes', () => {
+    // Clocks go forward on 2026-03-29 and back on 2026-10-25 in Europe/Berlin
+    const spring = getNextDueDate(daily, local(2026, 3, 28, 9), local(2026, 3, 28, 10));
+    expect(spring).toBe(local(2026, 3, 29, 9));
+    expect(spring - local(2026, 3, 28, 9)).toBe(23 * HOUR);
+    
+    const autumn = getNextDueDate(daily, local(2026, 10, 24, 9), local(2026, 10, 24, 10));
+    expect(autumn).toBe(local(2026, 10, 25, 9));
+    expect(autumn - local(2026, 10, 24, 9)).toBe(25 * HOUR);
+    
+    const weekly = { type: 'weekly', days: [6], dayOfMonth: 1, interval: 1 };
+    expect(getNextDueDate(weekly, local(2026, 3, 28, 18), local(2026, 3, 28, 19))).toBe(local(2026, 4, 4, 18));
+  });
+  
+  it('always lands after now and on the rule\'s cadence', () => {
+    const ruleArbitrary = fc.oneof(
+      fc.constant({ type: 'daily' }),
+      fc.constant({ type: 'weekdays' }),
+      fc.record({ type: fc.constant('weekly'), days: fc.uniqueArray(fc.integer({ min: 0, max: 6 }), { minLength: 1, maxLength: 7 }) }),
+      fc.record({ type: fc.constant('monthly'), dayOfMonth: fc.integer({ min: 1, max: 31 }) }),
+      fc.record({ type: fc.constant('interval'), interval: fc.integer({ min: 1, max: 60 }) })
+    ).map(migrateRecurrence);
+    
+    fc.assert(fc.property(
+      ruleArbitrary,
+      fc.integer({ min: local(2020, 1, 1), max: local(2030, 12, 31) }).map(day => new Date(day).setHours(0, 0, 0, 0)),
+      fc.integer({ min: 4, max: 23 }), // Hours the clock change never skips
+      fc.integer({ min: 0, max: 59 }),
+      fc.integer({ min: -400, max: 400 }),
+      (rule, day, hours, minutes, nowOffsetDays) => {
+        const previous = new Date(day).setHours(hours, minutes);
+        const now = previous + nowOffsetDays * DAY;
+        const next = getNextDueDate(rule, previous, now);
+        const date = new Date(next);
+        
+        expect(next).toBeGreaterThan(now);
+        expect(next).toBeGreaterThan(previous);
+        expect([date.getHours(), date.getMinutes()]).toEqual([hours, minutes]);
+        
+        switch (rule.type) {
+          case 'daily':
+          case 'interval':
+            expect(calendarDays(previous, next) % rule.interval).toBe(0);
+            break;
+          case 'weekdays':
+            expect([1, 2, 3, 4, 5]).toContain(date.getDay());
+            break;
+          case 'weekly':
+            expect(rule.days).toContain(date.getDay());
+            break;
+          case 'monthly':
+            expect(date.getDate()).toBe(Math.min(rule.dayOfMonth, daysInMonth(next)));
+            break;
+        }
+        
+        // The first occurrence after now, not a later one
+        if (rule.type === 'daily') {
+          expect(new Date(next).setDate(date.getDate() - 1)).toBeLessThanOrEqual(Math.max(now, previous));
+        }
+      }
+    ), { numRuns: 500 });
+  });
+});
+
+describe('describeRecurrence', () => {
+  it('describes every rule type', () => {
+    expect(describeRecurrence(null)).toBe('');
+    expect(describeRecurrence({ type: 'weekly', days: [1, 4] })).toBe('Weekly on Mon, Thu');
+    expect(describeRecurrence({ type: 'monthly', dayOfMonth: 31 })).toBe('Monthly on day 31 (or the last day of the month)');
+    expect(describeRecurrence({ type: 'interval', interval: 3 })).toBe('Every 3 days');
+  });
+});
+
+describe('createNextOccurrence', () => {
+  const NOW = local(2026, 6, 10, 12);
+  const weekly = { type: 'weekly', days: [3], dayOfMonth: 1, interval: 1 }; // Wednesdays
+  
+  function recurringTask(fields) {
+    return {
+      id: 'task',
+      text: 'Weekly report',
+      description: 'Numbers',
+      column: 'inprogress',
+      columnHistory: [],
+      priority: 'high',
+      dueDate: local(2026, 6, 10, 9),
+      createdAt: NOW - 7 * DAY,
+      startedAt: NOW - HOUR,
+      completedAt: null,
+      timeSpent: 0,
+      timeLog: [],
+      timerStartTime: NOW - HOUR,
+      inProgressSince: NOW - HOUR,
+      deletedAt: null,
+      order: 0,
+      checklist: [{ id: 'i1', text: 'Collect', done: true }],
+      autoCompleteChecklist: false,
+      labels: ['report'],
+      recurrence: weekly,
+      nextOccurrenceId: null,
+      reminders: [{ id: 'r1', offset: 3600000 }],
+      pomodoro: null,
+      pomodoros: 0,
+      breakTime: 0,
+      ...fields
+    };
+  }
+  
+  // Complete a task the way the board does: move it, then create the next occurrence
+  function complete(note) {
+    const wasDone = note.column === 'done';
+    moveNoteToColumn(note, 'done', null);
+    return createNextOccurrence(note, wasDone, null);
+  }
+  
+  beforeEach(() => {
+    localStorage.clear();
+    saveColumns(DEFAULT_COLUMNS);
+    reloadSettings();
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(NOW);
+  });
+  
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+  
+  it('creates the next occurrence in the first column when the task is completed', () => {
+    const note = recurringTask();
+    setNotes([note]);
+    
+    const next = complete(note);
+    expect(next).not.toBeNull();
+    expect(getNotes()).toHaveLength(2);
+    expect(note.nextOccurrenceId).toBe(next.id);
+    expect(note.timeSpent).toBe(HOUR);
+    expect(next).toMatchObject({
+      text: 'Weekly report',
+      description: 'Numbers',
+      column: 'todo',
+      priority: 'high',
+      dueDate: local(2026, 6, 17, 9),
+      labels: ['report'],
+      recurrence: weekly,
+      timeSpent: 0,
+      completedAt: null
+    });
+    expect(next.checklist.map(item => [item.text, item.done])).toEqual([['Collect', false]]);
+    expect(next.recurrence).not.toBe(note.recurrence);
+    expect(getNextOccurrenceDueDate(note)).toBe(local(2026, 6, 17, 9));
+  });
+  
+  it('skips occurrences that already passed while the task was open', () => {
+    const note = recurringTask({ dueDate: local(2026, 5, 6, 9) });
+    setNotes([note]);
+    expect(complete(note).dueDate).toBe(local(2026, 6, 17, 9));
+  });
+  
+  it('counts from now for tasks without a due date', () => {
+    const note = recurringTask({ dueDate: null, recurrence: { type: 'daily', days: [], dayOfMonth: 1, interval: 1 } });
+    setNotes([note]);
+    expect(complete(note).dueDate).toBe(NOW + DAY);
+  });
+  
+  it('creates only one occurrence per completion', () => {
+    const note = recurringTask();
+    setNotes([note]);
+    complete(note);
+    
+    moveNoteToColumn(note, 'todo', null);
+    expect(complete(note)).toBeNull();
+    expect(getNotes()).toHaveLength(2);
+  });
+  
+  it('ignores tasks without a rule and tasks that were done already', () => {
+    const plain = recurringTask({ recurrence: null });
+    setNotes([plain]);
+    expect(complete(plain)).toBeNull();
+    
+    const done = recurringTask({ column: 'done' });
+    setNotes([done]);
+    expect(createNextOccurrence(done, true, null)).toBeNull();
+    expect(getNotes()).toHaveLength(1);
+  });
+  
+  it.each(['confirm', 'block'])('creates the occurrence in a full first column without a WIP prompt (%s mode)', (mode) => {
+    saveColumns(DEFAULT_COLUMNS.map(column => column.id === 'todo' ? { ...column, wipLimit: 1 } : column));
+    updateSettings({ wipLimitMode: mode });
+    const confirm = vi.spyOn(window, 'confirm').mockReturnValue(false);
+    const alert = vi.spyOn(window, 'alert').mockImplementation(() => {});
+    const note = recurringTask();
+    setNotes([note, recurringTask({ id: 'waiting', column: 'todo', recurrence: null })]);
+    
+    const next = complete(note);
+    expect(next).not.toBeNull();
+    expect(next.column).toBe('todo');
+    expect(note.nextOccurrenceId).toBe(next.id);
+    expect(confirm).not.toHaveBeenCalled();
+    expect(alert).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { migrateReminders, describeReminderOffset } from '../src/js/reminders.js';
+
+const NOW = Date.UTC(2026, 5, 1, 12);
+const MINUTE = 60000;
+
+// Two boards; "home" is not open and holds a task saved before order existed
+function seedBoards(homeNotes) {
+  localStorage.setItem('kanbyBoards', JSON.stringify({
+    activeBoardId: 'work',
+    boards: [{ id: 'work', name: 'Work' }, { id: 'home', name: 'Home' }]
+  }));
+  localStorage.setItem('kanbyNotes:home', JSON.stringify(homeNotes));
+}
+
+function homeTask(fields) {
+  return { id: 'plants', text: 'Water plants', column: 'todo', createdAt: NOW - 60 * MINUTE, dueDate: NOW + 5 * MINUTE, reminders: [10], ...fields };
+}
+
+// reminders.js and storage.js keep module state, so every test imports fresh modules
+async function loadReminders() {
+  vi.resetModules();
+  const storage = await import('../src/js/storage.js');
+  const reminders = await import('../src/js/reminders.js');
+  await storage.initStorage();
+  return { ...reminders, storage };
+}
+
+function toastText() {
+  const container = document.getElementById('toastContainer');
+  return container ? container.textContent : '';
+}
+
+describe('reminder offsets', () => {
+  it('keeps unique positive whole minutes, largest first', () => {
+    expect(migrateReminders([10, '1440', 10, -5, 2.5, 'x'])).toEqual([1440, 10]);
+    expect(migrateReminders(null)).toEqual([]);
+  });
+  
+  it('describes offsets in the largest whole unit', () => {
+    expect(describeReminderOffset(10)).toBe('10 min');
+    expect(describeReminderOffset(120)).toBe('2 hours');
+    expect(describeReminderOffset(1440)).toBe('1 day');
+    expect(describeReminderOffset(20160)).toBe('2 weeks');
+  });
+});
+
+describe('checkReminders', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    document.body.innerHTML = '';
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(NOW);
+  });
+  
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+  
+  it('fires a due reminder of another board once', async () => {
+    seedBoards([homeTask()]);
+    const { checkReminders } = await loadReminders();
+    
+    checkReminders();
+    expect(toastText()).toContain('Water plants (Home)');
+    expect(Object.keys(JSON.parse(localStorage.getItem('kanbyReminders')))).toEqual([`home:plants:${NOW + 5 * MINUTE}:10`]);
+    
+    [...document.querySelectorAll('.toastAction')].find(button => button.textContent === 'Dismiss').click();
+    checkReminders();
+    expect(toastText()).toBe('');
+  });
+  
+  it('waits until the reminder time and skips completed tasks', async () => {
+    seedBoards([homeTask({ dueDate: NOW + 30 * MINUTE }), homeTask({ id: 'done', column: 'done', dueDate: NOW })]);
+    const { checkReminders } = await loadReminders();
+    
+    checkReminders();
+    expect(toastText()).toBe('');
+    
+    vi.setSystemTime(NOW + 20 * MINUTE);
+    checkReminders();
+    expect(toastText()).toContain('Water plants');
+  });
+  
+  it('reads boards that are not open without writing to them', async () => {
+    seedBoards([homeTask()]);
+    const { checkReminders, storage } = await loadReminders();
+    const stored = storage.getStoredData('home');
+    const setItem = vi.spyOn(Storage.prototype, 'setItem');
+    
+    checkReminders();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    
+    expect(toastText()).toContain('Water plants');
+    expect(storage.getStoredData('home')).toBe(stored);
+    expect(setItem.mock.calls.map(([key]) => key)).toEqual(['kanbyReminders']);
+  });
+  
+  it('hides the toast of a reminder whose task was completed', async () => {
+    seedBoards([homeTask()]);
+    const { checkReminders, storage } = await loadReminders();
+    checkReminders();
+    expect(toastText()).toContain('Water plants');
+    
+    storage.saveNotes([homeTask({ column: 'done' })], 'home');
+    checkReminders();
+    expect(toastText()).toBe('');
+  });
+  
+  it('leaves a toast that replaced the reminder alone when the reminder goes stale', async () => {
+    seedBoards([homeTask()]);
+    const { checkReminders, storage } = await loadReminders();
+    const { showToast } = await import('../src/js/toast.js');
+    checkReminders();
+    
+    showToast('Task deleted', { actionLabel: 'Undo', onAction: () => {} });
+    storage.saveNotes([homeTask({ column: 'done' })], 'home');
+    checkReminders();
+    expect(toastText()).toContain('Task deleted');
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { migrateNote } from '../src/js/storage.js';
+import { saveColumns, DEFAULT_COLUMNS } from '../src/js/columns.js';
+
+// Start storage.js (the modules are fresh for every test, see beforeEach)
+async function initStorage() {
+  const storage = await import('../src/js/storage.js');
+  const { IndexedDbAdapter } = await import('../src/js/indexedDbAdapter.js');
+  await storage.initStorage();
+  return { storage, IndexedDbAdapter };
+}
+
+// Read a board's tasks straight from the database
+async function storedNotes(IndexedDbAdapter, boardId) {
+  const adapter = await IndexedDbAdapter.open();
+  const notes = await adapter.load(boardId);
+  adapter.db.close();
+  return notes;
+}
+
+// Read the pre-migration backup and the schema version straight from the database
+async function storedMeta(IndexedDbAdapter) {
+  const adapter = await IndexedDbAdapter.open();
+  const schemaVersion = await adapter.getSchemaVersion();
+  const backup = await new Promise((resolve, reject) => {
+    const request = adapter.db.transaction('meta', 'readonly').objectStore('meta').get('migrationBackup');
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  adapter.db.close();
+  return { schemaVersion, backup };
+}
+
+beforeEach(() => {
+  localStorage.clear();
+  saveColumns(DEFAULT_COLUMNS);
+});
+
+describe('moving tasks out of localStorage', () => {
+  const oldTasks = [
+    { id: 1700000000000, text: 'First', column: 'todo' },
+    { id: 1700000000000, text: 'Same millisecond', column: 'todo' },
+    { text: 'No id', column: 'todo' }
+  ];
+  
+  // storage.js keeps state, so every test imports fresh modules; the fake IndexedDB starts empty
+  beforeEach(() => {
+    vi.resetModules();
+    vi.stubGlobal('indexedDB', new IDBFactory());
+    vi.stubGlobal('IDBKeyRange', IDBKeyRange);
+    localStorage.setItem('kanbyNotes:default', JSON.stringify(oldTasks));
+    localStorage.setItem('kanbySchemaVersion', '2');
+  });
+  
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+  
+  it('moves every task with an ID into IndexedDB, giving duplicates new IDs first', async () => {
+    const { storage, IndexedDbAdapter } = await initStorage();
+    
+    expect((await storedNotes(IndexedDbAdapter, 'default')).map(note => note.text)).toEqual(['First', 'Same millisecond']);
+    expect(storage.loadNotes('default').map(note => note.text)).toEqual(['First', 'Same millisecond']);
+    expect(localStorage.getItem('kanbyNotes:default')).toBeNull();
+  });
+  
+  it('keeps working from localStorage when the move fails', async () => {
+    const { IndexedDbAdapter } = await import('../src/js/indexedDbAdapter.js');
+    vi.spyOn(IndexedDbAdapter.prototype, 'writeAll').mockRejectedValue(new Error('QuotaExceededError'));
+    const { storage } = await initStorage();
+    
+    expect(await storedNotes(IndexedDbAdapter, 'default')).toEqual([]);
+    const kept = JSON.parse(localStorage.getItem('kanbyNotes:default'));
+    expect(kept.map(note => note.text)).toEqual(['First', 'Same millisecond', 'No id']);
+    expect(new Set(kept.slice(0, 2).map(note => note.id)).size).toBe(2);
+    expect(storage.loadNotes('default').map(note => note.text)).toEqual(['First', 'Same millisecond', 'No id']);
+  });
+  
+  it('backs up older data exactly as localStorage held it before the upgrade', async () => {
+    localStorage.setItem('kanbySchemaVersion', '1');
+    const { storage, IndexedDbAdapter } = await initStorage();
+    
+    const { schemaVersion, backup } = await storedMeta(IndexedDbAdapter);
+    expect(schemaVersion).toBe(2);
+    expect(backup).toMatchObject({ schemaVersion: 1, boards: [{ id: 'default', notes: oldTasks }] });
+    expect(storage.loadNotes('default').map(note => typeof note.id)).toEqual(['string', 'string']);
+  });
+  
+  it('keeps that backup when the upgrade after the move fails', async () => {
+    localStorage.setItem('kanbySchemaVersion', '1');
+    const { IndexedDbAdapter } = await import('../src/js/indexedDbAdapter.js');
+    const writeAll = IndexedDbAdapter.prototype.writeAll;
+    vi.spyOn(IndexedDbAdapter.prototype, 'writeAll')
+      .mockImplementationOnce(function (...args) {
+        return writeAll.apply(this, args);
+      })
+      .mockRejectedValueOnce(new Error('QuotaExceededError'));
+    
+    await expect(initStorage()).rejects.toThrow('could not be upgraded');
+    vi.restoreAllMocks();
+    
+    const { schemaVersion, backup } = await storedMeta(IndexedDbAdapter);
+    expect(schemaVersion).toBe(1);
+    expect(backup.boards).toEqual([{ id: 'default', notes: oldTasks }]);
+    expect(localStorage.getItem('kanbyNotes:default')).toBeNull();
+  });
+});
+
+describe('migrateNote', () => {
+  it('turns numeric task IDs into strings of the same digits', () => {
+    const note = migrateNote({ id: 1700000000000, text: 'Old', column: 'todo', nextOccurrenceId: 1700000000001 }, 'default');
+    expect(note.id).toBe('1700000000000');
+    expect(note.nextOccurrenceId).toBe('1700000000001');
+  });
+  
+  it('keeps string IDs and missing references', () => {
+    const note = migrateNote({ id: 'c0ffee00-0000-4000-8000-000000000000', text: 'New', column: 'todo' }, 'default');
+    expect(note.id).toBe('c0ffee00-0000-4000-8000-000000000000');
+    expect(note.nextOccurrenceId).toBeNull();
+  });
+  
+  it('moves tasks of a deleted column to the first column', () => {
+    expect(migrateNote({ id: 'a', text: 'Lost', column: 'review' }, 'default').column).toBe('todo');
+  });
+});
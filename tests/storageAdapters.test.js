@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { LocalStorageAdapter, openStorageAdapter } from '../src/js/storageAdapters.js';
+import { IndexedDbAdapter } from '../src/js/indexedDbAdapter.js';
+
+const stored = (boardId) => JSON.parse(localStorage.getItem(`kanbyNotes:${boardId}`));
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('LocalStorageAdapter', () => {
+  it('keeps one JSON array per board', async () => {
+    const adapter = new LocalStorageAdapter();
+    await adapter.save('work', [{ id: 'a' }]);
+    expect(stored('work')).toEqual([{ id: 'a' }]);
+    expect(await adapter.load('work')).toEqual([{ id: 'a' }]);
+    expect(await adapter.load('home')).toEqual([]);
+    
+    await adapter.save('work', []);
+    expect(localStorage.getItem('kanbyNotes:work')).toBeNull();
+  });
+  
+  it('reads broken data as an empty board', async () => {
+    localStorage.setItem('kanbyNotes:work', '{broken');
+    expect(await new LocalStorageAdapter().load('work')).toEqual([]);
+    localStorage.setItem('kanbyNotes:work', '{"id":"a"}');
+    expect(await new LocalStorageAdapter().load('work')).toEqual([]);
+  });
+  
+  it('applies the puts and deletes of a transaction together', async () => {
+    const adapter = new LocalStorageAdapter();
+    await adapter.save('work', [{ id: 'a', text: 'A' }, { id: 'b', text: 'B' }]);
+    
+    await adapter.transaction('work', (tx) => {
+      tx.put({ id: 'a', text: 'A2' });
+      tx.put({ id: 'c', text: 'C' });
+      tx.delete('b');
+      tx.delete('missing');
+    });
+    expect(stored('work')).toEqual([{ id: 'a', text: 'A2' }, { id: 'c', text: 'C' }]);
+    
+    await adapter.putNote('work', { id: 'd', text: 'D' });
+    await adapter.deleteNote('work', 'a');
+    expect(stored('work').map(note => note.id)).toEqual(['c', 'd']);
+  });
+  
+  it('writes several boards, the version and the backup', async () => {
+    const adapter = new LocalStorageAdapter();
+    expect(await adapter.getSchemaVersion()).toBe(0);
+    
+    await adapter.writeAll([{ id: 'work', notes: [{ id: 'a' }] }, { id: 'home', notes: [] }], 2, { schemaVersion: 0 });
+    expect(stored('work')).toEqual([{ id: 'a' }]);
+    expect(localStorage.getItem('kanbyNotes:home')).toBeNull();
+    expect(await adapter.getSchemaVersion()).toBe(2);
+    expect(JSON.parse(localStorage.getItem('kanbyMigrationBackup'))).toEqual({ schemaVersion: 0 });
+  });
+});
+
+describe('openStorageAdapter', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+  
+  it('falls back to localStorage without IndexedDB', async () => {
+    expect((await openStorageAdapter()).name).toBe('localStorage');
+  });
+  
+  it('falls back to localStorage when IndexedDB refuses to open', async () => {
+    vi.stubGlobal('indexedDB', {});
+    vi.spyOn(IndexedDbAdapter, 'open').mockRejectedValue(new Error('InvalidStateError'));
+    expect((await openStorageAdapter()).name).toBe('localStorage');
+  });
+  
+  it('passes on a database blocked by another tab instead of showing an empty board', async () => {
+    vi.stubGlobal('indexedDB', {});
+    const blocked = Object.assign(new Error('Close the other Kanby tabs'), { name: 'BlockedError' });
+    vi.spyOn(IndexedDbAdapter, 'open').mockRejectedValue(blocked);
+    await expect(openStorageAdapter()).rejects.toBe(blocked);
+  });
+});
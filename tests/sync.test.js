@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mergeNote, mergeNotes, applyConflictChoices, EDITOR_FIELDS } from '../src/js/sync.js';
+
+const NOW = Date.UTC(2026, 5, 1, 12);
+
+function stored(id, fields) {
+  return { id, text: id, column: 'todo', createdAt: NOW, order: 0, ...fields };
+}
+
+function note(fields) {
+  return { id: 'a', text: 'Task', description: '', priority: 'medium', column: 'todo', timeSpent: 0, lastEditedAt: null, ...fields };
+}
+
+const fieldNames = (fields) => fields.map(field => field.name);
+
+describe('mergeNote', () => {
+  it.each([
+    ['only this tab changed a field', { text: 'Mine' }, {}, { text: 'Mine' }, []],
+    ['only the other tab changed a field', {}, { text: 'Theirs' }, { text: 'Theirs' }, []],
+    ['both changed different fields', { text: 'Mine' }, { priority: 'high' }, { text: 'Mine', priority: 'high' }, []],
+    ['both made the same change', { text: 'Same' }, { text: 'Same' }, { text: 'Same' }, []],
+    ['both changed a field differently', { text: 'Mine' }, { text: 'Theirs' }, { text: 'Theirs' }, ['text']],
+    ['the column here, the tracked time there', { column: 'done' }, { timeSpent: 1000 }, { column: 'todo', timeSpent: 1000 }, ['workflow']]
+  ])('%s', (_, mineChanges, theirChanges, expected, conflicts) => {
+    const base = note();
+    const result = mergeNote(base, note(mineChanges), note(theirChanges));
+    expect(result.note).toMatchObject(expected);
+    expect(fieldNames(result.conflicts)).toEqual(conflicts);
+  });
+  
+  it('merges the editor\'s column on its own', () => {
+    const result = mergeNote(note(), note({ column: 'done' }), note({ timeSpent: 1000 }), EDITOR_FIELDS);
+    expect(result.note).toMatchObject({ column: 'done', timeSpent: 1000 });
+    expect(result.conflicts).toEqual([]);
+  });
+  
+  it('keeps the later edit time', () => {
+    expect(mergeNote(note(), note({ text: 'Mine', lastEditedAt: 5 }), note({ lastEditedAt: 3 })).note.lastEditedAt).toBe(5);
+  });
+  
+  it('takes the fields picked in the prompt from this tab', () => {
+    const mine = note({ text: 'Mine', priority: 'high' });
+    const { note: merged, conflicts } = mergeNote(note(), mine, note({ text: 'Theirs', priority: 'low' }));
+    expect(applyConflictChoices(merged, mine, conflicts, ['priority'])).toMatchObject({ text: 'Theirs', priority: 'high' });
+  });
+});
+
+describe('mergeNotes', () => {
+  const base = note();
+  const mine = note({ text: 'Mine' });
+  const theirs = note({ priority: 'high' });
+  const theirsText = note({ text: 'Theirs' });
+  const other = note({ id: 'b', text: 'Other' });
+  
+  it.each([
+    // name, base, this tab, other tab, merged tasks, conflicting fields, keptLocal
+    ['nobody changed anything', [base], [base], [base], [base], [], false],
+    ['only this tab changed a task', [base], [mine], [base], [mine], [], true],
+    ['only the other tab changed a task', [base], [base], [theirs], [theirs], [], false],
+    ['both changed different fields', [base], [mine], [theirs], [note({ text: 'Mine', priority: 'high' })], [], true],
+    ['both changed the same field', [base], [mine], [theirsText], [theirsText], ['text'], false],
+    ['deleted here, unchanged there', [base], [], [base], [], [], true],
+    ['deleted here, edited there', [base], [], [theirs], [theirs], [], false],
+    ['deleted there, unchanged here', [base], [base], [], [], [], false],
+    ['deleted there, edited here', [base], [mine], [], [mine], [], true],
+    ['created here', [], [other], [], [other], [], true],
+    ['created there', [], [], [other], [other], [], false],
+    ['both created the same task', [], [other], [other], [other], [], false]
+  ])('%s', (_, baseNotes, localNotes, remoteNotes, expected, conflicts, keptLocal) => {
+    const result = mergeNotes(baseNotes, localNotes, remoteNotes);
+    expect(result.notes).toEqual(expected);
+    expect(result.conflicts.flatMap(conflict => fieldNames(conflict.fields))).toEqual(conflicts);
+    expect(result.keptLocal).toBe(keptLocal);
+  });
+  
+  it('keeps both tasks when the tabs created different tasks with the same ID', () => {
+    const result = mergeNotes([], [note({ text: 'Mine' })], [note({ text: 'Theirs' })]);
+    expect(result.notes.map(n => n.text)).toEqual(['Theirs', 'Mine']);
+    expect(result.notes[0].id).toBe('a');
+    expect(result.notes[1].id).not.toBe('a');
+    expect(result.keptLocal).toBe(true);
+  });
+  
+  it('keeps this tab\'s objects for tasks it has the stored version of', () => {
+    const local = note();
+    expect(mergeNotes([base], [local, other], [note(), other]).notes[0]).toBe(local);
+  });
+  
+  it('reports the two versions of a conflicting task', () => {
+    const [conflict] = mergeNotes([base], [mine], [theirsText]).conflicts;
+    expect(conflict.mine).toBe(mine);
+    expect(conflict.theirs).toBe(theirsText);
+  });
+});
+
+// storage.js and sync.js keep module state, so every test imports fresh modules
+// and starts a tab with the given BroadcastChannel (undefined for browsers without one)
+async function openTab(BroadcastChannel) {
+  vi.stubGlobal('BroadcastChannel', BroadcastChannel);
+  vi.resetModules();
+  const storage = await import('../src/js/storage.js');
+  const sync = await import('../src/js/sync.js');
+  const notes = await import('../src/js/notes.js');
+  await storage.initStorage();
+  notes.setNotes(storage.loadNotes('default'));
+  
+  const handlers = { onNotesChanged: vi.fn(), onConflicts: vi.fn(), onDataChanged: vi.fn() };
+  sync.initCrossTabSync(handlers);
+  return { ...storage, ...sync, ...notes, handlers };
+}
+
+// Write a key the way another tab does, which fires a storage event in this one
+function writeFromOtherTab(key, value) {
+  localStorage.setItem(key, value);
+  window.dispatchEvent(new StorageEvent('storage', { key, newValue: value, storageArea: localStorage }));
+}
+
+describe('storage events', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    localStorage.setItem('kanbyNotes:default', JSON.stringify([stored('a')]));
+  });
+  
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+  
+  it('re-read the board in browsers without BroadcastChannel', async () => {
+    const tab = await openTab(undefined);
+    writeFromOtherTab('kanbyNotes:default', JSON.stringify([stored('a', { text: 'Renamed' })]));
+    await vi.waitFor(() => expect(tab.handlers.onNotesChanged).toHaveBeenCalledWith(['a']));
+    
+    expect(tab.getNotes()[0].text).toBe('Renamed');
+    expect(tab.handlers.onDataChanged).not.toHaveBeenCalled();
+  });
+  
+  it('are ignored for tasks when writes arrive on the channel', async () => {
+    const tab = await openTab(class {
+      postMessage() {}
+    });
+    writeFromOtherTab('kanbyNotes:default', JSON.stringify([stored('a', { text: 'Renamed' })]));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    
+    expect(tab.getNotes()[0].text).toBe('a');
+    expect(tab.handlers.onNotesChanged).not.toHaveBeenCalled();
+    expect(tab.handlers.onDataChanged).not.toHaveBeenCalled();
+  });
+  
+  it('pass other keys on to the app', async () => {
+    const tab = await openTab(undefined);
+    writeFromOtherTab('kanbySettings', '{}');
+    expect(tab.handlers.onDataChanged).toHaveBeenCalledWith('kanbySettings');
+  });
+});
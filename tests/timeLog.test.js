@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fc from 'fast-check';
+import {
+  isValidTimeEntry,
+  getLoggedTime,
+  migrateTimeLog,
+  addTimeEntry,
+  setTimeLog,
+  findOverlappingEntry
+} from '../src/js/timeLog.js';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 5, 1, 12);
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(NOW);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('migrateTimeLog', () => {
+  it('keeps valid entries, oldest first, with string IDs', () => {
+    const timeLog = migrateTimeLog({
+      timeLog: [
+        { id: 7, start: NOW - HOUR, end: NOW },
+        { start: NOW - 3 * HOUR, end: NOW - 2 * HOUR, migrated: true },
+        { id: 'backwards', start: NOW, end: NOW - HOUR },
+        null
+      ]
+    });
+    expect(timeLog).toEqual([
+      { id: 'time1', start: NOW - 3 * HOUR, end: NOW - 2 * HOUR, migrated: true },
+      { id: '7', start: NOW - HOUR, end: NOW }
+    ]);
+  });
+  
+  it('turns an old total into one entry ending when the task was last worked on', () => {
+    expect(migrateTimeLog({ timeSpent: HOUR, completedAt: NOW - 2 * HOUR })).toEqual([
+      { id: 'time0', start: NOW - 3 * HOUR, end: NOW - 2 * HOUR, migrated: true }
+    ]);
+    expect(migrateTimeLog({ timeSpent: HOUR, inProgressSince: NOW - HOUR })[0].end).toBe(NOW - HOUR);
+    expect(migrateTimeLog({ timeSpent: HOUR, startedAt: NOW - 5 * HOUR })[0].end).toBe(NOW - 4 * HOUR);
+  });
+  
+  it('never ends a migrated entry in the future', () => {
+    expect(migrateTimeLog({ timeSpent: 2 * HOUR, startedAt: NOW - HOUR })[0]).toMatchObject({ start: NOW - 2 * HOUR, end: NOW });
+  });
+  
+  it('gives tasks without tracked time an empty log', () => {
+    expect(migrateTimeLog({})).toEqual([]);
+    expect(migrateTimeLog({ timeSpent: 'none' })).toEqual([]);
+  });
+});
+
+describe('editing the log', () => {
+  it('keeps timeSpent equal to the sum of the entries', () => {
+    const note = { timeLog: [], timeSpent: 0 };
+    addTimeEntry(note, NOW - HOUR, NOW);
+    addTimeEntry(note, NOW - 4 * HOUR, NOW - 2 * HOUR);
+    addTimeEntry(note, NOW, NOW);
+    expect(note.timeLog.map(entry => entry.start)).toEqual([NOW - 4 * HOUR, NOW - HOUR]);
+    expect(note.timeSpent).toBe(3 * HOUR);
+    
+    setTimeLog(note, [{ id: 'a', start: NOW - HOUR, end: NOW - HOUR / 2 }, { id: 'b', start: 1, end: 0 }]);
+    expect(note.timeLog).toEqual([{ id: 'a', start: NOW - HOUR, end: NOW - HOUR / 2 }]);
+    expect(note.timeSpent).toBe(HOUR / 2);
+  });
+  
+  it('sums any valid log to its entries\' durations', () => {
+    const entry = fc.tuple(fc.integer({ min: 0, max: NOW }), fc.integer({ min: 0, max: 10 * HOUR }))
+      .map(([start, duration]) => ({ start, end: start + duration }));
+    fc.assert(fc.property(fc.array(entry, { maxLength: 20 }), entries => {
+      const note = { timeLog: [] };
+      setTimeLog(note, entries);
+      expect(note.timeSpent).toBe(entries.reduce((total, e) => total + e.end - e.start, 0));
+      expect(getLoggedTime(note.timeLog)).toBe(note.timeSpent);
+      expect(note.timeLog.every(isValidTimeEntry)).toBe(true);
+    }));
+  });
+});
+
+describe('findOverlappingEntry', () => {
+  const note = {
+    timeLog: [{ id: 'a', start: NOW - 4 * HOUR, end: NOW - 3 * HOUR }],
+    inProgressSince: NOW - HOUR
+  };
+  
+  it('finds entries that overlap, including the running session', () => {
+    expect(findOverlappingEntry(note, NOW - 3.5 * HOUR, NOW - 2 * HOUR).id).toBe('a');
+    expect(findOverlappingEntry(note, NOW - 2 * HOUR, NOW - HOUR / 2).id).toBe('running');
+  });
+  
+  it('allows entries that only touch and the entry being edited', () => {
+    expect(findOverlappingEntry(note, NOW - 3 * HOUR, NOW - HOUR)).toBeNull();
+    expect(findOverlappingEntry(note, NOW - 4 * HOUR, NOW - 2 * HOUR, 'a')).toBeNull();
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { escapeCsvValue, getTrackedTime, filterTimesheetNotes, buildTimesheetCsv } from '../src/js/timesheet.js';
+import { TimerManager, formatElapsedTime } from '../src/js/timer.js';
+import { task } from './helpers.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const NOW = Date.UTC(2026, 2, 31, 12, 0, 0);
+
+// Parse the CSV rows into arrays of cells (the test values contain no quotes or commas)
+function parseCsv(csv) {
+  return csv.split('\r\n').map(row => row.split(','));
+}
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('escapeCsvValue', () => {
+  it('quotes separators, quotes and line breaks', () => {
+    expect(escapeCsvValue('a,b')).toBe('"a,b"');
+    expect(escapeCsvValue('say "hi"')).toBe('"say ""hi"""');
+    expect(escapeCsvValue('line\nbreak')).toBe('"line\nbreak"');
+  });
+  
+  it('neutralizes spreadsheet formulas', () => {
+    expect(escapeCsvValue('=SUM(A1)')).toBe("'=SUM(A1)");
+    expect(escapeCsvValue('-1')).toBe("'-1");
+  });
+  
+  it('writes empty cells for missing values', () => {
+    expect(escapeCsvValue(null)).toBe('');
+    expect(escapeCsvValue(undefined)).toBe('');
+  });
+});
+
+describe('getTrackedTime', () => {
+  const note = task({
+    timeLog: [
+      { id: 'a', start: NOW - 60 * DAY, end: NOW - 60 * DAY + 4 * HOUR },
+      { id: 'b', start: NOW - 2 * DAY - HOUR, end: NOW - 2 * DAY + HOUR }
+    ]
+  });
+  
+  it('sums every session without a range', () => {
+    expect(getTrackedTime(note, null, null, NOW)).toBe(6 * HOUR);
+  });
+  
+  it('counts only sessions inside the range', () => {
+    expect(getTrackedTime(note, NOW - 7 * DAY, NOW, NOW)).toBe(2 * HOUR);
+  });
+  
+  it('clips sessions crossing a boundary', () => {
+    expect(getTrackedTime(note, NOW - 2 * DAY, NOW, NOW)).toBe(HOUR);
+    expect(getTrackedTime(note, null, NOW - 2 * DAY, NOW)).toBe(5 * HOUR);
+  });
+  
+  it('counts the running session up to now', () => {
+    const running = task({ column: 'inprogress', inProgressSince: NOW - 3 * HOUR, timeLog: [] });
+    expect(getTrackedTime(running, null, null, NOW)).toBe(3 * HOUR);
+    expect(getTrackedTime(running, NOW - HOUR, null, NOW)).toBe(HOUR);
+  });
+  
+  it('ignores a stale session outside active columns', () => {
+    expect(getTrackedTime(task({ inProgressSince: NOW - HOUR }), null, null, NOW)).toBe(0);
+  });
+  
+  it('counts no running session during a Pomodoro break', () => {
+    const onBreak = task({
+      column: 'inprogress',
+      inProgressSince: NOW - HOUR,
+      timeLog: [{ id: 'a', start: NOW - 2 * HOUR, end: NOW - HOUR }],
+      pomodoro: { phase: 'shortBreak', phaseStartedAt: NOW - 5 * 60 * 1000 }
+    });
+    expect(getTrackedTime(onBreak, null, null, NOW)).toBe(HOUR);
+  });
+  
+  it('takes the running session from the board\'s timer manager', () => {
+    const timerManager = new TimerManager();
+    const running = task({
+      column: 'inprogress',
+      inProgressSince: NOW - 3 * HOUR,
+      timeLog: [{ id: 'a', start: NOW - 2 * DAY, end: NOW - 2 * DAY + HOUR }],
+      timeSpent: HOUR
+    });
+    
+    // The card timer shows the logged hour plus 30 minutes since it was (re)started
+    timerManager.startTimer(running.id, NOW - HOUR - 30 * 60 * 1000);
+    expect(getTrackedTime(running, null, null, NOW, timerManager)).toBe(HOUR + 30 * 60 * 1000);
+    expect(getTrackedTime(running, NOW - DAY, null, NOW, timerManager)).toBe(30 * 60 * 1000);
+    
+    // Paused on the board (e.g. a break started): only the log counts
+    timerManager.stopTimer(running.id);
+    expect(getTrackedTime(running, null, null, NOW, timerManager)).toBe(HOUR);
+  });
+  
+  it('exports the time the card timer shows', () => {
+    const timerManager = new TimerManager();
+    const running = task({ column: 'inprogress', inProgressSince: NOW - 2 * HOUR });
+    timerManager.startTimer(running.id, NOW - HOUR);
+    const [, row] = parseCsv(buildTimesheetCsv([running], { timerManager }, NOW));
+    expect(row[8]).toBe(formatElapsedTime(HOUR));
+  });
+});
+
+describe('filterTimesheetNotes', () => {
+  it('skips trashed tasks and unselected columns', () => {
+    const notes = [
+      task({ id: 'a', column: 'todo' }),
+      task({ id: 'b', column: 'done' }),
+      task({ id: 'c', column: 'todo', deletedAt: NOW })
+    ];
+    expect(filterTimesheetNotes(notes, { columnIds: ['todo'] }, NOW).map(note => note.id)).toEqual(['a']);
+  });
+  
+  it('keeps tasks active or worked on within the range', () => {
+    const notes = [
+      task({ id: 'old', column: 'done', createdAt: NOW - 90 * DAY, completedAt: NOW - 80 * DAY }),
+      task({ id: 'open', column: 'todo', createdAt: NOW - 90 * DAY }),
+      task({
+        id: 'logged',
+        column: 'done',
+        createdAt: NOW - 90 * DAY,
+        completedAt: NOW - 80 * DAY,
+        timeLog: [{ id: 'a', start: NOW - DAY, end: NOW - DAY + HOUR }] // Added by hand after completion
+      })
+    ];
+    expect(filterTimesheetNotes(notes, { from: NOW - 7 * DAY, to: NOW }, NOW).map(note => note.id)).toEqual(['open', 'logged']);
+  });
+});
+
+describe('buildTimesheetCsv', () => {
+  it('reports the tracked time within the range, not the lifetime total', () => {
+    const notes = [task({
+      column: 'inprogress',
+      startedAt: NOW - 60 * DAY,
+      timeLog: [
+        { id: 'a', start: NOW - 60 * DAY, end: NOW - 60 * DAY + 40 * HOUR },
+        { id: 'b', start: NOW - 3 * DAY, end: NOW - 3 * DAY + 90 * 60 * 1000 }
+      ],
+      timeSpent: 41.5 * HOUR
+    })];
+    
+    const [header, row] = parseCsv(buildTimesheetCsv(notes, { from: NOW - 7 * DAY, to: NOW }, NOW));
+    expect(row[header.indexOf('Tracked Hours')]).toBe('1.50');
+    expect(row[header.indexOf('Tracked Time')]).toBe('01:30:00');
+    
+    const [, allTime] = parseCsv(buildTimesheetCsv(notes, {}, NOW));
+    expect(allTime[header.indexOf('Tracked Hours')]).toBe('41.50');
+  });
+  
+  it('writes only the header when no task matches', () => {
+    expect(parseCsv(buildTimesheetCsv([], {}, NOW))).toHaveLength(1);
+  });
+});
@@ -0,0 +1,13 @@
+import { defineConfig } from 'vitest/config';
+
+// Date tests run in a fixed time zone with daylight saving time, so they give the same
+// results on every machine and cover the days the clocks change
+process.env.TZ = 'Europe/Berlin';
+
+// The modules use localStorage and the DOM, so every test file runs in jsdom
+export default defineConfig({
+  test: {
+    environment: 'jsdom',
+    include: ['tests/**/*.test.js']
+  }
+});